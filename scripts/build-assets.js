@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * VinuChain Lists - Logo Assets Build Script
+ * Renders every validated token logo into square PNG and WebP variants under content-addressed
+ * file names, ready to be published as static files, and writes a manifest for the token list build
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+  CHAIN_ID,
+  LOGO_VARIANT_SIZES,
+  LOGO_ASSETS_BASE_URL,
+  URL_HTTPS_PATTERN,
+  EXIT_CODES,
+} = require('./utils/constants');
+
+const { findLogoFile } = require('./validators/logo-validator');
+const { decodeImage, resizeToSquare, encodePng, encodeWebp } = require('./utils/raster');
+const { networkPath, tokenKey, loadNetworks } = require('./utils/networks');
+const { createValidator, REGISTRY_LIMITS } = require('./engine');
+
+const logger = require('./utils/logger');
+
+const ROOT = path.join(__dirname, '..');
+
+// Default output location (compiled/ is git-ignored)
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../compiled/assets');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Compute the SHA-256 digest of a file
+ * @param {Buffer} content - File content
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Build the content-addressed file name of an asset
+ * The name changes whenever the content does, so published assets can be cached indefinitely
+ * @param {Buffer} content - File content
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name (first 16 hex digits of the SHA-256 digest)
+ */
+function assetName(content, extension) {
+  return `${sha256(content).slice(0, 16)}.${extension}`;
+}
+
+/**
+ * Render the variants of one logo
+ * Raster logos get a PNG and a WebP file for each size in LOGO_VARIANT_SIZES that does not exceed
+ * the logo's own size; SVG logos are published unchanged.
+ * @param {Buffer} content - Logo file content
+ * @param {string} extension - Logo file extension (e.g. '.png')
+ * @returns {Promise<{logos: Object, files: Map<string, Buffer>}>} Variant file names by format
+ *   and size ({ png: { '32': name } } or { svg: name }), and the files to write by name
+ */
+async function buildLogoAssets(content, extension) {
+  const format = extension.slice(1).toLowerCase();
+  const files = new Map();
+
+  if (format === 'svg') {
+    const name = assetName(content, 'svg');
+    files.set(name, content);
+    return { logos: { svg: name }, files };
+  }
+
+  const image = await decodeImage(content, format);
+  const logos = { png: {}, webp: {} };
+
+  for (const size of LOGO_VARIANT_SIZES) {
+    if (size > Math.max(image.width, image.height)) continue;
+
+    const variant = resizeToSquare(image, size);
+    const png = encodePng(variant);
+    const webp = await encodeWebp(variant);
+
+    logos.png[size] = assetName(png, 'png');
+    logos.webp[size] = assetName(webp, 'webp');
+    files.set(logos.png[size], png);
+    files.set(logos.webp[size], webp);
+  }
+
+  return { logos, files };
+}
+
+/**
+ * Render the logo variants of all tokens of a network
+ * Manifest entries are keyed by address, prefixed with the chain ID outside VinuChain mainnet.
+ * @param {Object[]} tokens - Validated token data
+ * @param {Object} options - Build options
+ * @param {string} options.tokensDir - Path to tokens directory
+ * @param {number} [options.chainId] - Network of the tokens (defaults to VinuChain mainnet)
+ * @param {string} [options.baseURL] - URL the asset directory is published at
+ * @returns {Promise<{manifest: Object, files: Map<string, Buffer>}>} Manifest and asset files by name
+ * @throws {Error} If a logo cannot be decoded
+ */
+async function buildAssets(tokens, { tokensDir, chainId = CHAIN_ID, baseURL = LOGO_ASSETS_BASE_URL }) {
+  const files = new Map();
+  const entries = {};
+
+  const sorted = [...tokens].sort((a, b) => a.address.localeCompare(b.address));
+  for (const token of sorted) {
+    const logo = findLogoFile(path.join(tokensDir, token.address), token.address);
+    if (!logo.found) continue;
+
+    const content = fs.readFileSync(logo.path);
+    let assets;
+    try {
+      assets = await buildLogoAssets(content, logo.extension);
+    } catch (e) {
+      throw new Error(`${token.symbol}: Cannot render logo ${path.basename(logo.path)}: ${e.message}`);
+    }
+
+    assets.files.forEach((file, name) => files.set(name, file));
+    entries[tokenKey(chainId, token.address)] = { source: sha256(content), logos: assets.logos };
+  }
+
+  return {
+    manifest: {
+      baseURL: baseURL.replace(/\/+$/, ''),
+      sizes: LOGO_VARIANT_SIZES,
+      tokens: entries,
+    },
+    files,
+  };
+}
+
+/**
+ * Write asset files and the manifest
+ * Existing files are left untouched: their names are derived from their content, and keeping
+ * them lets lists built earlier keep resolving their logos.
+ * @param {string} outputDir - Asset directory
+ * @param {{manifest: Object, files: Map<string, Buffer>}} assets - Build result
+ * @returns {number} Number of new files written
+ */
+function writeAssets(outputDir, { manifest, files }) {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  let written = 0;
+  for (const [name, content] of files) {
+    const filePath = path.join(outputDir, name);
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, content);
+      written++;
+    }
+  }
+
+  fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return written;
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{output: string, baseURL: string}} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { output: DEFAULT_OUTPUT_DIR, baseURL: LOGO_ASSETS_BASE_URL };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out' || argv[i] === '-o') {
+      if (!argv[i + 1]) {
+        throw new Error(`${argv[i]} requires a directory path`);
+      }
+      options.output = path.resolve(argv[++i]);
+    } else if (argv[i] === '--base-url') {
+      if (!argv[i + 1]) {
+        throw new Error('--base-url requires a URL');
+      }
+      options.baseURL = argv[++i];
+      if (!URL_HTTPS_PATTERN.test(options.baseURL)) {
+        throw new Error(`--base-url must be an https:// URL: ${options.baseURL}`);
+      }
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Validate the registry of one network for the build
+ * Every registered logo is rendered, so the batch limits of validation runs do not apply.
+ * @param {number} chainId - Network to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.root] - Repository root
+ * @param {Object} [options.log] - Logger receiving progress output
+ * @returns {Object} Validation result (see engine.js createValidator)
+ */
+function validateNetwork(chainId, { root = ROOT, log = logger } = {}) {
+  return createValidator({ root, chainId, logger: log, limits: REGISTRY_LIMITS }).validate();
+}
+
+/**
+ * Main build entry point
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  logger.info('\n🖼️  Building VinuChain Logo Assets\n');
+
+  const assets = { manifest: null, files: new Map() };
+  for (const { chainId } of loadNetworks(ROOT)) {
+    const result = validateNetwork(chainId);
+    if (!result.valid) {
+      logger.error(`\n❌ Registry validation failed with ${result.errors} error(s), assets not written\n`);
+      return EXIT_CODES.VALIDATION_ERROR;
+    }
+
+    logger.section(`Rendering Logos (chain ${chainId})`);
+
+    const tokensDir = path.join(ROOT, networkPath(chainId), 'tokens');
+    const network = await buildAssets(result.tokens, { tokensDir, chainId, baseURL: options.baseURL });
+    network.files.forEach((file, name) => assets.files.set(name, file));
+    assets.manifest = assets.manifest
+      ? { ...assets.manifest, tokens: { ...assets.manifest.tokens, ...network.manifest.tokens } }
+      : network.manifest;
+  }
+
+  const written = writeAssets(options.output, assets);
+
+  const logos = Object.keys(assets.manifest.tokens).length;
+  logger.success(
+    `Rendered ${logos} logos into ${assets.files.size} files (${written} new) in ` +
+    `${path.relative(process.cwd(), options.output) || '.'}`
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+// Run main function
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(e => {
+      logger.error(`\nFATAL ERROR: ${e.message}`);
+      logger.debug(e.stack);
+      process.exit(EXIT_CODES.FATAL_ERROR);
+    });
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  assetName,
+  buildLogoAssets,
+  buildAssets,
+  writeAssets,
+  validateNetwork,
+  parseArgs,
+};
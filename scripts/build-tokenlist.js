@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+
+/**
+ * VinuChain Lists - Token List Build Script
+ * Compiles validated token entries into a Uniswap-standard tokenlist.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const {
+  CHAIN_ID,
+  TOKEN_LIST_NAME,
+  TOKEN_LIST_KEYWORDS,
+  TOKEN_LIST_LOGO_URI,
+  REGISTRY_RAW_BASE_URL,
+  TOKEN_LIST_LOGO_SIZE,
+  EXIT_CODES,
+} = require('./utils/constants');
+
+const { safeReadJSON, loadSchema } = require('./utils/safe-json');
+const { findLogoFile } = require('./validators/logo-validator');
+const { networkPath, tokenKey, loadNetworks } = require('./utils/networks');
+const { isOpenRedFlag, computeRiskScore } = require('./utils/red-flags');
+const { createValidator, REGISTRY_LIMITS } = require('./engine');
+
+const logger = require('./utils/logger');
+
+const ROOT = path.join(__dirname, '..');
+
+// Official token-lists schema shipped with @uniswap/token-lists
+const TOKEN_LIST_SCHEMA_PATH = require.resolve('@uniswap/token-lists/src/tokenlist.schema.json');
+
+// Default output location (compiled/ is git-ignored)
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '../compiled/tokenlist.json');
+
+// Manifest written by build-assets.js
+const DEFAULT_ASSETS_PATH = path.join(__dirname, '../compiled/assets/manifest.json');
+
+/**
+ * Definitions of the tags derived from token data, emitted at the list level
+ * Tags that tokens declare themselves are defined in config/tags.json.
+ * Identifiers must match the token-lists TagIdentifier pattern (max 10 word chars)
+ */
+const TOKEN_LIST_TAGS = {
+  project: {
+    name: 'Project token',
+    description: 'Token belongs to a project listed in the VinuChain contracts registry',
+  },
+  flagged: {
+    name: 'Flagged',
+    description: 'Token has security red flags recorded in the registry, review before use',
+  },
+};
+
+/**
+ * Resolve the public logo of a token
+ * Prefers the published logo assets, then the validated logo file stored in the repository,
+ * then the external logoURI. Assets are only used when the manifest was built from the current
+ * logo file.
+ * @param {string} tokensDir - Path to tokens directory
+ * @param {Object} token - Token data
+ * @param {Object|null} assets - Logo assets manifest (see build-assets.js)
+ * @param {number} [chainId] - Network of the token (defaults to VinuChain mainnet)
+ * @returns {{logoURI: (string|undefined), logos: (Object|undefined)}} Logo URL and asset variants
+ */
+function resolveLogo(tokensDir, token, assets, chainId = CHAIN_ID) {
+  const logo = findLogoFile(path.join(tokensDir, token.address), token.address);
+  if (!logo.found) {
+    return { logoURI: token.logoURI };
+  }
+
+  const entry = assets && assets.tokens && assets.tokens[tokenKey(chainId, token.address)];
+  const source = entry && crypto.createHash('sha256').update(fs.readFileSync(logo.path)).digest('hex');
+  if (entry && entry.source === source) {
+    const { logos } = entry;
+    // The TOKEN_LIST_LOGO_SIZE PNG, or the largest one for logos smaller than that
+    const sizes = Object.keys(logos.png || {}).map(Number).sort((a, b) => a - b);
+    const size = sizes.includes(TOKEN_LIST_LOGO_SIZE) ? TOKEN_LIST_LOGO_SIZE : sizes[sizes.length - 1];
+    const file = logos.svg || logos.png[size];
+    return { logoURI: `${assets.baseURL}/${file}`, logos };
+  }
+
+  const directory = path.posix.join(networkPath(chainId), 'tokens', token.address);
+  return { logoURI: `${REGISTRY_RAW_BASE_URL}/${directory}/${token.address}${logo.extension}` };
+}
+
+/**
+ * Convert a registry token entry to a token-lists TokenInfo object
+ * Logo asset variants are emitted as extensions.logos; their file names are relative to logoURI.
+ * The origin of a bridged token is emitted as extensions.bridgeInfo. Tokens with red flags get
+ * extensions.riskScore, and the 'flagged' tag while any flag is open.
+ * @param {Object} token - Validated token data
+ * @param {string} [logoURI] - Resolved logo URL
+ * @param {Object} [logos] - Logo asset file names by format and size
+ * @param {number} [chainId] - Network of the token (defaults to VinuChain mainnet)
+ * @returns {Object} TokenInfo object
+ */
+function toTokenInfo(token, logoURI, logos, chainId = CHAIN_ID) {
+  const info = {
+    chainId,
+    address: token.address,
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals,
+  };
+
+  if (logoURI) {
+    info.logoURI = logoURI;
+  }
+
+  const tags = [...(token.tags || [])];
+  if (token.project) tags.push('project');
+  if ((token.redFlags || []).some(isOpenRedFlag)) tags.push('flagged');
+  if (tags.length > 0) {
+    info.tags = tags;
+  }
+
+  const extensions = {};
+  if (logos) {
+    extensions.logos = logos;
+  }
+  if (token.redFlags && token.redFlags.length > 0) {
+    extensions.riskScore = computeRiskScore(token.redFlags);
+  }
+  if (token.bridgeInfo) {
+    // token-lists convention: origin token address keyed by origin chain ID
+    extensions.bridgeInfo = {
+      [token.bridgeInfo.originChainId]: { tokenAddress: token.bridgeInfo.originAddress },
+    };
+  }
+  if (Object.keys(extensions).length > 0) {
+    info.extensions = extensions;
+  }
+
+  return info;
+}
+
+/**
+ * Parse a semver string into a token-lists version object
+ * @param {string} version - Version string (e.g., "1.2.3")
+ * @returns {{major: number, minor: number, patch: number}} Version object
+ */
+function parseVersion(version) {
+  const [major = 0, minor = 0, patch = 0] = String(version)
+    .split('-')[0]
+    .split('.')
+    .map(part => parseInt(part, 10) || 0);
+  return { major, minor, patch };
+}
+
+/**
+ * Compute the next list version following the token-lists versioning rules
+ * - major: tokens removed (or addresses changed)
+ * - minor: tokens added
+ * - patch: any other token change
+ * @param {Object|null} previousList - Previously built list (null if none)
+ * @param {Object[]} tokens - New TokenInfo array
+ * @param {{major: number, minor: number, patch: number}} baseVersion - Version used when there is no previous list
+ * @returns {{major: number, minor: number, patch: number}} Next version
+ */
+function computeNextVersion(previousList, tokens, baseVersion) {
+  if (!previousList || !previousList.version || !Array.isArray(previousList.tokens)) {
+    return { ...baseVersion };
+  }
+
+  const key = t => `${t.chainId}_${t.address.toLowerCase()}`;
+  const previous = new Map(previousList.tokens.map(t => [key(t), JSON.stringify(t)]));
+  const next = new Map(tokens.map(t => [key(t), JSON.stringify(t)]));
+
+  const removed = [...previous.keys()].some(k => !next.has(k));
+  const added = [...next.keys()].some(k => !previous.has(k));
+  const changed = [...next.entries()].some(([k, v]) => previous.has(k) && previous.get(k) !== v);
+
+  const { major, minor, patch } = previousList.version;
+  if (removed) return { major: major + 1, minor: 0, patch: 0 };
+  if (added) return { major, minor: minor + 1, patch: 0 };
+  if (changed) return { major, minor, patch: patch + 1 };
+  return { major, minor, patch };
+}
+
+/**
+ * Assemble a token list from the validated token entries of every network
+ * @param {Array<{chainId: number, tokensDir: string, tokens: Object[]}>} networks - Validated token data
+ *   and tokens directory per network
+ * @param {Object} options - Build options
+ * @param {{major: number, minor: number, patch: number}} options.baseVersion - Version used for a first build
+ * @param {Object|null} [options.previousList] - Previously built list, used to bump the version
+ * @param {string} [options.timestamp] - ISO timestamp (defaults to now)
+ * @param {Object|null} [options.assets] - Logo assets manifest written by build-assets.js
+ * @param {Object<string, {name: string, description: string}>} [options.tagDefinitions] - Definitions of
+ *   the tags tokens declare (config/tags.json)
+ * @returns {Object} Token list object
+ */
+function buildTokenList(networks, {
+  baseVersion,
+  previousList = null,
+  timestamp = new Date().toISOString(),
+  assets = null,
+  tagDefinitions = {},
+}) {
+  const tokenInfos = networks
+    .flatMap(({ chainId, tokensDir, tokens }) => tokens.map(token => {
+      const { logoURI, logos } = resolveLogo(tokensDir, token, assets, chainId);
+      return toTokenInfo(token, logoURI, logos, chainId);
+    }))
+    .sort((a, b) =>
+      a.symbol.localeCompare(b.symbol) || a.chainId - b.chainId || a.address.localeCompare(b.address));
+
+  // Only emit tag definitions that are actually used
+  const usedTags = new Set(tokenInfos.flatMap(t => t.tags || []));
+  const tags = {};
+  for (const [id, definition] of Object.entries({ ...tagDefinitions, ...TOKEN_LIST_TAGS })) {
+    if (usedTags.has(id)) tags[id] = definition;
+  }
+
+  const list = {
+    name: TOKEN_LIST_NAME,
+    timestamp,
+    version: computeNextVersion(previousList, tokenInfos, baseVersion),
+    logoURI: TOKEN_LIST_LOGO_URI,
+    keywords: TOKEN_LIST_KEYWORDS,
+    tokens: tokenInfos,
+  };
+
+  if (Object.keys(tags).length > 0) {
+    list.tags = tags;
+  }
+
+  return list;
+}
+
+/**
+ * Validate a token list against the official token-lists JSON schema
+ * @param {Object} list - Token list object
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validateTokenList(list) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  const schema = loadSchema(TOKEN_LIST_SCHEMA_PATH, 'Token List Schema');
+  const validate = ajv.compile(schema);
+
+  if (validate(list)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.map(err => `${err.instancePath || '/'} ${err.message}`),
+  };
+}
+
+/**
+ * Read a previously built list, ignoring missing or unreadable files
+ * @param {string} outputPath - Path to the list file
+ * @returns {Object|null} Previous list or null
+ */
+function readPreviousList(outputPath) {
+  if (!fs.existsSync(outputPath)) return null;
+  try {
+    return safeReadJSON(outputPath, 10 * 1024 * 1024);
+  } catch (e) {
+    logger.warn(`Ignoring unreadable previous token list: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the logo assets manifest, ignoring missing or unreadable files
+ * @param {string} manifestPath - Path to the manifest
+ * @returns {Object|null} Manifest or null
+ */
+function readAssetsManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    return safeReadJSON(manifestPath, 10 * 1024 * 1024);
+  } catch (e) {
+    logger.warn(`Ignoring unreadable logo assets manifest: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{output: string, assets: string}} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { output: DEFAULT_OUTPUT_PATH, assets: DEFAULT_ASSETS_PATH };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out' || argv[i] === '-o') {
+      if (!argv[i + 1]) {
+        throw new Error(`${argv[i]} requires a file path`);
+      }
+      options.output = path.resolve(argv[++i]);
+    } else if (argv[i] === '--assets') {
+      if (!argv[i + 1]) {
+        throw new Error('--assets requires a file path');
+      }
+      options.assets = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Validate the registry of one network for the build
+ * The list covers every registered token, so the batch limits of validation runs do not apply.
+ * @param {number} chainId - Network to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.root] - Repository root
+ * @param {Object} [options.log] - Logger receiving progress output
+ * @returns {Object} Validation result (see engine.js createValidator)
+ */
+function validateNetwork(chainId, { root = ROOT, log = logger } = {}) {
+  return createValidator({ root, chainId, logger: log, limits: REGISTRY_LIMITS }).validate();
+}
+
+/**
+ * Main build entry point
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  logger.info('\n📦 Building VinuChain Token List\n');
+
+  const networks = [];
+  let tagDefinitions = {};
+  for (const { chainId } of loadNetworks(ROOT)) {
+    const result = validateNetwork(chainId);
+    if (!result.valid) {
+      logger.error(`\n❌ Registry validation failed with ${result.errors} error(s), token list not written\n`);
+      process.exit(EXIT_CODES.VALIDATION_ERROR);
+    }
+    const tokensDir = path.join(ROOT, networkPath(chainId), 'tokens');
+    networks.push({ chainId, tokensDir, tokens: result.tokens });
+    tagDefinitions = result.tagDefinitions;
+  }
+
+  const packageJson = safeReadJSON(path.join(ROOT, 'package.json'));
+  const list = buildTokenList(networks, {
+    baseVersion: parseVersion(packageJson.version),
+    previousList: readPreviousList(options.output),
+    assets: readAssetsManifest(options.assets),
+    tagDefinitions,
+  });
+
+  const withAssets = list.tokens.filter(token => token.extensions && token.extensions.logos).length;
+  if (withAssets < list.tokens.length && fs.existsSync(options.assets)) {
+    logger.warn(
+      `${list.tokens.length - withAssets} token(s) have no current logo assets, ` +
+      'run `npm run build:assets` to render them'
+    );
+  }
+
+  logger.section('Validating Token List');
+
+  const listValidation = validateTokenList(list);
+  if (!listValidation.valid) {
+    listValidation.errors.forEach(err => logger.error(`  ${err}`));
+    logger.error('\n❌ Generated token list does not match the token-lists schema\n');
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+
+  fs.mkdirSync(path.dirname(options.output), { recursive: true });
+  fs.writeFileSync(options.output, `${JSON.stringify(list, null, 2)}\n`);
+
+  const { major, minor, patch } = list.version;
+  logger.success(
+    `Wrote ${list.tokens.length} tokens to ${path.relative(process.cwd(), options.output)} ` +
+    `(v${major}.${minor}.${patch})`
+  );
+}
+
+// Run main function
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    logger.error(`\nFATAL ERROR: ${e.message}`);
+    logger.debug(e.stack);
+    process.exit(EXIT_CODES.FATAL_ERROR);
+  }
+}
+
+module.exports = {
+  TOKEN_LIST_TAGS,
+  toTokenInfo,
+  parseVersion,
+  computeNextVersion,
+  buildTokenList,
+  validateTokenList,
+  validateNetwork,
+  parseArgs,
+};
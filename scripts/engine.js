@@ -0,0 +1,2021 @@
+/**
+ * VinuChain Lists - Validation Engine
+ * Side-effect-free validation of a registry checkout or an in-memory submission
+ *
+ * Every call to validate() / validateSubmission() starts from fresh state and
+ * returns a result object; nothing is cached between runs and the process is
+ * never exited, so the engine can be embedded (bots, tests, other checkouts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  CHAIN_ID,
+  MAX_TOKENS,
+  MAX_PROJECTS,
+  MAX_CONTRACTS_PER_PROJECT,
+  RECOMMENDED_MAX_DECIMALS,
+  TOKEN_URL_FIELDS,
+  PROJECT_URL_FIELDS,
+  LOGO_SIMILARITY_THRESHOLD,
+  WELL_KNOWN_ASSETS,
+  RETIRED_CONTRACT_STATUSES,
+} = require('./utils/constants');
+
+const { safeReadJSON, safeParseJSON } = require('./utils/safe-json');
+const {
+  validateTokenSchema,
+  validateContractSchema,
+  validateAllowlistSchema,
+  validateTagsSchema,
+  validateNetworksSchema,
+} = require('./utils/schema-validators');
+
+const {
+  validateTokenAddress,
+  validateEIP55Checksum,
+  validateAddressDirectory,
+} = require('./utils/address-validator');
+
+const { validateURLs } = require('./utils/url-validator');
+const { validateRedFlags } = require('./utils/red-flags');
+const { createReport, RULES } = require('./utils/report');
+const { createRpcProvider, checkChainId } = require('./utils/rpc');
+const { hashLogo, logoSimilarity } = require('./utils/perceptual-hash');
+const { skeleton, isConfusable } = require('./utils/confusables');
+const { NETWORKS_FILE, networkPath } = require('./utils/networks');
+
+const {
+  validateSafeFilename,
+  validateContractName,
+  safePathJoin,
+  safeReadFile,
+  safeReadDir,
+  isDirectory,
+} = require('./utils/file-utils');
+
+const { validateEmail } = require('./validators/email-validator');
+const { validateABI } = require('./validators/abi-validator');
+const { validateSolidityFile } = require('./validators/solidity-validator');
+const {
+  validateLogo,
+  validateLogoBuffer,
+  findLogoFile,
+  LOGO_SIZE_ERROR,
+} = require('./validators/logo-validator');
+const { verifyTokenOnChain } = require('./validators/onchain-validator');
+const { verifyContractOnChain } = require('./validators/bytecode-validator');
+const { verifyContractSource } = require('./validators/compilation-validator');
+const { validateCompilerSettings, verifyDeployment } = require('./validators/deployment-validator');
+const { validateProxySettings, verifyProxyOnChain } = require('./validators/proxy-validator');
+const { validateAudits, findUnauditedContracts } = require('./validators/audit-validator');
+
+const DEFAULT_ROOT = path.join(__dirname, '..');
+
+// Additional soljson builds, relative to the root
+const DEFAULT_COMPILERS_DIR = '.solc';
+
+// Tokens allowed to share a symbol or name (e.g. bridged variants), relative to the root
+const TOKEN_ALLOWLIST_FILE = 'config/token-allowlist.json';
+
+// Tag definitions tokens may reference, relative to the root
+const TAGS_FILE = 'config/tags.json';
+
+const RULE_SEVERITIES = ['off', 'warning', 'error'];
+
+const LIMIT_HINT = ' Please submit entries in smaller batches.';
+
+const DEFAULT_LIMITS = {
+  maxTokens: MAX_TOKENS,
+  maxProjects: MAX_PROJECTS,
+  maxContractsPerProject: MAX_CONTRACTS_PER_PROJECT,
+};
+
+// Limits for runs over the whole registry (e.g., builds): the batch limits bound how many entries
+// one change may add, not how many the registry holds
+const REGISTRY_LIMITS = {
+  maxTokens: Infinity,
+  maxProjects: Infinity,
+};
+
+// Logger used when none is supplied: the engine reports through its result only
+const SILENT_LOGGER = {
+  error() {},
+  warn() {},
+  info() {},
+  success() {},
+  debug() {},
+  section() {},
+};
+
+/**
+ * Validate and normalize engine options
+ * @param {Object} options - Options passed to createValidator
+ * @returns {{root: string, chainId: number, networkRoot: string, rules: Object, limits: Object,
+ *   logger: Object}} Normalized configuration
+ * @throws {Error} If the chain ID, a rule id, severity, or limit is invalid
+ */
+function normalizeOptions({
+  root = DEFAULT_ROOT,
+  chainId = CHAIN_ID,
+  rules = {},
+  limits = {},
+  logger = SILENT_LOGGER,
+} = {}) {
+  if (!Number.isInteger(chainId) || chainId < 1) {
+    throw new Error(`Chain ID must be a positive integer: ${chainId}`);
+  }
+
+  for (const [ruleId, severity] of Object.entries(rules)) {
+    if (!Object.prototype.hasOwnProperty.call(RULES, ruleId)) {
+      throw new Error(`Unknown rule: ${ruleId}`);
+    }
+    if (!RULE_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity for ${ruleId}: ${severity} (expected ${RULE_SEVERITIES.join(', ')})`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(limits)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, name)) {
+      throw new Error(`Unknown limit: ${name}`);
+    }
+    if ((!Number.isInteger(value) || value < 1) && value !== Infinity) {
+      throw new Error(`Limit ${name} must be a positive integer or Infinity`);
+    }
+  }
+
+  return {
+    root: path.resolve(root),
+    chainId,
+    networkRoot: path.join(path.resolve(root), networkPath(chainId)),
+    rules: { ...rules },
+    limits: { ...DEFAULT_LIMITS, ...limits },
+    logger,
+  };
+}
+
+/**
+ * Create the state of a single validation run
+ * @param {Object} config - Normalized engine configuration
+ * @returns {Object} Run state
+ */
+function createRun(config) {
+  return {
+    config,
+    logger: config.logger,
+    report: createReport({ root: config.root }),
+    allAddresses: new Set(),
+    tokens: new Map(), // address -> token data
+    tokenFiles: new Map(), // address -> token JSON path (for cross-reference locations)
+    validatedTokens: [], // {data, file, logo} of tokens that passed validation in this run
+    validatedContracts: [], // {data, abi, file, pointer, abiFile} of contracts that passed
+    contractAddresses: new Map(), // address -> {project, contract}
+    projectSlugs: new Set(),
+    network: null, // definition of the validated network in config/networks.json (null if unknown)
+    tagDefinitions: null, // tag id -> {name, description} (null if config/tags.json is invalid)
+    stats: {
+      tokens: 0,
+      projects: 0,
+      contracts: 0,
+      indexedTokens: 0,
+      indexedContracts: 0,
+    },
+    aborted: false,
+  };
+}
+
+/**
+ * Log and record a finding, applying the configured rule severity
+ * @param {Object} run - Run state
+ * @param {string} ruleId - Rule id (see RULES in utils/report)
+ * @param {string} severity - Default severity ('error' or 'warning')
+ * @param {string} message - Message (logged as-is)
+ * @param {Object} [location] - Source location, plus optional diagnostic `properties`
+ * @returns {string|null} Effective severity, or null if the rule is turned off
+ */
+function emit(run, ruleId, severity, message, location = {}) {
+  const effective = run.config.rules[ruleId] || severity;
+  if (effective === 'off') return null;
+
+  if (effective === 'error') {
+    run.logger.error(message);
+  } else {
+    run.logger.warn(message);
+  }
+  run.report.add({ ruleId, severity: effective, message, ...location });
+  return effective;
+}
+
+/**
+ * Check whether a rule has not been turned off
+ * @param {Object} run - Run state
+ * @param {string} ruleId - Rule id
+ * @returns {boolean} True if findings of the rule are reported
+ */
+function isEnabled(run, ruleId) {
+  return run.config.rules[ruleId] !== 'off';
+}
+
+/**
+ * Create error/warning helpers that track whether an entry is still valid
+ * @param {Object} run - Run state
+ * @returns {{error: Function, warn: Function, isValid: function(): boolean}} Entry reporter
+ */
+function createEntryReporter(run) {
+  let valid = true;
+  const record = severity => (ruleId, message, location) => {
+    if (emit(run, ruleId, severity, message, location) === 'error') {
+      valid = false;
+    }
+  };
+
+  return {
+    error: record('error'),
+    warn: record('warning'),
+    isValid: () => valid,
+  };
+}
+
+/**
+ * List every error of a validation result
+ * Exhaustive validators return `errors`; fail-fast ones only `error`
+ * @param {{error?: string, errors?: string[]}} result - Failed validation result
+ * @returns {string[]} Error messages
+ */
+function collectErrors(result) {
+  return result.errors || [result.error];
+}
+
+/**
+ * Convert an Ajv error to the JSON pointer of the offending value
+ * Unknown properties point at the property itself, everything else at instancePath
+ * @param {Object} err - Ajv error object
+ * @returns {string} JSON pointer
+ */
+function schemaErrorPointer(err) {
+  if (err.keyword === 'additionalProperties' && err.params && err.params.additionalProperty) {
+    return `${err.instancePath}/${err.params.additionalProperty}`;
+  }
+  return err.instancePath;
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a batch size against its limit
+ * @param {Object} run - Run state
+ * @param {number} count - Number of entries to validate
+ * @param {number} max - Configured limit
+ * @param {string} message - Error message prefix
+ * @returns {boolean} True if within the limit (the run is marked aborted otherwise)
+ */
+function checkLimit(run, count, max, message) {
+  if (count <= max) return true;
+  emit(run, 'registry/limit', 'error', `${message}: ${count} (max: ${max}).${LIMIT_HINT}`);
+  run.aborted = true;
+  return false;
+}
+
+/**
+ * Read a token entry from disk
+ * @param {string} tokensDir - Path to tokens directory
+ * @param {string} addressDir - Token directory name (already validated)
+ * @returns {Object} Token entry
+ */
+function readDiskToken(tokensDir, addressDir) {
+  const entry = { addressDir, file: path.join(tokensDir, addressDir) };
+
+  // Construct path safely (addresses CRITICAL-02)
+  const pathResult = safePathJoin(tokensDir, addressDir, `${addressDir}.json`);
+  if (!pathResult.valid) {
+    return { ...entry, pathError: pathResult.error };
+  }
+
+  entry.file = pathResult.path;
+
+  // Read and parse JSON safely (addresses CRITICAL-03, HIGH-03)
+  try {
+    entry.data = safeReadJSON(pathResult.path);
+  } catch (e) {
+    entry.readError = e.message;
+  }
+
+  const tokenDirPath = path.join(tokensDir, addressDir);
+  entry.checkLogo = (address, symbol) => {
+    const logoFile = findLogoFile(tokenDirPath, address);
+    return {
+      result: validateLogo(tokenDirPath, address, symbol, { exhaustive: true }),
+      location: { file: logoFile.found ? logoFile.path : tokenDirPath },
+      logo: logoFile.found ? { file: logoFile.path, extension: logoFile.extension } : null,
+    };
+  };
+
+  return entry;
+}
+
+/**
+ * Build a token entry from an in-memory submission
+ * @param {Object} submission - Submitted token
+ * @param {Object|string} submission.data - Token JSON (object or text)
+ * @param {{buffer: Buffer, extension: string}} [submission.logo] - Logo content
+ * @param {Object} report - Run report (receives the JSON text for location lookups)
+ * @param {string} tokensPath - Tokens directory of the network, relative to the root
+ * @returns {Object} Token entry
+ */
+function memoryToken({ data, logo } = {}, report, tokensPath) {
+  let parsed;
+  let readError;
+  let text;
+
+  if (typeof data === 'string') {
+    text = data;
+    try {
+      parsed = safeParseJSON(data, 'submitted token');
+    } catch (e) {
+      readError = e.message;
+    }
+  } else {
+    parsed = data;
+    text = JSON.stringify(data, null, 2);
+  }
+
+  // A submitted token lives in the directory named after its address
+  const addressDir = String(parsed && parsed.address);
+  const file = `${tokensPath}/${addressDir}/${addressDir}.json`;
+  if (typeof text === 'string') report.addSource(file, text);
+
+  return {
+    addressDir,
+    file,
+    data: parsed,
+    readError,
+    checkLogo: (address, symbol) => {
+      const location = { file: `${tokensPath}/${address}/${address}${logo ? logo.extension : ''}` };
+      if (!logo) {
+        return {
+          result: { valid: false, error: `${symbol}: Missing required logo file` },
+          location,
+        };
+      }
+      return {
+        result: validateLogoBuffer(logo.buffer, logo.extension, symbol, { exhaustive: true }),
+        location,
+        logo: { file: location.file, extension: logo.extension, buffer: logo.buffer },
+      };
+    },
+  };
+}
+
+/**
+ * Read a project entry from disk
+ * @param {string} contractsDir - Path to contracts directory
+ * @param {string} slug - Project directory name
+ * @returns {Object} Project entry
+ */
+function readDiskProject(contractsDir, slug) {
+  const projectPath = path.join(contractsDir, slug);
+  const entry = {
+    slug,
+    file: path.join(projectPath, 'info.json'),
+    readFile: (name, encoding = 'utf8', maxSize = Infinity) => {
+      // Safe path construction (addresses CRITICAL-01); imports may name files in subdirectories
+      const pathResult = safePathJoin(projectPath, ...name.split('/'));
+      if (!pathResult.valid) {
+        return { success: false, error: pathResult.error };
+      }
+      return { ...safeReadFile(pathResult.path, encoding, maxSize), path: pathResult.path };
+    },
+  };
+
+  try {
+    entry.data = safeReadJSON(entry.file);
+  } catch (e) {
+    entry.readError = e.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Build a project entry from an in-memory submission
+ * @param {Object} submission - Submitted project
+ * @param {string} submission.slug - Project directory name
+ * @param {Object|string} submission.info - info.json content (object or text)
+ * @param {Object<string, string|Buffer>} [submission.files] - Contract files by name
+ *   (e.g., 'Router.sol', 'Router_abi.json', 'interfaces/IRouter.sol')
+ * @param {Object} report - Run report (receives file texts for location lookups)
+ * @param {string} contractsPath - Contracts directory of the network, relative to the root
+ * @returns {Object} Project entry
+ */
+function memoryProject({ slug, info, files = {} }, report, contractsPath) {
+  const base = `${contractsPath}/${slug}`;
+  const entry = {
+    slug,
+    file: `${base}/info.json`,
+    readFile: (name, encoding = 'utf8', maxSize = Infinity) => {
+      if (!Object.prototype.hasOwnProperty.call(files, name)) {
+        return { success: false, error: `File not found: ${name}` };
+      }
+      if (encoding === null) {
+        const content = Buffer.isBuffer(files[name]) ? files[name] : Buffer.from(String(files[name]));
+        if (content.length > maxSize) {
+          return { success: false, error: `File too large: ${content.length} bytes (max: ${maxSize} bytes)` };
+        }
+        return { success: true, content, path: `${base}/${name}` };
+      }
+      const content = Buffer.isBuffer(files[name]) ? files[name].toString('utf8') : String(files[name]);
+      const filePath = `${base}/${name}`;
+      report.addSource(filePath, content);
+      return { success: true, content, path: filePath };
+    },
+  };
+
+  if (typeof info === 'string') {
+    report.addSource(entry.file, info);
+    try {
+      entry.data = safeParseJSON(info, 'info.json');
+    } catch (e) {
+      entry.readError = e.message;
+    }
+  } else {
+    report.addSource(entry.file, JSON.stringify(info, null, 2));
+    entry.data = info;
+  }
+
+  return entry;
+}
+
+/**
+ * Register a token that is not being validated in this run
+ * Keeps duplicate and cross-reference detection working against the full registry
+ * @param {Object} run - Run state
+ * @param {string} tokensDir - Path to tokens directory
+ * @param {string} addressDir - Token directory name
+ * @returns {boolean} True if the entry was indexed
+ */
+function indexDiskToken(run, tokensDir, addressDir) {
+  const pathResult = safePathJoin(tokensDir, addressDir, `${addressDir}.json`);
+  if (!pathResult.valid) return false;
+
+  let tokenData;
+  try {
+    tokenData = safeReadJSON(pathResult.path);
+  } catch {
+    return false;
+  }
+
+  if (!tokenData || typeof tokenData.address !== 'string') return false;
+
+  run.allAddresses.add(tokenData.address);
+  run.tokens.set(tokenData.address, tokenData);
+  run.tokenFiles.set(tokenData.address, pathResult.path);
+  return true;
+}
+
+/**
+ * List token directories, reporting unsafe names
+ * @param {Object} run - Run state
+ * @param {string} tokensDir - Path to tokens directory
+ * @param {function(string): boolean} isSelected - Whether a directory is validated in this run
+ * @returns {string[]|null} Valid directory names, or null if the directory is unavailable
+ */
+function listTokenDirectories(run, tokensDir, isSelected) {
+  if (!isDirectory(tokensDir)) {
+    // Networks other than VinuChain mainnet start out without entries
+    if (run.config.chainId === CHAIN_ID) run.logger.warn('Tokens directory not found');
+    return null;
+  }
+
+  // Read directory safely
+  const dirResult = safeReadDir(tokensDir);
+  if (!dirResult.success) {
+    emit(run, 'registry/read', 'error', `Failed to read tokens directory: ${dirResult.error}`);
+    return null;
+  }
+
+  // Filter for address directories (addresses CRITICAL-02)
+  return dirResult.entries.filter(f => {
+    const fullPath = path.join(tokensDir, f);
+    if (!isDirectory(fullPath)) return false;
+
+    // Validate directory name is safe address format
+    const validation = validateAddressDirectory(f, tokensDir);
+    if (!validation.valid) {
+      if (isSelected(f)) {
+        emit(run, 'token/directory', 'error', validation.error, { file: fullPath });
+      }
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Validate a single token entry
+ * Every check runs so a submission sees all of its problems in one run
+ * @param {Object} run - Run state
+ * @param {Object} entry - Token entry (see readDiskToken / memoryToken)
+ * @returns {boolean} True if the token is valid
+ */
+function validateTokenEntry(run, entry) {
+  const { addressDir } = entry;
+  const reporter = createEntryReporter(run);
+  const tokenFile = { file: entry.file };
+
+  if (entry.pathError) {
+    reporter.error('token/directory', entry.pathError, tokenFile);
+    return false;
+  }
+
+  if (entry.readError) {
+    reporter.error('token/read', `Failed to read ${addressDir}.json: ${entry.readError}`, tokenFile);
+    return false;
+  }
+
+  const tokenData = entry.data;
+
+  // Validate against schema
+  if (!validateTokenSchema(tokenData)) {
+    if (isEnabled(run, 'token/schema')) {
+      run.logger.error(`Schema validation failed for ${addressDir}.json`);
+    }
+    validateTokenSchema.errors.forEach(err => {
+      reporter.error('token/schema', `  ${err.instancePath} ${err.message}`, {
+        ...tokenFile,
+        pointer: schemaErrorPointer(err),
+      });
+    });
+
+    // Field-level checks need an object to inspect
+    if (!isObject(tokenData)) {
+      return false;
+    }
+  }
+
+  // Comprehensive address validation (addresses CRITICAL-02, QUALITY-02)
+  const addressValidation = validateTokenAddress(
+    tokenData.address,
+    addressDir,
+    tokenData.symbol,
+    { exhaustive: true }
+  );
+  if (!addressValidation.valid) {
+    collectErrors(addressValidation).forEach(err => {
+      reporter.error('token/address', err, { ...tokenFile, pointer: '/address' });
+    });
+  }
+
+  // Validate URLs with SSRF protection (addresses HIGH-01, HIGH-02)
+  // Note: 'support' is email field, not URL, so excluded from this check
+  const urlValidation = validateURLs(tokenData, TOKEN_URL_FIELDS);
+  urlValidation.errors.forEach((err, i) => {
+    reporter.error('token/url', `  ${err}`, { ...tokenFile, pointer: `/${urlValidation.fields[i]}` });
+  });
+
+  // Validate email domains (addresses MEDIUM-05)
+  if (tokenData.support && /@/.test(tokenData.support)) {
+    const emailValidation = validateEmail(tokenData.support, 'support email');
+    const emailLocation = { ...tokenFile, pointer: '/support' };
+    if (!emailValidation.valid) {
+      reporter.error('token/email', `  ${emailValidation.error}`, emailLocation);
+    }
+    if (emailValidation.warnings) {
+      emailValidation.warnings.forEach(w => reporter.warn('token/email', `  ${w}`, emailLocation));
+    }
+  }
+
+  // Check for unusual decimals (addresses QUALITY-08)
+  if (tokenData.decimals > RECOMMENDED_MAX_DECIMALS) {
+    reporter.warn(
+      'token/decimals',
+      `  ${tokenData.symbol}: Unusual decimals (${tokenData.decimals}) - verify this is correct`,
+      { ...tokenFile, pointer: '/decimals' }
+    );
+  }
+
+  // Tags must be defined in config/tags.json
+  if (Array.isArray(tokenData.tags) && run.tagDefinitions) {
+    tokenData.tags.forEach((tag, index) => {
+      if (!Object.prototype.hasOwnProperty.call(run.tagDefinitions, tag)) {
+        const message = `  ${tokenData.symbol}: Unknown tag "${tag}" (not defined in ${TAGS_FILE})`;
+        reporter.error('token/tags', message, { ...tokenFile, pointer: `/tags/${index}` });
+      }
+    });
+  }
+
+  // Bridged tokens come from another chain; their origin address must be checksummed
+  if (isObject(tokenData.bridgeInfo)) {
+    const { originChainId, originAddress } = tokenData.bridgeInfo;
+    if (originChainId === run.config.chainId) {
+      reporter.error(
+        'token/bridge',
+        `  ${tokenData.symbol}: Bridge origin chain must not be the token's own chain (${originChainId})`,
+        { ...tokenFile, pointer: '/bridgeInfo/originChainId' }
+      );
+    }
+    if (typeof originAddress === 'string') {
+      const originValidation = validateEIP55Checksum(originAddress, `${tokenData.symbol} bridge origin`);
+      if (!originValidation.valid) {
+        reporter.error('token/bridge', `  ${originValidation.error}`, {
+          ...tokenFile,
+          pointer: '/bridgeInfo/originAddress',
+        });
+      }
+    }
+  }
+
+  // Resolved flags stay as history; their dates and the open critical flags are checked
+  if (Array.isArray(tokenData.redFlags)) {
+    validateRedFlags(tokenData.redFlags, tokenData.symbol).findings.forEach(({ ruleId, message, field }) => {
+      reporter.error(ruleId, `  ${message}`, {
+        ...tokenFile,
+        pointer: field ? `/redFlags/${field}` : '/redFlags',
+      });
+    });
+  }
+
+  // The logo file name and duplicate check depend on a trustworthy address
+  if (!addressValidation.valid) {
+    return false;
+  }
+
+  // Validate logo file exists and meets requirements
+  const { result: logoValidation, location: logoLocation, logo } = entry.checkLogo(
+    tokenData.address,
+    tokenData.symbol
+  );
+  if (!logoValidation.valid) {
+    collectErrors(logoValidation).forEach(err => reporter.error('token/logo', `  ${err}`, logoLocation));
+  }
+  if (logoValidation.warnings) {
+    logoValidation.warnings.forEach(w => reporter.warn('token/logo', `  ${w}`, logoLocation));
+  }
+
+  // Check for duplicate addresses
+  if (run.allAddresses.has(tokenData.address)) {
+    reporter.error('token/duplicate-address', `Duplicate address found: ${tokenData.address}`, {
+      ...tokenFile,
+      pointer: '/address',
+    });
+  }
+
+  if (!reporter.isValid()) {
+    return false;
+  }
+
+  run.allAddresses.add(tokenData.address);
+  run.tokens.set(tokenData.address, tokenData); // Cache for later (addresses QUALITY-05)
+  run.tokenFiles.set(tokenData.address, entry.file);
+  run.validatedTokens.push({ data: tokenData, file: entry.file, logo });
+
+  run.logger.success(`${tokenData.symbol} (${tokenData.name}) - ${addressDir}`);
+  return true;
+}
+
+/**
+ * Validate a batch of token entries and log the totals
+ * @param {Object} run - Run state
+ * @param {Object[]} entries - Token entries
+ * @param {boolean} incremental - Whether unchanged tokens were indexed instead of validated
+ */
+function validateTokenEntries(run, entries, incremental) {
+  for (const entry of entries) {
+    if (validateTokenEntry(run, entry)) {
+      run.stats.tokens++;
+    }
+  }
+
+  run.logger.info(`\nTotal tokens validated: ${run.stats.tokens}`);
+  if (incremental) {
+    run.logger.info(`Unchanged tokens indexed for duplicate checks: ${run.stats.indexedTokens}`);
+  }
+}
+
+/**
+ * Register the contracts of a project that is not being validated in this run
+ * @param {Object} run - Run state
+ * @param {string} contractsDir - Path to contracts directory
+ * @param {string} slug - Project directory name
+ * @returns {number} Number of contracts indexed
+ */
+function indexDiskProject(run, contractsDir, slug) {
+  const pathResult = safePathJoin(contractsDir, slug, 'info.json');
+  if (!pathResult.valid) return 0;
+
+  let projectData;
+  try {
+    projectData = safeReadJSON(pathResult.path);
+  } catch {
+    return 0;
+  }
+
+  if (!projectData || !Array.isArray(projectData.contracts)) return 0;
+
+  let indexed = 0;
+  for (const contract of projectData.contracts) {
+    if (!contract || typeof contract.address !== 'string') continue;
+    run.allAddresses.add(contract.address);
+    run.contractAddresses.set(contract.address, { project: slug, contract: contract.name });
+    indexed++;
+  }
+  return indexed;
+}
+
+/**
+ * List project directories
+ * @param {Object} run - Run state
+ * @param {string} contractsDir - Path to contracts directory
+ * @returns {string[]|null} Project slugs, or null if the directory is unavailable
+ */
+function listProjectDirectories(run, contractsDir) {
+  if (!isDirectory(contractsDir)) {
+    if (run.config.chainId === CHAIN_ID) run.logger.warn('Contracts directory not found');
+    return null;
+  }
+
+  // Read directory safely
+  const dirResult = safeReadDir(contractsDir);
+  if (!dirResult.success) {
+    emit(run, 'registry/read', 'error', `Failed to read contracts directory: ${dirResult.error}`);
+    return null;
+  }
+
+  return dirResult.entries.filter(f => isDirectory(path.join(contractsDir, f)));
+}
+
+/**
+ * Validate a contract's Solidity source file
+ * @param {Object} entry - Project entry
+ * @param {Object} contract - Contract object from info.json (name already validated)
+ * @param {Object} reporter - Entry reporter
+ * @param {Object} entryLocation - Location of the contract entry in info.json
+ * @returns {{content: string, file: string}|null} Source and its path, or null if it could not be read
+ */
+function validateContractSource(entry, contract, reporter, entryLocation) {
+  // Check Solidity file
+  const solReadResult = entry.readFile(`${contract.name}.sol`);
+  if (!solReadResult.success) {
+    reporter.error('contract/source', `  Missing ${contract.name}.sol: ${solReadResult.error}`, entryLocation);
+    return null;
+  }
+
+  const solFile = { file: solReadResult.path };
+
+  // Validate Solidity content (addresses MEDIUM-04, MISSING-09)
+  const solValidation = validateSolidityFile(solReadResult.content, contract.name, { exhaustive: true });
+  if (!solValidation.valid) {
+    collectErrors(solValidation).forEach(err => {
+      reporter.error('solidity/structure', `  ${contract.name}.sol: ${err}`, solFile);
+    });
+  }
+
+  // Log Solidity warnings
+  if (solValidation.findings && solValidation.findings.length > 0) {
+    solValidation.findings.forEach(({ ruleId, message, line, column }) => {
+      reporter.warn(ruleId, `  ${contract.name}.sol: ${message}`, { ...solFile, line, column });
+    });
+  }
+
+  return { content: solReadResult.content, file: solReadResult.path };
+}
+
+/**
+ * Validate a contract's ABI file
+ * @param {Object} entry - Project entry
+ * @param {Object} contract - Contract object from info.json (name already validated)
+ * @param {Object} reporter - Entry reporter
+ * @param {Object} entryLocation - Location of the contract entry in info.json
+ * @returns {{abi: Array, file: string}|null} Parsed ABI and its path, or null if it could not be read
+ */
+function validateContractAbi(entry, contract, reporter, entryLocation) {
+  const abiName = `${contract.name}_abi.json`;
+
+  // Check ABI file
+  const abiReadResult = entry.readFile(abiName);
+  if (!abiReadResult.success) {
+    reporter.error('contract/abi', `  Missing ${abiName}: ${abiReadResult.error}`, entryLocation);
+    return null;
+  }
+
+  const abiFile = { file: abiReadResult.path };
+
+  // Parse and validate ABI (addresses HIGH-04, MISSING-10)
+  let abi;
+  try {
+    abi = safeParseJSON(abiReadResult.content, abiName);
+  } catch (e) {
+    reporter.error('contract/abi', `  ${e.message}`, abiFile);
+    return null;
+  }
+
+  const abiValidation = validateABI(abi, contract.name, { exhaustive: true });
+  if (!abiValidation.valid) {
+    collectErrors(abiValidation).forEach((err, i) => {
+      const pointer = abiValidation.pointers ? abiValidation.pointers[i] : undefined;
+      reporter.error('contract/abi', `  ${err}`, { ...abiFile, pointer });
+    });
+  }
+
+  // Log ABI warnings
+  if (abiValidation.warnings && abiValidation.warnings.length > 0) {
+    abiValidation.warnings.forEach(w => reporter.warn('contract/abi', `  ${w}`, abiFile));
+  }
+
+  return { abi, file: abiReadResult.path };
+}
+
+/**
+ * Validate a single contract within a project
+ * Runs every check so all problems with the entry are reported together
+ * @param {Object} run - Run state
+ * @param {Object} entry - Project entry
+ * @param {Object} contract - Contract object from info.json
+ * @param {number} index - Position of the contract in info.json
+ * @returns {boolean} True if contract is valid
+ */
+function validateContract(run, entry, contract, index) {
+  const reporter = createEntryReporter(run);
+  const entryLocation = { file: entry.file, pointer: `/contracts/${index}` };
+
+  // Validate contract name for safety (addresses CRITICAL-01)
+  const nameValidation = validateContractName(contract.name);
+  if (!nameValidation.valid) {
+    reporter.error('contract/name', `  ${nameValidation.error}`, {
+      ...entryLocation,
+      pointer: `${entryLocation.pointer}/name`,
+    });
+  }
+
+  // Validate address checksum
+  const addressLocation = { ...entryLocation, pointer: `${entryLocation.pointer}/address` };
+  const addressValidation = validateEIP55Checksum(contract.address, contract.name);
+  if (!addressValidation.valid) {
+    reporter.error('contract/address', `  ${addressValidation.error}`, addressLocation);
+  } else if (run.allAddresses.has(contract.address)) {
+    // Check for duplicate addresses
+    reporter.error(
+      'contract/duplicate-address',
+      `  Duplicate address found: ${contract.address} (${contract.name})`,
+      addressLocation
+    );
+  } else {
+    run.allAddresses.add(contract.address);
+    run.contractAddresses.set(contract.address, { project: entry.slug, contract: contract.name });
+  }
+
+  // File names are derived from the contract name, so they can only be checked once it is safe
+  let sourceFile = null;
+  let abiFile = null;
+  if (nameValidation.valid) {
+    sourceFile = validateContractSource(entry, contract, reporter, entryLocation);
+    abiFile = validateContractAbi(entry, contract, reporter, entryLocation);
+  }
+
+  // The compiler block must fit the source pragma and the ABI's constructor
+  if (contract.compiler && sourceFile && abiFile) {
+    const settingsValidation = validateCompilerSettings(contract.compiler, {
+      source: sourceFile.content,
+      abi: abiFile.abi,
+    });
+    settingsValidation.findings.forEach(({ ruleId, message, field }) => {
+      reporter.error(ruleId, `  ${contract.name}: ${message}`, {
+        ...entryLocation,
+        pointer: `${entryLocation.pointer}/compiler/${field}`,
+      });
+    });
+  }
+
+  if (isObject(contract.proxy) && typeof contract.address === 'string') {
+    validateProxySettings(contract.proxy, contract.address).findings.forEach(({ ruleId, message, field }) => {
+      reporter.error(ruleId, `  ${contract.name}: ${message}`, {
+        ...entryLocation,
+        pointer: `${entryLocation.pointer}/proxy/${field}`,
+      });
+    });
+  }
+
+  if (reporter.isValid()) {
+    run.validatedContracts.push({
+      data: contract,
+      abi: abiFile.abi,
+      file: entry.file,
+      pointer: entryLocation.pointer,
+      abiFile: abiFile.file,
+      source: sourceFile.content,
+      sourceFile: sourceFile.file,
+      readImport: entry.readFile,
+    });
+    run.logger.success(`  ${contract.type}: ${contract.name} (${contract.address})`);
+  }
+  return reporter.isValid();
+}
+
+/**
+ * Check whether a contract deployment is retired (deprecated or migrated)
+ * @param {Object} contract - Contract entry from info.json
+ * @returns {boolean} True if the deployment is no longer in use
+ */
+function isRetiredContract(contract) {
+  return RETIRED_CONTRACT_STATUSES.includes(contract.status);
+}
+
+/**
+ * Check the lifecycle fields of the contracts of a project
+ * deprecatedAt and replacedBy only apply to retired deployments, and replacedBy must name another
+ * contract of the same project. Malformed values are already reported by the schema.
+ * @param {Object} reporter - Entry reporter
+ * @param {{file: string}} infoFile - Location of info.json
+ * @param {Array} contracts - Contract entries of the project
+ */
+function validateContractLifecycles(reporter, infoFile, contracts) {
+  const byAddress = new Map();
+  for (const contract of contracts) {
+    if (isObject(contract) && typeof contract.address === 'string') {
+      byAddress.set(contract.address.toLowerCase(), contract);
+    }
+  }
+
+  contracts.forEach((contract, index) => {
+    if (!isObject(contract)) return;
+    const at = field => ({ ...infoFile, pointer: `/contracts/${index}/${field}` });
+    const retired = isRetiredContract(contract);
+
+    for (const field of ['deprecatedAt', 'replacedBy']) {
+      if (contract[field] !== undefined && !retired) {
+        reporter.error(
+          'contract/lifecycle',
+          `  ${contract.name}: ${field} requires status "deprecated" or "migrated"`,
+          at(field)
+        );
+      }
+    }
+
+    if (contract.status === 'migrated' && contract.replacedBy === undefined) {
+      reporter.error(
+        'contract/lifecycle',
+        `  ${contract.name}: migrated contracts must set replacedBy`,
+        at('status')
+      );
+    }
+
+    if (
+      typeof contract.deployedAt === 'string' &&
+      typeof contract.deprecatedAt === 'string' &&
+      contract.deprecatedAt < contract.deployedAt
+    ) {
+      reporter.error(
+        'contract/lifecycle',
+        `  ${contract.name}: deprecatedAt (${contract.deprecatedAt}) is before ` +
+          `deployedAt (${contract.deployedAt})`,
+        at('deprecatedAt')
+      );
+    }
+
+    if (typeof contract.replacedBy !== 'string') return;
+    const replacement = byAddress.get(contract.replacedBy.toLowerCase());
+    if (!replacement) {
+      reporter.error(
+        'contract/lifecycle',
+        `  ${contract.name}: replacedBy ${contract.replacedBy} is not a contract of this project`,
+        at('replacedBy')
+      );
+    } else if (replacement === contract) {
+      reporter.error(
+        'contract/lifecycle',
+        `  ${contract.name}: replacedBy must not point at itself`,
+        at('replacedBy')
+      );
+    } else if (isRetiredContract(replacement)) {
+      reporter.warn(
+        'contract/lifecycle',
+        `  ${contract.name}: replacement ${replacement.name} (${replacement.address}) is itself ` +
+          `${replacement.status}; point replacedBy at the current deployment`,
+        at('replacedBy')
+      );
+    }
+  });
+}
+
+/**
+ * Validate a single project entry and its contracts
+ * @param {Object} run - Run state
+ * @param {Object} entry - Project entry (see readDiskProject / memoryProject)
+ * @returns {boolean} True if the project and all of its contracts are valid
+ */
+function validateProjectEntry(run, entry) {
+  const reporter = createEntryReporter(run);
+  const infoFile = { file: entry.file };
+
+  run.logger.info(`\n  📁 Project: ${entry.slug}`);
+
+  if (entry.readError) {
+    reporter.error('project/read', `  Failed to read info.json: ${entry.readError}`, infoFile);
+    return false;
+  }
+
+  const projectData = entry.data;
+
+  // Validate against schema
+  if (!validateContractSchema(projectData)) {
+    if (isEnabled(run, 'project/schema')) {
+      run.logger.error(`  Schema validation failed for ${entry.slug}/info.json`);
+    }
+    validateContractSchema.errors.forEach(err => {
+      reporter.error('project/schema', `    ${err.instancePath} ${err.message}`, {
+        ...infoFile,
+        pointer: schemaErrorPointer(err),
+      });
+    });
+
+    // Field-level checks need an object to inspect
+    if (!isObject(projectData)) {
+      return false;
+    }
+  }
+
+  // Validate project URLs (addresses HIGH-01, HIGH-02)
+  const urlValidation = validateURLs(projectData, PROJECT_URL_FIELDS);
+  urlValidation.errors.forEach((err, i) => {
+    reporter.error('project/url', `  ${err}`, { ...infoFile, pointer: `/${urlValidation.fields[i]}` });
+  });
+
+  // Validate contact email if present (addresses MEDIUM-05)
+  if (projectData.contact) {
+    const emailValidation = validateEmail(projectData.contact, 'contact email');
+    const emailLocation = { ...infoFile, pointer: '/contact' };
+    if (!emailValidation.valid) {
+      reporter.error('project/email', `  ${emailValidation.error}`, emailLocation);
+    }
+    if (emailValidation.warnings) {
+      emailValidation.warnings.forEach(w => reporter.warn('project/email', `  ${w}`, emailLocation));
+    }
+  }
+
+  const contracts = Array.isArray(projectData.contracts) ? projectData.contracts : [];
+
+  // Project and contract red flags follow the token rules
+  const redFlagLists = [{ flags: projectData.redFlags, context: entry.slug, pointer: '/redFlags' }];
+  contracts.forEach((contract, index) => {
+    if (!isObject(contract)) return;
+    redFlagLists.push({
+      flags: contract.redFlags,
+      context: `${entry.slug}/${contract.name}`,
+      pointer: `/contracts/${index}/redFlags`,
+    });
+  });
+  for (const { flags, context, pointer } of redFlagLists) {
+    if (!Array.isArray(flags)) continue;
+    validateRedFlags(flags, context, 'project/red-flags').findings.forEach(({ ruleId, message, field }) => {
+      reporter.error(ruleId, `  ${message}`, { ...infoFile, pointer: field ? `${pointer}/${field}` : pointer });
+    });
+  }
+
+  // Audits must link safe reports and cover contracts of this project
+  if (Array.isArray(projectData.audits)) {
+    const readReport = (name, maxSize) => entry.readFile(name, null, maxSize);
+    validateAudits(projectData.audits, contracts, readReport).findings.forEach(({ ruleId, message, field }) => {
+      reporter.error(ruleId, `  ${message}`, { ...infoFile, pointer: `/audits/${field}` });
+    });
+  }
+
+  // Check contract count rate limit (addresses MEDIUM-03)
+  const maxContracts = run.config.limits.maxContractsPerProject;
+  if (contracts.length > maxContracts) {
+    reporter.error(
+      'project/contract-limit',
+      `  Too many contracts in ${entry.slug}: ${contracts.length} (max: ${maxContracts})`,
+      { ...infoFile, pointer: '/contracts' }
+    );
+    return false;
+  }
+
+  // Check for duplicate contract names within project (addresses LOW-03); earlier deployments
+  // marked deprecated or migrated are expected to share the name of their replacement
+  const contractNames = new Set();
+  contracts.forEach((contract, index) => {
+    if (!isObject(contract) || isRetiredContract(contract)) return;
+    if (contractNames.has(contract.name)) {
+      reporter.warn(
+        'project/duplicate-contract-name',
+        `  Duplicate contract name in ${entry.slug}: ${contract.name} (multiple deployments; ` +
+          'mark earlier ones as deprecated or migrated)',
+        { ...infoFile, pointer: `/contracts/${index}/name` }
+      );
+    }
+    contractNames.add(contract.name);
+  });
+
+  validateContractLifecycles(reporter, infoFile, contracts);
+
+  // Active contracts should be covered by an audit
+  for (const index of findUnauditedContracts(projectData.audits, contracts)) {
+    const contract = contracts[index];
+    if (!isObject(contract) || isRetiredContract(contract)) continue;
+    reporter.warn(
+      'contract/unaudited',
+      `  ${contract.name} in ${entry.slug} is not covered by any audit`,
+      { ...infoFile, pointer: `/contracts/${index}` }
+    );
+  }
+
+  // Validate each contract (malformed entries are already reported by the schema)
+  let projectValid = reporter.isValid();
+  for (const [index, contract] of contracts.entries()) {
+    if (!isObject(contract)) continue;
+    if (validateContract(run, entry, contract, index)) {
+      run.stats.contracts++;
+    } else {
+      projectValid = false;
+    }
+  }
+
+  return projectValid;
+}
+
+/**
+ * Validate a batch of project entries and log the totals
+ * @param {Object} run - Run state
+ * @param {Object[]} entries - Project entries
+ * @param {boolean} incremental - Whether unchanged projects were indexed instead of validated
+ */
+function validateProjectEntries(run, entries, incremental) {
+  for (const entry of entries) {
+    if (validateProjectEntry(run, entry)) {
+      run.stats.projects++;
+    }
+  }
+
+  run.logger.info(`\nTotal projects validated: ${run.stats.projects}`);
+  run.logger.info(`Total contract files validated: ${run.stats.contracts}`);
+  if (incremental) {
+    run.logger.info(`Unchanged contracts indexed for duplicate checks: ${run.stats.indexedContracts}`);
+  }
+}
+
+/**
+ * Read a registry configuration file and check it against its schema
+ * @param {Object} run - Run state
+ * @param {string} relativePath - File path relative to the root
+ * @param {Function} validateSchema - Compiled schema validator
+ * @param {string} ruleId - Rule reporting read and schema errors
+ * @returns {Object|null|undefined} File content; undefined if the file does not exist, null if
+ *   it could not be read or does not match the schema
+ */
+function readConfigFile(run, relativePath, validateSchema, ruleId) {
+  const file = path.join(run.config.root, relativePath);
+  if (!fs.existsSync(file)) return undefined;
+
+  let data;
+  try {
+    data = safeReadJSON(file);
+  } catch (e) {
+    emit(run, ruleId, 'error', `Failed to read ${relativePath}: ${e.message}`, { file });
+    return null;
+  }
+
+  if (!validateSchema(data)) {
+    validateSchema.errors.forEach(err => {
+      const message = `  ${relativePath}${err.instancePath} ${err.message}`;
+      emit(run, ruleId, 'error', message, { file, pointer: schemaErrorPointer(err) });
+    });
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Read the definition of the validated network
+ * A missing file only defines VinuChain mainnet, without metadata
+ * @param {Object} run - Run state
+ * @returns {Object|null} Network definition, or null if there is none
+ */
+function readNetworkDefinition(run) {
+  const { chainId } = run.config;
+  const data = readConfigFile(run, NETWORKS_FILE, validateNetworksSchema, 'registry/networks');
+  if (data === null) return null;
+
+  const definition = data ? data.networks[chainId] : undefined;
+  if (!definition && (data || chainId !== CHAIN_ID)) {
+    emit(run, 'registry/networks', 'error', `Chain ${chainId} is not defined in ${NETWORKS_FILE}`, {
+      file: path.join(run.config.root, NETWORKS_FILE),
+      pointer: '/networks',
+    });
+  }
+  return definition || null;
+}
+
+/**
+ * Read the tag definitions tokens may reference
+ * A missing file defines no tags
+ * @param {Object} run - Run state
+ * @returns {Object<string, {name: string, description: string}>|null} Definitions by tag id, or
+ *   null if the file is invalid (tag references are then not checked)
+ */
+function readTagDefinitions(run) {
+  const data = readConfigFile(run, TAGS_FILE, validateTagsSchema, 'registry/tags');
+  if (data === null) return null;
+  return data ? data.tags : {};
+}
+
+/**
+ * Read the token allow-list entries of the validated network
+ * A missing or invalid file is an empty allow-list
+ * @param {Object} run - Run state
+ * @returns {Map<string, {symbol: string, reason: string, pointer: string}>} Entries by address
+ */
+function readTokenAllowlist(run) {
+  const allowlist = new Map();
+  const data = readConfigFile(run, TOKEN_ALLOWLIST_FILE, validateAllowlistSchema, 'registry/allowlist');
+  if (!data) return allowlist;
+
+  const file = path.join(run.config.root, TOKEN_ALLOWLIST_FILE);
+  data.tokens.forEach(({ address, chainId = CHAIN_ID, symbol, reason }, index) => {
+    // Entries of other networks are checked when those networks are validated
+    if (chainId !== run.config.chainId) return;
+
+    const location = { file, pointer: `/tokens/${index}/address` };
+    const checksum = validateEIP55Checksum(address, `allow-list entry ${symbol}`);
+    if (!checksum.valid) {
+      emit(run, 'registry/allowlist', 'error', `  ${checksum.error}`, location);
+    } else if (allowlist.has(address)) {
+      emit(run, 'registry/allowlist', 'error', `  Duplicate allow-list entry for ${address}`, location);
+    } else {
+      allowlist.set(address, { symbol, reason, pointer: `/tokens/${index}` });
+    }
+  });
+
+  return allowlist;
+}
+
+/**
+ * Find the well-known asset a symbol claims
+ * @param {string} symbol - Token symbol
+ * @returns {{symbol: string, name: string}|null} Asset whose symbol is identical or confusable
+ */
+function findWellKnownAsset(symbol) {
+  const target = skeleton(symbol);
+  const match = Object.keys(WELL_KNOWN_ASSETS).find(known => skeleton(known) === target);
+  return match ? { symbol: match, name: WELL_KNOWN_ASSETS[match] } : null;
+}
+
+/**
+ * Check the symbols and names of the tokens validated in a run against the registry
+ * Flags duplicate and confusable symbols, confusable names, and symbols of well-known assets.
+ * A token listed in the allow-list under its current symbol is exempt; a collision between an
+ * allow-listed token and one that is not is reported on the latter.
+ * @param {Object} run - Run state
+ */
+function validateTokenIdentities(run) {
+  run.logger.section('Symbol and Name Checks');
+
+  const allowlist = readTokenAllowlist(run);
+  const isAllowed = data => allowlist.has(data.address) && allowlist.get(data.address).symbol === data.symbol;
+  const validatedIndex = new Map(run.validatedTokens.map(({ data }, index) => [data.address, index]));
+
+  for (const [index, { data, file }] of run.validatedTokens.entries()) {
+    if (isAllowed(data)) {
+      run.logger.success(`${data.symbol} is allow-listed: ${allowlist.get(data.address).reason}`);
+      continue;
+    }
+
+    let flagged = false;
+    const report = (ruleId, message, pointer, properties) => {
+      flagged = true;
+      emit(run, ruleId, 'error', `  ${data.symbol}: ${message}`, { file, pointer, properties });
+    };
+
+    const asset = findWellKnownAsset(data.symbol);
+    if (asset) {
+      report(
+        'token/well-known-symbol',
+        `Symbol collides with the well-known asset ${asset.symbol} (${asset.name}); ` +
+        `a legitimate variant needs an entry in ${TOKEN_ALLOWLIST_FILE}`,
+        '/symbol'
+      );
+    }
+
+    for (const other of run.tokens.values()) {
+      if (other.address === data.address) continue;
+
+      // A pair of tokens validated in this run is reported once, on the later one
+      const otherIndex = validatedIndex.get(other.address);
+      if (otherIndex > index && !isAllowed(other)) continue;
+
+      const properties = { similarTo: other.address };
+      if (data.symbol === other.symbol) {
+        const message = `Symbol is already used by ${other.name} (${other.address})`;
+        report('token/duplicate-symbol', message, '/symbol', properties);
+      } else if (isConfusable(data.symbol, other.symbol)) {
+        report(
+          'token/confusable-symbol',
+          `Symbol looks like ${other.symbol} of ${other.name} (${other.address})`,
+          '/symbol',
+          properties
+        );
+      }
+
+      if (isConfusable(data.name, other.name)) {
+        const verb = data.name === other.name ? 'is already used by' : `looks like "${other.name}" of`;
+        const message = `Name "${data.name}" ${verb} ${other.symbol} (${other.address})`;
+        report('token/confusable-name', message, '/name', properties);
+      }
+    }
+
+    if (!flagged) {
+      run.logger.success(`${data.symbol} (${data.name}) is distinct from the registered symbols and names`);
+    }
+  }
+
+  const tokensDir = path.join(run.config.networkRoot, 'tokens');
+  const allowlistFile = path.join(run.config.root, TOKEN_ALLOWLIST_FILE);
+  for (const [address, { symbol, pointer }] of allowlist) {
+    const tokenData = run.tokens.get(address);
+    if (!tokenData && !isDirectory(path.join(tokensDir, address))) {
+      const message = `  Allow-list entry ${symbol} (${address}) is not a registered token`;
+      emit(run, 'registry/allowlist', 'warning', message, { file: allowlistFile, pointer });
+    } else if (tokenData && tokenData.symbol !== symbol) {
+      emit(
+        run,
+        'registry/allowlist',
+        'warning',
+        `  Allow-list entry ${symbol} (${address}) does not apply: the token's symbol is ${tokenData.symbol}`,
+        { file: allowlistFile, pointer: `${pointer}/symbol` }
+      );
+    }
+  }
+}
+
+/**
+ * Collect the tags declared by the tokens of the networks other than VinuChain mainnet
+ * These tokens are not validated by a mainnet run, so unreadable files are skipped
+ * @param {Object} run - Run state
+ * @returns {Set<string>} Tag ids
+ */
+function readNetworkTokenTags(run) {
+  const tags = new Set();
+  const networksDir = path.join(run.config.root, 'networks');
+  if (!isDirectory(networksDir)) return tags;
+
+  for (const chainDir of safeReadDir(networksDir).entries || []) {
+    const tokensDir = path.join(networksDir, chainDir, 'tokens');
+    if (!isDirectory(tokensDir)) continue;
+
+    for (const addressDir of safeReadDir(tokensDir).entries || []) {
+      const pathResult = safePathJoin(tokensDir, addressDir, `${addressDir}.json`);
+      try {
+        const tokenData = pathResult.valid && safeReadJSON(pathResult.path);
+        if (isObject(tokenData) && Array.isArray(tokenData.tags)) {
+          tokenData.tags.forEach(tag => tags.add(tag));
+        }
+      } catch {
+        // Reported when that network is validated
+      }
+    }
+  }
+  return tags;
+}
+
+/**
+ * Report tag definitions that no registered token uses
+ * Tags are shared by every network, so the check runs once, when VinuChain mainnet is validated
+ * @param {Object} run - Run state
+ */
+function validateTagUsage(run) {
+  if (!run.tagDefinitions || run.config.chainId !== CHAIN_ID) return;
+
+  const used = readNetworkTokenTags(run);
+  run.tokens.forEach(tokenData => (tokenData.tags || []).forEach(tag => used.add(tag)));
+  const file = path.join(run.config.root, TAGS_FILE);
+  for (const tag of Object.keys(run.tagDefinitions)) {
+    if (!used.has(tag)) {
+      const message = `Tag "${tag}" is defined in ${TAGS_FILE} but no token uses it`;
+      emit(run, 'registry/tags', 'warning', message, { file, pointer: `/tags/${tag}` });
+    }
+  }
+}
+
+/**
+ * Perform cross-reference validation between tokens and contracts
+ * @param {Object} run - Run state
+ */
+function validateCrossReferences(run) {
+  run.logger.section('Cross-Reference Validation');
+
+  // Check if tokens with "project" field reference valid projects
+  for (const [address, tokenData] of run.tokens) {
+    if (tokenData.project) {
+      if (!run.projectSlugs.has(tokenData.project)) {
+        emit(
+          run,
+          'crossref/project',
+          'error',
+          `Token ${tokenData.symbol} references non-existent project: ${tokenData.project}`,
+          { file: run.tokenFiles.get(address), pointer: '/project' }
+        );
+      } else {
+        run.logger.success(
+          `Token ${tokenData.symbol} correctly references project: ${tokenData.project}`
+        );
+      }
+    }
+  }
+
+  // Check if bridged tokens reference a registered bridge contract
+  const contractNames = new Set(
+    [...run.contractAddresses.values()].map(({ project, contract }) => `${project}/${contract}`)
+  );
+  for (const [address, tokenData] of run.tokens) {
+    const { bridgeInfo } = tokenData;
+    if (!isObject(bridgeInfo)) continue;
+
+    const file = run.tokenFiles.get(address);
+    const { bridgeProject, bridgeContract } = bridgeInfo;
+    if (!run.projectSlugs.has(bridgeProject)) {
+      emit(
+        run,
+        'crossref/bridge',
+        'error',
+        `Token ${tokenData.symbol} references non-existent bridge project: ${bridgeProject}`,
+        { file, pointer: '/bridgeInfo/bridgeProject' }
+      );
+    } else if (!contractNames.has(`${bridgeProject}/${bridgeContract}`)) {
+      emit(
+        run,
+        'crossref/bridge',
+        'error',
+        `Token ${tokenData.symbol} references bridge contract ${bridgeContract}, ` +
+        `which is not registered in ${bridgeProject}`,
+        { file, pointer: '/bridgeInfo/bridgeContract' }
+      );
+    } else {
+      run.logger.success(`Token ${tokenData.symbol} is bridged by ${bridgeProject}/${bridgeContract}`);
+    }
+  }
+
+  // Check if contract addresses that are also tokens have project reference
+  for (const [address, contractInfo] of run.contractAddresses) {
+    if (run.tokens.has(address)) {
+      const tokenData = run.tokens.get(address);
+      const location = { file: run.tokenFiles.get(address), pointer: '/project' };
+
+      if (!tokenData.project) {
+        emit(
+          run,
+          'crossref/project',
+          'error',
+          `Token ${tokenData.symbol} (${address}) has a contract in ${contractInfo.project} ` +
+          'but missing "project" field',
+          location
+        );
+      } else if (tokenData.project !== contractInfo.project) {
+        emit(
+          run,
+          'crossref/project',
+          'error',
+          `Token ${tokenData.symbol} references project "${tokenData.project}" ` +
+          `but contract is in "${contractInfo.project}"`,
+          location
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Build the result object of a run
+ * @param {Object} run - Run state
+ * @returns {Object} Validation result (see createValidator)
+ */
+function toResult(run) {
+  return {
+    ...summarizeReport(run.report),
+    chainId: run.config.chainId,
+    network: run.network,
+    aborted: run.aborted,
+    stats: { ...run.stats, uniqueAddresses: run.allAddresses.size },
+    tokens: [...run.tokens.values()],
+    tagDefinitions: run.tagDefinitions || {},
+    validatedTokens: run.validatedTokens,
+    validatedContracts: run.validatedContracts,
+    report: run.report,
+  };
+}
+
+/**
+ * Resolve diagnostic locations and count findings
+ * @param {Object} report - Run report
+ * @returns {{valid: boolean, errors: number, warnings: number, diagnostics: Object[]}} Summary
+ */
+function summarizeReport(report) {
+  report.resolveLocations();
+  const { summary, diagnostics } = report.toJSON();
+
+  return {
+    valid: summary.errors === 0,
+    errors: summary.errors,
+    warnings: summary.warnings,
+    diagnostics,
+  };
+}
+
+/**
+ * Read a logo for comparison
+ * @param {{file: string, buffer?: Buffer}} logo - Logo file (read from disk unless its content is given)
+ * @returns {Buffer|null} Content, or null if the file is unreadable or larger than logos may be
+ */
+function readLogoContent(logo) {
+  if (logo.buffer) return logo.buffer;
+  try {
+    if (fs.statSync(logo.file).size > LOGO_SIZE_ERROR) return null;
+    return fs.readFileSync(logo.file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether two tokens may share a logo
+ * Only the same symbol within the same declared project may reuse a logo (e.g. a redeployment)
+ * @param {Object} a - Token data
+ * @param {Object} b - Token data
+ * @returns {boolean} True if the logos may be identical
+ */
+function mayShareLogo(a, b) {
+  return Boolean(a.project) && a.project === b.project && a.symbol.toLowerCase() === b.symbol.toLowerCase();
+}
+
+/**
+ * Compare the logos of the tokens validated in a run with every other registered logo
+ * @param {Object} config - Normalized engine configuration
+ * @param {Object} result - Result of validate() or validateSubmission()
+ * @returns {Promise<Object>} Result including similarity findings and the closest logo per token
+ */
+async function compareResultLogos(config, result) {
+  const run = { config, logger: config.logger, report: result.report };
+  const tokensDir = path.join(config.networkRoot, 'tokens');
+  const logos = [];
+
+  run.logger.section('Logo Comparison');
+
+  // Registered tokens that were not validated in this run are compared as they are on disk
+  const validated = new Set(result.validatedTokens.map(({ data }) => data.address));
+  const registered = [];
+  for (const data of result.tokens) {
+    if (validated.has(data.address)) continue;
+
+    const logoFile = findLogoFile(path.join(tokensDir, data.address), data.address);
+    const content = logoFile.found ? readLogoContent({ file: logoFile.path }) : null;
+    if (!content) continue;
+    try {
+      registered.push({ data, hash: await hashLogo(content, logoFile.extension) });
+    } catch {
+      // Logos of unchanged entries are checked when they are validated
+    }
+  }
+
+  const candidates = [];
+  for (const { data, logo } of result.validatedTokens) {
+    const location = { file: logo.file };
+    try {
+      candidates.push({ data, location, hash: await hashLogo(readLogoContent(logo), logo.extension) });
+    } catch (e) {
+      const message = `  ${data.symbol}: Logo could not be compared: ${e.message}`;
+      emit(run, 'token/logo-similarity', 'warning', message, location);
+    }
+  }
+
+  for (const [index, { data, location, hash }] of candidates.entries()) {
+    let closest = null;
+    let flagged = false;
+    // A pair of tokens validated in this run is reported once, on the later one
+    for (const other of [...registered, ...candidates.slice(0, index), ...candidates.slice(index + 1)]) {
+      const similarity = logoSimilarity(hash, other.hash);
+      if (!closest || similarity > closest.similarity) {
+        closest = { address: other.data.address, symbol: other.data.symbol, similarity };
+      }
+
+      const reportedLater = candidates.indexOf(other) > index;
+      if (similarity >= LOGO_SIMILARITY_THRESHOLD && !mayShareLogo(data, other.data) && !reportedLater) {
+        flagged = true;
+        emit(
+          run,
+          'token/logo-similarity',
+          'error',
+          `  ${data.symbol}: Logo is near-identical to the logo of ${other.data.symbol} ` +
+          `(${other.data.address}), similarity ${Math.round(similarity * 100)}%`,
+          { ...location, properties: { similarity, similarTo: other.data.address } }
+        );
+      }
+    }
+
+    if (!flagged) {
+      const percent = closest && Math.round(closest.similarity * 100);
+      const nearest = closest ? ` (closest: ${closest.symbol}, ${percent}%)` : '';
+      run.logger.success(`${data.symbol} logo is distinct from the other registered logos${nearest}`);
+    }
+
+    logos.push({ address: data.address, symbol: data.symbol, closest });
+  }
+
+  return { ...result, ...summarizeReport(result.report), logos };
+}
+
+/**
+ * Verify tokens that passed a run against their ERC-20 contracts
+ * @param {Object} run - On-chain run state ({config, logger, report})
+ * @param {Object} provider - ethers provider
+ * @param {Array<{data: Object, file: string}>} tokens - Validated tokens
+ */
+async function verifyTokensOnChain(run, provider, tokens) {
+  for (const { data, file } of tokens) {
+    const verification = await verifyTokenOnChain(provider, data);
+    verification.findings.forEach(({ ruleId, severity, field, message }) => {
+      emit(run, ruleId, severity, `  ${message}`, { file, pointer: `/${field}` });
+    });
+
+    if (verification.valid) {
+      run.logger.success(`${data.symbol} matches on-chain metadata - ${data.address}`);
+    }
+  }
+}
+
+/**
+ * Verify contracts that passed a run against their deployed bytecode
+ * @param {Object} run - On-chain run state ({config, logger, report})
+ * @param {Object} provider - ethers provider
+ * @param {Array<{data: Object, abi: Array, file: string, pointer: string, abiFile: string}>} contracts -
+ *   Validated contracts
+ */
+async function verifyContractsOnChain(run, provider, contracts) {
+  for (const { data, abi, file, pointer, abiFile } of contracts) {
+    const verification = await verifyContractOnChain(provider, data, abi);
+    verification.findings.forEach(({ ruleId, severity, field, abiIndex, message }) => {
+      const location = abiIndex !== undefined
+        ? { file: abiFile, pointer: `/${abiIndex}` }
+        : { file, pointer: `${pointer}/${field}` };
+      emit(run, ruleId, severity, `  ${message}`, location);
+    });
+
+    // Listed proxy metadata must match the proxy's storage slots
+    const proxyVerification = data.proxy ? await verifyProxyOnChain(provider, data) : { valid: true };
+    (proxyVerification.findings || []).forEach(({ ruleId, severity, field, message }) => {
+      emit(run, ruleId, severity, `  ${message}`, { file, pointer: `${pointer}/proxy/${field}` });
+    });
+
+    if (verification.valid && proxyVerification.valid) {
+      const proxy = verification.implementation ? ` via EIP-1967 proxy to ${verification.implementation}` : '';
+      run.logger.success(`  ${data.name} matches deployed bytecode${proxy} - ${data.address}`);
+    }
+  }
+}
+
+/**
+ * Verify the tokens and contracts validated in a run against the chain
+ * @param {Object} config - Normalized engine configuration
+ * @param {Object} result - Result of validate() or validateSubmission()
+ * @param {Object} options - On-chain options (see createValidator verifyOnChain)
+ * @returns {Promise<Object>} Result including on-chain findings
+ */
+async function verifyResultOnChain(config, result, { rpc, chainId = config.chainId, timeout } = {}) {
+  const provider = createRpcProvider(rpc, { chainId, timeout });
+  const run = { config, logger: config.logger, report: result.report };
+
+  run.logger.section('On-Chain Verification');
+
+  try {
+    const chain = await checkChainId(provider, chainId);
+    if (!chain.valid) {
+      emit(run, 'onchain/rpc', 'error', chain.error);
+    } else {
+      await verifyTokensOnChain(run, provider, result.validatedTokens);
+      await verifyContractsOnChain(run, provider, result.validatedContracts);
+    }
+  } finally {
+    provider.destroy();
+  }
+
+  return { ...result, ...summarizeReport(result.report) };
+}
+
+/**
+ * Compile the contracts validated in a run and compare their ABIs with the stored ones
+ * @param {Object} config - Normalized engine configuration
+ * @param {Object} result - Result of validate() or validateSubmission()
+ * @param {Object} options - Compilation options (see createValidator verifySources)
+ * @returns {Object} Result including compilation findings
+ */
+function verifyResultSources(config, result, { compilersDir } = {}) {
+  const run = { config, logger: config.logger, report: result.report };
+  const options = { compilersDir: path.resolve(config.root, compilersDir || DEFAULT_COMPILERS_DIR) };
+
+  run.logger.section('Source Compilation');
+
+  for (const { data, abi, abiFile, source, sourceFile, readImport } of result.validatedContracts) {
+    const verification = verifyContractSource({ name: data.name, source, abi, readImport }, options);
+    verification.findings.forEach(({ ruleId, severity, message, abiIndex, line, column }) => {
+      const location = ruleId === 'solidity/abi-drift'
+        ? { file: abiFile, pointer: abiIndex !== undefined ? `/${abiIndex}` : '' }
+        : { file: sourceFile, line, column };
+      emit(run, ruleId, severity, `  ${message}`, location);
+    });
+
+    if (verification.valid && verification.diff) {
+      run.logger.success(`  ${data.name} compiles with solc ${verification.compiler} and matches its ABI`);
+    }
+  }
+
+  return { ...result, ...summarizeReport(result.report) };
+}
+
+/**
+ * Reproduce the deployed bytecode of the contracts validated in a run from their sources
+ * @param {Object} config - Normalized engine configuration
+ * @param {Object} result - Result of validate() or validateSubmission()
+ * @param {Object} options - Verification options (see createValidator verifyDeployments)
+ * @returns {Promise<Object>} Result including deployment findings and per-contract statuses
+ */
+async function verifyResultDeployments(config, result, options = {}) {
+  const { rpc, chainId = config.chainId, timeout, compilersDir } = options;
+  const provider = createRpcProvider(rpc, { chainId, timeout });
+  const run = { config, logger: config.logger, report: result.report };
+  const compileOptions = { compilersDir: path.resolve(config.root, compilersDir || DEFAULT_COMPILERS_DIR) };
+  const deployments = [];
+
+  run.logger.section('Deployment Verification');
+
+  try {
+    const chain = await checkChainId(provider, chainId);
+    if (!chain.valid) {
+      emit(run, 'onchain/rpc', 'error', chain.error);
+    } else {
+      for (const contract of result.validatedContracts) {
+        const { data, file, pointer } = contract;
+        const verification = await verifyDeployment(provider, contract, compileOptions);
+        verification.findings.forEach(({ ruleId, severity, message, field }) => {
+          emit(run, ruleId, severity, `  ${message}`, { file, pointer: `${pointer}/${field}` });
+        });
+
+        deployments.push({
+          name: data.name,
+          address: data.address,
+          file: path.relative(config.root, file).split(path.sep).join('/'),
+          status: verification.status,
+          compiler: verification.compiler,
+          reason: verification.reason,
+        });
+        if (verification.status === 'verified') {
+          run.logger.success(`  ${data.name} verified: source reproduces the bytecode at ${data.address}`);
+        } else if (verification.status === 'skipped' && !data.compiler) {
+          run.logger.info(`  ${data.name} skipped: ${verification.reason}`);
+        }
+      }
+    }
+  } finally {
+    provider.destroy();
+  }
+
+  return { ...result, ...summarizeReport(result.report), deployments };
+}
+
+/**
+ * Create a validation engine bound to one network of a registry checkout
+ * Entries are only checked for duplicates against the other entries of the same network.
+ *
+ * Results have the shape
+ * `{valid, chainId, network, aborted, errors, warnings, diagnostics, stats, tokens, validatedTokens,
+ * validatedContracts, report}` where `network` is the definition from config/networks.json (or null),
+ * `diagnostics` are the report entries (rule id, severity, file, pointer, line/column),
+ * `stats` counts validated and indexed entries, `tokens` lists every registered token,
+ * `validatedTokens`/`validatedContracts` the entries that passed in this run (with their files),
+ * and `report` can be serialized with toJSON()/toSARIF().
+ *
+ * @param {Object} [options] - Engine options
+ * @param {string} [options.root] - Repository root containing tokens/ and contracts/
+ * @param {number} [options.chainId] - Network to validate (defaults to VinuChain mainnet); entries of other
+ *   networks are read from networks/<chainId>/ and the network must be defined in config/networks.json
+ * @param {Object<string, string>} [options.rules] - Severity overrides by rule id ('off', 'warning', 'error')
+ * @param {{maxTokens?: number, maxProjects?: number, maxContractsPerProject?: number}} [options.limits] -
+ *   Batch limit overrides (Infinity lifts a limit; see REGISTRY_LIMITS)
+ * @param {Object} [options.logger] - Logger receiving progress output (silent by default)
+ * @returns {{root: string, validate: Function, validateSubmission: Function, compareLogos: Function,
+ *   verifyOnChain: Function, verifySources: Function, verifyDeployments: Function}} Validator
+ * @throws {Error} If options are invalid
+ */
+function createValidator(options = {}) {
+  const config = normalizeOptions(options);
+  const tokensDir = path.join(config.networkRoot, 'tokens');
+  const contractsDir = path.join(config.networkRoot, 'contracts');
+  const toRootPath = dir => path.relative(config.root, dir).split(path.sep).join('/');
+
+  /**
+   * Validate the checkout
+   * @param {Object} [runOptions] - Run options
+   * @param {{tokens: Set<string>, projects: Set<string>}|null} [runOptions.changed] - Only fully
+   *   validate these token directories and project slugs; the rest are indexed for duplicate and
+   *   cross-reference checks (null validates everything)
+   * @returns {Object} Validation result
+   */
+  function validate({ changed = null } = {}) {
+    const run = createRun(config);
+    run.network = readNetworkDefinition(run);
+    run.tagDefinitions = readTagDefinitions(run);
+    const isChangedToken = dir => !changed || changed.tokens.has(dir);
+    const isChangedProject = slug => !changed || changed.projects.has(slug);
+
+    const tokenDirs = listTokenDirectories(run, tokensDir, isChangedToken);
+    const projectDirs = listProjectDirectories(run, contractsDir);
+
+    // Index every untouched token and project before validating any changed entry, so changed
+    // tokens are checked against registered contracts too
+    for (const dir of tokenDirs || []) {
+      if (!isChangedToken(dir) && indexDiskToken(run, tokensDir, dir)) {
+        run.stats.indexedTokens++;
+      }
+    }
+    for (const slug of projectDirs || []) {
+      run.projectSlugs.add(slug);
+      if (!isChangedProject(slug)) {
+        run.stats.indexedContracts += indexDiskProject(run, contractsDir, slug);
+      }
+    }
+
+    run.logger.section('Validating Tokens');
+    if (tokenDirs) {
+      const selected = tokenDirs.filter(isChangedToken);
+      if (!checkLimit(run, selected.length, config.limits.maxTokens, 'Too many tokens to validate')) {
+        return toResult(run);
+      }
+      validateTokenEntries(run, selected.map(dir => readDiskToken(tokensDir, dir)), Boolean(changed));
+    }
+
+    run.logger.section('Validating Contracts');
+    if (projectDirs) {
+      const selected = projectDirs.filter(isChangedProject);
+      if (!checkLimit(run, selected.length, config.limits.maxProjects, 'Too many projects to validate')) {
+        return toResult(run);
+      }
+      const entries = selected.map(slug => readDiskProject(contractsDir, slug));
+      validateProjectEntries(run, entries, Boolean(changed));
+    }
+
+    validateTokenIdentities(run);
+    validateCrossReferences(run);
+    if (!changed) {
+      validateTagUsage(run);
+    }
+    return toResult(run);
+  }
+
+  /**
+   * Validate entries that are not on disk against the checkout
+   * Submitted entries replace on-disk entries with the same address or slug; everything
+   * else in the checkout is indexed for duplicate and cross-reference checks.
+   * @param {Object} submission - Entries to validate
+   * @param {Array<{data: Object|string, logo?: {buffer: Buffer, extension: string}}>} [submission.tokens] -
+   *   Token JSON and logo content
+   * @param {Array<{slug: string, info: Object|string, files?: Object<string, string|Buffer>}>}
+   *   [submission.projects] - Project info.json and contract files
+   * @returns {Object} Validation result
+   */
+  function validateSubmission({ tokens = [], projects = [] } = {}) {
+    const run = createRun(config);
+
+    if (
+      !checkLimit(run, tokens.length, config.limits.maxTokens, 'Too many tokens to validate') ||
+      !checkLimit(run, projects.length, config.limits.maxProjects, 'Too many projects to validate')
+    ) {
+      return toResult(run);
+    }
+
+    run.network = readNetworkDefinition(run);
+    run.tagDefinitions = readTagDefinitions(run);
+    const tokenEntries = tokens.map(token => memoryToken(token, run.report, toRootPath(tokensDir)));
+    const replacedTokens = new Set(tokenEntries.map(entry => entry.addressDir.toLowerCase()));
+    const replacedProjects = new Set(projects.map(project => project.slug));
+
+    // Index the whole checkout first so submitted entries are checked against all of it
+    for (const dir of listTokenDirectories(run, tokensDir, () => false) || []) {
+      if (!replacedTokens.has(dir.toLowerCase()) && indexDiskToken(run, tokensDir, dir)) {
+        run.stats.indexedTokens++;
+      }
+    }
+    for (const slug of listProjectDirectories(run, contractsDir) || []) {
+      run.projectSlugs.add(slug);
+      if (!replacedProjects.has(slug)) {
+        run.stats.indexedContracts += indexDiskProject(run, contractsDir, slug);
+      }
+    }
+
+    run.logger.section('Validating Tokens');
+    validateTokenEntries(run, tokenEntries, true);
+
+    run.logger.section('Validating Contracts');
+    const projectEntries = [];
+    for (const project of projects) {
+      // The slug becomes a directory name (addresses CRITICAL-01)
+      const slugValidation = validateSafeFilename(project.slug);
+      if (!slugValidation.valid || project.slug === '') {
+        emit(run, 'project/read', 'error', `Invalid project slug: ${slugValidation.error || project.slug}`);
+        continue;
+      }
+      run.projectSlugs.add(project.slug);
+      projectEntries.push(memoryProject(project, run.report, toRootPath(contractsDir)));
+    }
+    validateProjectEntries(run, projectEntries, true);
+
+    validateTokenIdentities(run);
+    validateCrossReferences(run);
+    return toResult(run);
+  }
+
+  /**
+   * Compare the logos of the tokens that passed a run with every other registered logo
+   * Raster logos are compared by perceptual hash (aHash and dHash), SVG logos by their markup.
+   * A logo at least LOGO_SIMILARITY_THRESHOLD similar to the logo of a token with a different
+   * symbol or project is reported (`token/logo-similarity`) with the similarity score and the
+   * matching address as diagnostic properties. Findings are added to the run's report
+   * @param {Object} result - Result of validate() or validateSubmission()
+   * @returns {Promise<Object>} Validation result with `logos`
+   *   ({address, symbol, closest: {address, symbol, similarity}|null} per compared token)
+   */
+  function compareLogos(result) {
+    return compareResultLogos(config, result);
+  }
+
+  /**
+   * Verify the entries that passed a run against the chain
+   * Tokens: contract code, name(), symbol(), decimals() and totalSupply() must match the token file.
+   * Contracts: the address (and any EIP-1967 implementation) must have code exposing every ABI
+   * function. Findings are added to the run's report
+   * @param {Object} result - Result of validate() or validateSubmission()
+   * @param {Object} onChainOptions - On-chain options
+   * @param {string} onChainOptions.rpc - JSON-RPC endpoint URL
+   * @param {number} [onChainOptions.chainId] - Expected chain ID (defaults to the validated network)
+   * @param {number} [onChainOptions.timeout] - Per-request timeout in milliseconds
+   * @returns {Promise<Object>} Validation result including on-chain findings
+   * @throws {Error} If the RPC URL or chain ID is invalid
+   */
+  function verifyOnChain(result, onChainOptions) {
+    return verifyResultOnChain(config, result, onChainOptions);
+  }
+
+  /**
+   * Compile the contracts that passed a run and compare the stored ABIs with the compiled ones
+   * The compiler is the newest locally installed solc satisfying the source's pragma: the one
+   * bundled with the solc package, or a soljson-v<version>.js build in the compilers directory.
+   * Imports are resolved inside the project directory. Findings are added to the run's report
+   * @param {Object} result - Result of validate() or validateSubmission()
+   * @param {Object} [compileOptions] - Compilation options
+   * @param {string} [compileOptions.compilersDir] - Directory holding soljson builds (default: <root>/.solc)
+   * @returns {Object} Validation result including compilation findings
+   */
+  function verifySources(result, compileOptions) {
+    return verifyResultSources(config, result, compileOptions);
+  }
+
+  /**
+   * Recompile the contracts that passed a run with the compiler block from info.json and compare
+   * the output with the runtime bytecode at the listed address (immutables ignored). Each contract
+   * gets a status in `result.deployments`: 'verified' (identical), 'partial' (only the metadata hash
+   * differs), 'mismatch' or 'skipped' (no compiler block, or the source cannot be reproduced here).
+   * Findings are added to the run's report
+   * @param {Object} result - Result of validate() or validateSubmission()
+   * @param {Object} verifyOptions - Verification options
+   * @param {string} verifyOptions.rpc - JSON-RPC endpoint URL
+   * @param {number} [verifyOptions.chainId] - Expected chain ID (defaults to the validated network)
+   * @param {number} [verifyOptions.timeout] - Per-request timeout in milliseconds
+   * @param {string} [verifyOptions.compilersDir] - Directory holding soljson builds (default: <root>/.solc)
+   * @returns {Promise<Object>} Validation result with `deployments`
+   *   ({name, address, file, status, compiler?, reason?} per contract)
+   * @throws {Error} If the RPC URL or chain ID is invalid
+   */
+  function verifyDeployments(result, verifyOptions) {
+    return verifyResultDeployments(config, result, verifyOptions);
+  }
+
+  return {
+    root: config.root,
+    validate,
+    validateSubmission,
+    compareLogos,
+    verifyOnChain,
+    verifySources,
+    verifyDeployments,
+  };
+}
+
+module.exports = {
+  createValidator,
+  DEFAULT_LIMITS,
+  REGISTRY_LIMITS,
+};
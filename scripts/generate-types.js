@@ -0,0 +1,642 @@
+#!/usr/bin/env node
+
+/**
+ * VinuChain Lists - TypeScript Declaration Generator
+ * Generates .d.ts interfaces from the JSON schemas and `as const` ABI modules
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES, RETIRED_CONTRACT_STATUSES } = require('./utils/constants');
+const { safeReadJSON } = require('./utils/safe-json');
+const { tokenSchema, contractSchema } = require('./utils/schema-validators');
+const { validateContractName, safeReadDir, isDirectory } = require('./utils/file-utils');
+const { validateABI } = require('./validators/abi-validator');
+const { isOpenRedFlag } = require('./utils/red-flags');
+const { networkPath, loadNetworks } = require('./utils/networks');
+
+const logger = require('./utils/logger');
+
+// Default output location (git-ignored, generated before publishing)
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../types');
+const ROOT = path.join(__dirname, '..');
+
+const GENERATED_HEADER = '// Generated by scripts/generate-types.js - do not edit by hand.\n';
+
+// Start of the generated CommonJS modules; __esModule lets transpiled ES imports find the default export
+const COMMONJS_PREAMBLE = "'use strict';\n\nObject.defineProperty(exports, '__esModule', { value: true });\n";
+
+/**
+ * Named types hoisted out of the schemas, keyed by JSON pointer
+ * Any other object schema is emitted inline
+ */
+const TOKEN_TYPE_NAMES = {
+  '#': 'Token',
+  '#/properties/bridgeInfo': 'BridgeInfo',
+  '#/definitions/redFlag/properties/severity': 'RedFlagSeverity',
+  '#/definitions/redFlag/properties/category': 'RedFlagCategory',
+  '#/definitions/redFlag/properties/status': 'RedFlagStatus',
+};
+
+const CONTRACT_TYPE_NAMES = {
+  '#': 'ProjectInfo',
+  '#/properties/contracts/items': 'ContractEntry',
+  '#/properties/contracts/items/properties/type': 'ContractType',
+  '#/properties/contracts/items/properties/status': 'ContractStatus',
+  '#/properties/contracts/items/properties/proxy': 'ProxyInfo',
+  '#/properties/contracts/items/properties/compiler': 'CompilerSettings',
+  '#/properties/audits/items': 'AuditInfo',
+  '#/properties/social': 'ProjectSocial',
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Format a property key for TypeScript output
+ * @param {string} key - Property name
+ * @returns {string} Bare identifier or quoted key
+ */
+function formatKey(key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Format a JSON schema description as a JSDoc comment
+ * @param {string|undefined} description - Schema description
+ * @param {string} indent - Current indentation
+ * @returns {string} Comment block (empty string if no description)
+ */
+function formatComment(description, indent) {
+  if (!description) return '';
+  const text = String(description).replace(/\*\//g, '*\\/');
+  return `${indent}/** ${text} */\n`;
+}
+
+/**
+ * Convert a pointer segment into a PascalCase type name
+ * @param {string} name - Definition name
+ * @returns {string} Type name
+ */
+function toTypeName(name) {
+  return name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Create a converter that turns one JSON schema into TypeScript declarations
+ * @param {Object} rootSchema - JSON schema
+ * @param {Object<string, string>} typeNames - JSON pointer -> declaration name
+ * @returns {{declarations: Map<string, string>, convert: Function}} Converter state
+ */
+function createSchemaConverter(rootSchema, typeNames) {
+  const declarations = new Map();
+
+  /**
+   * Resolve a local $ref to its schema and pointer
+   * @param {string} ref - Reference (e.g., '#/definitions/Foo')
+   * @returns {{schema: Object, pointer: string}} Resolved schema
+   */
+  function resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    const schema = ref
+      .slice(2)
+      .split('/')
+      .reduce((node, segment) => (node ? node[segment] : undefined), rootSchema);
+    if (!schema) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    return { schema, pointer: ref };
+  }
+
+  /**
+   * Name for a schema node, if it should be hoisted
+   * @param {string} pointer - JSON pointer of the node
+   * @returns {string|undefined} Declaration name
+   */
+  function nameFor(pointer) {
+    if (typeNames[pointer]) return typeNames[pointer];
+    const definition = pointer.match(/^#\/definitions\/([^/]+)$/);
+    return definition ? toTypeName(definition[1]) : undefined;
+  }
+
+  /**
+   * Emit a hoisted declaration for a schema node
+   * @param {string} name - Declaration name
+   * @param {Object} schema - Schema node
+   * @param {string} pointer - JSON pointer of the node
+   */
+  function declare(name, schema, pointer) {
+    if (declarations.has(name)) return;
+    declarations.set(name, ''); // Reserve to stop recursion
+
+    const comment = formatComment(schema.description || schema.title, '');
+    if (schema.type === 'object' && schema.properties) {
+      declarations.set(
+        name,
+        `${comment}export interface ${name} ${convertObject(schema, pointer, '')}\n`
+      );
+    } else {
+      declarations.set(name, `${comment}export type ${name} = ${convertInline(schema, pointer, '')};\n`);
+    }
+  }
+
+  /**
+   * Convert an object schema to a TypeScript object literal type
+   * @param {Object} schema - Object schema
+   * @param {string} pointer - JSON pointer of the node
+   * @param {string} indent - Current indentation
+   * @returns {string} TypeScript type
+   */
+  function convertObject(schema, pointer, indent) {
+    const required = new Set(schema.required || []);
+    const inner = `${indent}  `;
+    const lines = Object.entries(schema.properties || {}).map(([key, propSchema]) => {
+      const optional = required.has(key) ? '' : '?';
+      const type = convert(propSchema, `${pointer}/properties/${key}`, inner);
+      return `${formatComment(propSchema.description, inner)}${inner}${formatKey(key)}${optional}: ${type};`;
+    });
+
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      const type = convert(schema.additionalProperties, `${pointer}/additionalProperties`, inner);
+      lines.push(`${inner}[key: string]: ${type};`);
+    }
+
+    return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : 'Record<string, unknown>';
+  }
+
+  /**
+   * Convert a schema node without hoisting it
+   * @param {Object} schema - Schema node
+   * @param {string} pointer - JSON pointer of the node
+   * @param {string} indent - Current indentation
+   * @returns {string} TypeScript type
+   */
+  function convertInline(schema, pointer, indent) {
+    if (schema.$ref) {
+      const target = resolveRef(schema.$ref);
+      return convert(target.schema, target.pointer, indent);
+    }
+
+    if (schema.const !== undefined) {
+      return JSON.stringify(schema.const);
+    }
+
+    if (Array.isArray(schema.enum)) {
+      return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (Array.isArray(schema[keyword])) {
+        return schema[keyword]
+          .map((option, i) => convert(option, `${pointer}/${keyword}/${i}`, indent))
+          .join(' | ');
+      }
+    }
+
+    if (Array.isArray(schema.type)) {
+      return schema.type.map(type => convertInline({ ...schema, type }, pointer, indent)).join(' | ');
+    }
+
+    switch (schema.type) {
+      case 'string':
+        return 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array': {
+        const itemType = schema.items
+          ? convert(schema.items, `${pointer}/items`, indent)
+          : 'unknown';
+        return /^[\w.]+$/.test(itemType) ? `${itemType}[]` : `Array<${itemType}>`;
+      }
+      case 'object':
+        return convertObject(schema, pointer, indent);
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * Convert a schema node, referencing hoisted declarations by name
+   * @param {Object} schema - Schema node
+   * @param {string} pointer - JSON pointer of the node
+   * @param {string} indent - Current indentation
+   * @returns {string} TypeScript type
+   */
+  function convert(schema, pointer, indent) {
+    // Definitions of another schema are declared where that schema is converted
+    const external = schema.$ref && schema.$ref.match(/^[\w.-]+\.json#\/definitions\/([^/]+)$/);
+    if (external) {
+      return toTypeName(external[1]);
+    }
+
+    if (schema.$ref && schema.$ref.startsWith('#/')) {
+      const name = nameFor(schema.$ref);
+      if (name) {
+        declare(name, resolveRef(schema.$ref).schema, schema.$ref);
+        return name;
+      }
+    }
+
+    const name = nameFor(pointer);
+    if (name) {
+      declare(name, schema, pointer);
+      return name;
+    }
+
+    return convertInline(schema, pointer, indent);
+  }
+
+  return { declarations, convert };
+}
+
+/**
+ * Convert a JSON schema into TypeScript declarations
+ * @param {Object} schema - JSON schema
+ * @param {Object<string, string>} typeNames - JSON pointer -> declaration name ('#' names the root)
+ * @returns {string} TypeScript declarations
+ */
+function schemaToTypeScript(schema, typeNames) {
+  const { declarations, convert } = createSchemaConverter(schema, typeNames);
+  convert(schema, '#', '');
+  return [...declarations.values()].join('\n');
+}
+
+/**
+ * Build the registry API declarations that tie the schema types together
+ * @returns {string} TypeScript declarations
+ */
+function registryDeclarations() {
+  return [
+    '/** Project entry returned by the registry API (info.json plus its directory slug) */',
+    'export type RegistryProject = ProjectInfo & { slug: string };',
+    '',
+    '/** Contract entry returned by the registry API, with its project slug */',
+    'export type RegistryContract = ContractEntry & { project: string };',
+    '',
+    '/** Red flag returned by the registry API, with the entry that carries it */',
+    'export type RegistryRedFlag = RedFlag & { source: \'token\' | \'project\' | \'contract\' };',
+    '',
+    '/** Registry query API returned by createRegistry() */',
+    'export interface Registry {',
+    '  getTokens(): ReadonlyArray<Readonly<Token>>;',
+    '  getTokenByAddress(address: string): Readonly<Token> | null;',
+    '  getTokenBySymbol(symbol: string): Readonly<Token> | null;',
+    '  getProjects(): ReadonlyArray<Readonly<RegistryProject>>;',
+    '  getProject(slug: string): Readonly<RegistryProject> | null;',
+    '  getContract(address: string): Readonly<RegistryContract> | null;',
+    '  getRedFlags(address: string): ReadonlyArray<Readonly<RegistryRedFlag>>;',
+    '  getRiskScore(address: string): number;',
+    '  getAbi(project: string, name: string): ReadonlyArray<Readonly<Record<string, unknown>>> | null;',
+    '  getLoadErrors(): ReadonlyArray<string>;',
+    '  reload(): void;',
+    '}',
+    '',
+    'export declare function createRegistry(options?: { root?: string; chainId?: number }): Registry;',
+    'export declare const getTokens: Registry[\'getTokens\'];',
+    'export declare const getTokenByAddress: Registry[\'getTokenByAddress\'];',
+    'export declare const getTokenBySymbol: Registry[\'getTokenBySymbol\'];',
+    'export declare const getProjects: Registry[\'getProjects\'];',
+    'export declare const getProject: Registry[\'getProject\'];',
+    'export declare const getContract: Registry[\'getContract\'];',
+    'export declare const getRedFlags: Registry[\'getRedFlags\'];',
+    'export declare const getRiskScore: Registry[\'getRiskScore\'];',
+    'export declare const getAbi: Registry[\'getAbi\'];',
+    'export declare const getLoadErrors: Registry[\'getLoadErrors\'];',
+    'export declare const reload: Registry[\'reload\'];',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Generate the index.d.ts content
+ * @returns {string} Declaration file content
+ */
+function generateIndexDeclarations() {
+  return [
+    GENERATED_HEADER,
+    '// Token entries (schemas/token.schema.json)\n',
+    schemaToTypeScript(tokenSchema, TOKEN_TYPE_NAMES),
+    '// Contract projects (schemas/contract.schema.json)\n',
+    schemaToTypeScript(contractSchema, CONTRACT_TYPE_NAMES),
+    registryDeclarations(),
+  ].join('\n');
+}
+
+/**
+ * Name of the exported ABI constant for a contract
+ * @param {string} contractName - PascalCase contract name
+ * @returns {string} camelCase identifier (e.g., 'swapRouterAbi')
+ */
+function abiIdentifier(contractName) {
+  const leadingCaps = contractName.match(/^[A-Z]+(?=[A-Z][a-z]|[0-9]|$)/);
+  const prefixLength = leadingCaps ? leadingCaps[0].length : 1;
+  return `${contractName.slice(0, prefixLength).toLowerCase()}${contractName.slice(prefixLength)}Abi`;
+}
+
+/**
+ * Convert a JSON value to its readonly literal type, as `as const` would infer it
+ * @param {*} value - JSON value (string, number, boolean, null, array or object)
+ * @param {string} [indent] - Indentation of the line holding the value
+ * @returns {string} TypeScript type (e.g., 'readonly [{ readonly "type": "function" }]')
+ */
+function toLiteralType(value, indent = '') {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 'readonly []';
+    const items = value.map(item => `${inner}${toLiteralType(item, inner)}`);
+    return `readonly [\n${items.join(',\n')}\n${indent}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const members = entries.map(
+      ([key, item]) => `${inner}readonly ${JSON.stringify(key)}: ${toLiteralType(item, inner)};`
+    );
+    return `{\n${members.join('\n')}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Generate the declaration of an ABI module, typing the ABI as a readonly const tuple
+ * @param {Array} abi - Validated ABI
+ * @param {string} contractName - Contract name
+ * @param {Object} [notes] - Doc comment notes
+ * @param {string} [notes.deprecation] - Deprecation note; flags the export as @deprecated
+ * @param {Object[]} [notes.redFlags] - Open red flags of the contract and its project
+ * @returns {string} Declaration file source (<Name>.d.ts)
+ */
+function generateAbiDeclaration(abi, contractName, { deprecation, redFlags = [] } = {}) {
+  const identifier = abiIdentifier(contractName);
+  const lines = redFlags.map(flag => `Red flag (${flag.severity}): ${flag.description}`);
+  if (deprecation) lines.push(`@deprecated ${deprecation}`);
+  const docComment = lines.length > 1
+    ? `/**\n${lines.map(line => ` * ${line}`).join('\n')}\n */\n`
+    : lines.map(line => `/** ${line} */\n`).join('');
+  return (
+    `${GENERATED_HEADER}\n` +
+    docComment +
+    `export declare const ${identifier}: ${toLiteralType(abi)};\n\n` +
+    `export default ${identifier};\n`
+  );
+}
+
+/**
+ * Generate the CommonJS module exporting an ABI, matching its declaration
+ * @param {Array} abi - Validated ABI
+ * @param {string} contractName - Contract name
+ * @returns {string} Module source (<Name>.js)
+ */
+function generateAbiModule(abi, contractName) {
+  const identifier = abiIdentifier(contractName);
+  return (
+    `${GENERATED_HEADER}\n${COMMONJS_PREAMBLE}\n` +
+    `exports.${identifier} = ${JSON.stringify(abi, null, 2)};\n\n` +
+    `exports.default = exports.${identifier};\n`
+  );
+}
+
+/**
+ * Collect the notes that the ABI modules of a project carry in their doc comment
+ * Contracts whose every listed deployment is retired get a deprecation note, and each contract
+ * lists the open red flags of the project and of its deployments. An unreadable or malformed
+ * info.json yields no notes; validation reports it.
+ * @param {string} projectPath - Path to contracts/<project>
+ * @returns {Map<string, {deprecation?: string, redFlags: Object[]}>} Notes by contract name
+ */
+function readContractNotes(projectPath) {
+  let info;
+  try {
+    info = safeReadJSON(path.join(projectPath, 'info.json'));
+  } catch {
+    return new Map();
+  }
+  if (!info || !Array.isArray(info.contracts)) return new Map();
+
+  const { contracts } = info;
+  const openFlags = flags => (Array.isArray(flags) ? flags.filter(isOpenRedFlag) : []);
+
+  const byName = new Map();
+  for (const contract of contracts) {
+    if (!contract || typeof contract.name !== 'string') continue;
+    if (!byName.has(contract.name)) byName.set(contract.name, []);
+    byName.get(contract.name).push(contract);
+  }
+
+  const notes = new Map();
+  for (const [name, deployments] of byName) {
+    const redFlags = [...openFlags(info.redFlags), ...deployments.flatMap(c => openFlags(c.redFlags))];
+    notes.set(name, { redFlags });
+    if (!deployments.every(c => RETIRED_CONTRACT_STATUSES.includes(c.status))) continue;
+
+    const replacedBy = deployments.map(c => c.replacedBy).filter(Boolean).pop();
+    const replacement = replacedBy && contracts.find(c => c && c.address === replacedBy);
+    const statuses = [...new Set(deployments.map(c => c.status))].join(' or ');
+    notes.get(name).deprecation = replacement
+      ? `${name} is ${statuses}; use ${replacement.name} (${replacement.address}).`
+      : `${name} is ${statuses}.`;
+  }
+  return notes;
+}
+
+/**
+ * Collect every contracts/<project>/<Name>_abi.json file
+ * @param {string} contractsDir - Path to contracts directory
+ * @returns {Array<{project: string, name: string, path: string, notes?: Object}>} ABI files, with the
+ *   doc comment notes of their module (see readContractNotes)
+ */
+function findAbiFiles(contractsDir) {
+  const dirResult = safeReadDir(contractsDir);
+  if (!dirResult.success) return [];
+
+  const abiFiles = [];
+  for (const project of dirResult.entries.sort()) {
+    const projectPath = path.join(contractsDir, project);
+    if (!isDirectory(projectPath) || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(project)) continue;
+
+    const projectEntries = safeReadDir(projectPath);
+    if (!projectEntries.success) continue;
+
+    const notes = readContractNotes(projectPath);
+
+    for (const file of projectEntries.entries.sort()) {
+      const match = file.match(/^(.+)_abi\.json$/);
+      if (match && validateContractName(match[1]).valid) {
+        abiFiles.push({
+          project,
+          name: match[1],
+          path: path.join(projectPath, file),
+          notes: notes.get(match[1]),
+        });
+      }
+    }
+  }
+  return abiFiles;
+}
+
+/**
+ * Write the ABI modules of one network and their per-project barrel files
+ * @param {string} abisDir - Output directory of the network's ABI modules
+ * @param {string} contractsDir - Path to the network's contracts directory
+ * @param {string} prefix - Prefix of the error messages locating an ABI file
+ * @returns {{written: string[], errors: string[]}} Written files and generation errors
+ */
+function generateAbiModules(abisDir, contractsDir, prefix) {
+  const errors = [];
+  const written = [];
+
+  const byProject = new Map();
+  for (const abiFile of findAbiFiles(contractsDir)) {
+    let abi;
+    try {
+      abi = safeReadJSON(abiFile.path);
+    } catch (e) {
+      errors.push(`${prefix}${abiFile.project}/${abiFile.name}_abi.json: ${e.message}`);
+      continue;
+    }
+
+    const abiValidation = validateABI(abi, abiFile.name);
+    if (!abiValidation.valid) {
+      errors.push(`${prefix}${abiFile.project}/${abiValidation.error}`);
+      continue;
+    }
+
+    const projectDir = path.join(abisDir, abiFile.project);
+    fs.mkdirSync(projectDir, { recursive: true });
+    const declarationPath = path.join(projectDir, `${abiFile.name}.d.ts`);
+    fs.writeFileSync(declarationPath, generateAbiDeclaration(abi, abiFile.name, abiFile.notes));
+    const modulePath = path.join(projectDir, `${abiFile.name}.js`);
+    fs.writeFileSync(modulePath, generateAbiModule(abi, abiFile.name));
+    written.push(declarationPath, modulePath);
+
+    if (!byProject.has(abiFile.project)) byProject.set(abiFile.project, []);
+    byProject.get(abiFile.project).push(abiFile.name);
+  }
+
+  // Per-project barrel files, declaration and module
+  for (const [project, names] of byProject) {
+    const projectDir = path.join(abisDir, project);
+    const declarations = names.map(name => `export { ${abiIdentifier(name)} } from './${name}';`);
+    const exports = names.map(name => {
+      const identifier = abiIdentifier(name);
+      return `exports.${identifier} = require('./${name}').${identifier};`;
+    });
+
+    const declarationPath = path.join(projectDir, 'index.d.ts');
+    fs.writeFileSync(declarationPath, `${GENERATED_HEADER}\n${declarations.join('\n')}\n`);
+    const modulePath = path.join(projectDir, 'index.js');
+    fs.writeFileSync(modulePath, `${GENERATED_HEADER}\n${COMMONJS_PREAMBLE}\n${exports.join('\n')}\n`);
+    written.push(declarationPath, modulePath);
+  }
+
+  return { written, errors };
+}
+
+/**
+ * Write all declaration files to the output directory
+ * The ABI modules of each network in config/networks.json mirror its entries: abis/ for VinuChain
+ * mainnet, networks/<chainId>/abis/ for any other network.
+ * @param {string} outputDir - Output directory
+ * @param {string} root - Repository root
+ * @returns {{files: number, errors: string[]}} Generation result
+ * @throws {Error} If config/networks.json is unreadable or invalid
+ */
+function generateTypes(outputDir, root = ROOT) {
+  const networks = loadNetworks(root);
+  const errors = [];
+  const written = [];
+
+  fs.rmSync(path.join(outputDir, 'abis'), { recursive: true, force: true });
+  fs.rmSync(path.join(outputDir, 'networks'), { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const indexPath = path.join(outputDir, 'index.d.ts');
+  fs.writeFileSync(indexPath, generateIndexDeclarations());
+  written.push(indexPath);
+
+  for (const { chainId } of networks) {
+    const dir = networkPath(chainId);
+    const result = generateAbiModules(
+      path.join(outputDir, dir, 'abis'),
+      path.join(root, dir, 'contracts'),
+      dir ? `${dir}/contracts/` : ''
+    );
+    written.push(...result.written);
+    errors.push(...result.errors);
+  }
+
+  return { files: written.length, errors };
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{output: string}} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { output: DEFAULT_OUTPUT_DIR };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out' || argv[i] === '-o') {
+      if (!argv[i + 1]) {
+        throw new Error(`${argv[i]} requires a directory path`);
+      }
+      options.output = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main generator entry point
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  logger.section('Generating TypeScript Declarations');
+
+  const { files, errors } = generateTypes(options.output);
+  errors.forEach(err => logger.error(`  ${err}`));
+
+  if (errors.length > 0) {
+    logger.error(`\n❌ Type generation failed with ${errors.length} error(s)\n`);
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+
+  logger.success(`Wrote ${files} files to ${path.relative(process.cwd(), options.output) || '.'}`);
+}
+
+// Run main function
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    logger.error(`\nFATAL ERROR: ${e.message}`);
+    logger.debug(e.stack);
+    process.exit(EXIT_CODES.FATAL_ERROR);
+  }
+}
+
+module.exports = {
+  schemaToTypeScript,
+  generateIndexDeclarations,
+  generateAbiDeclaration,
+  generateAbiModule,
+  abiIdentifier,
+  findAbiFiles,
+  generateTypes,
+};
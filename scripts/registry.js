@@ -0,0 +1,385 @@
+/**
+ * VinuChain Lists - Registry Loader
+ * Read-only query API over validated token and contract entries
+ *
+ * Entries are read once (on first access) through the same safe readers and
+ * validators used by validate.js, then deep-frozen and served from memory.
+ */
+
+const path = require('path');
+
+const { safeReadJSON } = require('./utils/safe-json');
+const { validateTokenSchema, validateContractSchema } = require('./utils/schema-validators');
+const { CHAIN_ID, TOKEN_URL_FIELDS, PROJECT_URL_FIELDS } = require('./utils/constants');
+const { networkPath } = require('./utils/networks');
+
+const {
+  validateTokenAddress,
+  validateEIP55Checksum,
+  validateAddressDirectory,
+} = require('./utils/address-validator');
+
+const { validateURLs } = require('./utils/url-validator');
+
+const {
+  validateContractName,
+  safePathJoin,
+  safeReadDir,
+  isDirectory,
+} = require('./utils/file-utils');
+
+const { validateABI } = require('./validators/abi-validator');
+const { computeRiskScore } = require('./utils/red-flags');
+
+const DEFAULT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Recursively freeze an object graph
+ * @param {*} value - Value to freeze
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+  if (typeof value !== 'object' || value === null || Object.isFrozen(value)) {
+    return value;
+  }
+  for (const key of Object.keys(value)) {
+    deepFreeze(value[key]);
+  }
+  return Object.freeze(value);
+}
+
+/**
+ * List subdirectories of a directory, ignoring read errors
+ * @param {string} dirPath - Directory to read
+ * @returns {string[]} Subdirectory names (sorted)
+ */
+function listDirectories(dirPath) {
+  const dirResult = safeReadDir(dirPath);
+  if (!dirResult.success) return [];
+  return dirResult.entries.filter(f => isDirectory(path.join(dirPath, f))).sort();
+}
+
+/**
+ * Load and validate all token entries
+ * @param {string} tokensDir - Path to tokens directory
+ * @param {string[]} loadErrors - Collector for skipped entries
+ * @returns {Object[]} Validated token data
+ */
+function loadTokens(tokensDir, loadErrors) {
+  const tokens = [];
+
+  for (const addressDir of listDirectories(tokensDir)) {
+    const dirValidation = validateAddressDirectory(addressDir, tokensDir);
+    if (!dirValidation.valid) {
+      loadErrors.push(dirValidation.error);
+      continue;
+    }
+
+    const pathResult = safePathJoin(tokensDir, addressDir, `${addressDir}.json`);
+    if (!pathResult.valid) {
+      loadErrors.push(pathResult.error);
+      continue;
+    }
+
+    let tokenData;
+    try {
+      tokenData = safeReadJSON(pathResult.path);
+    } catch (e) {
+      loadErrors.push(`Failed to read ${addressDir}.json: ${e.message}`);
+      continue;
+    }
+
+    if (!validateTokenSchema(tokenData)) {
+      loadErrors.push(`Schema validation failed for ${addressDir}.json`);
+      continue;
+    }
+
+    const addressValidation = validateTokenAddress(tokenData.address, addressDir, tokenData.symbol);
+    if (!addressValidation.valid) {
+      loadErrors.push(addressValidation.error);
+      continue;
+    }
+
+    const urlValidation = validateURLs(tokenData, TOKEN_URL_FIELDS);
+    if (!urlValidation.valid) {
+      loadErrors.push(`${addressDir}.json: ${urlValidation.errors.join('; ')}`);
+      continue;
+    }
+
+    tokens.push(tokenData);
+  }
+
+  return tokens;
+}
+
+/**
+ * Load and validate all contract projects
+ * @param {string} contractsDir - Path to contracts directory
+ * @param {string[]} loadErrors - Collector for skipped entries
+ * @returns {Object[]} Validated project data, each with its directory `slug`
+ */
+function loadProjects(contractsDir, loadErrors) {
+  const projects = [];
+
+  for (const slug of listDirectories(contractsDir)) {
+    const pathResult = safePathJoin(contractsDir, slug, 'info.json');
+    if (!pathResult.valid) {
+      loadErrors.push(pathResult.error);
+      continue;
+    }
+
+    let projectData;
+    try {
+      projectData = safeReadJSON(pathResult.path);
+    } catch (e) {
+      loadErrors.push(`Failed to read ${slug}/info.json: ${e.message}`);
+      continue;
+    }
+
+    if (!validateContractSchema(projectData)) {
+      loadErrors.push(`Schema validation failed for ${slug}/info.json`);
+      continue;
+    }
+
+    const urlValidation = validateURLs(projectData, PROJECT_URL_FIELDS);
+    if (!urlValidation.valid) {
+      loadErrors.push(`${slug}/info.json: ${urlValidation.errors.join('; ')}`);
+      continue;
+    }
+
+    const invalidContract = projectData.contracts
+      .map(contract => {
+        const nameValidation = validateContractName(contract.name);
+        if (!nameValidation.valid) return nameValidation.error;
+        const addressValidation = validateEIP55Checksum(contract.address, contract.name);
+        return addressValidation.valid ? null : addressValidation.error;
+      })
+      .find(error => error !== null);
+
+    if (invalidContract) {
+      loadErrors.push(`${slug}/info.json: ${invalidContract}`);
+      continue;
+    }
+
+    projects.push({ slug, ...projectData });
+  }
+
+  return projects;
+}
+
+/**
+ * Create a registry loader for one network of a repository checkout
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.root] - Repository root (defaults to this package)
+ * @param {number} [options.chainId] - Network whose entries are served (defaults to VinuChain mainnet)
+ * @returns {Object} Registry query API
+ */
+function createRegistry({ root = DEFAULT_ROOT, chainId = CHAIN_ID } = {}) {
+  const tokensDir = path.join(root, networkPath(chainId), 'tokens');
+  const contractsDir = path.join(root, networkPath(chainId), 'contracts');
+
+  let cache = null;
+  const abiCache = new Map();
+
+  /**
+   * Build in-memory indexes on first access
+   * @returns {Object} Cached registry data
+   */
+  function load() {
+    if (cache) return cache;
+
+    const loadErrors = [];
+    const tokens = loadTokens(tokensDir, loadErrors);
+    const projects = loadProjects(contractsDir, loadErrors);
+
+    const tokensByAddress = new Map();
+    const tokensBySymbol = new Map();
+    for (const token of tokens) {
+      tokensByAddress.set(token.address.toLowerCase(), token);
+      if (!tokensBySymbol.has(token.symbol)) {
+        tokensBySymbol.set(token.symbol, token);
+      }
+    }
+
+    const projectsBySlug = new Map();
+    const contractsByAddress = new Map();
+    for (const project of projects) {
+      projectsBySlug.set(project.slug, project);
+      for (const contract of project.contracts) {
+        contractsByAddress.set(
+          contract.address.toLowerCase(),
+          deepFreeze({ project: project.slug, ...contract })
+        );
+      }
+    }
+
+    cache = {
+      tokens: deepFreeze(tokens),
+      projects: deepFreeze(projects),
+      loadErrors: deepFreeze(loadErrors),
+      tokensByAddress,
+      tokensBySymbol,
+      projectsBySlug,
+      contractsByAddress,
+    };
+    return cache;
+  }
+
+  /**
+   * Get all validated tokens
+   * @returns {ReadonlyArray<Object>} Frozen token entries
+   */
+  function getTokens() {
+    return load().tokens;
+  }
+
+  /**
+   * Find a token by contract address (case-insensitive)
+   * @param {string} address - Token address
+   * @returns {Object|null} Frozen token entry or null
+   */
+  function getTokenByAddress(address) {
+    if (typeof address !== 'string') return null;
+    return load().tokensByAddress.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Find a token by symbol (case-insensitive)
+   * @param {string} symbol - Token symbol
+   * @returns {Object|null} Frozen token entry or null
+   */
+  function getTokenBySymbol(symbol) {
+    if (typeof symbol !== 'string') return null;
+    return load().tokensBySymbol.get(symbol.toUpperCase()) || null;
+  }
+
+  /**
+   * Get all validated contract projects
+   * @returns {ReadonlyArray<Object>} Frozen project entries (info.json plus `slug`)
+   */
+  function getProjects() {
+    return load().projects;
+  }
+
+  /**
+   * Find a project by its directory slug
+   * @param {string} slug - Project slug (e.g., 'vinuswap')
+   * @returns {Object|null} Frozen project entry or null
+   */
+  function getProject(slug) {
+    return load().projectsBySlug.get(slug) || null;
+  }
+
+  /**
+   * Find a contract by address (case-insensitive)
+   * @param {string} address - Contract address
+   * @returns {Object|null} Frozen contract entry with its `project` slug, or null
+   */
+  function getContract(address) {
+    if (typeof address !== 'string') return null;
+    return load().contractsByAddress.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Collect the red flags that concern an address (case-insensitive)
+   * A token carries its own flags and, with a `project`, those of the project; a contract carries
+   * its own flags and those of its project. Flags of every status are returned.
+   * @param {string} address - Token or contract address
+   * @returns {ReadonlyArray<Object>} Frozen red flags, each with its `source` ('token', 'project' or
+   *   'contract'); empty if the address is unknown or not flagged
+   */
+  function getRedFlags(address) {
+    const token = getTokenByAddress(address);
+    const contract = getContract(address);
+    const slug = (token && token.project) || (contract && contract.project);
+    const project = slug ? getProject(slug) : null;
+
+    const tagged = (entry, source) => ((entry && entry.redFlags) || []).map(flag => ({ ...flag, source }));
+    return deepFreeze([
+      ...tagged(token, 'token'),
+      ...tagged(contract, 'contract'),
+      ...tagged(project, 'project'),
+    ]);
+  }
+
+  /**
+   * Compute the risk score of an address from its open red flags (see getRedFlags)
+   * @param {string} address - Token or contract address
+   * @returns {number} Risk score from 0 to 100
+   */
+  function getRiskScore(address) {
+    return computeRiskScore(getRedFlags(address));
+  }
+
+  /**
+   * Load the ABI of a contract listed in a project
+   * @param {string} projectSlug - Project slug
+   * @param {string} contractName - Contract name as listed in info.json
+   * @returns {ReadonlyArray<Object>|null} Frozen ABI, or null if the contract is not listed
+   * @throws {Error} If the ABI file is missing or invalid
+   */
+  function getAbi(projectSlug, contractName) {
+    const project = getProject(projectSlug);
+    if (!project || !project.contracts.some(c => c.name === contractName)) {
+      return null;
+    }
+
+    const cacheKey = `${projectSlug}/${contractName}`;
+    if (abiCache.has(cacheKey)) {
+      return abiCache.get(cacheKey);
+    }
+
+    const pathResult = safePathJoin(contractsDir, projectSlug, `${contractName}_abi.json`);
+    if (!pathResult.valid) {
+      throw new Error(pathResult.error);
+    }
+
+    const abi = safeReadJSON(pathResult.path);
+    const abiValidation = validateABI(abi, contractName);
+    if (!abiValidation.valid) {
+      throw new Error(abiValidation.error);
+    }
+
+    const frozen = deepFreeze(abi);
+    abiCache.set(cacheKey, frozen);
+    return frozen;
+  }
+
+  /**
+   * Get entries skipped while loading because they failed validation
+   * @returns {ReadonlyArray<string>} Frozen list of error messages
+   */
+  function getLoadErrors() {
+    return load().loadErrors;
+  }
+
+  /**
+   * Drop cached data so the next call re-reads the repository
+   */
+  function reload() {
+    cache = null;
+    abiCache.clear();
+  }
+
+  return {
+    getTokens,
+    getTokenByAddress,
+    getTokenBySymbol,
+    getProjects,
+    getProject,
+    getContract,
+    getRedFlags,
+    getRiskScore,
+    getAbi,
+    getLoadErrors,
+    reload,
+  };
+}
+
+// Default registry over this package's own data
+const registry = createRegistry();
+
+module.exports = {
+  ...registry,
+  createRegistry,
+};
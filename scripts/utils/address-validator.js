@@ -122,28 +122,37 @@ function validateAddressMatchesDirectory(address, dirName) {
  * @param {string} address - Address to validate
  * @param {string} dirName - Directory name
  * @param {string} context - Context for errors
- * @returns {{valid: boolean, checksummed?: string, error?: string}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Run every check instead of stopping at the first failure
+ * @returns {{valid: boolean, checksummed?: string, error?: string, errors?: string[]}} Validation result
  */
-function validateTokenAddress(address, dirName, context) {
-  // 1. Validate directory name is safe
-  const dirValidation = validateAddressDirectory(dirName, path.dirname(path.dirname(__filename)));
-  if (!dirValidation.valid) {
-    return dirValidation;
-  }
-
-  // 2. Validate EIP-55 checksum
-  const checksumValidation = validateEIP55Checksum(address, context);
-  if (!checksumValidation.valid) {
-    return checksumValidation;
+function validateTokenAddress(address, dirName, context, { exhaustive = false } = {}) {
+  const checks = [
+    // 1. Validate directory name is safe
+    () => validateAddressDirectory(dirName, path.dirname(path.dirname(__filename))),
+    // 2. Validate EIP-55 checksum
+    () => validateEIP55Checksum(address, context),
+    // 3. Validate address matches directory
+    () => validateAddressMatchesDirectory(address, dirName),
+  ];
+
+  const errors = [];
+  let checksummed;
+
+  for (const check of checks) {
+    const result = check();
+    if (result.checksummed) checksummed = result.checksummed;
+    if (!result.valid) {
+      if (!exhaustive) return result;
+      errors.push(result.error);
+    }
   }
 
-  // 3. Validate address matches directory
-  const matchValidation = validateAddressMatchesDirectory(address, dirName);
-  if (!matchValidation.valid) {
-    return matchValidation;
+  if (errors.length > 0) {
+    return { valid: false, checksummed, error: errors[0], errors };
   }
 
-  return { valid: true, checksummed: checksumValidation.checksummed };
+  return { valid: true, checksummed };
 }
 
 module.exports = {
@@ -0,0 +1,191 @@
+/**
+ * EVM bytecode utilities
+ * Extracts function selectors from a contract's dispatcher and compares runtime bytecode
+ */
+
+// Opcodes used to recognize dispatcher comparisons
+const OPCODES = {
+  PUSH1: 0x60,
+  PUSH4: 0x63,
+  PUSH32: 0x7f,
+  EQ: 0x14,
+  GT: 0x11,
+  LT: 0x10,
+  DUP1: 0x80,
+  DUP16: 0x8f,
+};
+
+const COMPARISONS = [OPCODES.EQ, OPCODES.GT, OPCODES.LT];
+
+/**
+ * Walk bytecode instructions, skipping PUSH immediates
+ * @param {Buffer} code - Runtime bytecode
+ * @returns {Array<{opcode: number, value?: number}>} Instructions; PUSH1-PUSH4 carry their immediate value
+ */
+function decodeInstructions(code) {
+  const instructions = [];
+
+  for (let pc = 0; pc < code.length; pc++) {
+    const opcode = code[pc];
+    if (opcode >= OPCODES.PUSH1 && opcode <= OPCODES.PUSH32) {
+      const size = opcode - OPCODES.PUSH1 + 1;
+      const instruction = { opcode };
+      if (size <= 4 && pc + size < code.length) {
+        instruction.value = code.readUIntBE(pc + 1, size);
+      }
+      instructions.push(instruction);
+      pc += size;
+    } else {
+      instructions.push({ opcode });
+    }
+  }
+
+  return instructions;
+}
+
+/**
+ * Extract the function selectors a contract dispatches on
+ * Solidity dispatchers compare the call's selector against PUSH4 constants
+ * (PUSH1-PUSH3 when the selector has leading zero bytes) with EQ, or GT/LT in
+ * binary-search dispatchers. Constants that happen to look like selectors may be
+ * included, so the result is suited to checking that selectors are present.
+ * @param {string} bytecode - Runtime bytecode as a 0x-prefixed hex string
+ * @returns {Set<string>} Selectors as 0x-prefixed 8-digit hex strings
+ */
+function extractSelectors(bytecode) {
+  const selectors = new Set();
+  if (typeof bytecode !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(bytecode)) {
+    return selectors;
+  }
+
+  const instructions = decodeInstructions(Buffer.from(bytecode.slice(2), 'hex'));
+  const toSelector = value => `0x${value.toString(16).padStart(8, '0')}`;
+
+  instructions.forEach((instruction, i) => {
+    if (instruction.value === undefined) return;
+
+    // Any 4-byte constant may be a selector (EQ chains and binary-search pivots)
+    if (instruction.opcode === OPCODES.PUSH4) {
+      selectors.add(toSelector(instruction.value));
+      return;
+    }
+
+    // Shorter constants only count when compared (selectors with leading zero bytes),
+    // allowing one DUP in between
+    let next = instructions[i + 1];
+    if (next && next.opcode >= OPCODES.DUP1 && next.opcode <= OPCODES.DUP16) {
+      next = instructions[i + 2];
+    }
+    if (next && COMPARISONS.includes(next.opcode)) {
+      selectors.add(toSelector(instruction.value));
+    }
+  });
+
+  return selectors;
+}
+
+/**
+ * Extract an address stored in a 32-byte storage word
+ * @param {string} word - 0x-prefixed 32-byte hex value (e.g., from eth_getStorageAt)
+ * @returns {string|null} Lowercase address, or null if the word is zero or malformed
+ */
+function addressFromStorageWord(word) {
+  if (typeof word !== 'string' || !/^0x[0-9a-fA-F]{1,64}$/.test(word)) return null;
+
+  const hex = word.slice(2).padStart(64, '0').slice(-40);
+  if (/^0+$/.test(hex)) return null;
+  return `0x${hex.toLowerCase()}`;
+}
+
+// CBOR metadata keys followed by the length of the source hash they carry, as hex
+// ("ipfs" + bytes(34), "bzzr0"/"bzzr1" + bytes(32))
+const METADATA_HASH_MARKERS = [
+  { marker: '64697066735822', bytes: 34 },
+  { marker: '65627a7a72305820', bytes: 32 },
+  { marker: '65627a7a72315820', bytes: 32 },
+];
+
+// Library runtime code starts with PUSH20 <own address> ADDRESS EQ (call protection);
+// the compiler emits a zero address that is replaced at deployment
+const LIBRARY_PREFIX = `73${'0'.repeat(40)}3014`;
+
+/**
+ * Normalize bytecode to lowercase hex without 0x prefix
+ * @param {string} bytecode - Bytecode with or without 0x prefix
+ * @returns {string} Hex digits
+ */
+function toHex(bytecode) {
+  return String(bytecode).replace(/^0x/i, '').toLowerCase();
+}
+
+/**
+ * Zero out byte ranges of a hex string
+ * @param {string} hex - Hex digits
+ * @param {Array<{start: number, length: number}>} ranges - Byte ranges
+ * @returns {string} Hex digits with the ranges zeroed
+ */
+function maskRanges(hex, ranges) {
+  let masked = hex;
+  for (const { start, length } of ranges) {
+    if (start * 2 + length * 2 > masked.length) continue;
+    masked = masked.slice(0, start * 2) + '0'.repeat(length * 2) + masked.slice((start + length) * 2);
+  }
+  return masked;
+}
+
+/**
+ * Find the source hashes embedded in solc metadata
+ * Contracts that create other contracts embed their creation code, so there may be several
+ * @param {string} hex - Hex digits of runtime bytecode
+ * @returns {Array<{start: number, length: number}>} Byte ranges of the hashes
+ */
+function findMetadataHashes(hex) {
+  const ranges = [];
+
+  for (const { marker, bytes } of METADATA_HASH_MARKERS) {
+    let index = hex.indexOf(marker);
+    while (index !== -1) {
+      if (index % 2 === 0) {
+        ranges.push({ start: (index + marker.length) / 2, length: bytes });
+      }
+      index = hex.indexOf(marker, index + 1);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Compare deployed runtime bytecode with compiler output
+ * Immutable values (and a library's own address) are set at deployment, so they are ignored.
+ * The result is 'verified' when everything else is identical, 'partial' when only the metadata
+ * hashes differ (same code, different source text or metadata, e.g. comments or file paths) and
+ * 'mismatch' otherwise.
+ * @param {string} deployed - Runtime bytecode from eth_getCode
+ * @param {string} compiled - Linked deployedBytecode from the compiler
+ * @param {Object<string, Array<{start: number, length: number}>>} [immutableReferences] - Immutable
+ *   positions from the compiler output (evm.deployedBytecode.immutableReferences)
+ * @returns {'verified'|'partial'|'mismatch'} Comparison result
+ */
+function compareRuntimeBytecode(deployed, compiled, immutableReferences = {}) {
+  const ranges = Object.values(immutableReferences).flat();
+  if (toHex(compiled).startsWith(LIBRARY_PREFIX)) {
+    ranges.push({ start: 1, length: 20 });
+  }
+
+  const onChain = maskRanges(toHex(deployed), ranges);
+  const expected = maskRanges(toHex(compiled), ranges);
+
+  if (onChain.length === 0 || onChain.length !== expected.length) return 'mismatch';
+  if (onChain === expected) return 'verified';
+
+  const withoutHashes = hex => maskRanges(hex, findMetadataHashes(hex));
+  return withoutHashes(onChain) === withoutHashes(expected) ? 'partial' : 'mismatch';
+}
+
+module.exports = {
+  extractSelectors,
+  addressFromStorageWord,
+  findMetadataHashes,
+  compareRuntimeBytecode,
+};
@@ -0,0 +1,41 @@
+/**
+ * Confusable text detection for token symbols and names
+ * Two strings are confusable when they render (nearly) alike: Unicode lookalikes such as Cyrillic
+ * "А" for Latin "A", and the ASCII pairs l/I/1 and O/0. Detection compares skeletons built from
+ * the Unicode confusables data (UTS #39).
+ */
+
+const { rectifyConfusion } = require('unicode-confusables');
+
+/**
+ * Reduce text to its confusable skeleton
+ * Marks are removed after decomposition, so accented letters match their base letter.
+ * Zero-width characters are dropped and whitespace is collapsed.
+ * @param {string} text - Symbol or name
+ * @returns {string} Skeleton; equal skeletons look alike
+ */
+function skeleton(text) {
+  return rectifyConfusion(text.normalize('NFD'))
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether two strings look alike
+ * The strings are compared as written and in lower case. Lower case catches names that only
+ * differ in case; comparing as written as well catches "I" and "l", which only look alike
+ * when one of them is upper case.
+ * @param {string} a - Symbol or name
+ * @param {string} b - Symbol or name
+ * @returns {boolean} True if the strings are identical or confusable
+ */
+function isConfusable(a, b) {
+  return skeleton(a) === skeleton(b) || skeleton(a.toLowerCase()) === skeleton(b.toLowerCase());
+}
+
+module.exports = {
+  skeleton,
+  isConfusable,
+};
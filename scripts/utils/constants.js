@@ -3,9 +3,14 @@
   */
 
 module.exports = {
+  // Network
+  CHAIN_ID: 207, // VinuChain mainnet
+  RPC_TIMEOUT: 15000, // Per-request JSON-RPC timeout (ms) for on-chain verification
+
   // File size limits
   MAX_FILE_SIZE: 100 * 1024, // 100KB
   MAX_SOLIDITY_FILE_SIZE: 500 * 1024, // 500KB for Solidity files
+  MAX_AUDIT_REPORT_SIZE: 10 * 1024 * 1024, // 10MB for audit report PDFs
 
   // Address validation
   ADDRESS_LENGTH: 42, // 0x + 40 hex characters
@@ -19,17 +24,68 @@ module.exports = {
   SYMBOL_MAX_LENGTH: 20,
   NAME_MIN_LENGTH: 1,
   NAME_MAX_LENGTH: 100,
+  LOGO_SIMILARITY_THRESHOLD: 0.92, // Share of matching perceptual hash bits that flags a copied logo
+
+  // Major assets whose symbols new tokens must not claim (symbol -> name) unless allow-listed
+  // in config/token-allowlist.json, e.g. bridged variants
+  WELL_KNOWN_ASSETS: {
+    BTC: 'Bitcoin',
+    ETH: 'Ether',
+    USDT: 'Tether USD',
+    USDC: 'USD Coin',
+    BNB: 'BNB',
+    XRP: 'XRP',
+    SOL: 'Solana',
+    ADA: 'Cardano',
+    DOGE: 'Dogecoin',
+    TRX: 'TRON',
+    TON: 'Toncoin',
+    DOT: 'Polkadot',
+    AVAX: 'Avalanche',
+    MATIC: 'Polygon',
+    POL: 'Polygon Ecosystem Token',
+    LTC: 'Litecoin',
+    BCH: 'Bitcoin Cash',
+    SHIB: 'Shiba Inu',
+    LINK: 'Chainlink',
+    UNI: 'Uniswap',
+    ATOM: 'Cosmos',
+    XLM: 'Stellar',
+    XMR: 'Monero',
+    DAI: 'Dai',
+    BUSD: 'Binance USD',
+    TUSD: 'TrueUSD',
+    FDUSD: 'First Digital USD',
+    PYUSD: 'PayPal USD',
+    WBTC: 'Wrapped Bitcoin',
+    WETH: 'Wrapped Ether',
+    WBNB: 'Wrapped BNB',
+  },
 
   // Rate limiting
   MAX_TOKENS: 10,
   MAX_PROJECTS: 10,
   MAX_CONTRACTS_PER_PROJECT: 50,
-  MAX_RED_FLAGS: 10,
+  MAX_RED_FLAGS: 10, // Open critical red flags per token
+
+  // Risk score: open red flags weighted by severity, capped at MAX_RISK_SCORE
+  RED_FLAG_WEIGHTS: {
+    critical: 40,
+    high: 20,
+    medium: 10,
+    low: 5,
+    info: 0,
+  },
+  MAX_RISK_SCORE: 100,
 
   // URL validation
   MAX_URL_LENGTH: 500,
   URL_HTTPS_PATTERN: /^https:\/\/[^\s]+$/,
 
+  // Fields validated as URLs (SSRF protection); 'support' is an email field
+  TOKEN_URL_FIELDS: ['logoURI', 'website', 'github', 'twitter', 'telegram', 'discord', 'coingecko', 'coinmarketcap'],
+  PROJECT_URL_FIELDS: ['website', 'github', 'twitter', 'telegram', 'discord'],
+
   // SSRF Protection - Blocked hosts
   BLOCKED_HOSTS: [
     'localhost',
@@ -81,22 +137,26 @@ module.exports = {
 
   // Contract validation
   SAFE_CONTRACT_NAME_PATTERN: /^[A-Z][a-zA-Z0-9]*$/, // PascalCase only (addresses CRITICAL-01)
-
-  // Solidity validation
-  DANGEROUS_SOLIDITY_PATTERNS: {
-    selfdestruct: /selfdestruct\s*\(/,
-    suicide: /suicide\s*\(/,
-    delegatecall: /delegatecall\s*\(/,
-    txOrigin: /tx\.origin/,
-    blockhash: /blockhash\s*\(/,
-    callcode: /callcode\s*\(/,
-  },
+  RETIRED_CONTRACT_STATUSES: ['deprecated', 'migrated'], // Lifecycle statuses of deployments no longer in use
 
   // ABI validation
   VALID_ABI_TYPES: ['function', 'constructor', 'event', 'fallback', 'receive', 'error'],
   VALID_STATE_MUTABILITY: ['pure', 'view', 'nonpayable', 'payable'],
   ABI_FUNCTION_NAME_PATTERN: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
 
+  // Token list build
+  TOKEN_LIST_NAME: 'VinuChain Lists',
+  TOKEN_LIST_KEYWORDS: ['vinuchain', 'vinu'],
+  REGISTRY_RAW_BASE_URL: 'https://raw.githubusercontent.com/VinuChain/vinuchain-lists/main',
+  TOKEN_LIST_LOGO_URI:
+    'https://raw.githubusercontent.com/VinuChain/vinuchain-lists/main/tokens/' +
+    '0xEd8c5530a0A086a12f57275728128a60DFf04230/0xEd8c5530a0A086a12f57275728128a60DFf04230.png',
+
+  // Logo assets build (compiled/assets is published as static files at LOGO_ASSETS_BASE_URL)
+  LOGO_VARIANT_SIZES: [32, 64, 128, 256], // Square PNG and WebP variants per raster logo (px)
+  TOKEN_LIST_LOGO_SIZE: 64, // Variant used as the token list logoURI (token-lists recommends 64x64)
+  LOGO_ASSETS_BASE_URL: 'https://vinuchain.github.io/vinuchain-lists/assets',
+
   // Terminal colors
   COLORS: {
     RESET: '\x1b[0m',
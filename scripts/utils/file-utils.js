@@ -111,14 +111,21 @@ function checkFileAccess(filePath) {
 
 /**
  * Safely read file with existence check in single operation
- * Avoids TOCTOU race condition
+ * Avoids TOCTOU race condition; the size is checked on the open file before reading it
  * @param {string} filePath - Path to read
- * @param {string} encoding - File encoding (default: utf8)
- * @returns {{success: boolean, content?: string, error?: string}} Read result
+ * @param {string|null} encoding - File encoding (default: utf8; null reads a Buffer)
+ * @param {number} [maxSize] - Maximum file size in bytes
+ * @returns {{success: boolean, content?: string|Buffer, error?: string}} Read result
  */
-function safeReadFile(filePath, encoding = 'utf8') {
+function safeReadFile(filePath, encoding = 'utf8', maxSize = Infinity) {
+  let fd;
   try {
-    const content = fs.readFileSync(filePath, encoding);
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+    if (size > maxSize) {
+      return { success: false, error: `File too large: ${size} bytes (max: ${maxSize} bytes)` };
+    }
+    const content = fs.readFileSync(fd, encoding);
     return { success: true, content };
   } catch (e) {
     if (e.code === 'ENOENT') {
@@ -128,6 +135,8 @@ function safeReadFile(filePath, encoding = 'utf8') {
     } else {
       return { success: false, error: `Error reading file: ${e.message}` };
     }
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
   }
 }
 
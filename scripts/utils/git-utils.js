@@ -0,0 +1,129 @@
+/**
+ * Git helpers for incremental validation
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { CHAIN_ID } = require('./constants');
+const { networkPath } = require('./networks');
+
+// Branch names, tags, SHAs and simple revision suffixes (e.g. origin/main, HEAD~1)
+const GIT_REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/~^@{}-]*$/;
+const MAX_GIT_REF_LENGTH = 255;
+
+// Changes under these paths affect every entry, so everything is revalidated
+const GLOBAL_PATH_PREFIXES = ['schemas/', 'config/'];
+
+/**
+ * Validate a git ref supplied on the command line
+ * Rejects option-like values and shell metacharacters
+ * @param {string} ref - Git ref (branch, tag, or SHA)
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+function validateGitRef(ref) {
+  if (typeof ref !== 'string' || ref.length === 0) {
+    return { valid: false, error: 'Git ref must be a non-empty string' };
+  }
+
+  if (ref.length > MAX_GIT_REF_LENGTH) {
+    return { valid: false, error: `Git ref too long (max: ${MAX_GIT_REF_LENGTH} chars)` };
+  }
+
+  if (!GIT_REF_PATTERN.test(ref) || ref.includes('..')) {
+    return { valid: false, error: `Invalid git ref: ${ref}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} Command output
+ */
+function runGit(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 10 * 1024 * 1024,
+  }).trim();
+}
+
+/**
+ * List files changed since a base ref, including uncommitted and untracked files
+ * Diffs against the merge base so commits that only exist on the base branch are ignored
+ * @param {string} ref - Base ref (e.g., 'origin/main')
+ * @param {string} cwd - Repository directory
+ * @returns {{success: boolean, files?: string[], error?: string}} Changed paths relative to the repo root
+ */
+function getChangedFiles(ref, cwd) {
+  const refValidation = validateGitRef(ref);
+  if (!refValidation.valid) {
+    return { success: false, error: refValidation.error };
+  }
+
+  try {
+    const root = runGit(['rev-parse', '--show-toplevel'], cwd);
+    const base = runGit(['merge-base', ref, 'HEAD'], root);
+    const diffed = runGit(['diff', '--name-only', '--no-renames', base, '--'], root);
+    const untracked = runGit(['ls-files', '--others', '--exclude-standard'], root);
+
+    const files = [...diffed.split('\n'), ...untracked.split('\n')]
+      .map(f => f.trim())
+      .filter(Boolean);
+
+    return { success: true, files: [...new Set(files)].sort() };
+  } catch (e) {
+    const detail = e.stderr ? String(e.stderr).trim() : e.message;
+    return { success: false, error: `git failed for ref ${ref}: ${detail}` };
+  }
+}
+
+/**
+ * Map changed file paths to the registry entries of a network they belong to
+ * @param {string[]} files - Paths relative to the repository root (forward slashes)
+ * @param {number} [chainId] - Network whose entries are collected (defaults to VinuChain mainnet)
+ * @returns {{all: boolean, tokens: Set<string>, projects: Set<string>}} Touched token directories and project slugs
+ */
+function getChangedEntries(files, chainId = CHAIN_ID) {
+  const tokens = new Set();
+  const projects = new Set();
+  const prefix = networkPath(chainId) ? `${networkPath(chainId)}/` : '';
+  let all = false;
+
+  for (const file of files) {
+    const normalized = file.split(path.sep).join('/');
+
+    if (GLOBAL_PATH_PREFIXES.some(prefix => normalized.startsWith(prefix))) {
+      all = true;
+      continue;
+    }
+
+    if (!normalized.startsWith(prefix)) continue;
+    const relative = normalized.slice(prefix.length);
+
+    // tokens/<address>/<file>
+    const tokenMatch = relative.match(/^tokens\/([^/]+)\/[^/]+$/);
+    if (tokenMatch) {
+      tokens.add(tokenMatch[1]);
+      continue;
+    }
+
+    // contracts/<project>/<path>, including nested files such as interfaces/ imports and audits/ reports
+    const projectMatch = relative.match(/^contracts\/([^/]+)\/.+$/);
+    if (projectMatch) {
+      projects.add(projectMatch[1]);
+    }
+  }
+
+  return { all, tokens, projects };
+}
+
+module.exports = {
+  validateGitRef,
+  getChangedFiles,
+  getChangedEntries,
+};
@@ -0,0 +1,375 @@
+/**
+ * Image header parsing
+ * Reads dimensions and alpha support from PNG, JPEG and WebP files and checks that the file
+ * structure backs up its headers (chunk bounds and checksums, image data, end markers)
+ */
+
+const zlib = require('zlib');
+
+// PNG images are inflated to check their data; larger images are rejected rather than decoded
+const MAX_DECODE_DIMENSION = 4096;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Allowed bit depths per PNG color type, and the samples per pixel of each
+const PNG_COLOR_TYPES = {
+  0: { depths: [1, 2, 4, 8, 16], channels: 1, alpha: false }, // Grayscale
+  2: { depths: [8, 16], channels: 3, alpha: false },          // RGB
+  3: { depths: [1, 2, 4, 8], channels: 1, alpha: false },     // Palette
+  4: { depths: [8, 16], channels: 2, alpha: true },           // Grayscale + alpha
+  6: { depths: [8, 16], channels: 4, alpha: true },           // RGBA
+};
+
+// Adam7 passes: [x offset, y offset, x step, y step]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+// JPEG SOFn markers (C4 is DHT, C8 is reserved, CC is DAC)
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+let crcTable;
+
+/**
+ * Compute the CRC-32 used by PNG chunks
+ * @param {Buffer} buffer - Chunk type and data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Byte length of the filtered scanlines of a PNG image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} bitsPerPixel - Bit depth times samples per pixel
+ * @param {boolean} interlaced - Adam7 interlacing
+ * @returns {Array<{rows: number, rowBytes: number}>} Sub-images (one unless interlaced); each row
+ *   is preceded by a filter type byte
+ */
+function pngScanlines(width, height, bitsPerPixel, interlaced) {
+  const passes = interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]];
+  return passes
+    .map(([x, y, dx, dy]) => ({
+      columns: Math.ceil(Math.max(0, width - x) / dx),
+      rows: Math.ceil(Math.max(0, height - y) / dy),
+    }))
+    .filter(({ columns, rows }) => columns > 0 && rows > 0)
+    .map(({ columns, rows }) => ({ rows, rowBytes: Math.ceil((columns * bitsPerPixel) / 8) }));
+}
+
+/**
+ * Parse a PNG file
+ * @param {Buffer} buffer - File content
+ * @returns {{valid: boolean, width?: number, height?: number, alpha?: boolean, error?: string}} Parse result
+ */
+function parsePng(buffer) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      return { valid: false, error: 'PNG chunk header is truncated' };
+    }
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (!/^[A-Za-z]{4}$/.test(type)) {
+      return { valid: false, error: `PNG chunk at byte ${offset} has an invalid type` };
+    }
+    if (end > buffer.length) {
+      return { valid: false, error: `PNG ${type} chunk is truncated` };
+    }
+    if (crc32(buffer.subarray(offset + 4, end - 4)) !== buffer.readUInt32BE(end - 4)) {
+      return { valid: false, error: `PNG ${type} chunk checksum does not match` };
+    }
+
+    chunks.push({ type, data: buffer.subarray(offset + 8, end - 4) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  if (chunks.length === 0 || chunks[0].type !== 'IHDR' || chunks[0].data.length !== 13) {
+    return { valid: false, error: 'PNG does not start with an IHDR chunk' };
+  }
+  if (chunks[chunks.length - 1].type !== 'IEND') {
+    return { valid: false, error: 'PNG is truncated (no IEND chunk)' };
+  }
+
+  const ihdr = chunks[0].data;
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  const [depth, colorType, compression, filter, interlace] = ihdr.subarray(8);
+  const color = PNG_COLOR_TYPES[colorType];
+
+  if (width === 0 || height === 0) {
+    return { valid: false, error: `PNG has invalid dimensions ${width}x${height}` };
+  }
+  if (!color || !color.depths.includes(depth) || compression !== 0 || filter !== 0 || interlace > 1) {
+    return {
+      valid: false,
+      error: `PNG IHDR has an invalid format (color type ${colorType}, bit depth ${depth})`,
+    };
+  }
+  if (width > MAX_DECODE_DIMENSION || height > MAX_DECODE_DIMENSION) {
+    return {
+      valid: false,
+      error: `PNG is ${width}x${height}px, larger than ${MAX_DECODE_DIMENSION}px cannot be checked`,
+    };
+  }
+  if (colorType === 3 && !chunks.some(chunk => chunk.type === 'PLTE')) {
+    return { valid: false, error: 'PNG palette image has no PLTE chunk' };
+  }
+
+  const idat = chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data);
+  if (idat.length === 0) {
+    return { valid: false, error: 'PNG has no image data (IDAT chunk)' };
+  }
+
+  // The header's dimensions must account for exactly the decompressed image data
+  const scanlines = pngScanlines(width, height, depth * color.channels, interlace === 1);
+  const expected = scanlines.reduce((sum, { rows, rowBytes }) => sum + rows * (rowBytes + 1), 0);
+  let data;
+  try {
+    data = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expected + 1 });
+  } catch (e) {
+    const reason = e.code === 'ERR_BUFFER_TOO_LARGE' ? 'more data than its dimensions' : e.message;
+    return { valid: false, error: `PNG image data is corrupt: ${reason}` };
+  }
+  if (data.length !== expected) {
+    return {
+      valid: false,
+      error: `PNG image data is ${data.length} bytes, ${width}x${height}px requires ${expected}`,
+    };
+  }
+
+  let row = 0;
+  for (const { rows, rowBytes } of scanlines) {
+    for (let i = 0; i < rows; i++, row += rowBytes + 1) {
+      if (data[row] > 4) {
+        return { valid: false, error: `PNG image data is corrupt: invalid filter type ${data[row]}` };
+      }
+    }
+  }
+
+  const alpha = color.alpha || chunks.some(chunk => chunk.type === 'tRNS');
+  return { valid: true, width, height, alpha };
+}
+
+/**
+ * Parse a JPEG file
+ * Segments are walked up to the end-of-image marker; the entropy-coded data is not decoded.
+ * @param {Buffer} buffer - File content
+ * @returns {{valid: boolean, width?: number, height?: number, alpha?: boolean, error?: string}} Parse result
+ */
+function parseJpeg(buffer) {
+  let offset = 2;
+  let frame = null;
+  let scans = 0;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return { valid: false, error: `JPEG has no marker at byte ${offset}` };
+    }
+    // Markers may be preceded by any number of 0xFF fill bytes
+    while (buffer[offset] === 0xff && offset < buffer.length) offset++;
+    if (offset >= buffer.length) break;
+
+    const marker = buffer[offset++];
+    if (marker === 0xd9) {
+      if (!frame || scans === 0) {
+        return { valid: false, error: 'JPEG ends before its image data' };
+      }
+      return { valid: true, width: frame.width, height: frame.height, alpha: false };
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      continue;
+    }
+
+    if (offset + 2 > buffer.length) break;
+    const length = buffer.readUInt16BE(offset);
+    if (length < 2 || offset + length > buffer.length) {
+      return { valid: false, error: `JPEG segment 0x${marker.toString(16).toUpperCase()} is truncated` };
+    }
+    const segment = buffer.subarray(offset + 2, offset + length);
+    offset += length;
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      if (segment.length < 6 || segment.length !== 6 + segment[5] * 3) {
+        return { valid: false, error: 'JPEG frame header is malformed' };
+      }
+      frame = { height: segment.readUInt16BE(1), width: segment.readUInt16BE(3) };
+      if (frame.width === 0 || frame.height === 0) {
+        return { valid: false, error: `JPEG has invalid dimensions ${frame.width}x${frame.height}` };
+      }
+    } else if (marker === 0xda) {
+      if (!frame) {
+        return { valid: false, error: 'JPEG image data precedes its frame header' };
+      }
+      scans++;
+      // Skip entropy-coded data: 0xFF is followed by a stuffed 0x00 or a restart marker inside it
+      while (offset + 1 < buffer.length &&
+        !(buffer[offset] === 0xff && buffer[offset + 1] !== 0x00 &&
+          !(buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7))) {
+        offset++;
+      }
+      if (offset + 1 >= buffer.length) break;
+    }
+  }
+
+  return { valid: false, error: 'JPEG is truncated (no end-of-image marker)' };
+}
+
+/**
+ * Parse a WebP file (lossy VP8, lossless VP8L or extended VP8X)
+ * @param {Buffer} buffer - File content
+ * @returns {{valid: boolean, width?: number, height?: number, alpha?: boolean, error?: string}} Parse result
+ */
+function parseWebp(buffer) {
+  const riffEnd = buffer.readUInt32LE(4) + 8;
+  if (riffEnd > buffer.length) {
+    return {
+      valid: false,
+      error: `WebP is truncated (RIFF size ${riffEnd} bytes, file ${buffer.length} bytes)`,
+    };
+  }
+
+  const chunks = [];
+  for (let offset = 12; offset < riffEnd;) {
+    if (offset + 8 > riffEnd) {
+      return { valid: false, error: 'WebP chunk header is truncated' };
+    }
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (offset + 8 + size > riffEnd) {
+      return { valid: false, error: `WebP ${type.trim()} chunk is truncated` };
+    }
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + size) });
+    // Chunks are padded to an even size
+    offset += 8 + size + (size % 2);
+  }
+
+  if (chunks.length === 0) {
+    return { valid: false, error: 'WebP has no image data' };
+  }
+
+  const [first] = chunks;
+  if (first.type !== 'VP8X') {
+    return parseWebpBitstream(first);
+  }
+
+  if (first.data.length < 10) {
+    return { valid: false, error: 'WebP VP8X chunk is truncated' };
+  }
+  const flags = first.data[0];
+  const width = first.data.readUIntLE(4, 3) + 1;
+  const height = first.data.readUIntLE(7, 3) + 1;
+  const animated = (flags & 0x02) !== 0;
+  const alpha = (flags & 0x10) !== 0;
+
+  if (animated) {
+    if (!chunks.some(chunk => chunk.type === 'ANMF')) {
+      return { valid: false, error: 'Animated WebP has no frames' };
+    }
+    return { valid: true, width, height, alpha };
+  }
+
+  const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+  if (!image) {
+    return { valid: false, error: 'WebP has no image data' };
+  }
+  const bitstream = parseWebpBitstream(image);
+  if (!bitstream.valid) {
+    return bitstream;
+  }
+  if (bitstream.width !== width || bitstream.height !== height) {
+    return {
+      valid: false,
+      error: `WebP canvas is ${width}x${height}px but its image is ${bitstream.width}x${bitstream.height}px`,
+    };
+  }
+  return { valid: true, width, height, alpha };
+}
+
+/**
+ * Parse the header of a WebP VP8 or VP8L bitstream chunk
+ * @param {{type: string, data: Buffer}} chunk - Image chunk
+ * @returns {{valid: boolean, width?: number, height?: number, alpha?: boolean, error?: string}} Parse result
+ */
+function parseWebpBitstream({ type, data }) {
+  if (type === 'VP8 ') {
+    if (data.length < 10) {
+      return { valid: false, error: 'WebP VP8 chunk is truncated' };
+    }
+    const tag = data.readUIntLE(0, 3);
+    if ((tag & 1) !== 0 || data[3] !== 0x9d || data[4] !== 0x01 || data[5] !== 0x2a) {
+      return { valid: false, error: 'WebP VP8 chunk is not a key frame' };
+    }
+    if ((tag >>> 5) > data.length - 10) {
+      return { valid: false, error: 'WebP VP8 partition is truncated' };
+    }
+    const width = data.readUInt16LE(6) & 0x3fff;
+    const height = data.readUInt16LE(8) & 0x3fff;
+    if (width === 0 || height === 0) {
+      return { valid: false, error: `WebP has invalid dimensions ${width}x${height}` };
+    }
+    return { valid: true, width, height, alpha: false };
+  }
+
+  if (type === 'VP8L') {
+    if (data.length < 5 || data[0] !== 0x2f) {
+      return { valid: false, error: 'WebP VP8L chunk has no lossless signature' };
+    }
+    const bits = data.readUInt32LE(1);
+    if (bits >>> 29 !== 0) {
+      return { valid: false, error: `WebP VP8L version ${bits >>> 29} is not supported` };
+    }
+    return {
+      valid: true,
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      alpha: ((bits >>> 28) & 1) === 1,
+    };
+  }
+
+  return { valid: false, error: `WebP starts with an unexpected ${type.trim()} chunk` };
+}
+
+/**
+ * Read the dimensions and alpha support of an image
+ * The whole file is checked: truncated files and headers that do not match the data are rejected.
+ * @param {Buffer} buffer - File content
+ * @param {string} format - Format detected from the magic bytes ('png', 'jpg' or 'webp')
+ * @returns {{valid: boolean, width?: number, height?: number, alpha?: boolean, error?: string}} Image info;
+ *   alpha is true when the format can carry transparency for this image
+ */
+function readImageInfo(buffer, format) {
+  if (format === 'png') return parsePng(buffer);
+  if (format === 'jpg') return parseJpeg(buffer);
+  if (format === 'webp') return parseWebp(buffer);
+  return { valid: false, error: `Unsupported image format: ${format}` };
+}
+
+module.exports = {
+  readImageInfo,
+  crc32,
+  MAX_DECODE_DIMENSION,
+};
@@ -0,0 +1,175 @@
+/**
+ * JSON source location utilities
+ * Maps JSON pointers (RFC 6901) to line/column positions in the original text
+ */
+
+/**
+ * Escape a property name for use in a JSON pointer
+ * @param {string} key - Property name
+ * @returns {string} Escaped pointer segment
+ */
+function escapePointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a function converting character offsets to 1-based line/column
+ * @param {string} text - Source text
+ * @returns {function(number): {line: number, column: number}} Offset converter
+ */
+function createPositionResolver(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Index the source offset of every value in a JSON document by pointer
+ * Object members are located at their key, array items at their value.
+ * Parsing stops at the first syntax error; everything indexed so far is kept.
+ * @param {string} text - JSON source text
+ * @returns {Map<string, number>} Pointer -> character offset
+ */
+function buildPointerIndex(text) {
+  const index = new Map();
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const fail = () => {
+    throw new SyntaxError(`Unexpected token at offset ${pos}`);
+  };
+
+  const parseString = () => {
+    if (text[pos] !== '"') fail();
+    let raw = '';
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') {
+        raw += text[pos];
+        pos++;
+      }
+      raw += text[pos];
+      pos++;
+    }
+    if (text[pos] !== '"') fail();
+    pos++;
+    return JSON.parse(`"${raw}"`);
+  };
+
+  const parseValue = pointer => {
+    skipWhitespace();
+    if (!index.has(pointer)) index.set(pointer, pos);
+
+    const char = text[pos];
+    if (char === '{') {
+      pos++;
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+        return;
+      }
+      for (;;) {
+        skipWhitespace();
+        const keyOffset = pos;
+        const key = parseString();
+        const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+        index.set(childPointer, keyOffset);
+        skipWhitespace();
+        if (text[pos] !== ':') fail();
+        pos++;
+        parseValue(childPointer);
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === '}') {
+          pos++;
+          return;
+        } else {
+          fail();
+        }
+      }
+    } else if (char === '[') {
+      pos++;
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+        return;
+      }
+      for (let i = 0; ; i++) {
+        parseValue(`${pointer}/${i}`);
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === ']') {
+          pos++;
+          return;
+        } else {
+          fail();
+        }
+      }
+    } else if (char === '"') {
+      parseString();
+    } else {
+      const literal = text.slice(pos).match(/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/);
+      if (!literal) fail();
+      pos += literal[0].length;
+    }
+  };
+
+  try {
+    parseValue('');
+  } catch {
+    // Keep partial index for malformed documents
+  }
+
+  return index;
+}
+
+/**
+ * Locate a JSON pointer in source text
+ * Falls back to the closest indexed ancestor when the pointer itself does not exist
+ * (e.g., a missing required property is reported at its parent object)
+ * @param {string} text - JSON source text
+ * @param {string} pointer - JSON pointer ('' for the document root)
+ * @returns {{line: number, column: number}|null} 1-based position, or null if not found
+ */
+function locateJsonPointer(text, pointer) {
+  if (typeof text !== 'string' || typeof pointer !== 'string') return null;
+
+  const index = buildPointerIndex(text);
+  const resolve = createPositionResolver(text);
+
+  let current = pointer;
+  for (;;) {
+    if (index.has(current)) {
+      return resolve(index.get(current));
+    }
+    if (current === '') return null;
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+}
+
+module.exports = {
+  escapePointerSegment,
+  createPositionResolver,
+  buildPointerIndex,
+  locateJsonPointer,
+};
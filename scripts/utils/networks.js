@@ -0,0 +1,67 @@
+/**
+ * Network definitions and the per-network directory layout
+ * Entries of VinuChain mainnet live in tokens/ and contracts/ at the repository root; entries of
+ * any other network live in networks/<chainId>/tokens/ and networks/<chainId>/contracts/. The same
+ * address can therefore be registered on several networks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { CHAIN_ID } = require('./constants');
+const { safeReadJSON } = require('./safe-json');
+const { validateNetworksSchema } = require('./schema-validators');
+
+// Network definitions, relative to the root
+const NETWORKS_FILE = 'config/networks.json';
+
+/**
+ * Get the directory holding the entries of a network
+ * @param {number} chainId - Chain ID
+ * @returns {string} POSIX path relative to the root ('' for VinuChain mainnet)
+ */
+function networkPath(chainId) {
+  return chainId === CHAIN_ID ? '' : `networks/${chainId}`;
+}
+
+/**
+ * Get a key identifying a token across networks, e.g. in the logo assets manifest
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Token address
+ * @returns {string} The address on VinuChain mainnet, `<chainId>/<address>` elsewhere
+ */
+function tokenKey(chainId, address) {
+  return chainId === CHAIN_ID ? address : `${chainId}/${address}`;
+}
+
+/**
+ * Read the network definitions of a checkout
+ * A missing file defines VinuChain mainnet only, without metadata.
+ * @param {string} root - Repository root
+ * @returns {Array<{chainId: number, name?: string, testnet?: boolean, rpc?: string[], explorer?: string,
+ *   nativeCurrency?: Object}>} Networks, VinuChain mainnet first, then by chain ID
+ * @throws {Error} If the file is unreadable or does not match its schema
+ */
+function loadNetworks(root) {
+  const file = path.join(root, NETWORKS_FILE);
+  if (!fs.existsSync(file)) {
+    return [{ chainId: CHAIN_ID }];
+  }
+
+  const data = safeReadJSON(file);
+  if (!validateNetworksSchema(data)) {
+    const details = validateNetworksSchema.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+    throw new Error(`Invalid ${NETWORKS_FILE}: ${details.join('; ')}`);
+  }
+
+  return Object.entries(data.networks)
+    .map(([chainId, definition]) => ({ chainId: Number(chainId), ...definition }))
+    .sort((a, b) => (b.chainId === CHAIN_ID) - (a.chainId === CHAIN_ID) || a.chainId - b.chainId);
+}
+
+module.exports = {
+  NETWORKS_FILE,
+  networkPath,
+  tokenKey,
+  loadNetworks,
+};
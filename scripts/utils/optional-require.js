@@ -0,0 +1,24 @@
+/**
+ * Loading of development dependencies from published scripts
+ * Compilers and image codecs are only installed in a checkout, so the scripts that use them load
+ * them through requireOptional and report a missing package as a finding instead of failing to load.
+ */
+
+/**
+ * Require a package that may not be installed
+ * @param {string} id - Module id (e.g. 'solc/package.json')
+ * @returns {*} The module, or null if its package is not installed
+ * @throws {Error} If the module is installed but fails to load
+ */
+function requireOptional(id) {
+  try {
+    return require(id);
+  } catch (e) {
+    if (e.code === 'MODULE_NOT_FOUND' && e.message.includes(`'${id}'`)) return null;
+    throw e;
+  }
+}
+
+module.exports = {
+  requireOptional,
+};
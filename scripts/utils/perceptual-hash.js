@@ -0,0 +1,121 @@
+/**
+ * Perceptual hashing of logos
+ * Near-identical images (rescaled, recompressed or converted copies) get hashes that differ in few
+ * bits, which lets the validator notice a logo copied from another token.
+ */
+
+const crypto = require('crypto');
+
+const { decodeImage, resizeImage } = require('./raster');
+
+// Bits per hash: an 8x8 grid
+const HASH_BITS = 64;
+
+/**
+ * Convert an RGBA image to grayscale luma values, composited over white
+ * Logos are compared as they appear on a light background, so transparent and white areas match
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @returns {number[]} Luma per pixel (0-255), row by row
+ */
+function toGrayscale({ width, height, data }) {
+  const luma = new Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    const gray = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    luma[i] = gray * alpha + 255 * (1 - alpha);
+  }
+  return luma;
+}
+
+/**
+ * Pack bits into a hex string
+ * @param {boolean[]} bits - Bits, most significant first
+ * @returns {string} Hex string
+ */
+function toHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Compute the average hash (aHash) and difference hash (dHash) of an image
+ * aHash: each pixel of an 8x8 thumbnail is brighter than the thumbnail's mean.
+ * dHash: each pixel of a 9x8 thumbnail is brighter than its right neighbour.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image (at least 9x8px)
+ * @returns {{aHash: string, dHash: string}} 64-bit hashes as hex strings
+ */
+function hashImage(image) {
+  const average = toGrayscale(resizeImage(image, 8, 8));
+  const mean = average.reduce((sum, value) => sum + value, 0) / average.length;
+  const aHash = toHex(average.map(value => value > mean));
+
+  const difference = toGrayscale(resizeImage(image, 9, 8));
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(difference[y * 9 + x] > difference[y * 9 + x + 1]);
+    }
+  }
+
+  return { aHash, dHash: toHex(bits) };
+}
+
+/**
+ * Compute the perceptual hash of a logo file
+ * Raster logos get an aHash and a dHash. SVG logos are not rasterized: they get the digest of their
+ * markup with whitespace collapsed, so only copies of the same markup are recognized.
+ * @param {Buffer} content - Logo file content
+ * @param {string} extension - Logo file extension (e.g. '.png')
+ * @returns {Promise<{aHash: string, dHash: string}|{svg: string}>} Logo hash
+ * @throws {Error} If the logo cannot be decoded
+ */
+async function hashLogo(content, extension) {
+  const format = extension.replace(/^\./, '').toLowerCase();
+  if (format === 'svg') {
+    const markup = content.toString('utf8').replace(/^﻿/, '').replace(/\s+/g, ' ').trim();
+    return { svg: crypto.createHash('sha256').update(markup).digest('hex') };
+  }
+  return hashImage(await decodeImage(content, format));
+}
+
+/**
+ * Count the bits that differ between two hex hashes of equal length
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; bits; bits &= bits - 1) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Compare two logo hashes
+ * Raster logos score the share of aHash and dHash bits they have in common; SVG logos score 1 for
+ * identical markup. An SVG and a raster logo cannot be compared and score 0.
+ * @param {Object} a - Logo hash (see hashLogo)
+ * @param {Object} b - Logo hash
+ * @returns {number} Similarity between 0 and 1
+ */
+function logoSimilarity(a, b) {
+  if (a.svg || b.svg) {
+    return a.svg === b.svg ? 1 : 0;
+  }
+  const distance = hammingDistance(a.aHash, b.aHash) + hammingDistance(a.dHash, b.dHash);
+  return 1 - distance / (2 * HASH_BITS);
+}
+
+module.exports = {
+  HASH_BITS,
+  hashImage,
+  hashLogo,
+  hammingDistance,
+  logoSimilarity,
+};
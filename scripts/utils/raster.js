@@ -0,0 +1,233 @@
+/**
+ * Raster image decoding, resizing and encoding for logo assets and logo comparison
+ * Uses pure JavaScript codecs (pngjs, jpeg-js) and libwebp compiled to WebAssembly (webp-wasm),
+ * so builds need no native image libraries. The codecs are development dependencies: decoding or
+ * encoding without them throws. Images are RGBA pixel buffers: { width, height, data }.
+ */
+
+const { MAX_DECODE_DIMENSION } = require('./image');
+const { requireOptional } = require('./optional-require');
+
+// Codec packages by name (null if not installed)
+const CODECS = {
+  pngjs: requireOptional('pngjs'),
+  'jpeg-js': requireOptional('jpeg-js'),
+  'webp-wasm': requireOptional('webp-wasm'),
+};
+
+// WebP variants are lossy; alpha is kept lossless so that logo edges stay clean
+const WEBP_OPTIONS = { quality: 90, alpha_quality: 100 };
+
+/**
+ * Get an installed codec package
+ * @param {string} name - Package name (a key of CODECS)
+ * @returns {Object} The package
+ * @throws {Error} If the package is not installed
+ */
+function loadCodec(name) {
+  if (!CODECS[name]) {
+    throw new Error(`${name} is not installed`);
+  }
+  return CODECS[name];
+}
+
+/**
+ * Decode a PNG, JPEG or WebP file
+ * @param {Buffer} buffer - File content
+ * @param {string} format - 'png', 'jpg'/'jpeg' or 'webp'
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} RGBA image
+ * @throws {Error} If the format is unsupported, its codec is not installed or the file cannot be decoded
+ */
+async function decodeImage(buffer, format) {
+  switch (format) {
+    case 'png': {
+      const png = loadCodec('pngjs').PNG.sync.read(buffer);
+      return toImage(png.width, png.height, png.data);
+    }
+    case 'jpg':
+    case 'jpeg': {
+      const image = loadCodec('jpeg-js').decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: (MAX_DECODE_DIMENSION * MAX_DECODE_DIMENSION) / 1e6,
+      });
+      return toImage(image.width, image.height, image.data);
+    }
+    case 'webp': {
+      // webp-wasm reads the whole backing ArrayBuffer, which Node shares between small Buffers
+      const copy = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+      const image = await loadCodec('webp-wasm').decode(copy);
+      if (!image) {
+        throw new Error('WebP image could not be decoded');
+      }
+      return toImage(image.width, image.height, image.data);
+    }
+    default:
+      throw new Error(`Unsupported image format: ${format}`);
+  }
+}
+
+/**
+ * Wrap decoded pixels as an RGBA image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Uint8Array|Uint8ClampedArray|Buffer} data - RGBA pixels
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA image
+ */
+function toImage(width, height, data) {
+  if (data.length !== width * height * 4) {
+    throw new Error(`Decoded ${data.length} bytes for a ${width}x${height}px image`);
+  }
+  return { width, height, data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length) };
+}
+
+/**
+ * Compute the source pixels covered by each destination pixel when shrinking an axis
+ * @param {number} sourceLength - Source length in pixels
+ * @param {number} targetLength - Destination length in pixels (at most sourceLength)
+ * @returns {{first: number, weights: number[]}[]} First source pixel and coverage weights per pixel
+ */
+function areaWeights(sourceLength, targetLength) {
+  const ratio = sourceLength / targetLength;
+  const spans = [];
+  for (let i = 0; i < targetLength; i++) {
+    const start = i * ratio;
+    const end = start + ratio;
+    const first = Math.floor(start);
+    const last = Math.min(Math.ceil(end), sourceLength);
+    const weights = [];
+    for (let s = first; s < last; s++) {
+      weights.push((Math.min(end, s + 1) - Math.max(start, s)) / ratio);
+    }
+    spans.push({ first, weights });
+  }
+  return spans;
+}
+
+/**
+ * Shrink an image to the given size
+ * Pixels are area-averaged with premultiplied alpha, which avoids dark fringes around transparent
+ * edges. The aspect ratio is not preserved.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @param {number} targetWidth - Width in pixels (at most the image width)
+ * @param {number} targetHeight - Height in pixels (at most the image height)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} Resized RGBA image
+ * @throws {Error} If the target size is larger than the image
+ */
+function resizeImage({ width, height, data }, targetWidth, targetHeight) {
+  if (targetWidth > width || targetHeight > height) {
+    throw new Error(`Cannot enlarge a ${width}x${height}px image to ${targetWidth}x${targetHeight}px`);
+  }
+
+  const premultiplied = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    premultiplied[i] = data[i] * alpha;
+    premultiplied[i + 1] = data[i + 1] * alpha;
+    premultiplied[i + 2] = data[i + 2] * alpha;
+    premultiplied[i + 3] = data[i + 3];
+  }
+
+  // Horizontal pass: width x height -> targetWidth x height
+  const columns = areaWeights(width, targetWidth);
+  const rows = new Float32Array(targetWidth * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < targetWidth; x++) {
+      const { first, weights } = columns[x];
+      const out = (y * targetWidth + x) * 4;
+      for (let k = 0; k < weights.length; k++) {
+        const source = (y * width + first + k) * 4;
+        for (let c = 0; c < 4; c++) rows[out + c] += premultiplied[source + c] * weights[k];
+      }
+    }
+  }
+
+  // Vertical pass: targetWidth x height -> targetWidth x targetHeight
+  const lines = areaWeights(height, targetHeight);
+  const result = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  const pixel = new Float32Array(4);
+  for (let y = 0; y < targetHeight; y++) {
+    const { first, weights } = lines[y];
+    for (let x = 0; x < targetWidth; x++) {
+      pixel.fill(0);
+      for (let k = 0; k < weights.length; k++) {
+        const source = ((first + k) * targetWidth + x) * 4;
+        for (let c = 0; c < 4; c++) pixel[c] += rows[source + c] * weights[k];
+      }
+
+      const out = (y * targetWidth + x) * 4;
+      const alpha = pixel[3];
+      if (alpha > 0) {
+        result[out] = Math.round((pixel[0] * 255) / alpha);
+        result[out + 1] = Math.round((pixel[1] * 255) / alpha);
+        result[out + 2] = Math.round((pixel[2] * 255) / alpha);
+        result[out + 3] = Math.round(alpha);
+      }
+    }
+  }
+
+  return { width: targetWidth, height: targetHeight, data: result };
+}
+
+/**
+ * Resize an image to a square, preserving its aspect ratio
+ * A non-square image is centered on a transparent background. Images are never enlarged.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @param {number} size - Target width and height in pixels
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} Resized RGBA image
+ * @throws {Error} If the image is smaller than the target size
+ */
+function resizeToSquare(image, size) {
+  const { width, height } = image;
+  if (Math.max(width, height) < size) {
+    throw new Error(`Cannot enlarge a ${width}x${height}px image to ${size}x${size}px`);
+  }
+
+  const scale = size / Math.max(width, height);
+  const resized = resizeImage(
+    image,
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale))
+  );
+
+  const offsetX = Math.floor((size - resized.width) / 2);
+  const offsetY = Math.floor((size - resized.height) / 2);
+  const result = new Uint8ClampedArray(size * size * 4);
+  for (let y = 0; y < resized.height; y++) {
+    const row = resized.data.subarray(y * resized.width * 4, (y + 1) * resized.width * 4);
+    result.set(row, ((y + offsetY) * size + offsetX) * 4);
+  }
+
+  return { width: size, height: size, data: result };
+}
+
+/**
+ * Encode an RGBA image as PNG
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @returns {Buffer} PNG file
+ * @throws {Error} If pngjs is not installed
+ */
+function encodePng({ width, height, data }) {
+  return loadCodec('pngjs').PNG.sync.write(
+    { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.length) },
+    { colorType: 6 }
+  );
+}
+
+/**
+ * Encode an RGBA image as WebP
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @returns {Promise<Buffer>} WebP file
+ * @throws {Error} If webp-wasm is not installed
+ */
+async function encodeWebp(image) {
+  return loadCodec('webp-wasm').encode(image, WEBP_OPTIONS);
+}
+
+module.exports = {
+  decodeImage,
+  resizeImage,
+  resizeToSquare,
+  encodePng,
+  encodeWebp,
+};
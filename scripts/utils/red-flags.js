@@ -0,0 +1,78 @@
+/**
+ * Red flag lifecycle and risk scoring
+ * Tokens, contract projects and contracts share the red flag structure
+ * (token.schema.json#/definitions/redFlag). Red flags stay in an entry once resolved, as its
+ * history. Only open flags (no status, or status "open") count as current concerns.
+ */
+
+const { MAX_RED_FLAGS, RED_FLAG_WEIGHTS, MAX_RISK_SCORE } = require('./constants');
+
+/**
+ * Check whether a red flag is a current concern
+ * @param {Object} flag - Red flag
+ * @returns {boolean} True if the flag is open
+ */
+function isOpenRedFlag(flag) {
+  return flag.status === undefined || flag.status === 'open';
+}
+
+/**
+ * Validate the lifecycle of a list of red flags
+ * resolvedDate only applies to resolved flags and must not be before reportedDate, and at most
+ * MAX_RED_FLAGS critical flags may be open at once. Malformed flags are reported by the schema.
+ * @param {Array} redFlags - Red flags (schema-checked)
+ * @param {string} context - Owner of the flags for error messages (e.g., token symbol)
+ * @param {string} [ruleId] - Rule id of the findings
+ * @returns {{valid: boolean, errors: string[], findings: Object[]}} Validation result; findings carry
+ *   the `field` they refer to, relative to the red flag array ('' for the array itself)
+ */
+function validateRedFlags(redFlags, context, ruleId = 'token/red-flags') {
+  const errors = [];
+  const findings = [];
+  const fail = (field, message) => {
+    const text = `${context}: ${message}`;
+    errors.push(text);
+    findings.push({ ruleId, severity: 'error', message: text, field });
+  };
+
+  const flags = redFlags.filter(flag => flag !== null && typeof flag === 'object');
+  redFlags.forEach((flag, index) => {
+    if (!flags.includes(flag) || flag.resolvedDate === undefined) return;
+
+    if (flag.status !== 'resolved') {
+      fail(`${index}/resolvedDate`, `Red flag ${index} has a resolvedDate but is not resolved`);
+    } else if (typeof flag.reportedDate === 'string' && flag.resolvedDate < flag.reportedDate) {
+      fail(
+        `${index}/resolvedDate`,
+        `Red flag ${index} was resolved (${flag.resolvedDate}) before it was reported (${flag.reportedDate})`
+      );
+    }
+  });
+
+  const openCritical = flags.filter(flag => flag.severity === 'critical' && isOpenRedFlag(flag)).length;
+  if (openCritical > MAX_RED_FLAGS) {
+    fail('', `Too many open critical red flags: ${openCritical} (max: ${MAX_RED_FLAGS})`);
+  }
+
+  return { valid: errors.length === 0, errors, findings };
+}
+
+/**
+ * Compute a risk score from the open red flags of an entry
+ * Each open flag adds the weight of its severity (RED_FLAG_WEIGHTS); the sum is capped at
+ * MAX_RISK_SCORE. Resolved and disputed flags do not count.
+ * @param {Array} [redFlags] - Red flags
+ * @returns {number} Risk score from 0 (no open concerns) to MAX_RISK_SCORE
+ */
+function computeRiskScore(redFlags = []) {
+  const score = redFlags
+    .filter(isOpenRedFlag)
+    .reduce((sum, flag) => sum + (RED_FLAG_WEIGHTS[flag.severity] || 0), 0);
+  return Math.min(score, MAX_RISK_SCORE);
+}
+
+module.exports = {
+  isOpenRedFlag,
+  validateRedFlags,
+  computeRiskScore,
+};
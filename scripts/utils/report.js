@@ -0,0 +1,277 @@
+/**
+ * Structured validation report
+ * Collects diagnostics with rule ids and source locations, and serializes them as JSON or SARIF 2.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { locateJsonPointer } = require('./json-locator');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const REPORT_VERSION = 1;
+const TOOL_NAME = 'vinuchain-lists';
+const TOOL_URI = 'https://github.com/VinuChain/vinuchain-lists';
+
+const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Rule catalog: rule id -> short description
+ * Rule ids are stable identifiers consumers can filter and suppress on
+ */
+const RULES = {
+  'registry/read': 'Registry directories must be readable',
+  'registry/limit': 'Submission exceeds the per-run batch limit',
+  'registry/allowlist': 'Token allow-list must match its schema and the registered tokens',
+  'registry/tags': 'Tag definitions must match their schema and be used by a token',
+  'registry/networks': 'Network definitions must match their schema and define the validated network',
+  'token/directory': 'Token directory name must be a checksummed address',
+  'token/read': 'Token file must be readable JSON',
+  'token/schema': 'Token file must match schemas/token.schema.json',
+  'token/address': 'Token address must be valid and match its directory',
+  'token/url': 'Token URLs must be safe HTTPS URLs',
+  'token/email': 'Token support email must be valid',
+  'token/decimals': 'Token decimals should be within the recommended range',
+  'token/tags': 'Token tags must be defined in config/tags.json',
+  'token/bridge': 'Token bridge info must name another origin chain and a checksummed origin address',
+  'token/red-flags': 'Red flag resolution dates must be consistent and open critical flags within the limit',
+  'token/logo': 'Token logo must exist, be a well-formed image and meet size and dimension requirements',
+  'token/duplicate-address': 'Token address must not already be registered',
+  'token/logo-similarity': 'Token logo must not copy the logo of another registered token',
+  'token/duplicate-symbol': 'Token symbol must not already be registered unless allow-listed',
+  'token/confusable-symbol': 'Token symbol must not look like the symbol of another registered token',
+  'token/confusable-name': 'Token name must not match or look like the name of another registered token',
+  'token/well-known-symbol': 'Token symbol must not claim the symbol of a major asset unless allow-listed',
+  'project/read': 'Project info.json must be readable JSON',
+  'project/schema': 'Project info.json must match schemas/contract.schema.json',
+  'project/url': 'Project URLs must be safe HTTPS URLs',
+  'project/email': 'Project contact email must be valid',
+  'project/red-flags': 'Project and contract red flags must follow the token red flag rules',
+  'project/audits': 'Audits must link safe reports, match their PDF hash and cover contracts of the project',
+  'project/contract-limit': 'Project must not list more contracts than allowed',
+  'project/duplicate-contract-name': 'Contract names should be unique within a project',
+  'contract/name': 'Contract name must be a safe file name',
+  'contract/address': 'Contract address must be EIP-55 checksummed',
+  'contract/duplicate-address': 'Contract address must not already be registered',
+  'contract/source': 'Contract source file must exist',
+  'contract/abi': 'Contract ABI must exist and be well-formed',
+  'contract/compiler': 'Compiler settings must match the source pragma and the constructor ABI',
+  'contract/proxy': 'Proxy addresses must be checksummed, distinct and consistent with the history',
+  'contract/unaudited': 'Active contracts should be covered by an audit',
+  'contract/lifecycle': 'Contract lifecycle fields must be consistent and point at contracts of the project',
+  'solidity/structure': 'Solidity source must declare a pragma and the listed contract',
+  'solidity/syntax': 'Solidity source should parse, otherwise its structure and security checks are skipped',
+  'solidity/spdx': 'Solidity source should declare an SPDX license',
+  'solidity/pragma-exact': 'Solidity pragma should use a version range',
+  'solidity/pragma-old': 'Solidity pragma targets an old compiler version',
+  'solidity/selfdestruct': 'Solidity source lets any caller reach selfdestruct',
+  'solidity/suicide': 'Solidity source uses deprecated suicide',
+  'solidity/delegatecall': 'Solidity source uses delegatecall',
+  'solidity/tx-origin': 'Solidity source checks tx.origin in a require or assert condition',
+  'solidity/blockhash': 'Solidity source uses blockhash',
+  'solidity/callcode': 'Solidity source uses deprecated callcode',
+  'solidity/assembly': 'Solidity source contains inline assembly',
+  'solidity/low-level-call': 'Solidity source contains low-level calls',
+  'solidity/ecrecover': 'Solidity source uses ecrecover',
+  'solidity/transfer': 'Solidity source sends ETH with transfer()',
+  'solidity/owner-mint': 'Solidity source has mint functions only privileged accounts can call',
+  'solidity/unchecked-call': 'Solidity source ignores the return value of low-level calls',
+  'solidity/reentrancy': 'Solidity source writes state after external calls',
+  'solidity/compiler': 'Solidity source needs a locally installed compiler satisfying its pragma',
+  'solidity/imports': 'Solidity source imports must be present in the project directory',
+  'solidity/compile': 'Solidity source must compile',
+  'solidity/abi-drift': 'Stored ABI must match the ABI compiled from the source',
+  'crossref/project': 'Token project references must match the registered contracts',
+  'crossref/bridge': 'Token bridge references must name a registered bridge project and contract',
+  'onchain/rpc': 'On-chain verification requires a working RPC endpoint on the expected chain',
+  'onchain/code': 'Listed address (and proxy implementation) must have contract code on-chain',
+  'onchain/interface': 'Token contract must implement the ERC-20 metadata functions',
+  'onchain/metadata': 'Token name, symbol and decimals must match the contract',
+  'onchain/total-supply': 'Token contract reports a zero total supply',
+  'onchain/proxy': 'Listed proxy implementation, beacon and admin must match the EIP-1967 storage slots',
+  'onchain/selectors': 'Deployed bytecode must expose every function in the contract ABI',
+  'deployment/mismatch': 'Deployed bytecode must be reproducible from the source and compiler settings',
+  'deployment/partial': 'Deployed bytecode matches the source except for the metadata hash',
+  'deployment/skipped': 'Contract with compiler settings could not be recompiled for verification',
+};
+
+/**
+ * Create an empty report
+ * @param {Object} [options] - Report options
+ * @param {string} [options.root] - Repository root; diagnostic file paths are made relative to it
+ * @returns {Object} Report with add/resolveLocations/toJSON/toSARIF methods
+ */
+function createReport({ root = path.join(__dirname, '../..') } = {}) {
+  const diagnostics = [];
+  const sourceCache = new Map();
+
+  /**
+   * Convert an absolute or relative path to a repo-relative POSIX path
+   * @param {string} file - File path
+   * @returns {string} Repo-relative path
+   */
+  const toRelative = file => {
+    const relative = path.isAbsolute(file) ? path.relative(root, file) : file;
+    return relative.split(path.sep).join('/');
+  };
+
+  /**
+   * Read a source file once for location lookups
+   * @param {string} file - Repo-relative path
+   * @returns {string|null} File content, or null if unreadable
+   */
+  const readSource = file => {
+    if (!sourceCache.has(file)) {
+      let content = null;
+      try {
+        content = fs.readFileSync(path.join(root, file), 'utf8');
+      } catch {
+        // Location stays unresolved
+      }
+      sourceCache.set(file, content);
+    }
+    return sourceCache.get(file);
+  };
+
+  return {
+    /**
+     * Record a diagnostic
+     * @param {Object} diagnostic - Finding
+     * @param {string} diagnostic.ruleId - Rule id (see RULES)
+     * @param {string} diagnostic.severity - 'error' or 'warning'
+     * @param {string} diagnostic.message - Human-readable message
+     * @param {string} [diagnostic.file] - File the finding belongs to
+     * @param {string} [diagnostic.pointer] - JSON pointer within a JSON file
+     * @param {number} [diagnostic.line] - 1-based line (when known up front, e.g. Solidity)
+     * @param {number} [diagnostic.column] - 1-based column
+     * @param {Object} [diagnostic.properties] - Rule-specific values (e.g. a similarity score)
+     */
+    add({ ruleId, severity, message, file, pointer, line, column, properties }) {
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid diagnostic severity: ${severity}`);
+      }
+
+      const diagnostic = { ruleId, severity, message: String(message).trim() };
+      if (file) diagnostic.file = toRelative(file);
+      if (typeof pointer === 'string') diagnostic.pointer = pointer;
+      if (Number.isInteger(line)) diagnostic.line = line;
+      if (Number.isInteger(column)) diagnostic.column = column;
+      if (properties) diagnostic.properties = { ...properties };
+      diagnostics.push(diagnostic);
+    },
+
+    /**
+     * Register the text of a file that is not on disk (e.g., an in-memory submission)
+     * so its JSON pointers can still be resolved
+     * @param {string} file - File path (absolute or repo-relative)
+     * @param {string} content - File content
+     */
+    addSource(file, content) {
+      sourceCache.set(toRelative(file), content);
+    },
+
+    /**
+     * Get all recorded diagnostics
+     * @returns {Object[]} Diagnostics in the order they were recorded
+     */
+    getDiagnostics() {
+      return diagnostics;
+    },
+
+    /**
+     * Resolve JSON pointers to line/column in the referenced files
+     * Diagnostics that already carry a line are left untouched
+     */
+    resolveLocations() {
+      for (const diagnostic of diagnostics) {
+        if (diagnostic.line || !diagnostic.file || diagnostic.pointer === undefined) continue;
+
+        const location = locateJsonPointer(readSource(diagnostic.file), diagnostic.pointer);
+        if (location) {
+          diagnostic.line = location.line;
+          diagnostic.column = location.column;
+        }
+      }
+    },
+
+    /**
+     * Serialize as the repository's JSON report format
+     * @returns {Object} JSON report
+     */
+    toJSON() {
+      const errors = diagnostics.filter(d => d.severity === 'error').length;
+      return {
+        version: REPORT_VERSION,
+        tool: TOOL_NAME,
+        summary: { errors, warnings: diagnostics.length - errors },
+        diagnostics,
+      };
+    },
+
+    /**
+     * Serialize as a SARIF 2.1.0 log
+     * @returns {Object} SARIF log
+     */
+    toSARIF() {
+      const usedRules = [...new Set(diagnostics.map(d => d.ruleId))].sort();
+
+      return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [
+          {
+            tool: {
+              driver: {
+                name: TOOL_NAME,
+                informationUri: TOOL_URI,
+                rules: usedRules.map(id => ({
+                  id,
+                  shortDescription: { text: RULES[id] || id },
+                })),
+              },
+            },
+            results: diagnostics.map(d => toSarifResult(d, usedRules)),
+          },
+        ],
+      };
+    },
+  };
+}
+
+/**
+ * Convert a diagnostic to a SARIF result
+ * @param {Object} diagnostic - Diagnostic
+ * @param {string[]} ruleIds - Rule ids in driver order
+ * @returns {Object} SARIF result
+ */
+function toSarifResult(diagnostic, ruleIds) {
+  const result = {
+    ruleId: diagnostic.ruleId,
+    ruleIndex: ruleIds.indexOf(diagnostic.ruleId),
+    level: diagnostic.severity,
+    message: { text: diagnostic.message },
+  };
+
+  if (diagnostic.file) {
+    const physicalLocation = {
+      artifactLocation: { uri: diagnostic.file, uriBaseId: '%SRCROOT%' },
+    };
+    if (diagnostic.line) {
+      physicalLocation.region = { startLine: diagnostic.line };
+      if (diagnostic.column) physicalLocation.region.startColumn = diagnostic.column;
+    }
+    result.locations = [{ physicalLocation }];
+  }
+
+  if (diagnostic.properties) {
+    result.properties = diagnostic.properties;
+  }
+
+  return result;
+}
+
+module.exports = {
+  RULES,
+  SARIF_VERSION,
+  createReport,
+};
@@ -0,0 +1,101 @@
+/**
+ * JSON-RPC provider utilities for on-chain verification
+ */
+
+const { JsonRpcProvider, FetchRequest, Network } = require('ethers');
+const { CHAIN_ID, RPC_TIMEOUT } = require('./constants');
+
+/**
+ * Validate an RPC endpoint URL
+ * The endpoint is chosen by the operator, so plain HTTP and local nodes are allowed
+ * @param {string} url - RPC endpoint URL
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+function validateRpcUrl(url) {
+  if (typeof url !== 'string' || url.length === 0) {
+    return { valid: false, error: 'RPC URL must be a non-empty string' };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { valid: false, error: `Invalid RPC URL: ${e.message}` };
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { valid: false, error: `RPC URL must use http or https: ${url}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Create a JSON-RPC provider pinned to a chain
+ * The network is static, so the provider never polls or auto-detects the chain
+ * @param {string} url - RPC endpoint URL
+ * @param {Object} [options] - Provider options
+ * @param {number} [options.chainId] - Expected chain ID (defaults to VinuChain mainnet)
+ * @param {number} [options.timeout] - Per-request timeout in milliseconds
+ * @returns {JsonRpcProvider} Provider (call destroy() when done)
+ * @throws {Error} If the URL or chain ID is invalid
+ */
+function createRpcProvider(url, { chainId = CHAIN_ID, timeout = RPC_TIMEOUT } = {}) {
+  const validation = validateRpcUrl(url);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  if (!Number.isInteger(chainId) || chainId < 1) {
+    throw new Error(`Invalid chain ID: ${chainId}`);
+  }
+
+  const request = new FetchRequest(url);
+  request.timeout = timeout;
+
+  return new JsonRpcProvider(request, chainId, {
+    staticNetwork: Network.from(chainId),
+    batchMaxCount: 1,
+  });
+}
+
+/**
+ * Confirm the endpoint serves the expected chain
+ * @param {JsonRpcProvider} provider - Provider
+ * @param {number} expectedChainId - Expected chain ID
+ * @returns {Promise<{valid: boolean, chainId?: number, error?: string}>} Validation result
+ */
+async function checkChainId(provider, expectedChainId) {
+  let chainId;
+  try {
+    chainId = Number(BigInt(await provider.send('eth_chainId', [])));
+  } catch (e) {
+    return { valid: false, error: `RPC request failed: ${describeRpcError(e)}` };
+  }
+
+  if (chainId !== expectedChainId) {
+    return {
+      valid: false,
+      chainId,
+      error: `RPC endpoint is on chain ${chainId}, expected ${expectedChainId}`,
+    };
+  }
+
+  return { valid: true, chainId };
+}
+
+/**
+ * Get a one-line description of an ethers/RPC error
+ * @param {Error} error - Error thrown by the provider
+ * @returns {string} Short message
+ */
+function describeRpcError(error) {
+  return error.shortMessage || error.message;
+}
+
+module.exports = {
+  validateRpcUrl,
+  createRpcProvider,
+  checkChainId,
+  describeRpcError,
+};
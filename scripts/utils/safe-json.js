@@ -58,7 +58,19 @@ function safeReadJSON(filePath, maxSize = MAX_FILE_SIZE) {
   // Read file
   const content = fs.readFileSync(filePath, 'utf8');
 
-  // Additional check: content length (in case size check was bypassed)
+  return safeParseJSON(content, path.basename(filePath), maxSize);
+}
+
+/**
+ * Safely parse JSON text with size limits (e.g., in-memory submissions)
+ * @param {string} content - JSON text
+ * @param {string} name - File name for error messages
+ * @param {number} maxSize - Maximum content length (default from constants)
+ * @returns {Object} Parsed JSON object
+ * @throws {Error} If content too large or invalid JSON
+ */
+function safeParseJSON(content, name, maxSize = MAX_FILE_SIZE) {
+  // Content length check (also covers size checks bypassed on disk)
   if (content.length > maxSize) {
     throw new Error(`Content too large: ${content.length} bytes (max: ${maxSize})`);
   }
@@ -68,7 +80,7 @@ function safeReadJSON(filePath, maxSize = MAX_FILE_SIZE) {
     return safeParse(content);
   } catch (e) {
     if (e instanceof SyntaxError) {
-      throw new Error(`Invalid JSON in ${path.basename(filePath)}: ${e.message}`);
+      throw new Error(`Invalid JSON in ${name}: ${e.message}`);
     }
     throw e;
   }
@@ -122,6 +134,7 @@ function sanitizeForTerminal(str) {
 module.exports = {
   safeParse,
   safeReadJSON,
+  safeParseJSON,
   loadSchema,
   sanitizeForTerminal,
 };
@@ -0,0 +1,43 @@
+/**
+ * Compiled JSON schema validators for registry entries
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { loadSchema } = require('./safe-json');
+
+const SCHEMAS_DIR = path.join(__dirname, '../../schemas');
+
+// Initialize AJV with schemas
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Load schemas with error handling (addresses QUALITY-09)
+const tokenSchema = loadSchema(path.join(SCHEMAS_DIR, 'token.schema.json'), 'Token Schema');
+const contractSchema = loadSchema(path.join(SCHEMAS_DIR, 'contract.schema.json'), 'Contract Schema');
+const allowlistSchema = loadSchema(
+  path.join(SCHEMAS_DIR, 'token-allowlist.schema.json'),
+  'Token Allow-List Schema'
+);
+const tagsSchema = loadSchema(path.join(SCHEMAS_DIR, 'tags.schema.json'), 'Token Tags Schema');
+const networksSchema = loadSchema(path.join(SCHEMAS_DIR, 'networks.schema.json'), 'Networks Schema');
+
+const validateTokenSchema = ajv.compile(tokenSchema);
+const validateContractSchema = ajv.compile(contractSchema);
+const validateAllowlistSchema = ajv.compile(allowlistSchema);
+const validateTagsSchema = ajv.compile(tagsSchema);
+const validateNetworksSchema = ajv.compile(networksSchema);
+
+module.exports = {
+  tokenSchema,
+  contractSchema,
+  allowlistSchema,
+  tagsSchema,
+  networksSchema,
+  validateTokenSchema,
+  validateContractSchema,
+  validateAllowlistSchema,
+  validateTagsSchema,
+  validateNetworksSchema,
+};
@@ -0,0 +1,178 @@
+/**
+ * Solidity compiler utilities
+ * Resolves a locally installed solc-js compiler from a source's pragma and compiles sources with it.
+ * solc and semver are development dependencies: where they are not installed, no compiler is
+ * available and MISSING_PACKAGES lists them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSolidity } = require('./solidity-ast');
+const { requireOptional } = require('./optional-require');
+
+const semver = requireOptional('semver');
+const solcPackage = requireOptional('solc/package.json');
+
+// Version of the compiler bundled with the solc package (null if solc is not installed)
+const BUNDLED_VERSION = solcPackage ? solcPackage.version : null;
+
+// Packages needed to compile sources that are not installed
+const MISSING_PACKAGES = [solcPackage ? null : 'solc', semver ? null : 'semver'].filter(Boolean);
+
+// soljson builds as published on binaries.soliditylang.org (e.g., soljson-v0.7.6+commit.7338295f.js)
+const SOLJSON_PATTERN = /^soljson-v(\d+\.\d+\.\d+)(?:\+commit\.[0-9a-f]+)?\.js$/;
+
+// Loaded compilers by file; a compiler is immutable, so it is shared between runs
+const loadedCompilers = new Map();
+
+/**
+ * Extract the compiler version range from a source's pragma directives
+ * Pragmas are read from the parsed source, so commented-out pragmas and strings are ignored.
+ * Multiple pragmas must all be satisfied, so they are combined into one range.
+ * @param {string} content - Solidity source code
+ * @returns {string|null} semver range (e.g., '^0.8.0'), or null if the source does not parse, has no
+ *   valid pragma or semver is not installed
+ */
+function parsePragma(content) {
+  if (typeof content !== 'string' || !semver) return null;
+
+  const parsed = parseSolidity(content);
+  if (!parsed.success) return null;
+
+  const ranges = parsed.ast.children
+    .filter(node => node.type === 'PragmaDirective' && node.name === 'solidity')
+    .map(node => node.value.trim());
+  if (ranges.length === 0) return null;
+
+  const range = ranges.join(' ');
+  return semver.validRange(range) ? range : null;
+}
+
+/**
+ * Check whether a compiler release satisfies a range returned by parsePragma()
+ * @param {string} version - Compiler release (e.g., '0.7.6')
+ * @param {string} range - semver range from parsePragma()
+ * @returns {boolean} True if the release satisfies the range
+ */
+function satisfiesPragma(version, range) {
+  return semver.satisfies(version, range);
+}
+
+/**
+ * List the compilers available locally
+ * The compiler bundled with the solc package is always available; further versions are
+ * soljson-v<version>.js builds placed in the compilers directory. None is available unless every
+ * package in MISSING_PACKAGES is installed.
+ * @param {string} [compilersDir] - Directory holding soljson builds (ignored if it does not exist)
+ * @returns {Array<{version: string, file: string|null}>} Compilers; file is null for the bundled one
+ */
+function listCompilers(compilersDir) {
+  if (MISSING_PACKAGES.length > 0) return [];
+
+  const compilers = [{ version: BUNDLED_VERSION, file: null }];
+
+  if (!compilersDir || !fs.existsSync(compilersDir)) {
+    return compilers;
+  }
+
+  for (const name of fs.readdirSync(compilersDir).sort()) {
+    const match = name.match(SOLJSON_PATTERN);
+    if (match && match[1] !== BUNDLED_VERSION) {
+      compilers.push({ version: match[1], file: path.join(compilersDir, name) });
+    }
+  }
+
+  return compilers;
+}
+
+/**
+ * Pick the newest local compiler satisfying a pragma range
+ * @param {string} range - semver range from parsePragma()
+ * @param {string} [compilersDir] - Directory holding soljson builds
+ * @returns {{version: string, file: string|null}|null} Compiler, or null if none satisfies the range
+ */
+function resolveCompiler(range, compilersDir) {
+  const compilers = listCompilers(compilersDir);
+  if (compilers.length === 0) return null;
+  const version = semver.maxSatisfying(compilers.map(compiler => compiler.version), range);
+  return version ? compilers.find(compiler => compiler.version === version) : null;
+}
+
+/**
+ * Load a compiler returned by resolveCompiler()
+ * @param {{version: string, file: string|null}} compiler - Compiler to load
+ * @returns {Object} solc-js wrapper
+ */
+function loadCompiler(compiler) {
+  // solc loads its bundled compiler on require, so it is only required once a compiler is needed
+  const solc = require('solc');
+  if (!compiler.file) return solc;
+
+  if (!loadedCompilers.has(compiler.file)) {
+    loadedCompilers.set(compiler.file, solc.setupMethods(require(compiler.file)));
+  }
+  return loadedCompilers.get(compiler.file);
+}
+
+/**
+ * Compile a contract from a single entry source
+ * Imports are resolved with readImport, relative to the entry source's directory;
+ * paths escaping that directory are never read.
+ * @param {Object} source - Source to compile
+ * @param {string} source.name - Contract name; the entry source is compiled as `<name>.sol`
+ * @param {string} source.content - Solidity source code
+ * @param {function(string): {success: boolean, content?: string, error?: string}} [source.readImport] -
+ *   Reads an imported file by its normalized path (e.g., 'interfaces/IPool.sol')
+ * @param {Object} options - Compilation options
+ * @param {{version: string, file: string|null}} options.compiler - Compiler from resolveCompiler()
+ * @param {string[]} [options.outputs=['abi']] - Contract outputs to select (e.g., 'evm.deployedBytecode')
+ * @param {Object} [options.settings] - Additional standard JSON settings (optimizer, evmVersion, ...)
+ * @returns {{contract?: Object, errors: Array<{message: string, file?: string, start?: number}>,
+ *   missingImports: string[]}} Selected outputs of the contract, compiler errors and unresolved imports
+ */
+function compileContract({ name, content, readImport }, { compiler, outputs = ['abi'], settings = {} }) {
+  const entryFile = `${name}.sol`;
+  const missingImports = [];
+
+  const findImports = importPath => {
+    const normalized = path.posix.normalize(importPath);
+    const result = normalized.startsWith('../') || path.posix.isAbsolute(normalized) || !readImport
+      ? { success: false, error: 'File not found' }
+      : readImport(normalized);
+
+    if (!result.success) {
+      missingImports.push(importPath);
+      return { error: result.error };
+    }
+    return { contents: result.content };
+  };
+
+  const input = {
+    language: 'Solidity',
+    sources: { [entryFile]: { content } },
+    settings: { ...settings, outputSelection: { [entryFile]: { [name]: outputs } } },
+  };
+
+  const output = JSON.parse(loadCompiler(compiler).compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || [])
+    .filter(error => error.severity === 'error')
+    .map(({ type, message, sourceLocation }) => ({
+      message: `${type}: ${message}`,
+      file: sourceLocation && sourceLocation.file,
+      start: sourceLocation && sourceLocation.start,
+    }));
+
+  const contracts = output.contracts && output.contracts[entryFile];
+  return { contract: contracts && contracts[name], errors, missingImports };
+}
+
+module.exports = {
+  BUNDLED_VERSION,
+  MISSING_PACKAGES,
+  parsePragma,
+  satisfiesPragma,
+  listCompilers,
+  resolveCompiler,
+  loadCompiler,
+  compileContract,
+};
@@ -0,0 +1,106 @@
+/**
+ * Solidity syntax trees
+ * Parses sources with @solidity-parser/parser and walks the resulting AST. Nodes carry `loc`
+ * (1-based lines, 0-based columns) and `range` (character offsets) of the source.
+ */
+
+const crypto = require('crypto');
+const parser = require('@solidity-parser/parser');
+
+// Parsing is slow on large sources, and validation, its reruns and the tests see the same files
+// repeatedly; results are kept per source text, oldest dropped first
+const PARSE_CACHE_SIZE = 64;
+const parseCache = new Map();
+
+/**
+ * Parse a Solidity source file
+ * Results are cached per source text, so the returned AST is shared and must not be modified.
+ * @param {string} content - Solidity source code
+ * @returns {{success: boolean, ast?: Object, error?: string, line?: number, column?: number}} Parse
+ *   result; on failure, error describes the first syntax error and line/column locate it when known
+ */
+function parseSolidity(content) {
+  const key = crypto.createHash('sha256').update(content).digest('hex');
+  if (!parseCache.has(key)) {
+    if (parseCache.size >= PARSE_CACHE_SIZE) {
+      parseCache.delete(parseCache.keys().next().value);
+    }
+    parseCache.set(key, parseSource(content));
+  }
+  return parseCache.get(key);
+}
+
+/**
+ * Parse a Solidity source file without the cache
+ * @param {string} content - Solidity source code
+ * @returns {Object} Parse result (see parseSolidity)
+ */
+function parseSource(content) {
+  try {
+    return { success: true, ast: parser.parse(content, { loc: true, range: true }) };
+  } catch (e) {
+    // The parser reports syntax errors as ParserError; some malformed sources make its AST
+    // builder fail instead, without a location
+    if (!(e instanceof parser.ParserError)) {
+      return { success: false, error: 'Solidity syntax error' };
+    }
+    const [first] = e.errors;
+    return {
+      success: false,
+      error: `Solidity syntax error at line ${first.line}: ${first.message}`,
+      line: first.line,
+      column: first.column + 1,
+    };
+  }
+}
+
+/**
+ * Walk an AST depth-first in source order
+ * @param {Object} node - Root node
+ * @param {function(Object, Object|null): (boolean|void)} enter - Called for each node with its
+ *   parent; returning false skips the node's children
+ * @param {Object|null} [parent] - Parent of the root node
+ */
+function walk(node, enter, parent = null) {
+  if (enter(node, parent) === false) return;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'range') continue;
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child !== null && typeof child === 'object' && typeof child.type === 'string') {
+        walk(child, enter, node);
+      }
+    }
+  }
+}
+
+/**
+ * Collect the nodes of a subtree that match a predicate
+ * @param {Object} node - Root node
+ * @param {function(Object): boolean} predicate - Node filter
+ * @returns {Object[]} Matching nodes in source order
+ */
+function findNodes(node, predicate) {
+  const nodes = [];
+  walk(node, child => {
+    if (predicate(child)) nodes.push(child);
+  });
+  return nodes;
+}
+
+/**
+ * Get the source location of a node
+ * @param {Object} node - AST node
+ * @returns {{line: number, column: number}} 1-based line and column
+ */
+function nodeLocation(node) {
+  return { line: node.loc.start.line, column: node.loc.start.column + 1 };
+}
+
+module.exports = {
+  parseSolidity,
+  walk,
+  findNodes,
+  nodeLocation,
+};
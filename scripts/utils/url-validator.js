@@ -115,10 +115,12 @@ function validateURL(urlString, fieldName = 'URL') {
  * Validate multiple URLs in an object
  * @param {Object} obj - Object containing URL fields
  * @param {string[]} urlFields - Array of field names that should contain URLs
- * @returns {{valid: boolean, errors: string[]}} Validation result with all errors
+ * @returns {{valid: boolean, errors: string[], fields: string[]}} Validation result with all errors;
+ *   fields lists the offending field for each error
  */
 function validateURLs(obj, urlFields) {
   const errors = [];
+  const fields = [];
 
   for (const field of urlFields) {
     const value = obj[field];
@@ -132,12 +134,14 @@ function validateURLs(obj, urlFields) {
     const result = validateURL(value, field);
     if (!result.valid) {
       errors.push(result.error);
+      fields.push(field);
     }
   }
 
   return {
     valid: errors.length === 0,
     errors,
+    fields,
   };
 }
 
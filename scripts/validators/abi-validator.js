@@ -2,143 +2,183 @@
  * ABI validation utilities
  */
 
+const { Fragment } = require('ethers');
 const {
   VALID_ABI_TYPES,
   VALID_STATE_MUTABILITY,
   ABI_FUNCTION_NAME_PATTERN,
 } = require('../utils/constants');
 
+/**
+ * Build a validation result from collected errors
+ * @param {string[]} errors - Collected error messages
+ * @param {Object} [extra] - Additional result fields
+ * @returns {{valid: boolean, error?: string, errors?: string[]}} Validation result
+ */
+function toResult(errors, extra = {}) {
+  if (errors.length === 0) {
+    return { valid: true, ...extra };
+  }
+  return { valid: false, error: errors[0], errors, ...extra };
+}
+
 /**
  * Validate ABI parameter object
  * @param {Object} param - Parameter object from ABI
  * @param {string} context - Context for error messages
- * @returns {{valid: boolean, error?: string}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Collect every error instead of stopping at the first
+ * @returns {{valid: boolean, error?: string, errors?: string[]}} Validation result
  */
-function validateABIParameter(param, context) {
+function validateABIParameter(param, context, { exhaustive = false } = {}) {
   if (typeof param !== 'object' || param === null) {
-    return { valid: false, error: `${context}: parameter must be an object` };
+    return toResult([`${context}: parameter must be an object`]);
   }
 
+  const errors = [];
+  const fail = error => {
+    errors.push(error);
+    return !exhaustive;
+  };
+
   // Must have type
   if (!param.type || typeof param.type !== 'string') {
-    return { valid: false, error: `${context}: parameter missing 'type' field` };
+    if (fail(`${context}: parameter missing 'type' field`)) return toResult(errors);
   }
 
   // Name is optional for outputs in Solidity ABIs
   if (param.name !== undefined && param.name !== '' && typeof param.name !== 'string') {
-    return { valid: false, error: `${context}: parameter name must be a string` };
-  }
-
-  // Validate parameter name if present
-  if (param.name && param.name !== '') {
+    if (fail(`${context}: parameter name must be a string`)) return toResult(errors);
+  } else if (param.name && param.name !== '') {
+    // Validate parameter name if present
     if (!ABI_FUNCTION_NAME_PATTERN.test(param.name)) {
-      return {
-        valid: false,
-        error: `${context}: parameter name '${param.name}' is invalid (must be valid identifier)`,
-      };
+      if (fail(`${context}: parameter name '${param.name}' is invalid (must be valid identifier)`)) {
+        return toResult(errors);
+      }
     }
 
     // Check for dangerous parameter names
     const dangerousNames = ['__proto__', 'constructor', 'prototype'];
     if (dangerousNames.includes(param.name)) {
-      return {
-        valid: false,
-        error: `${context}: parameter name '${param.name}' is not allowed (security risk)`,
-      };
+      if (fail(`${context}: parameter name '${param.name}' is not allowed (security risk)`)) {
+        return toResult(errors);
+      }
     }
   }
 
+  if (typeof param.type !== 'string') {
+    return toResult(errors);
+  }
+
   // Validate type format (basic check)
   if (!/^[a-zA-Z0-9[\](),\s]+$/.test(param.type)) {
-    return {
-      valid: false,
-      error: `${context}: parameter type '${param.type}' contains invalid characters`,
-    };
+    if (fail(`${context}: parameter type '${param.type}' contains invalid characters`)) {
+      return toResult(errors);
+    }
   }
 
   // For tuple types, validate components
   if (param.type.startsWith('tuple') && param.components) {
     if (!Array.isArray(param.components)) {
-      return { valid: false, error: `${context}: tuple components must be an array` };
+      errors.push(`${context}: tuple components must be an array`);
+      return toResult(errors);
     }
 
     for (let i = 0; i < param.components.length; i++) {
       const componentResult = validateABIParameter(
         param.components[i],
-        `${context}.components[${i}]`
+        `${context}.components[${i}]`,
+        { exhaustive }
       );
       if (!componentResult.valid) {
-        return componentResult;
+        if (!exhaustive) return componentResult;
+        errors.push(...componentResult.errors);
       }
     }
   }
 
-  return { valid: true };
+  return toResult(errors);
 }
 
 /**
  * Validate array of ABI parameters (inputs/outputs)
  * @param {Array} params - Array of parameters
  * @param {string} context - Context for error messages
- * @returns {{valid: boolean, error?: string}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Collect every error instead of stopping at the first
+ * @returns {{valid: boolean, error?: string, errors?: string[]}} Validation result
  */
-function validateABIParameters(params, context) {
+function validateABIParameters(params, context, { exhaustive = false } = {}) {
   if (!Array.isArray(params)) {
-    return { valid: false, error: `${context} must be an array` };
+    return toResult([`${context} must be an array`]);
   }
 
+  const errors = [];
   for (let i = 0; i < params.length; i++) {
-    const result = validateABIParameter(params[i], `${context}[${i}]`);
+    const result = validateABIParameter(params[i], `${context}[${i}]`, { exhaustive });
     if (!result.valid) {
-      return result;
+      if (!exhaustive) return result;
+      errors.push(...result.errors);
     }
   }
 
-  return { valid: true };
+  return toResult(errors);
 }
 
 /**
  * Validate single ABI item
  * @param {Object} item - ABI item to validate
  * @param {number} index - Index in ABI array
- * @returns {{valid: boolean, error?: string, warnings?: string[]}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Collect every error instead of stopping at the first
+ * @returns {{valid: boolean, error?: string, errors?: string[], warnings?: string[]}} Validation result
  */
-function validateABIItem(item, index) {
+function validateABIItem(item, index, { exhaustive = false } = {}) {
   const warnings = [];
+  const errors = [];
 
   // Must be an object
   if (typeof item !== 'object' || item === null) {
-    return { valid: false, error: `ABI item ${index} must be an object` };
+    return toResult([`ABI item ${index} must be an object`]);
   }
 
   // Must have type field
   if (!item.type || typeof item.type !== 'string') {
-    return { valid: false, error: `ABI item ${index} missing 'type' field` };
+    return toResult([`ABI item ${index} missing 'type' field`]);
   }
 
   // Validate type
   if (!VALID_ABI_TYPES.includes(item.type)) {
-    return {
-      valid: false,
-      error: `ABI item ${index} has invalid type: ${item.type}`,
-    };
+    return toResult([`ABI item ${index} has invalid type: ${item.type}`]);
   }
 
+  /**
+   * Record an error; returns true when validation should stop
+   * @param {string|string[]} error - Error message(s)
+   * @returns {boolean} True in fail-fast mode
+   */
+  const fail = error => {
+    errors.push(...[].concat(error));
+    return !exhaustive;
+  };
+
+  /**
+   * Validate a parameter list field of the item
+   * @param {string} field - 'inputs' or 'outputs'
+   * @returns {boolean} True in fail-fast mode after an error
+   */
+  const checkParameters = field => {
+    const result = validateABIParameters(item[field], `ABI item ${index}.${field}`, { exhaustive });
+    return !result.valid && fail(result.errors);
+  };
+
   // Functions, events, and errors must have a name
   if (['function', 'event', 'error'].includes(item.type)) {
     if (!item.name || typeof item.name !== 'string') {
-      return {
-        valid: false,
-        error: `ABI item ${index} (${item.type}) missing 'name' field`,
-      };
-    }
-
-    // Validate name format
-    if (!ABI_FUNCTION_NAME_PATTERN.test(item.name)) {
-      return {
-        valid: false,
-        error: `ABI item ${index} has invalid name: ${item.name}`,
-      };
+      if (fail(`ABI item ${index} (${item.type}) missing 'name' field`)) return toResult(errors);
+    } else if (!ABI_FUNCTION_NAME_PATTERN.test(item.name)) {
+      // Validate name format
+      if (fail(`ABI item ${index} has invalid name: ${item.name}`)) return toResult(errors);
     }
   }
 
@@ -146,14 +186,8 @@ function validateABIItem(item, index) {
   if (['function', 'constructor'].includes(item.type)) {
     if (!item.inputs) {
       warnings.push(`ABI item ${index} (${item.type}) missing 'inputs' field`);
-    } else {
-      const inputsResult = validateABIParameters(
-        item.inputs,
-        `ABI item ${index}.inputs`
-      );
-      if (!inputsResult.valid) {
-        return inputsResult;
-      }
+    } else if (checkParameters('inputs')) {
+      return toResult(errors);
     }
   }
 
@@ -161,24 +195,17 @@ function validateABIItem(item, index) {
   if (item.type === 'function') {
     if (!item.outputs) {
       warnings.push(`ABI item ${index} (function ${item.name}) missing 'outputs' field`);
-    } else {
-      const outputsResult = validateABIParameters(
-        item.outputs,
-        `ABI item ${index}.outputs`
-      );
-      if (!outputsResult.valid) {
-        return outputsResult;
-      }
+    } else if (checkParameters('outputs')) {
+      return toResult(errors);
     }
   }
 
   // Validate stateMutability if present
   if (item.stateMutability) {
     if (!VALID_STATE_MUTABILITY.includes(item.stateMutability)) {
-      return {
-        valid: false,
-        error: `ABI item ${index} has invalid stateMutability: ${item.stateMutability}`,
-      };
+      if (fail(`ABI item ${index} has invalid stateMutability: ${item.stateMutability}`)) {
+        return toResult(errors);
+      }
     }
   }
 
@@ -186,53 +213,59 @@ function validateABIItem(item, index) {
   if (item.type === 'event') {
     if (!item.inputs) {
       warnings.push(`ABI item ${index} (event ${item.name}) missing 'inputs' field`);
-    } else {
-      const inputsResult = validateABIParameters(
-        item.inputs,
-        `ABI item ${index}.inputs`
-      );
-      if (!inputsResult.valid) {
-        return inputsResult;
-      }
+    } else if (checkParameters('inputs')) {
+      return toResult(errors);
     }
   }
 
-  return { valid: true, warnings };
+  return toResult(errors, { warnings });
 }
 
 /**
  * Validate complete ABI array
  * @param {Array} abi - ABI to validate
  * @param {string} contractName - Contract name for error messages
- * @returns {{valid: boolean, error?: string, warnings?: string[]}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Collect every error instead of stopping at the first
+ * @returns {{valid: boolean, error?: string, errors?: string[], pointer?: string, pointers?: string[],
+ *   warnings?: string[]}} Validation result; pointers holds the JSON pointer of the ABI item for each error
  */
-function validateABI(abi, contractName = 'contract') {
+function validateABI(abi, contractName = 'contract', { exhaustive = false } = {}) {
   const allWarnings = [];
+  const errors = [];
+  const pointers = [];
 
   // Must be an array
   if (!Array.isArray(abi)) {
-    return { valid: false, error: `ABI for ${contractName} must be a JSON array` };
+    return toResult([`ABI for ${contractName} must be a JSON array`]);
   }
 
   // Should not be empty
   if (abi.length === 0) {
-    return { valid: false, error: `ABI for ${contractName} is empty` };
+    return toResult([`ABI for ${contractName} is empty`]);
   }
 
   // Validate each item
   for (let i = 0; i < abi.length; i++) {
-    const result = validateABIItem(abi[i], i);
+    const result = validateABIItem(abi[i], i, { exhaustive });
     if (!result.valid) {
-      return {
-        valid: false,
-        error: `${contractName}: ${result.error}`,
-      };
+      for (const error of result.errors) {
+        errors.push(`${contractName}: ${error}`);
+        pointers.push(`/${i}`);
+      }
+      if (!exhaustive) {
+        return toResult(errors, { pointer: pointers[0], pointers });
+      }
     }
     if (result.warnings && result.warnings.length > 0) {
       allWarnings.push(...result.warnings.map(w => `${contractName}: ${w}`));
     }
   }
 
+  if (errors.length > 0) {
+    return toResult(errors, { pointer: pointers[0], pointers, warnings: allWarnings });
+  }
+
   // Check for basic completeness
   const hasConstructor = abi.some(item => item.type === 'constructor');
   const hasFunctions = abi.some(item => item.type === 'function');
@@ -246,9 +279,99 @@ function validateABI(abi, contractName = 'contract') {
   return { valid: true, warnings: allWarnings };
 }
 
+/**
+ * Describe an ABI item for comparison
+ * Only what affects encoding and calling is compared: parameter names and internalType are ignored
+ * @param {Object} item - ABI item
+ * @returns {{key: string, label: string, shape: string}|null} Identity (kind and signature),
+ *   display label and comparable shape, or null if the item cannot be parsed
+ */
+function describeABIItem(item) {
+  let fragment;
+  try {
+    fragment = Fragment.from(item);
+  } catch {
+    return null;
+  }
+
+  const types = params => `(${params.map(param => param.format('sighash')).join(',')})`;
+  const signature = () => `${fragment.type} ${fragment.format('sighash')}`;
+
+  switch (fragment.type) {
+    case 'function':
+      return {
+        key: signature(),
+        label: signature(),
+        shape: `${fragment.stateMutability} returns ${types(fragment.outputs)}`,
+      };
+    case 'event':
+      return {
+        key: signature(),
+        label: signature(),
+        shape: `indexed ${fragment.inputs.map(input => Boolean(input.indexed)).join(',')}` +
+          (fragment.anonymous ? ' anonymous' : ''),
+      };
+    case 'error':
+      return { key: signature(), label: signature(), shape: '' };
+    case 'constructor':
+      return {
+        key: 'constructor',
+        label: `constructor${types(fragment.inputs)}`,
+        shape: `${types(fragment.inputs)}${fragment.payable ? ' payable' : ''}`,
+      };
+    default:
+      // fallback and receive
+      return { key: fragment.type, label: `${fragment.type}()`, shape: fragment.payable ? 'payable' : '' };
+  }
+}
+
+/**
+ * Compare a stored ABI with the ABI compiled from the contract source
+ * Items are matched by kind and signature (constructor, fallback and receive by kind)
+ * @param {Array} stored - ABI from <Name>_abi.json
+ * @param {Array} compiled - ABI produced by the compiler
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}} Differences as
+ *   {label, index?, from?, to?}: added items are only in the compiled ABI, removed items only in the
+ *   stored ABI and changed items differ in mutability, outputs, indexed flags or payability;
+ *   index is the position in the stored ABI
+ */
+function diffABI(stored, compiled) {
+  const storedItems = new Map();
+  stored.forEach((item, index) => {
+    const description = describeABIItem(item);
+    if (description && !storedItems.has(description.key)) {
+      storedItems.set(description.key, { ...description, index });
+    }
+  });
+
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+
+  for (const item of compiled) {
+    const description = describeABIItem(item);
+    if (!description || seen.has(description.key)) continue;
+    seen.add(description.key);
+
+    const match = storedItems.get(description.key);
+    if (!match) {
+      added.push({ label: description.label });
+    } else if (match.shape !== description.shape) {
+      changed.push({ label: description.label, index: match.index, from: match.shape, to: description.shape });
+    }
+  }
+
+  const removed = [...storedItems.values()]
+    .filter(item => !seen.has(item.key))
+    .map(({ label, index }) => ({ label, index }));
+
+  return { added, removed, changed };
+}
+
 module.exports = {
   validateABIParameter,
   validateABIParameters,
   validateABIItem,
   validateABI,
+  diffABI,
 };
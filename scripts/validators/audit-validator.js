@@ -0,0 +1,98 @@
+/**
+ * Audit reports
+ * Checks the audits listed in a project's info.json: report URLs, the contracts in scope and
+ * the copies of report PDFs kept in the project directory
+ */
+
+const crypto = require('crypto');
+const { MAX_AUDIT_REPORT_SIZE } = require('../utils/constants');
+const { validateURL } = require('../utils/url-validator');
+
+// Every PDF file starts with this header
+const PDF_MAGIC = '%PDF-';
+
+/**
+ * Validate the audits of a project
+ * Report URLs must be safe HTTPS URLs, audits must not be dated in the future, every contract
+ * in scope must be listed in the project, and a report copy must be a PDF of at most
+ * MAX_AUDIT_REPORT_SIZE bytes whose SHA-256 matches the listed one.
+ * @param {Array} audits - Audits from info.json (schema-checked)
+ * @param {Array} contracts - Contract entries of the project
+ * @param {Function} readReport - Reads a project file as a Buffer, failing for files over maxSize
+ *   bytes: (name, maxSize) => {success: boolean, content?: Buffer, error?: string}
+ * @returns {{valid: boolean, errors: string[], findings: Object[]}} Validation result; findings carry
+ *   the `field` they refer to, relative to the audits array
+ */
+function validateAudits(audits, contracts, readReport) {
+  const errors = [];
+  const findings = [];
+  const fail = (field, message) => {
+    errors.push(message);
+    findings.push({ ruleId: 'project/audits', severity: 'error', message, field });
+  };
+
+  const names = new Set(contracts.map(contract => contract && contract.name));
+  const today = new Date().toISOString().slice(0, 10);
+
+  audits.forEach((audit, index) => {
+    if (audit === null || typeof audit !== 'object') return;
+    const label = `Audit ${index}${typeof audit.auditor === 'string' ? ` (${audit.auditor})` : ''}`;
+
+    if (typeof audit.url === 'string') {
+      const urlValidation = validateURL(audit.url, `${label} url`);
+      if (!urlValidation.valid) {
+        fail(`${index}/url`, urlValidation.error);
+      }
+    }
+
+    if (typeof audit.date === 'string' && audit.date > today) {
+      fail(`${index}/date`, `${label} is dated in the future (${audit.date})`);
+    }
+
+    (Array.isArray(audit.scope) ? audit.scope : []).forEach((name, scopeIndex) => {
+      if (!names.has(name)) {
+        fail(`${index}/scope/${scopeIndex}`, `${label} covers ${name}, which is not listed in contracts`);
+      }
+    });
+
+    if (typeof audit.file === 'string' && typeof audit.sha256 === 'string') {
+      const report = readReport(audit.file, MAX_AUDIT_REPORT_SIZE);
+      if (!report.success) {
+        fail(`${index}/file`, `${label} report ${audit.file} cannot be read: ${report.error}`);
+      } else if (report.content.subarray(0, PDF_MAGIC.length).toString('latin1') !== PDF_MAGIC) {
+        fail(`${index}/file`, `${label} report ${audit.file} is not a PDF`);
+      } else {
+        const digest = crypto.createHash('sha256').update(report.content).digest('hex');
+        if (digest !== audit.sha256) {
+          fail(`${index}/sha256`, `${label} report ${audit.file} has SHA-256 ${digest}, not ${audit.sha256}`);
+        }
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, findings };
+}
+
+/**
+ * Find the contracts that no audit covers
+ * @param {Array} audits - Audits from info.json (may be undefined)
+ * @param {Array} contracts - Contract entries of the project
+ * @returns {number[]} Indexes of the contracts whose name is in no audit's scope
+ */
+function findUnauditedContracts(audits, contracts) {
+  const audited = new Set();
+  for (const audit of Array.isArray(audits) ? audits : []) {
+    if (audit && Array.isArray(audit.scope)) {
+      audit.scope.forEach(name => audited.add(name));
+    }
+  }
+
+  return contracts
+    .map((contract, index) => (contract && !audited.has(contract.name) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+module.exports = {
+  validateAudits,
+  findUnauditedContracts,
+};
@@ -0,0 +1,146 @@
+/**
+ * On-chain contract conformance
+ * Checks that a listed address is a deployed contract exposing the functions in its ABI
+ */
+
+const { Interface, FunctionFragment, getAddress } = require('ethers');
+const { extractSelectors, addressFromStorageWord } = require('../utils/bytecode');
+const { describeRpcError } = require('../utils/rpc');
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+
+const BEACON_INTERFACE = new Interface(['function implementation() view returns (address)']);
+
+/**
+ * Resolve the implementation behind an EIP-1967 proxy
+ * Reads the implementation slot, then the beacon slot (asking the beacon for its implementation)
+ * @param {Object} provider - ethers provider
+ * @param {string} address - Proxy address
+ * @returns {Promise<{implementation?: string, beacon?: string}>} Implementation (and beacon),
+ *   or {} if the address is not a proxy
+ * @throws {Error} On RPC failures
+ */
+async function resolveEip1967Implementation(provider, address) {
+  const implementation = addressFromStorageWord(
+    await provider.getStorage(address, EIP1967_IMPLEMENTATION_SLOT)
+  );
+  if (implementation) {
+    return { implementation: getAddress(implementation) };
+  }
+
+  const beacon = addressFromStorageWord(await provider.getStorage(address, EIP1967_BEACON_SLOT));
+  if (!beacon) {
+    return {};
+  }
+
+  const result = await provider.call({
+    to: beacon,
+    data: BEACON_INTERFACE.encodeFunctionData('implementation'),
+  });
+  const [beaconImplementation] = BEACON_INTERFACE.decodeFunctionResult('implementation', result);
+  return { implementation: getAddress(beaconImplementation), beacon: getAddress(beacon) };
+}
+
+/**
+ * List the functions declared in an ABI with their selectors
+ * @param {Array} abi - Contract ABI (already validated)
+ * @returns {Array<{index: number, signature: string, selector: string}>} ABI functions
+ */
+function getAbiFunctions(abi) {
+  const functions = [];
+
+  abi.forEach((item, index) => {
+    if (!item || item.type !== 'function') return;
+    try {
+      const fragment = FunctionFragment.from(item);
+      functions.push({ index, signature: fragment.format('sighash'), selector: fragment.selector });
+    } catch {
+      // Malformed entries are reported by the ABI validator
+    }
+  });
+
+  return functions;
+}
+
+/**
+ * Verify a listed contract against its deployed bytecode
+ * The address must have code; for EIP-1967 proxies the implementation must have code too, and
+ * selectors are taken from both. Every ABI function must appear in the dispatcher.
+ * @param {Object} provider - ethers provider (see utils/rpc createRpcProvider)
+ * @param {{name: string, address: string}} contract - Contract entry from info.json
+ * @param {Array} abi - Contract ABI
+ * @returns {Promise<{valid: boolean, errors: string[], findings: Object[], implementation?: string,
+ *   missing: string[]}>} Validation result with all errors; findings carry rule ids and either
+ *   `field` (info.json entry) or `abiIndex` (ABI item), missing lists absent function signatures
+ */
+async function verifyContractOnChain(provider, contract, abi) {
+  const { name, address } = contract;
+  const errors = [];
+  const findings = [];
+  const missing = [];
+
+  const fail = (ruleId, message, location = { field: 'address' }) => {
+    errors.push(`${name}: ${message}`);
+    findings.push({ ruleId, severity: 'error', message: `${name}: ${message}`, ...location });
+  };
+  const toResult = extra => ({ valid: errors.length === 0, errors, findings, missing, ...extra });
+
+  let code;
+  let proxy;
+  let implementationCode = '0x';
+  try {
+    code = await provider.getCode(address);
+    if (code === '0x') {
+      fail('onchain/code', `No contract code at ${address}`);
+      return toResult();
+    }
+
+    proxy = await resolveEip1967Implementation(provider, address);
+    if (proxy.implementation) {
+      implementationCode = await provider.getCode(proxy.implementation);
+    }
+  } catch (e) {
+    fail('onchain/rpc', `RPC request failed: ${describeRpcError(e)}`);
+    return toResult();
+  }
+
+  if (proxy.implementation && implementationCode === '0x') {
+    fail('onchain/code', `EIP-1967 implementation ${proxy.implementation} has no contract code`);
+    return toResult({ implementation: proxy.implementation });
+  }
+
+  const selectors = new Set([...extractSelectors(code), ...extractSelectors(implementationCode)]);
+  const functions = getAbiFunctions(abi);
+  const absent = functions.filter(fn => !selectors.has(fn.selector));
+  missing.push(...absent.map(fn => fn.signature));
+
+  if (absent.length > 1 && absent.length === functions.length) {
+    // Nothing matches: the address most likely points at a different contract
+    fail(
+      'onchain/selectors',
+      `None of the ${functions.length} ABI functions appear in the bytecode at ${address}`
+    );
+  } else {
+    absent.forEach(fn => {
+      fail(
+        'onchain/selectors',
+        `${fn.signature} (${fn.selector}) is not in the deployed bytecode`,
+        { abiIndex: fn.index }
+      );
+    });
+  }
+
+  return toResult({ implementation: proxy.implementation });
+}
+
+module.exports = {
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_BEACON_SLOT,
+  resolveEip1967Implementation,
+  getAbiFunctions,
+  verifyContractOnChain,
+};
@@ -0,0 +1,122 @@
+/**
+ * Contract source compilation
+ * Compiles a contract's Solidity source and checks that the stored ABI matches the compiled one
+ */
+
+const {
+  MISSING_PACKAGES,
+  parsePragma,
+  listCompilers,
+  resolveCompiler,
+  compileContract,
+} = require('../utils/solc');
+const { createPositionResolver } = require('../utils/json-locator');
+const { diffABI } = require('./abi-validator');
+
+/**
+ * Compile a contract source and compare its ABI with the stored ABI
+ * Sources that cannot be compiled here (solc not installed, no local compiler for the pragma,
+ * unresolved imports) produce warnings; compiler errors and ABI differences are errors.
+ * @param {Object} contract - Contract to check
+ * @param {string} contract.name - Contract name
+ * @param {string} contract.source - Content of <Name>.sol
+ * @param {Array} contract.abi - Content of <Name>_abi.json (already validated)
+ * @param {function(string): {success: boolean, content?: string, error?: string}} [contract.readImport] -
+ *   Reads an imported file relative to the project directory
+ * @param {Object} [options] - Compilation options
+ * @param {string} [options.compilersDir] - Directory holding additional soljson builds
+ * @returns {{valid: boolean, errors: string[], warnings: string[], findings: Object[], compiler?: string,
+ *   diff?: Object}} Validation result; findings carry rule ids and either a source line/column or
+ *   `abiIndex` (ABI item), diff is the diffABI() result when the source compiled
+ */
+function verifyContractSource({ name, source, abi, readImport }, { compilersDir } = {}) {
+  const errors = [];
+  const warnings = [];
+  const findings = [];
+
+  const report = (ruleId, severity, message, location = {}) => {
+    (severity === 'error' ? errors : warnings).push(`${name}: ${message}`);
+    findings.push({ ruleId, severity, message: `${name}: ${message}`, ...location });
+  };
+  const toResult = extra => ({ valid: errors.length === 0, errors, warnings, findings, ...extra });
+
+  if (MISSING_PACKAGES.length > 0) {
+    const packages = MISSING_PACKAGES.join(' and ');
+    report('solidity/compiler', 'warning', `${packages} not installed, source not compiled`);
+    return toResult();
+  }
+
+  const pragma = parsePragma(source);
+  if (!pragma) {
+    report('solidity/compiler', 'warning', 'No valid pragma solidity directive, source not compiled');
+    return toResult();
+  }
+
+  const compiler = resolveCompiler(pragma, compilersDir);
+  if (!compiler) {
+    const installed = listCompilers(compilersDir).map(({ version }) => version).join(', ');
+    report(
+      'solidity/compiler',
+      'warning',
+      `No installed compiler satisfies pragma solidity ${pragma} (installed: ${installed}), ` +
+        'source not compiled'
+    );
+    return toResult();
+  }
+
+  let compilation;
+  try {
+    compilation = compileContract({ name, content: source, readImport }, { compiler });
+  } catch (e) {
+    report('solidity/compile', 'error', `solc ${compiler.version} failed: ${e.message}`);
+    return toResult({ compiler: compiler.version });
+  }
+
+  if (compilation.missingImports.length > 0) {
+    report(
+      'solidity/imports',
+      'warning',
+      `Imports not found in the project: ${compilation.missingImports.join(', ')}, source not compiled`
+    );
+    return toResult({ compiler: compiler.version });
+  }
+
+  if (compilation.errors.length > 0) {
+    const toPosition = createPositionResolver(source);
+    const sourceBytes = Buffer.from(source, 'utf8');
+    compilation.errors.forEach(({ message, file, start }) => {
+      // Compiler locations are byte offsets into the source
+      const location = file === `${name}.sol` && start >= 0
+        ? toPosition(sourceBytes.subarray(0, start).toString('utf8').length)
+        : {};
+      report('solidity/compile', 'error', message, location);
+    });
+    return toResult({ compiler: compiler.version });
+  }
+
+  if (!compilation.contract) {
+    report('solidity/compile', 'error', `solc ${compiler.version} produced no output for ${name}`);
+    return toResult({ compiler: compiler.version });
+  }
+
+  const diff = diffABI(abi, compilation.contract.abi);
+  diff.added.forEach(({ label }) => {
+    report('solidity/abi-drift', 'error', `${label} is in the source but not in ${name}_abi.json`);
+  });
+  diff.removed.forEach(({ label, index }) => {
+    report('solidity/abi-drift', 'error', `${label} is in ${name}_abi.json but not in the source`, {
+      abiIndex: index,
+    });
+  });
+  diff.changed.forEach(({ label, index, from, to }) => {
+    report('solidity/abi-drift', 'error', `${label} differs: ABI file has ${from}, source has ${to}`, {
+      abiIndex: index,
+    });
+  });
+
+  return toResult({ compiler: compiler.version, diff });
+}
+
+module.exports = {
+  verifyContractSource,
+};
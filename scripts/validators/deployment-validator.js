@@ -0,0 +1,222 @@
+/**
+ * Source/deployment equivalence
+ * Recompiles a contract with the compiler settings recorded in info.json and compares the
+ * result with the runtime bytecode deployed at the listed address
+ */
+
+const { Interface, AbiCoder } = require('ethers');
+const { validateEIP55Checksum } = require('../utils/address-validator');
+const {
+  MISSING_PACKAGES,
+  parsePragma,
+  satisfiesPragma,
+  resolveCompiler,
+  loadCompiler,
+  compileContract,
+} = require('../utils/solc');
+const { compareRuntimeBytecode } = require('../utils/bytecode');
+const { describeRpcError } = require('../utils/rpc');
+
+const DEPLOYED_BYTECODE_OUTPUTS = [
+  'evm.deployedBytecode.object',
+  'evm.deployedBytecode.immutableReferences',
+];
+
+/**
+ * Split a recorded compiler version into its release and commit
+ * @param {string} version - Version from the compiler block (e.g., '0.7.6+commit.7338295f')
+ * @returns {{release: string, commit?: string}} Release version and optional commit hash
+ */
+function parseCompilerVersion(version) {
+  const [release, build] = version.split('+');
+  return build ? { release, commit: build.replace(/^commit\./, '') } : { release };
+}
+
+/**
+ * Validate a contract's compiler block against its source and ABI
+ * Malformed fields are reported by the schema and skipped here.
+ * @param {Object} settings - Compiler block from info.json
+ * @param {Object} contract - Contract files
+ * @param {string} contract.source - Content of <Name>.sol
+ * @param {Array} contract.abi - Content of <Name>_abi.json (already validated)
+ * @returns {{valid: boolean, errors: string[], findings: Object[]}} Validation result; findings carry
+ *   the compiler block `field` they refer to
+ */
+function validateCompilerSettings(settings, { source, abi }) {
+  const errors = [];
+  const findings = [];
+  const fail = (field, message) => {
+    errors.push(message);
+    findings.push({ ruleId: 'contract/compiler', severity: 'error', message, field });
+  };
+
+  // Without semver there is no pragma, so the version is not checked
+  const pragma = parsePragma(source);
+  if (typeof settings.version === 'string') {
+    const { release } = parseCompilerVersion(settings.version);
+    if (pragma && !satisfiesPragma(release, pragma)) {
+      fail('version', `Compiler version ${settings.version} does not satisfy pragma solidity ${pragma}`);
+    }
+  }
+
+  const { libraries } = settings;
+  const linked = libraries !== null && typeof libraries === 'object' ? Object.entries(libraries) : [];
+  for (const [name, address] of linked) {
+    if (typeof address !== 'string') continue;
+    const checksum = validateEIP55Checksum(address, `library ${name}`);
+    if (!checksum.valid) {
+      fail(`libraries/${name}`, checksum.error);
+    }
+  }
+
+  if (typeof settings.constructorArgs === 'string') {
+    const inputs = new Interface(abi).deploy.inputs;
+    try {
+      const coder = AbiCoder.defaultAbiCoder();
+      const encoded = coder.encode(inputs, coder.decode(inputs, settings.constructorArgs));
+      if (encoded.toLowerCase() !== settings.constructorArgs.toLowerCase()) {
+        throw new Error('unexpected trailing data');
+      }
+    } catch (e) {
+      const types = inputs.map(input => input.format('sighash')).join(',');
+      const reason = e.shortMessage || e.message;
+      fail('constructorArgs', `Constructor arguments do not encode constructor(${types}): ${reason}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, findings };
+}
+
+/**
+ * Recompile a contract with its recorded compiler settings and compare it with the deployment
+ * The deployment is 'verified' when the runtime bytecode is identical apart from immutables,
+ * 'partial' when only the metadata hash differs and 'mismatch' otherwise. Contracts that cannot
+ * be reproduced here (no compiler block, compiler not installed, unresolved imports or libraries,
+ * compiler errors) are 'skipped'.
+ * @param {Object} provider - ethers provider (see utils/rpc createRpcProvider)
+ * @param {Object} contract - Contract to verify
+ * @param {{name: string, address: string, compiler?: Object, proxy?: Object}} contract.data - Contract entry
+ *   from info.json; proxies are compared with their implementation
+ * @param {string} contract.source - Content of <Name>.sol
+ * @param {function(string): Object} [contract.readImport] - Reads an imported file relative to the project
+ * @param {Object} [options] - Verification options
+ * @param {string} [options.compilersDir] - Directory holding additional soljson builds
+ * @returns {Promise<{status: string, reason?: string, compiler?: string, valid: boolean, errors: string[],
+ *   warnings: string[], findings: Object[]}>} Verification result; findings carry rule ids and the
+ *   info.json `field` they refer to
+ */
+async function verifyDeployment(provider, { data, source, readImport }, { compilersDir } = {}) {
+  const { name, compiler: settings, proxy } = data;
+  // The source of a proxied contract is that of its implementation
+  const address = proxy ? proxy.implementation : data.address;
+  const addressField = proxy ? 'proxy/implementation' : 'address';
+  const errors = [];
+  const warnings = [];
+  const findings = [];
+
+  const report = (ruleId, severity, message, field) => {
+    (severity === 'error' ? errors : warnings).push(`${name}: ${message}`);
+    findings.push({ ruleId, severity, message: `${name}: ${message}`, field });
+  };
+  const toResult = (status, extra) => ({
+    status,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    findings,
+    ...extra,
+  });
+  const skip = (reason, extra) => {
+    report('deployment/skipped', 'warning', `Not verified: ${reason}`, 'compiler');
+    return toResult('skipped', { reason, ...extra });
+  };
+
+  if (!settings) {
+    return toResult('skipped', { reason: 'no compiler settings in info.json' });
+  }
+
+  if (MISSING_PACKAGES.length > 0) {
+    return skip(`${MISSING_PACKAGES.join(' and ')} not installed`);
+  }
+
+  const { release, commit } = parseCompilerVersion(settings.version);
+  const compiler = resolveCompiler(`=${release}`, compilersDir);
+  if (!compiler) {
+    return skip(`solc ${settings.version} is not installed`);
+  }
+
+  let compilation;
+  try {
+    const build = loadCompiler(compiler).version();
+    if (commit && !build.includes(`commit.${commit}`)) {
+      return skip(`installed solc ${build} is not the recorded build ${settings.version}`);
+    }
+
+    const solcSettings = {};
+    if (settings.optimizer) solcSettings.optimizer = settings.optimizer;
+    if (settings.evmVersion) solcSettings.evmVersion = settings.evmVersion;
+    compilation = compileContract(
+      { name, content: source, readImport },
+      { compiler, outputs: DEPLOYED_BYTECODE_OUTPUTS, settings: solcSettings }
+    );
+  } catch (e) {
+    return skip(`solc ${compiler.version} failed: ${e.message}`);
+  }
+
+  const extra = { compiler: compiler.version };
+  if (compilation.missingImports.length > 0) {
+    return skip(`imports not found in the project: ${compilation.missingImports.join(', ')}`, extra);
+  }
+  if (compilation.errors.length > 0 || !compilation.contract) {
+    const error = compilation.errors.length > 0 ? compilation.errors[0].message : `no output for ${name}`;
+    return skip(`source does not compile with the recorded settings (${error})`, extra);
+  }
+
+  // solc is not a runtime dependency, so its linker is only required once a contract compiled
+  const { linkBytecode } = require('solc/linker');
+  const { object, immutableReferences } = compilation.contract.evm.deployedBytecode;
+  const linked = linkBytecode(object, settings.libraries || {});
+  // Bytecode is hex, so any underscore belongs to a 40-character library placeholder
+  const placeholder = linked.indexOf('_');
+  if (placeholder !== -1) {
+    const library = linked.slice(placeholder, placeholder + 40);
+    return skip(`library placeholder ${library} has no address in compiler.libraries`, extra);
+  }
+
+  let deployed;
+  try {
+    deployed = await provider.getCode(address);
+  } catch (e) {
+    report('onchain/rpc', 'error', `RPC request failed: ${describeRpcError(e)}`, addressField);
+    return toResult('skipped', { reason: 'RPC request failed', ...extra });
+  }
+
+  if (deployed === '0x') {
+    report('deployment/mismatch', 'error', `No contract code at ${address}`, addressField);
+    return toResult('mismatch', extra);
+  }
+
+  const status = compareRuntimeBytecode(deployed, linked, immutableReferences);
+  if (status === 'mismatch') {
+    report(
+      'deployment/mismatch',
+      'error',
+      `Runtime bytecode at ${address} does not match ${name}.sol compiled with solc ${settings.version}`,
+      addressField
+    );
+  } else if (status === 'partial') {
+    report(
+      'deployment/partial',
+      'warning',
+      `Runtime bytecode at ${address} matches ${name}.sol except for the metadata hash`,
+      addressField
+    );
+  }
+
+  return toResult(status, extra);
+}
+
+module.exports = {
+  validateCompilerSettings,
+  verifyDeployment,
+};
@@ -5,13 +5,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readImageInfo } = require('../utils/image');
+const { validateSvg } = require('./svg-validator');
 
 // Logo file size limits
 const LOGO_SIZE_WARNING = 100 * 1024; // 100KB - warn
 const LOGO_SIZE_ERROR = 500 * 1024;   // 500KB - error
 
+// Logo dimension limits (pixels)
+const LOGO_MIN_DIMENSION = 64;    // error below
+const LOGO_MAX_DIMENSION = 1024;  // warn above
+const LOGO_ASPECT_TOLERANCE = 0.05; // Width and height may differ by up to 5%
+
 // Allowed logo extensions
-const ALLOWED_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const ALLOWED_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.svg'];
 
 // Magic bytes for image format validation
 const MAGIC_BYTES = {
@@ -38,8 +45,9 @@ function findLogoFile(tokenDir, address) {
 
 /**
  * Validate magic bytes match the file extension
+ * SVG has no magic bytes; text starting with '<' (after an optional BOM and whitespace) is taken as SVG.
  * @param {Buffer} buffer - File buffer (first 12 bytes minimum)
- * @param {string} extension - File extension (.png, .jpg, .webp)
+ * @param {string} extension - File extension (.png, .jpg, .webp, .svg)
  * @returns {{valid: boolean, detectedFormat?: string, error?: string}} Validation result
  */
 function validateMagicBytes(buffer, extension) {
@@ -84,6 +92,18 @@ function validateMagicBytes(buffer, extension) {
     }
   }
 
+  // Check SVG (XML text)
+  if (buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart().startsWith('<')) {
+    if (ext === '.svg') {
+      return { valid: true, detectedFormat: 'svg' };
+    }
+    return {
+      valid: false,
+      detectedFormat: 'svg',
+      error: `File is SVG but has ${ext} extension`,
+    };
+  }
+
   return {
     valid: false,
     error: `Unrecognized image format for ${ext} file`,
@@ -95,11 +115,11 @@ function validateMagicBytes(buffer, extension) {
  * @param {string} tokenDir - Path to token directory
  * @param {string} address - Token address (EIP-55 checksummed)
  * @param {string} symbol - Token symbol (for error messages)
- * @returns {{valid: boolean, error?: string, warnings?: string[]}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Check the file format even when the size check fails
+ * @returns {{valid: boolean, error?: string, errors?: string[], warnings?: string[]}} Validation result
  */
-function validateLogo(tokenDir, address, symbol) {
-  const warnings = [];
-
+function validateLogo(tokenDir, address, symbol, { exhaustive = false } = {}) {
   // Find logo file
   const logoSearch = findLogoFile(tokenDir, address);
   if (!logoSearch.found) {
@@ -124,51 +144,157 @@ function validateLogo(tokenDir, address, symbol) {
     };
   }
 
-  // Check file size
-  if (stats.size > LOGO_SIZE_ERROR) {
+  // Read the file for image validation; oversized files only get their header checked
+  let content;
+  try {
+    if (stats.size <= LOGO_SIZE_ERROR) {
+      content = fs.readFileSync(logoPath);
+    } else {
+      const fd = fs.openSync(logoPath, 'r');
+      content = Buffer.alloc(12);
+      fs.readSync(fd, content, 0, 12, 0);
+      fs.closeSync(fd);
+    }
+  } catch (e) {
     return {
       valid: false,
-      error: `${symbol}: Logo file too large (${(stats.size / 1024).toFixed(1)}KB). Maximum: ${LOGO_SIZE_ERROR / 1024}KB`,
+      error: `${symbol}: Cannot read logo file: ${e.message}`,
     };
   }
 
-  if (stats.size > LOGO_SIZE_WARNING) {
-    warnings.push(
-      `${symbol}: Logo file is large (${(stats.size / 1024).toFixed(1)}KB). Recommended: <${LOGO_SIZE_WARNING / 1024}KB`
-    );
+  return checkLogoContent(stats.size, content, extension, symbol, { exhaustive });
+}
+
+/**
+ * Validate logo content held in memory (e.g., a submission that is not on disk yet)
+ * @param {Buffer} buffer - Logo file content
+ * @param {string} extension - File extension (.png, .jpg, .jpeg, .webp, .svg)
+ * @param {string} symbol - Token symbol (for error messages)
+ * @param {Object} [options] - Validation options (see validateLogo)
+ * @returns {{valid: boolean, error?: string, errors?: string[], warnings?: string[]}} Validation result
+ */
+function validateLogoBuffer(buffer, extension, symbol, { exhaustive = false } = {}) {
+  if (!Buffer.isBuffer(buffer)) {
+    return { valid: false, error: `${symbol}: Logo content must be a Buffer` };
   }
 
-  // Read file header for magic byte validation
-  let buffer;
-  try {
-    const fd = fs.openSync(logoPath, 'r');
-    buffer = Buffer.alloc(12);
-    fs.readSync(fd, buffer, 0, 12, 0);
-    fs.closeSync(fd);
-  } catch (e) {
+  if (typeof extension !== 'string' || !ALLOWED_EXTENSIONS.includes(extension.toLowerCase())) {
     return {
       valid: false,
-      error: `${symbol}: Cannot read logo file header: ${e.message}`,
+      error: `${symbol}: Unsupported logo extension ${extension}. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`,
     };
   }
 
+  return checkLogoContent(buffer.length, buffer, extension, symbol, { exhaustive });
+}
+
+/**
+ * Check image dimensions against the logo limits
+ * SVG logos scale freely, so only their viewBox aspect ratio is checked
+ * @param {{format: string, width: number, height: number}} image - Image format and dimensions
+ * @param {string} symbol - Token symbol (for error messages)
+ * @returns {{errors: string[], warnings: string[]}} Dimension errors and warnings
+ */
+function checkLogoDimensions({ format, width, height }, symbol) {
+  const errors = [];
+  const warnings = [];
+  const dimensions = format === 'svg' ? `viewBox ${width}x${height}` : `${width}x${height}px`;
+
+  if (Math.abs(width - height) > Math.max(width, height) * LOGO_ASPECT_TOLERANCE) {
+    errors.push(`${symbol}: Logo must be square (${dimensions})`);
+  }
+  if (format === 'svg') {
+    return { errors, warnings };
+  }
+  if (Math.min(width, height) < LOGO_MIN_DIMENSION) {
+    errors.push(
+      `${symbol}: Logo is too small (${dimensions}). Minimum: ${LOGO_MIN_DIMENSION}x${LOGO_MIN_DIMENSION}px`
+    );
+  } else if (Math.max(width, height) > LOGO_MAX_DIMENSION) {
+    const maximum = `${LOGO_MAX_DIMENSION}x${LOGO_MAX_DIMENSION}px`;
+    warnings.push(`${symbol}: Logo is large (${dimensions}). Recommended: at most ${maximum}`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check logo size limits, format signature and image content
+ * @param {number} size - File size in bytes
+ * @param {Buffer} content - File content (only the first 12 bytes if the file exceeds LOGO_SIZE_ERROR)
+ * @param {string} extension - File extension
+ * @param {string} symbol - Token symbol (for error messages)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.exhaustive - Check the format even when the size check fails
+ * @returns {{valid: boolean, error?: string, errors?: string[], warnings?: string[],
+ *   image?: {format: string, width: number, height: number, alpha: boolean}}} Validation result;
+ *   image is set when the file could be parsed
+ */
+function checkLogoContent(size, content, extension, symbol, { exhaustive }) {
+  const warnings = [];
+  const errors = [];
+
+  // Check file size
+  if (size > LOGO_SIZE_ERROR) {
+    const error =
+      `${symbol}: Logo file too large (${(size / 1024).toFixed(1)}KB). Maximum: ${LOGO_SIZE_ERROR / 1024}KB`;
+    if (!exhaustive) {
+      return { valid: false, error };
+    }
+    errors.push(error);
+  } else if (size > LOGO_SIZE_WARNING) {
+    warnings.push(
+      `${symbol}: Logo file is large (${(size / 1024).toFixed(1)}KB). Recommended: <${LOGO_SIZE_WARNING / 1024}KB`
+    );
+  }
+
   // Validate magic bytes
-  const magicValidation = validateMagicBytes(buffer, extension);
+  const magicValidation = validateMagicBytes(content.subarray(0, 12), extension);
   if (!magicValidation.valid) {
+    errors.push(`${symbol}: ${magicValidation.error}`);
+  }
+
+  // Parse the image (files over the size limit are not read)
+  let image;
+  if (magicValidation.valid && size <= LOGO_SIZE_ERROR && magicValidation.detectedFormat === 'svg') {
+    const svg = validateSvg(content);
+    errors.push(...svg.errors.map(error => `${symbol}: ${error}`));
+    if (svg.valid) {
+      image = svg.image;
+      errors.push(...checkLogoDimensions(image, symbol).errors);
+    }
+  } else if (magicValidation.valid && size <= LOGO_SIZE_ERROR) {
+    const info = readImageInfo(content, magicValidation.detectedFormat);
+    if (!info.valid) {
+      errors.push(`${symbol}: Logo file is corrupt or truncated: ${info.error}`);
+    } else {
+      const { width, height, alpha } = info;
+      image = { format: magicValidation.detectedFormat, width, height, alpha };
+      const dimensions = checkLogoDimensions(image, symbol);
+      errors.push(...dimensions.errors);
+      warnings.push(...dimensions.warnings);
+    }
+  }
+
+  if (errors.length > 0) {
     return {
       valid: false,
-      error: `${symbol}: ${magicValidation.error}`,
+      error: errors[0],
+      errors,
+      warnings: warnings.length > 0 ? warnings : undefined,
+      image,
     };
   }
 
-  return { valid: true, warnings: warnings.length > 0 ? warnings : undefined };
+  return { valid: true, warnings: warnings.length > 0 ? warnings : undefined, image };
 }
 
 /**
  * Get logo file info for a token (utility function)
  * @param {string} tokenDir - Path to token directory
  * @param {string} address - Token address
- * @returns {{exists: boolean, path?: string, size?: number, format?: string}} Logo info
+ * @returns {{exists: boolean, path?: string, size?: number, format?: string, width?: number,
+ *   height?: number, alpha?: boolean}} Logo info; dimensions and alpha are set when the image parses
  */
 function getLogoInfo(tokenDir, address) {
   const logoSearch = findLogoFile(tokenDir, address);
@@ -178,12 +304,28 @@ function getLogoInfo(tokenDir, address) {
 
   try {
     const stats = fs.statSync(logoSearch.path);
-    return {
+    const info = {
       exists: true,
       path: logoSearch.path,
       size: stats.size,
       format: logoSearch.extension.slice(1), // Remove leading dot
     };
+
+    if (stats.size <= LOGO_SIZE_ERROR) {
+      const content = fs.readFileSync(logoSearch.path);
+      const magic = validateMagicBytes(content.subarray(0, 12), logoSearch.extension);
+      let image = { valid: false };
+      if (magic.detectedFormat === 'svg' && magic.valid) {
+        image = validateSvg(content);
+        image = image.valid ? { valid: true, ...image.image } : image;
+      } else if (magic.valid) {
+        image = readImageInfo(content, magic.detectedFormat);
+      }
+      if (image.valid) {
+        Object.assign(info, { width: image.width, height: image.height, alpha: image.alpha });
+      }
+    }
+    return info;
   } catch {
     return { exists: false };
   }
@@ -191,10 +333,14 @@ function getLogoInfo(tokenDir, address) {
 
 module.exports = {
   validateLogo,
+  validateLogoBuffer,
   findLogoFile,
   validateMagicBytes,
   getLogoInfo,
   ALLOWED_EXTENSIONS,
   LOGO_SIZE_WARNING,
   LOGO_SIZE_ERROR,
+  LOGO_MIN_DIMENSION,
+  LOGO_MAX_DIMENSION,
+  LOGO_ASPECT_TOLERANCE,
 };
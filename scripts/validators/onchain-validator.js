@@ -0,0 +1,178 @@
+/**
+ * On-chain token verification
+ * Compares token metadata with the ERC-20 contract it describes
+ */
+
+const { Interface, decodeBytes32String } = require('ethers');
+const { describeRpcError } = require('../utils/rpc');
+
+const ERC20_INTERFACE = new Interface([
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+]);
+
+// Some early tokens (e.g., MKR) return name and symbol as bytes32
+const BYTES32_METADATA_INTERFACE = new Interface([
+  'function name() view returns (bytes32)',
+  'function symbol() view returns (bytes32)',
+]);
+
+/**
+ * Call a view function and decode its single return value
+ * @param {Object} provider - ethers provider
+ * @param {string} address - Contract address
+ * @param {Interface} iface - Interface declaring the function
+ * @param {string} fn - Function name
+ * @returns {Promise<*>} Decoded return value
+ * @throws {Error} ethers error (CALL_EXCEPTION on revert, BAD_DATA on undecodable output)
+ */
+async function callView(provider, address, iface, fn) {
+  const result = await provider.call({ to: address, data: iface.encodeFunctionData(fn) });
+  return iface.decodeFunctionResult(fn, result)[0];
+}
+
+/**
+ * Check whether an error means the contract does not implement a function
+ * Transport failures are not, so they can be reported as RPC errors instead
+ * @param {Error} error - Error thrown by callView
+ * @returns {boolean} True for reverts and undecodable return data
+ */
+function isMissingFunction(error) {
+  return error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA';
+}
+
+/**
+ * Read an ERC-20 view function
+ * @param {Object} provider - ethers provider
+ * @param {string} address - Contract address
+ * @param {string} fn - Function name (name, symbol, decimals, totalSupply)
+ * @returns {Promise<{value?: *, error?: string}>} Decoded value, or why it could not be read
+ * @throws {Error} On RPC transport failures
+ */
+async function readProperty(provider, address, fn) {
+  try {
+    return { value: await callView(provider, address, ERC20_INTERFACE, fn) };
+  } catch (e) {
+    if (!isMissingFunction(e)) throw e;
+
+    if (BYTES32_METADATA_INTERFACE.getFunction(fn) && e.code === 'BAD_DATA') {
+      try {
+        const raw = await callView(provider, address, BYTES32_METADATA_INTERFACE, fn);
+        return { value: decodeBytes32String(raw) };
+      } catch (fallbackError) {
+        if (!isMissingFunction(fallbackError) && fallbackError.code !== 'INVALID_ARGUMENT') {
+          throw fallbackError;
+        }
+      }
+    }
+
+    return { error: `Contract does not implement ${fn}() (${describeRpcError(e)})` };
+  }
+}
+
+/**
+ * Verify token metadata against the deployed ERC-20 contract
+ * Checks that the address has code, that name(), symbol(), decimals() and totalSupply()
+ * respond, and that name, symbol and decimals match the token file
+ * @param {Object} provider - ethers provider (see utils/rpc createRpcProvider)
+ * @param {{address: string, name: string, symbol: string, decimals: number}} tokenData - Token metadata
+ * @returns {Promise<{valid: boolean, errors: string[], fields: string[], warnings: string[],
+ *   findings: Object[], onChain: Object}>} Validation result with all errors; fields lists the
+ *   offending field for each error, findings carry rule ids ({ruleId, severity, field, message})
+ *   and onChain holds the values read from the contract
+ */
+async function verifyTokenOnChain(provider, tokenData) {
+  const { address, symbol } = tokenData;
+  const errors = [];
+  const fields = [];
+  const warnings = [];
+  const findings = [];
+  const onChain = {};
+
+  const fail = (ruleId, field, message) => {
+    errors.push(`${symbol}: ${message}`);
+    fields.push(field);
+    findings.push({ ruleId, severity: 'error', field, message: `${symbol}: ${message}` });
+  };
+
+  let code;
+  try {
+    code = await provider.getCode(address);
+  } catch (e) {
+    fail('onchain/rpc', 'address', `RPC request failed: ${describeRpcError(e)}`);
+    return { valid: false, errors, fields, warnings, findings, onChain };
+  }
+
+  if (!code || code === '0x') {
+    fail('onchain/code', 'address', `No contract code at ${address}`);
+    return { valid: false, errors, fields, warnings, findings, onChain };
+  }
+
+  for (const fn of ['name', 'symbol', 'decimals', 'totalSupply']) {
+    let result;
+    try {
+      result = await readProperty(provider, address, fn);
+    } catch (e) {
+      fail('onchain/rpc', 'address', `RPC request failed for ${fn}(): ${describeRpcError(e)}`);
+      continue;
+    }
+
+    if (result.error) {
+      fail('onchain/interface', fn === 'totalSupply' ? 'address' : fn, result.error);
+    } else {
+      onChain[fn] = result.value;
+    }
+  }
+
+  if (typeof onChain.name === 'string' && onChain.name !== tokenData.name) {
+    fail(
+      'onchain/metadata',
+      'name',
+      `name mismatch: file has "${tokenData.name}", contract returns "${onChain.name}"`
+    );
+  }
+
+  if (typeof onChain.symbol === 'string' && onChain.symbol !== tokenData.symbol) {
+    fail(
+      'onchain/metadata',
+      'symbol',
+      `symbol mismatch: file has "${tokenData.symbol}", contract returns "${onChain.symbol}"`
+    );
+  }
+
+  if (onChain.decimals !== undefined) {
+    onChain.decimals = Number(onChain.decimals);
+    if (onChain.decimals !== tokenData.decimals) {
+      fail(
+        'onchain/metadata',
+        'decimals',
+        `decimals mismatch: file has ${tokenData.decimals}, contract returns ${onChain.decimals}`
+      );
+    }
+  }
+
+  if (onChain.totalSupply !== undefined) {
+    onChain.totalSupply = onChain.totalSupply.toString();
+    if (onChain.totalSupply === '0') {
+      const message = `${symbol}: totalSupply() is 0`;
+      warnings.push(message);
+      findings.push({ ruleId: 'onchain/total-supply', severity: 'warning', field: 'address', message });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    fields,
+    warnings,
+    findings,
+    onChain,
+  };
+}
+
+module.exports = {
+  ERC20_INTERFACE,
+  verifyTokenOnChain,
+};
@@ -0,0 +1,168 @@
+/**
+ * Proxy metadata
+ * Checks the proxy block of a contract entry (implementation, beacon, admin and implementation
+ * history) and compares it with the EIP-1967 storage slots of the deployed proxy
+ */
+
+const { getAddress } = require('ethers');
+const { validateEIP55Checksum } = require('../utils/address-validator');
+const { addressFromStorageWord } = require('../utils/bytecode');
+const { describeRpcError } = require('../utils/rpc');
+const { resolveEip1967Implementation } = require('./bytecode-validator');
+
+// bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// Proxy block fields holding a single address, with their meaning
+const PROXY_ADDRESS_FIELDS = {
+  implementation: 'proxy implementation',
+  beacon: 'proxy beacon',
+  admin: 'proxy admin',
+};
+
+/**
+ * Validate a contract's proxy block
+ * Addresses must be EIP-55 checksummed and distinct from each other and from the proxy itself,
+ * the implementation history must not repeat an address and must end with the current
+ * implementation, and a beacon is required for (and only for) beacon proxies. Malformed fields are
+ * reported by the schema and skipped here.
+ * @param {Object} proxy - Proxy block from info.json
+ * @param {string} address - Proxy address (the contract entry's address)
+ * @returns {{valid: boolean, errors: string[], findings: Object[]}} Validation result; findings carry
+ *   the proxy block `field` they refer to
+ */
+function validateProxySettings(proxy, address) {
+  const errors = [];
+  const findings = [];
+  const fail = (field, message) => {
+    errors.push(message);
+    findings.push({ ruleId: 'contract/proxy', severity: 'error', message, field });
+  };
+
+  const seen = new Map([[address.toLowerCase(), 'the proxy address']]);
+  for (const [field, label] of Object.entries(PROXY_ADDRESS_FIELDS)) {
+    if (typeof proxy[field] !== 'string') continue;
+
+    const checksum = validateEIP55Checksum(proxy[field], label);
+    if (!checksum.valid) {
+      fail(field, checksum.error);
+    }
+
+    const key = proxy[field].toLowerCase();
+    if (seen.has(key)) {
+      fail(field, `The ${label} ${proxy[field]} is also ${seen.get(key)}`);
+    } else {
+      seen.set(key, `the ${label}`);
+    }
+  }
+
+  if (proxy.standard === 'beacon' && proxy.beacon === undefined) {
+    fail('beacon', 'Beacon proxies must list their beacon');
+  } else if (proxy.standard !== 'beacon' && proxy.beacon !== undefined) {
+    fail('beacon', `A beacon only applies to beacon proxies, not ${proxy.standard}`);
+  }
+
+  const history = Array.isArray(proxy.implementations) ? proxy.implementations : [];
+  const historyAddresses = new Set();
+  history.forEach((entry, index) => {
+    if (entry === null || typeof entry !== 'object' || typeof entry.address !== 'string') return;
+    const field = `implementations/${index}/address`;
+    const checksum = validateEIP55Checksum(entry.address, 'implementation history');
+    if (!checksum.valid) {
+      fail(field, checksum.error);
+    }
+
+    const key = entry.address.toLowerCase();
+    if (historyAddresses.has(key)) {
+      fail(field, `Implementation ${entry.address} is listed more than once in the history`);
+    } else if (key === address.toLowerCase()) {
+      fail(field, `Implementation history lists the proxy address ${entry.address}`);
+    }
+    historyAddresses.add(key);
+
+    const previous = history[index - 1];
+    if (previous && typeof entry.fromBlock === 'number' && typeof previous.fromBlock === 'number' &&
+        entry.fromBlock <= previous.fromBlock) {
+      fail(
+        `implementations/${index}/fromBlock`,
+        'Implementation history must be ordered by fromBlock, oldest first'
+      );
+    }
+  });
+
+  const current = history[history.length - 1];
+  if (current && typeof current.address === 'string' && typeof proxy.implementation === 'string' &&
+      current.address.toLowerCase() !== proxy.implementation.toLowerCase()) {
+    fail(
+      `implementations/${history.length - 1}/address`,
+      `Last implementation in the history (${current.address}) is not the current implementation ` +
+        `${proxy.implementation}`
+    );
+  }
+
+  return { valid: errors.length === 0, errors, findings };
+}
+
+/**
+ * Check that the proxy block of a contract matches the proxy's EIP-1967 storage slots
+ * The implementation (resolved through the beacon for beacon proxies), the beacon and the admin,
+ * when listed, must be the ones currently stored by the proxy.
+ * @param {Object} provider - ethers provider (see utils/rpc createRpcProvider)
+ * @param {{name: string, address: string, proxy: Object}} contract - Contract entry from info.json
+ * @returns {Promise<{valid: boolean, errors: string[], findings: Object[], implementation?: string}>}
+ *   Validation result; findings carry the proxy block `field` they refer to, implementation is the
+ *   one found on-chain
+ */
+async function verifyProxyOnChain(provider, contract) {
+  const { name, address, proxy } = contract;
+  const errors = [];
+  const findings = [];
+  const fail = (ruleId, field, message) => {
+    errors.push(`${name}: ${message}`);
+    findings.push({ ruleId, severity: 'error', message: `${name}: ${message}`, field });
+  };
+
+  let onChain;
+  let admin;
+  try {
+    onChain = await resolveEip1967Implementation(provider, address);
+    if (proxy.admin !== undefined) {
+      const word = addressFromStorageWord(await provider.getStorage(address, EIP1967_ADMIN_SLOT));
+      admin = word && getAddress(word);
+    }
+  } catch (e) {
+    fail('onchain/rpc', 'implementation', `RPC request failed: ${describeRpcError(e)}`);
+    return { valid: false, errors, findings };
+  }
+
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+  if (!onChain.implementation) {
+    fail('onchain/proxy', 'standard', `${address} has no implementation in its EIP-1967 slots`);
+  } else if (!same(onChain.implementation, proxy.implementation)) {
+    fail(
+      'onchain/proxy',
+      'implementation',
+      `Listed implementation ${proxy.implementation} is not current; ` +
+        `the proxy points at ${onChain.implementation}`
+    );
+  }
+
+  if (proxy.beacon !== undefined && onChain.implementation && !same(onChain.beacon, proxy.beacon)) {
+    const found = onChain.beacon ? `the proxy's beacon is ${onChain.beacon}` : 'the beacon slot is empty';
+    fail('onchain/proxy', 'beacon', `Listed beacon ${proxy.beacon} is not current; ${found}`);
+  }
+
+  if (proxy.admin !== undefined && !same(admin, proxy.admin)) {
+    const found = admin ? `the admin slot holds ${admin}` : 'the admin slot is empty';
+    fail('onchain/proxy', 'admin', `Listed admin ${proxy.admin} is not current; ${found}`);
+  }
+
+  return { valid: errors.length === 0, errors, findings, implementation: onChain.implementation };
+}
+
+module.exports = {
+  EIP1967_ADMIN_SLOT,
+  validateProxySettings,
+  verifyProxyOnChain,
+};
@@ -0,0 +1,439 @@
+/**
+ * Solidity static analysis
+ * Security checks over the syntax tree of a source file (see utils/solidity-ast). Working on the
+ * AST keeps comments and string literals out of the checks and tells an ERC-20
+ * transfer(to, amount) apart from an ETH transfer(amount). Without type information, access
+ * control and reentrancy guards are recognised by their modifier names, and calls on contracts
+ * are recognised by the declared type of the variable or the cast they go through.
+ */
+
+const { walk, findNodes, nodeLocation } = require('../utils/solidity-ast');
+
+// Modifiers restricting a function to privileged accounts (onlyOwner, onlyRole, auth, ...)
+const ACCESS_CONTROL_MODIFIER = /^only|auth|owner|admin|govern|restricted/i;
+
+// Modifiers guarding a function against reentrancy (nonReentrant, lock, ...)
+const REENTRANCY_GUARD_MODIFIER = /reentr|^lock$|mutex/i;
+
+// Address members calling another account that return a success flag instead of reverting
+const LOW_LEVEL_CALLS = new Set(['call', 'delegatecall', 'staticcall', 'callcode', 'send']);
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=', '<<=', '>>=']);
+
+/**
+ * Get the member a function call invokes, looking through call options
+ * `a.call{value: v}(data)` and the legacy `a.call.value(v)(data)` both invoke `call` on `a`.
+ * @param {Object} node - AST node
+ * @returns {Object|null} MemberAccess node of the callee, or null if node is not a member call
+ */
+function calledMember(node) {
+  if (node.type !== 'FunctionCall') return null;
+
+  let callee = node.expression.type === 'NameValueExpression' ? node.expression.expression : node.expression;
+  while (callee.type === 'FunctionCall' && callee.expression.type === 'MemberAccess' &&
+      ['value', 'gas'].includes(callee.expression.memberName)) {
+    callee = callee.expression.expression;
+  }
+  return callee.type === 'MemberAccess' ? callee : null;
+}
+
+/**
+ * Check whether a node comes after another one in the source
+ * @param {Object} node - AST node (nodes without a range never do)
+ * @param {Object} other - AST node
+ * @returns {boolean} True if node starts after other ends
+ */
+function startsAfter(node, other) {
+  return node.range !== undefined && node.range[0] > other.range[1];
+}
+
+/**
+ * Get the name of a plain function call (e.g., require, selfdestruct)
+ * @param {Object} node - AST node
+ * @returns {string|null} Function name, or null if node is not a call of an identifier
+ */
+function calledFunction(node) {
+  return node.type === 'FunctionCall' && node.expression.type === 'Identifier' ? node.expression.name : null;
+}
+
+/**
+ * Check whether a node reads a global member such as msg.sender or tx.origin
+ * @param {Object} node - AST node
+ * @param {string} object - Global name (e.g., 'tx')
+ * @param {string} member - Member name (e.g., 'origin')
+ * @returns {boolean} True if node is object.member
+ */
+function isGlobalMember(node, object, member) {
+  return node.type === 'MemberAccess' && node.memberName === member &&
+    node.expression.type === 'Identifier' && node.expression.name === object;
+}
+
+/**
+ * Check whether a call is a low-level call (call, delegatecall, staticcall, callcode, send)
+ * @param {Object} node - AST node
+ * @returns {boolean} True for low-level calls
+ */
+function isLowLevelCall(node) {
+  const member = calledMember(node);
+  return member !== null && LOW_LEVEL_CALLS.has(member.memberName);
+}
+
+/**
+ * Check whether a call sends ETH with transfer (one argument, unlike ERC-20 transfer)
+ * @param {Object} node - AST node
+ * @returns {boolean} True for address.transfer(amount)
+ */
+function isEthTransfer(node) {
+  const member = calledMember(node);
+  return member !== null && member.memberName === 'transfer' && node.arguments.length === 1;
+}
+
+/**
+ * Get a readable name for a function
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {string} e.g. 'withdraw()', 'receive()' or 'fallback()'
+ */
+function functionLabel(fn) {
+  if (fn.isConstructor) return 'constructor';
+  if (fn.isReceiveEther) return 'receive()';
+  return `${fn.name || 'fallback'}()`;
+}
+
+/**
+ * Check whether anyone may call a function from outside the contract
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {boolean} True for implemented public and external functions (constructors excluded)
+ */
+function isEntryPoint(fn) {
+  return !fn.isConstructor && fn.body !== null && ['public', 'external', 'default'].includes(fn.visibility);
+}
+
+/**
+ * Describe how a function restricts its callers
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {string|null} The access control modifier, 'a msg.sender check' when a require, assert or
+ *   if condition compares msg.sender or passes it to a check (e.g., hasRole), or null
+ */
+function accessGuard(fn) {
+  const modifier = fn.modifiers.find(invocation => ACCESS_CONTROL_MODIFIER.test(invocation.name));
+  if (modifier) return modifier.name;
+
+  const isSender = node => isGlobalMember(node, 'msg', 'sender');
+  const checksSender = condition => findNodes(condition, node =>
+    (node.type === 'BinaryOperation' && ['==', '!='].includes(node.operator) &&
+      [node.left, node.right].some(isSender)) ||
+    (node.type === 'FunctionCall' && node.arguments.some(isSender))
+  ).length > 0;
+
+  const checks = findNodes(fn.body, node =>
+    (['require', 'assert'].includes(calledFunction(node)) && node.arguments.length > 0 &&
+      checksSender(node.arguments[0])) ||
+    (node.type === 'IfStatement' && checksSender(node.condition))
+  );
+  return checks.length > 0 ? 'a msg.sender check' : null;
+}
+
+/**
+ * Get the variable an assignment target belongs to (balances[a].b -> balances)
+ * @param {Object} node - Assignment target
+ * @returns {string[]} Names of the variables written (several for tuple assignments)
+ */
+function writtenVariables(node) {
+  if (node.type === 'TupleExpression') {
+    return node.components.filter(Boolean).flatMap(writtenVariables);
+  }
+
+  let target = node;
+  while (['IndexAccess', 'IndexRangeAccess', 'MemberAccess'].includes(target.type)) {
+    target = target.type === 'MemberAccess' ? target.expression : target.base;
+  }
+  return target.type === 'Identifier' ? [target.name] : [];
+}
+
+/**
+ * Get the state variables a node writes
+ * @param {Object} node - AST node
+ * @param {Set<string>} stateVariables - Names of the contract's mutable state variables
+ * @returns {string[]} State variables written by an assignment, ++/--, delete, push or pop
+ */
+function stateWrites(node, stateVariables) {
+  let target = null;
+  if (node.type === 'BinaryOperation' && ASSIGNMENT_OPERATORS.has(node.operator)) {
+    target = node.left;
+  } else if (node.type === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator)) {
+    target = node.subExpression;
+  } else {
+    const member = calledMember(node);
+    if (member && ['push', 'pop'].includes(member.memberName)) target = member.expression;
+  }
+
+  return target ? writtenVariables(target).filter(name => stateVariables.has(name)) : [];
+}
+
+/**
+ * Collect what the analysis needs to know about a source unit's declarations
+ * @param {Object} ast - SourceUnit node
+ * @returns {{contracts: Map<string, Object>, dataTypes: Set<string>}} Contract definitions by name and
+ *   the names of structs, enums and user-defined value types
+ */
+function collectDeclarations(ast) {
+  const contracts = new Map();
+  const dataTypes = new Set();
+  walk(ast, node => {
+    if (node.type === 'ContractDefinition') contracts.set(node.name, node);
+    if (['StructDefinition', 'EnumDefinition', 'TypeDefinition'].includes(node.type)) dataTypes.add(node.name);
+  });
+  return { contracts, dataTypes };
+}
+
+/**
+ * Collect the mutable state variables of a contract and of its bases declared in the same file
+ * @param {Object} contract - ContractDefinition node
+ * @param {Map<string, Object>} contracts - Contract definitions by name
+ * @param {Set<string>} [visited] - Contracts already collected
+ * @returns {Set<string>} State variable names
+ */
+function collectStateVariables(contract, contracts, visited = new Set()) {
+  const names = new Set();
+  if (visited.has(contract.name)) return names;
+  visited.add(contract.name);
+
+  for (const node of contract.subNodes) {
+    if (node.type !== 'StateVariableDeclaration') continue;
+    node.variables
+      .filter(variable => !variable.isDeclaredConst && !variable.isImmutable)
+      .forEach(variable => names.add(variable.name));
+  }
+  for (const { baseName } of contract.baseContracts) {
+    const base = contracts.get(baseName.namePath);
+    if (base) collectStateVariables(base, contracts, visited).forEach(name => names.add(name));
+  }
+  return names;
+}
+
+/**
+ * Collect the variables of a contract or interface type visible in a function
+ * @param {Object} contract - ContractDefinition node
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Set<string>} dataTypes - Names of structs, enums and user-defined value types
+ * @returns {Set<string>} Names of state variables, parameters and locals holding contracts
+ */
+function collectContractVariables(contract, fn, dataTypes) {
+  const names = new Set();
+  const stateDeclarations = contract.subNodes.filter(node => node.type === 'StateVariableDeclaration');
+  for (const scope of [...stateDeclarations, fn]) {
+    walk(scope, node => {
+      if (node.type !== 'VariableDeclaration' || !node.typeName) return;
+      if (node.typeName.type !== 'UserDefinedTypeName') return;
+      const typeName = node.typeName.namePath.split('.').pop();
+      if (!dataTypes.has(typeName)) names.add(node.name);
+    });
+  }
+  return names;
+}
+
+/**
+ * Check whether a call may hand control to another contract
+ * Low-level calls (except staticcall) and ETH transfers always do. Calls on a contract, through a
+ * variable of a contract type or a cast such as IERC20(token), count when their result is discarded
+ * or checked by require/assert; calls used for their value are taken as reads.
+ * @param {Object} node - AST node
+ * @param {Object|null} parent - Parent node
+ * @param {Set<string>} contractVariables - Variables holding contracts
+ * @param {Set<string>} dataTypes - Names of structs, enums and user-defined value types
+ * @returns {boolean} True for external calls
+ */
+function isExternalCall(node, parent, contractVariables, dataTypes) {
+  const member = calledMember(node);
+  if (!member) return false;
+  if (LOW_LEVEL_CALLS.has(member.memberName)) return member.memberName !== 'staticcall';
+  if (isEthTransfer(node)) return true;
+
+  const target = member.expression;
+  const onContract = (target.type === 'Identifier' && contractVariables.has(target.name)) ||
+    (target.type === 'FunctionCall' && target.arguments.length === 1 &&
+      target.expression.type === 'Identifier' && /^[A-Z]/.test(target.expression.name) &&
+      !dataTypes.has(target.expression.name));
+  const discardedOrChecked = parent !== null &&
+    (parent.type === 'ExpressionStatement' || ['require', 'assert'].includes(calledFunction(parent)));
+  return onContract && discardedOrChecked;
+}
+
+/**
+ * Find low-level calls whose success flag is never read
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Function} report - Finding callback (ruleId, node, message)
+ */
+function checkUncheckedCalls(fn, report) {
+  const readAfter = (name, call) => findNodes(fn.body, node =>
+    node.type === 'Identifier' && node.name === name && startsAfter(node, call)
+  ).length > 0;
+
+  walk(fn.body, (node, parent) => {
+    if (!isLowLevelCall(node) || parent === null) return;
+
+    let flag;
+    if (parent.type === 'VariableDeclarationStatement') {
+      flag = parent.variables[0] && parent.variables[0].name;
+    } else if (parent.type === 'BinaryOperation' && parent.operator === '=') {
+      flag = writtenVariables(parent.left)[0];
+    } else if (parent.type !== 'ExpressionStatement') {
+      return; // Used directly, e.g. require(to.send(amount))
+    }
+
+    if (!flag || !readAfter(flag, node)) {
+      const { memberName } = calledMember(node);
+      report(
+        'solidity/unchecked-call',
+        node,
+        `Return value of ${memberName}() in ${functionLabel(fn)} is not checked - ` +
+          'failed calls are silently ignored'
+      );
+    }
+  });
+}
+
+/**
+ * Find state writes that follow an external call (checks-effects-interactions violations)
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Object} scope - Declarations of the enclosing contract (see analyzeSolidity)
+ * @param {Function} report - Finding callback (ruleId, node, message)
+ */
+function checkReentrancy(fn, scope, report) {
+  if (!isEntryPoint(fn) || ['view', 'pure'].includes(fn.stateMutability)) return;
+  if (fn.modifiers.some(invocation => REENTRANCY_GUARD_MODIFIER.test(invocation.name))) return;
+
+  const contractVariables = collectContractVariables(scope.contract, fn, scope.dataTypes);
+  let call = null;
+  walk(fn.body, (node, parent) => {
+    if (call === null && isExternalCall(node, parent, contractVariables, scope.dataTypes)) call = node;
+  });
+  if (call === null) return;
+
+  const write = findNodes(fn.body, node =>
+    startsAfter(node, call) && stateWrites(node, scope.stateVariables).length > 0
+  )[0];
+  if (write) {
+    const [variable] = stateWrites(write, scope.stateVariables);
+    report(
+      'solidity/reentrancy',
+      call,
+      `${functionLabel(fn)} writes ${variable} (line ${write.loc.start.line}) after an external call - ` +
+        'update state before calling other contracts or add a reentrancy guard'
+    );
+  }
+}
+
+// Usage warnings, reported once per file at the first occurrence
+const USAGE_CHECKS = [
+  {
+    ruleId: 'solidity/suicide',
+    message: 'Contains suicide (deprecated) - use selfdestruct if needed',
+    matches: node => calledFunction(node) === 'suicide',
+  },
+  {
+    ruleId: 'solidity/delegatecall',
+    message: 'Contains delegatecall - potential proxy vulnerability, ensure target is trusted',
+    matches: node => (calledMember(node) || {}).memberName === 'delegatecall',
+  },
+  {
+    ruleId: 'solidity/callcode',
+    message: 'Contains callcode (deprecated) - use delegatecall if needed',
+    matches: node => (calledMember(node) || {}).memberName === 'callcode',
+  },
+  {
+    ruleId: 'solidity/blockhash',
+    message: 'Uses blockhash - can be manipulated by miners',
+    matches: node => calledFunction(node) === 'blockhash' ||
+      (calledMember(node) !== null && isGlobalMember(calledMember(node), 'block', 'blockhash')),
+  },
+  {
+    ruleId: 'solidity/assembly',
+    message: 'Contains inline assembly - ensure it\'s necessary and reviewed',
+    matches: node => node.type === 'InlineAssemblyStatement',
+  },
+  {
+    ruleId: 'solidity/low-level-call',
+    message: 'Contains low-level call - ensure proper error handling and reentrancy protection',
+    matches: node => (calledMember(node) || {}).memberName === 'call',
+  },
+  {
+    ruleId: 'solidity/ecrecover',
+    message: 'Uses ecrecover - ensure signature malleability is handled',
+    matches: node => calledFunction(node) === 'ecrecover',
+  },
+  {
+    ruleId: 'solidity/transfer',
+    message: 'Uses transfer() - consider using call() with value for better gas handling',
+    matches: isEthTransfer,
+  },
+];
+
+/**
+ * Analyze a parsed Solidity source file
+ * Reports selfdestruct reachable without access control, tx.origin in require/assert conditions,
+ * mint functions restricted to privileged accounts, low-level calls whose success is not checked,
+ * state writes after external calls, and (once per file) the use of risky language features.
+ * @param {Object} ast - SourceUnit node (see utils/solidity-ast parseSolidity)
+ * @returns {Array<{ruleId: string, message: string, line: number, column: number}>} Findings in
+ *   source order
+ */
+function analyzeSolidity(ast) {
+  const findings = [];
+  const report = (ruleId, node, message) => findings.push({ ruleId, message, ...nodeLocation(node) });
+  const { contracts, dataTypes } = collectDeclarations(ast);
+
+  // tx.origin is an authentication risk wherever a require or assert condition reads it, modifiers included
+  walk(ast, node => {
+    if (!['require', 'assert'].includes(calledFunction(node)) || node.arguments.length === 0) return;
+    const [origin] = findNodes(node.arguments[0], child => isGlobalMember(child, 'tx', 'origin'));
+    if (origin) {
+      report(
+        'solidity/tx-origin',
+        origin,
+        `${calledFunction(node)}() condition uses tx.origin - authentication bypass risk, ` +
+          'use msg.sender instead'
+      );
+    }
+  });
+
+  for (const contract of contracts.values()) {
+    const scope = { contract, dataTypes, stateVariables: collectStateVariables(contract, contracts) };
+
+    for (const fn of contract.subNodes.filter(node => node.type === 'FunctionDefinition' && node.body)) {
+      const guard = isEntryPoint(fn) ? accessGuard(fn) : null;
+
+      if (isEntryPoint(fn) && guard === null) {
+        findNodes(fn.body, node => ['selfdestruct', 'suicide'].includes(calledFunction(node))).forEach(node => {
+          report(
+            'solidity/selfdestruct',
+            node,
+            `${functionLabel(fn)} calls selfdestruct without access control - anyone can destroy the contract`
+          );
+        });
+      }
+
+      if (guard !== null && /^mint/i.test(fn.name || '')) {
+        report(
+          'solidity/owner-mint',
+          fn,
+          `${functionLabel(fn)} is restricted by ${guard} - the owner can mint new tokens at will`
+        );
+      }
+
+      checkUncheckedCalls(fn, report);
+      checkReentrancy(fn, scope, report);
+    }
+  }
+
+  for (const { ruleId, message, matches } of USAGE_CHECKS) {
+    const [node] = findNodes(ast, matches);
+    if (node) report(ruleId, node, message);
+  }
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = {
+  analyzeSolidity,
+};
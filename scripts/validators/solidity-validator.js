@@ -2,7 +2,23 @@
  * Solidity source code validation utilities
  */
 
-const { DANGEROUS_SOLIDITY_PATTERNS, MAX_SOLIDITY_FILE_SIZE } = require('../utils/constants');
+const { MAX_SOLIDITY_FILE_SIZE } = require('../utils/constants');
+const { parseSolidity, nodeLocation } = require('../utils/solidity-ast');
+const { analyzeSolidity } = require('./solidity-analyzer');
+
+// Declaration kinds reported by the parser, as accepted for a listed contract
+const DECLARATION_KINDS = ['contract', 'interface', 'library', 'abstract'];
+
+/**
+ * Find security issues and risky constructs in Solidity source code
+ * @param {string} content - Solidity source code
+ * @returns {Array<{ruleId: string, message: string, line: number, column: number}>} Findings (see
+ *   solidity-analyzer analyzeSolidity); empty if the source does not parse
+ */
+function findDangerousPatterns(content) {
+  const parsed = parseSolidity(content);
+  return parsed.success ? analyzeSolidity(parsed.ast) : [];
+}
 
 /**
  * Check for dangerous Solidity patterns
@@ -10,34 +26,35 @@ const { DANGEROUS_SOLIDITY_PATTERNS, MAX_SOLIDITY_FILE_SIZE } = require('../util
  * @returns {string[]} Array of warnings about dangerous patterns found
  */
 function checkDangerousPatterns(content) {
-  const warnings = [];
-
-  for (const [name, pattern] of Object.entries(DANGEROUS_SOLIDITY_PATTERNS)) {
-    if (pattern.test(content)) {
-      const messages = {
-        selfdestruct: 'Contains selfdestruct - verify this is intentional and safe',
-        suicide: 'Contains suicide (deprecated) - use selfdestruct if needed',
-        delegatecall: 'Contains delegatecall - potential proxy vulnerability, ensure target is trusted',
-        txOrigin: 'Uses tx.origin - authentication bypass risk, use msg.sender instead',
-        blockhash: 'Uses blockhash - can be manipulated by miners',
-        callcode: 'Contains callcode (deprecated) - use delegatecall if needed',
-      };
-
-      warnings.push(messages[name] || `Contains ${name} pattern`);
-    }
-  }
+  return findDangerousPatterns(content).map(f => f.message);
+}
 
-  return warnings;
+/**
+ * Find the declaration of a contract in a parsed source file
+ * @param {Object} ast - SourceUnit node
+ * @param {string} contractName - Contract name
+ * @returns {Object|undefined} ContractDefinition node
+ */
+function findDeclaration(ast, contractName) {
+  return ast.children.find(node =>
+    node.type === 'ContractDefinition' && node.name === contractName && DECLARATION_KINDS.includes(node.kind)
+  );
 }
 
 /**
  * Validate basic Solidity file structure
  * @param {string} content - Solidity source code
  * @param {string} contractName - Expected contract name
- * @returns {{valid: boolean, error?: string, warnings?: string[]}} Validation result
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.exhaustive=false] - Report every structural error (and all warnings)
+ *   instead of stopping at the first
+ * @returns {{valid: boolean, error?: string, errors?: string[], warnings?: string[], findings?: Object[]}}
+ *   Validation result; findings carry a rule id and line/column for each warning. A source that does
+ *   not parse is valid, with a `solidity/syntax` warning
  */
-function validateSolidityStructure(content, contractName) {
-  const warnings = [];
+function validateSolidityStructure(content, contractName, { exhaustive = false } = {}) {
+  const findings = [];
+  const errors = [];
 
   // Check minimum content
   if (!content || content.trim().length === 0) {
@@ -52,84 +69,85 @@ function validateSolidityStructure(content, contractName) {
     };
   }
 
-  // Check for SPDX license
+  // Check for SPDX license (a comment, so not part of the syntax tree)
   if (!content.includes('// SPDX-License-Identifier:')) {
-    warnings.push('Missing SPDX license identifier');
+    findings.push({ ruleId: 'solidity/spdx', message: 'Missing SPDX license identifier' });
   }
 
-  // Check for pragma directive
-  if (!/pragma\s+solidity\s+[^;]+;/.test(content)) {
-    return { valid: false, error: 'Missing pragma solidity directive' };
+  // Every other check works on the syntax tree. The parser may lag behind the compiler, so a
+  // source it rejects is skipped with a warning; --compile still checks it against the ABI
+  const parsed = parseSolidity(content);
+  if (!parsed.success) {
+    findings.push({
+      ruleId: 'solidity/syntax',
+      message: `${parsed.error} - pragma, declaration and security checks skipped`,
+      line: parsed.line,
+      column: parsed.column,
+    });
+    return { valid: true, warnings: findings.map(f => f.message), findings };
   }
+  const { ast } = parsed;
 
-  // Extract pragma version
-  const pragmaMatch = content.match(/pragma\s+solidity\s+([^;]+);/);
-  if (pragmaMatch) {
-    const version = pragmaMatch[1].trim();
+  // Check for pragma directive
+  const pragma = ast.children.find(node => node.type === 'PragmaDirective' && node.name === 'solidity');
+  if (!pragma) {
+    if (!exhaustive) {
+      return { valid: false, error: 'Missing pragma solidity directive' };
+    }
+    errors.push('Missing pragma solidity directive');
+  } else {
+    const version = pragma.value.trim();
 
     // Warn about specific versions (should use range)
     if (/^[0-9]/.test(version) && !version.includes('^') && !version.includes('>')) {
-      warnings.push(
-        `Pragma uses exact version (${version}) - consider using range (e.g., ^0.8.0)`
-      );
+      findings.push({
+        ruleId: 'solidity/pragma-exact',
+        message: `Pragma uses exact version (${version}) - consider using range (e.g., ^0.8.0)`,
+        ...nodeLocation(pragma),
+      });
     }
 
     // Warn about old versions
     if (version.includes('0.4.') || version.includes('0.5.') || version.includes('0.6.')) {
-      warnings.push(`Pragma uses old Solidity version (${version}) - consider upgrading`);
+      findings.push({
+        ruleId: 'solidity/pragma-old',
+        message: `Pragma uses old Solidity version (${version}) - consider upgrading`,
+        ...nodeLocation(pragma),
+      });
     }
   }
 
-  // Check for contract declaration with the expected name
-  // Allow for inheritance clauses (is ...) and multi-line declarations
-  const contractPatterns = [
-    new RegExp(`contract\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-    new RegExp(`interface\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-    new RegExp(`library\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-    new RegExp(`abstract\\s+contract\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-  ];
-
-  const hasDeclaration = contractPatterns.some(pattern => pattern.test(content));
-
-  if (!hasDeclaration) {
-    return {
-      valid: false,
-      error: `No declaration found for ${contractName} (expected contract, interface, library, or abstract contract)`,
-    };
-  }
-
-  // Check for dangerous patterns
-  const dangerousWarnings = checkDangerousPatterns(content);
-  warnings.push(...dangerousWarnings);
-
-  // Additional security checks
-  if (/assembly\s*\{/.test(content)) {
-    warnings.push('Contains inline assembly - ensure it\'s necessary and reviewed');
-  }
-
-  if (/\.call\s*\(/.test(content) || /\.callcode\s*\(/.test(content)) {
-    warnings.push('Contains low-level call - ensure proper error handling and reentrancy protection');
+  // Check for a contract, interface, library or abstract contract with the expected name
+  if (!findDeclaration(ast, contractName)) {
+    const error =
+      `No declaration found for ${contractName} (expected contract, interface, library, or abstract contract)`;
+    if (!exhaustive) {
+      return { valid: false, error };
+    }
+    errors.push(error);
   }
 
-  if (/ecrecover\s*\(/.test(content)) {
-    warnings.push('Uses ecrecover - ensure signature malleability is handled');
-  }
+  // Security checks and risky constructs
+  findings.push(...analyzeSolidity(ast));
 
-  if (/transfer\s*\(/.test(content)) {
-    warnings.push('Uses transfer() - consider using call() with value for better gas handling');
+  const warnings = findings.map(f => f.message);
+  if (errors.length > 0) {
+    return { valid: false, error: errors[0], errors, warnings, findings };
   }
 
-  return { valid: true, warnings };
+  return { valid: true, warnings, findings };
 }
 
 /**
  * Validate Solidity file for a contract
  * @param {string} content - Solidity source code
  * @param {string} contractName - Expected contract name
- * @returns {{valid: boolean, error?: string, warnings?: string[]}} Validation result
+ * @param {Object} [options] - Validation options (see validateSolidityStructure)
+ * @returns {{valid: boolean, error?: string, errors?: string[], warnings?: string[], findings?: Object[]}}
+ *   Validation result
  */
-function validateSolidityFile(content, contractName) {
-  return validateSolidityStructure(content, contractName);
+function validateSolidityFile(content, contractName, options = {}) {
+  return validateSolidityStructure(content, contractName, options);
 }
 
 /**
@@ -139,23 +157,13 @@ function validateSolidityFile(content, contractName) {
  * @returns {string|null} Contract type ('contract', 'interface', 'library', 'abstract') or null
  */
 function extractContractType(content, contractName) {
-  const patterns = {
-    contract: new RegExp(`contract\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-    interface: new RegExp(`interface\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-    library: new RegExp(`library\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-    abstract: new RegExp(`abstract\\s+contract\\s+${contractName}(?:[^{]*)?\\{`, 's'),
-  };
-
-  for (const [type, pattern] of Object.entries(patterns)) {
-    if (pattern.test(content)) {
-      return type;
-    }
-  }
-
-  return null;
+  const parsed = parseSolidity(content);
+  const declaration = parsed.success ? findDeclaration(parsed.ast, contractName) : undefined;
+  return declaration ? declaration.kind : null;
 }
 
 module.exports = {
+  findDangerousPatterns,
   checkDangerousPatterns,
   validateSolidityStructure,
   validateSolidityFile,
@@ -0,0 +1,203 @@
+/**
+ * SVG logo validation
+ * Parses SVG logos as XML and rejects anything that is unsafe to inline in a wallet UI:
+ * scripts, event handlers, external references, embedded HTML and non-image data URIs
+ */
+
+const { SaxesParser } = require('saxes');
+
+// SVG logos are inlined, so they are held to a tighter limit than raster logos
+const SVG_MAX_SIZE = 50 * 1024; // 50KB
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// Raster types that may be embedded as data URIs (an embedded SVG could carry scripts)
+const ALLOWED_DATA_URI_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Elements that run code or embed other documents
+const FORBIDDEN_ELEMENTS = ['script', 'foreignObject', 'iframe', 'embed', 'object'];
+
+// Animation elements can rewrite attributes of other elements
+const ANIMATION_ELEMENTS = ['animate', 'set', 'animateMotion', 'animateTransform'];
+
+const URL_REFERENCE = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+/**
+ * Check a resource reference (href value or CSS url())
+ * @param {string} value - Referenced URL
+ * @returns {string|null} Problem description, or null if the reference is allowed
+ */
+function checkReference(value) {
+  const reference = value.trim();
+  if (reference.startsWith('#')) return null;
+
+  const dataUri = reference.match(/^data:([^;,]*)/i);
+  if (dataUri) {
+    const type = dataUri[1].toLowerCase() || 'text/plain';
+    return ALLOWED_DATA_URI_TYPES.includes(type) ? null : `embeds a data URI of type ${type}`;
+  }
+
+  return `references external resource ${reference.slice(0, 80)}`;
+}
+
+/**
+ * Check CSS (a style attribute or <style> element) for external references
+ * @param {string} css - Style text
+ * @returns {string[]} Problem descriptions
+ */
+function checkStyle(css) {
+  const problems = [];
+  if (/@import/i.test(css)) {
+    problems.push('imports an external stylesheet');
+  }
+  for (const [, , url] of css.matchAll(URL_REFERENCE)) {
+    const problem = checkReference(url);
+    if (problem) problems.push(problem);
+  }
+  return problems;
+}
+
+/**
+ * Parse a viewBox attribute
+ * @param {string} value - viewBox value
+ * @returns {{width: number, height: number}|null} viewBox size, or null if invalid
+ */
+function parseViewBox(value) {
+  const numbers = value.trim().split(/[\s,]+/).map(Number);
+  if (numbers.length !== 4 || numbers.some(n => !Number.isFinite(n))) return null;
+
+  const [, , width, height] = numbers;
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+/**
+ * Validate an SVG logo
+ * The file must be well-formed XML with an <svg> root in the SVG namespace and a valid viewBox.
+ * Scripts, event handler attributes, <foreignObject> and other embedded documents, DOCTYPE
+ * declarations, stylesheet processing instructions, external href/url() references and data
+ * URIs of non-raster types are rejected.
+ * @param {Buffer|string} content - SVG file content
+ * @returns {{valid: boolean, errors: string[], image?: {format: string, width: number, height: number,
+ *   alpha: boolean}}} Validation result; image carries the viewBox size when the SVG is valid
+ */
+function validateSvg(content) {
+  const size = Buffer.isBuffer(content) ? content.length : Buffer.byteLength(content);
+  if (size > SVG_MAX_SIZE) {
+    return {
+      valid: false,
+      errors: [`SVG logo too large (${(size / 1024).toFixed(1)}KB). Maximum: ${SVG_MAX_SIZE / 1024}KB`],
+    };
+  }
+
+  // Each problem is reported once, however often it occurs
+  const problems = new Set();
+  const stack = [];
+  let viewBox;
+  let rootSeen = false;
+  let parseError = null;
+
+  const parser = new SaxesParser({ xmlns: true });
+
+  parser.on('error', e => {
+    if (!parseError) parseError = e.message;
+  });
+
+  parser.on('doctype', () => {
+    problems.add('SVG must not contain a DOCTYPE declaration');
+  });
+
+  parser.on('processinginstruction', ({ target }) => {
+    problems.add(`SVG must not contain the processing instruction <?${target}?>`);
+  });
+
+  parser.on('opentag', node => {
+    const element = `<${node.name}>`;
+
+    if (!rootSeen) {
+      rootSeen = true;
+      if (node.local !== 'svg' || node.uri !== SVG_NAMESPACE) {
+        problems.add(`SVG root element must be <svg> in the ${SVG_NAMESPACE} namespace`);
+      }
+      const viewBoxAttribute = node.attributes.viewBox;
+      if (!viewBoxAttribute) {
+        problems.add('SVG root element must have a viewBox');
+      } else {
+        viewBox = parseViewBox(viewBoxAttribute.value);
+        if (!viewBox) {
+          problems.add(`SVG viewBox "${viewBoxAttribute.value}" must be four numbers with a positive size`);
+        }
+      }
+    }
+
+    if (FORBIDDEN_ELEMENTS.includes(node.local)) {
+      problems.add(`SVG must not contain ${element} elements`);
+    } else if (node.uri === XHTML_NAMESPACE) {
+      problems.add(`SVG must not contain HTML elements (${element})`);
+    }
+
+    for (const attribute of Object.values(node.attributes)) {
+      const { local, value } = attribute;
+
+      if (/^on/i.test(local)) {
+        problems.add(`SVG must not contain event handler attributes (${attribute.name} on ${element})`);
+      } else if (local === 'href') {
+        const problem = checkReference(value);
+        if (problem) problems.add(`SVG ${element} ${attribute.name} ${problem}`);
+      } else if (local === 'style') {
+        checkStyle(value).forEach(problem => problems.add(`SVG ${element} style ${problem}`));
+      } else {
+        for (const [, , url] of value.matchAll(URL_REFERENCE)) {
+          const problem = checkReference(url);
+          if (problem) problems.add(`SVG ${element} ${attribute.name} ${problem}`);
+        }
+      }
+
+      if (ANIMATION_ELEMENTS.includes(node.local) && local === 'attributeName' &&
+        (/^on/i.test(value) || /(^|:)href$/.test(value))) {
+        problems.add(`SVG ${element} must not animate ${value}`);
+      }
+    }
+
+    stack.push(node.local);
+  });
+
+  parser.on('closetag', () => {
+    stack.pop();
+  });
+
+  const checkStyleText = text => {
+    if (stack[stack.length - 1] === 'style') {
+      checkStyle(text).forEach(problem => problems.add(`SVG <style> ${problem}`));
+    }
+  };
+  parser.on('text', checkStyleText);
+  parser.on('cdata', checkStyleText);
+
+  parser.write(content.toString('utf8').replace(/^\uFEFF/, ''));
+  if (!parseError) parser.close();
+
+  if (parseError) {
+    return { valid: false, errors: [`SVG is not well-formed XML: ${parseError}`] };
+  }
+  if (!rootSeen) {
+    return { valid: false, errors: ['SVG has no root element'] };
+  }
+
+  const errors = [...problems];
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    image: { format: 'svg', width: viewBox.width, height: viewBox.height, alpha: true },
+  };
+}
+
+module.exports = {
+  validateSvg,
+  SVG_MAX_SIZE,
+  ALLOWED_DATA_URI_TYPES,
+};
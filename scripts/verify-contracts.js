@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * VinuChain Lists - Contract Deployment Verification
+ * Recompiles listed contracts with the compiler settings in info.json and checks that the
+ * repository source reproduces the runtime bytecode at each listed address
+ */
+
+const { EXIT_CODES } = require('./utils/constants');
+const { createValidator } = require('./engine');
+
+const logger = require('./utils/logger');
+
+// Options taking a value: flag -> options key
+const VALUE_OPTIONS = {
+  '--rpc': 'rpc',
+  '--network': 'network',
+  '--chain-id': 'chainId',
+  '--solc-dir': 'solcDir',
+  '--project': 'project',
+};
+
+const STATUSES = ['verified', 'partial', 'mismatch', 'skipped'];
+
+/**
+ * Parse command line arguments
+ * Value options accept both "--flag value" and "--flag=value"
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{rpc: string, network: number|null, chainId: number|null, solcDir: string|null,
+ *   project: string|null}} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { rpc: null, network: null, chainId: null, solcDir: null, project: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+
+    const key = VALUE_OPTIONS[flag];
+    if (!key) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (!value) {
+      throw new Error(`${flag} requires a value`);
+    }
+    options[key] = value;
+  }
+
+  if (!options.rpc) {
+    throw new Error('--rpc is required');
+  }
+
+  for (const [flag, key] of [['--network', 'network'], ['--chain-id', 'chainId']]) {
+    if (options[key] === null) continue;
+    const chainId = Number(options[key]);
+    if (!Number.isInteger(chainId) || chainId < 1) {
+      throw new Error(`${flag} must be a positive integer: ${options[key]}`);
+    }
+    options[key] = chainId;
+  }
+
+  return options;
+}
+
+/**
+ * Main verification entry point
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  logger.info('\n🔬 Verifying VinuChain contract deployments against their sources\n');
+
+  const validator = createValidator({ logger, chainId: options.network || undefined });
+  const changed = options.project ? { tokens: new Set(), projects: new Set([options.project]) } : null;
+  let result = validator.validate({ changed });
+  if (result.aborted) {
+    return EXIT_CODES.VALIDATION_ERROR;
+  }
+
+  result = await validator.verifyDeployments(result, {
+    rpc: options.rpc,
+    chainId: options.chainId || undefined,
+    compilersDir: options.solcDir || undefined,
+  });
+
+  logger.summary();
+
+  const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  result.deployments.forEach(deployment => counts[deployment.status]++);
+  logger.info(STATUSES.map(status => `${status}: ${counts[status]}`).join(', '));
+
+  if (!result.valid) {
+    logger.error(`\n❌ Verification failed with ${result.errors} error(s)\n`);
+    return EXIT_CODES.VALIDATION_ERROR;
+  }
+
+  logger.success(`\n✅ ${counts.verified + counts.partial} contract(s) reproduced from source\n`);
+  return EXIT_CODES.SUCCESS;
+}
+
+// Run main function
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(e => {
+      logger.error(`\nFATAL ERROR: ${e.message}`);
+      logger.debug(e.stack);
+      process.exit(EXIT_CODES.FATAL_ERROR);
+    });
+}
+
+module.exports = {
+  parseArgs,
+};
@@ -0,0 +1,184 @@
+/**
+ * Well-formed PNG, JPEG, WebP and SVG files for the logo tests
+ * PNGs carry real (blank) image data; JPEG and WebP files have valid headers and segment
+ * structure around placeholder image data. Each file can be padded to a target size with
+ * a comment, which image parsers skip.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('../../scripts/utils/image');
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk with length and CRC
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Create a PNG image
+ * @param {Object} [options] - Image options
+ * @param {number} [options.width=200] - Width in pixels
+ * @param {number} [options.height=200] - Height in pixels
+ * @param {boolean} [options.alpha=true] - RGBA (true) or RGB (false)
+ * @param {number} [options.size] - Pad the file to this many bytes
+ * @returns {Buffer} PNG file
+ */
+function createPng({ width = 200, height = 200, alpha = true, size } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = alpha ? 6 : 2;
+
+  // One filter byte (none) per row followed by blank pixels
+  const raw = Buffer.alloc(height * (1 + width * (alpha ? 4 : 3)));
+  const chunks = [
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ];
+
+  const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const length = signature.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  if (size && size > length + 12 + 8) {
+    const keyword = Buffer.from('Comment\0', 'latin1');
+    const text = Buffer.alloc(size - length - 12 - keyword.length, 0x20);
+    chunks.splice(1, 0, pngChunk('tEXt', Buffer.concat([keyword, text])));
+  }
+  return Buffer.concat([signature, ...chunks]);
+}
+
+/**
+ * Build a JPEG segment
+ * @param {number} marker - Marker byte
+ * @param {Buffer} data - Segment data
+ * @returns {Buffer} Segment with marker and length
+ */
+function jpegSegment(marker, data) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Create a baseline JPEG file structure
+ * @param {Object} [options] - Image options
+ * @param {number} [options.width=200] - Width in pixels
+ * @param {number} [options.height=200] - Height in pixels
+ * @param {number} [options.size] - Pad the file to this many bytes
+ * @returns {Buffer} JPEG file
+ */
+function createJpeg({ width = 200, height = 200, size } = {}) {
+  const frame = Buffer.from([8, 0, 0, 0, 0, 3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  frame.writeUInt16BE(height, 1);
+  frame.writeUInt16BE(width, 3);
+
+  const segments = [
+    Buffer.from([0xff, 0xd8]),
+    jpegSegment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+    jpegSegment(0xc0, frame),
+    jpegSegment(0xda, Buffer.from([3, 1, 0, 2, 0x11, 3, 0x11, 0, 0x3f, 0])),
+    // Entropy-coded data, including a stuffed 0xFF byte
+    Buffer.from([0x12, 0xff, 0x00, 0x34]),
+    Buffer.from([0xff, 0xd9]),
+  ];
+
+  let padding = size ? size - segments.reduce((sum, segment) => sum + segment.length, 0) : 0;
+  const comments = [];
+  while (padding > 4) {
+    const length = Math.min(padding - 4, 0xfff0);
+    comments.push(jpegSegment(0xfe, Buffer.alloc(length, 0x20)));
+    padding -= length + 4;
+  }
+  segments.splice(2, 0, ...comments);
+  return Buffer.concat(segments);
+}
+
+/**
+ * Build a RIFF chunk (padded to an even size)
+ * @param {string} type - FourCC
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk
+ */
+function riffChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Create a WebP file structure
+ * Lossless images are a single VP8L chunk; lossy images use an extended (VP8X) header around a
+ * VP8 chunk so that they can carry a comment for padding.
+ * @param {Object} [options] - Image options
+ * @param {number} [options.width=200] - Width in pixels
+ * @param {number} [options.height=200] - Height in pixels
+ * @param {boolean} [options.lossless=true] - VP8L (true) or VP8 in a VP8X container (false)
+ * @param {boolean} [options.alpha=true] - Alpha flag of a lossless image
+ * @param {number} [options.size] - Pad the file to this many bytes
+ * @returns {Buffer} WebP file
+ */
+function createWebp({ width = 200, height = 200, lossless = true, alpha = true, size } = {}) {
+  let chunks;
+  if (lossless) {
+    const header = Buffer.alloc(5);
+    header[0] = 0x2f;
+    header.writeUInt32LE(((width - 1) | ((height - 1) << 14) | ((alpha ? 1 : 0) << 28)) >>> 0, 1);
+    const padding = size ? Math.max(0, size - 12 - 8 - header.length) : 0;
+    chunks = [riffChunk('VP8L', Buffer.concat([header, Buffer.alloc(padding)]))];
+  } else {
+    const vp8x = Buffer.alloc(10);
+    vp8x.writeUIntLE(width - 1, 4, 3);
+    vp8x.writeUIntLE(height - 1, 7, 3);
+    const frame = Buffer.from([0x10, 0x00, 0x00, 0x9d, 0x01, 0x2a, 0, 0, 0, 0, 0, 0]);
+    frame.writeUInt16LE(width, 6);
+    frame.writeUInt16LE(height, 8);
+    chunks = [riffChunk('VP8X', vp8x), riffChunk('VP8 ', frame)];
+    const length = 12 + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    if (size && size > length + 8) {
+      chunks.push(riffChunk('XMP ', Buffer.alloc(size - length - 8, 0x20)));
+    }
+  }
+
+  const header = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+  const file = Buffer.concat([header, ...chunks]);
+  file.writeUInt32LE(file.length - 8, 4);
+  return file;
+}
+
+const DEFAULT_SVG_BODY = '<circle cx="32" cy="32" r="30" fill="#3366ff"/>';
+
+/**
+ * Create an SVG logo
+ * @param {Object} [options] - Image options
+ * @param {string|null} [options.viewBox='0 0 64 64'] - viewBox attribute (null to omit it)
+ * @param {string} [options.body] - Markup inside the root element
+ * @param {string} [options.attributes=''] - Extra attributes of the root element
+ * @returns {Buffer} SVG file
+ */
+function createSvg({ viewBox = '0 0 64 64', body = DEFAULT_SVG_BODY, attributes = '' } = {}) {
+  const root = [
+    'xmlns="http://www.w3.org/2000/svg"',
+    'xmlns:xlink="http://www.w3.org/1999/xlink"',
+    viewBox === null ? '' : `viewBox="${viewBox}"`,
+    attributes,
+  ].filter(Boolean).join(' ');
+  return Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>\n<svg ${root}>${body}</svg>\n`);
+}
+
+module.exports = {
+  createPng,
+  createJpeg,
+  createWebp,
+  createSvg,
+};
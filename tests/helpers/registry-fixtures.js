@@ -0,0 +1,42 @@
+/**
+ * Minimal registry checkouts for tests that validate more entries than the repository holds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAddress } = require('ethers');
+const { createPng } = require('./image-fixtures');
+
+// Logger that discards the progress output of validation runs
+const SILENT_LOGGER = {
+  error() {},
+  warn() {},
+  info() {},
+  success() {},
+  debug() {},
+  section() {},
+};
+
+/**
+ * Write valid tokens with distinct addresses, symbols and names into a checkout
+ * @param {string} root - Repository root
+ * @param {number} count - Number of tokens (at most 26)
+ * @returns {string[]} Token addresses
+ */
+function writeTokens(root, count) {
+  return Array.from({ length: count }, (_, index) => {
+    const letter = String.fromCharCode(65 + index);
+    const address = getAddress(`0x${String(index + 1).padStart(40, '0')}`);
+    const dir = path.join(root, 'tokens', address);
+    fs.mkdirSync(dir, { recursive: true });
+    const token = { symbol: `TKN${letter}`, name: `Token ${letter}`, address, decimals: 18 };
+    fs.writeFileSync(path.join(dir, `${address}.json`), JSON.stringify(token, null, 2));
+    fs.writeFileSync(path.join(dir, `${address}.png`), createPng({ size: 2048 }));
+    return address;
+  });
+}
+
+module.exports = {
+  SILENT_LOGGER,
+  writeTokens,
+};
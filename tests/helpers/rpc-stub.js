@@ -0,0 +1,145 @@
+/**
+ * Local JSON-RPC stub standing in for a VinuChain node in tests
+ * Serves eth_chainId, eth_getCode, eth_getStorageAt and ERC-20 / beacon eth_call responses
+ * from a fixture map
+ */
+
+const http = require('http');
+const { Interface, encodeBytes32String } = require('ethers');
+const { ERC20_INTERFACE } = require('../../scripts/validators/onchain-validator');
+
+const BYTES32_INTERFACE = new Interface([
+  'function name() view returns (bytes32)',
+  'function symbol() view returns (bytes32)',
+]);
+
+const BEACON_INTERFACE = new Interface(['function implementation() view returns (address)']);
+
+const ZERO_WORD = `0x${'0'.repeat(64)}`;
+
+// Any non-empty bytecode marks an address as a contract
+const CONTRACT_CODE = '0x6080604052';
+
+/**
+ * Assemble a minimal Solidity-style dispatcher for the given selectors
+ * Each selector is compared with PUSH4 <selector> DUP2 EQ PUSH2 <dest> JUMPI
+ * @param {string[]} selectors - 0x-prefixed 4-byte selectors
+ * @returns {string} Runtime bytecode
+ */
+function buildDispatcher(selectors) {
+  // Free memory pointer, short-calldata check, selector = calldata[0:4]
+  const header = '6080604052' + '6004361061010057' + '60003560e01c';
+  const body = selectors.map(selector => `63${selector.slice(2)}81146100ff57`).join('');
+  return `0x${header}${body}00`;
+}
+
+/**
+ * Build the eth_call result for a fixture contract
+ * @param {Object} contract - Fixture (see startRpcStub)
+ * @param {string} data - Call data
+ * @returns {{result?: string, error?: Object}} JSON-RPC result or error
+ */
+function callContract(contract, data) {
+  const revert = { error: { code: 3, message: 'execution reverted', data: '0x' } };
+
+  if (contract.implementation && data.startsWith(BEACON_INTERFACE.getFunction('implementation').selector)) {
+    return { result: BEACON_INTERFACE.encodeFunctionResult('implementation', [contract.implementation]) };
+  }
+
+  const fragment = ERC20_INTERFACE.getFunction(data.slice(0, 10));
+  const missing = contract.missing || [];
+  if (!fragment || missing.includes(fragment.name) || contract[fragment.name] === undefined) {
+    return revert;
+  }
+
+  const value = contract[fragment.name];
+  if (contract.bytes32 && (fragment.name === 'name' || fragment.name === 'symbol')) {
+    return { result: BYTES32_INTERFACE.encodeFunctionResult(fragment.name, [encodeBytes32String(value)]) };
+  }
+
+  return { result: ERC20_INTERFACE.encodeFunctionResult(fragment.name, [value]) };
+}
+
+/**
+ * Answer a single JSON-RPC request
+ * @param {Object} request - JSON-RPC request
+ * @param {Object} fixtures - Stub fixtures
+ * @returns {Object} JSON-RPC response
+ */
+function respond(request, { chainId, contracts }) {
+  const reply = body => ({ jsonrpc: '2.0', id: request.id, ...body });
+  const [first] = request.params || [];
+
+  switch (request.method) {
+    case 'eth_chainId':
+      return reply({ result: `0x${chainId.toString(16)}` });
+    case 'eth_getCode': {
+      const contract = contracts[first.toLowerCase()];
+      return reply({ result: contract ? contract.code || CONTRACT_CODE : '0x' });
+    }
+    case 'eth_getStorageAt': {
+      const contract = contracts[first.toLowerCase()];
+      const slot = `0x${BigInt(request.params[1]).toString(16).padStart(64, '0')}`;
+      return reply({ result: (contract && contract.storage && contract.storage[slot]) || ZERO_WORD });
+    }
+    case 'eth_call': {
+      const contract = contracts[first.to.toLowerCase()];
+      return reply(contract ? callContract(contract, first.data || first.input) : { result: '0x' });
+    }
+    default:
+      return reply({ error: { code: -32601, message: `Method not found: ${request.method}` } });
+  }
+}
+
+/**
+ * Start the stub on a random local port
+ * @param {Object} [options] - Stub options
+ * @param {number} [options.chainId=207] - Chain ID reported by eth_chainId
+ * @param {Object<string, Object>} [options.contracts] - Fixture contracts by address: ERC-20 values
+ *   (name, symbol, decimals, totalSupply, `bytes32` encoding, `missing` functions), `code`,
+ *   `storage` (slot -> word) and beacon `implementation`
+ * @returns {Promise<{url: string, requests: Object[], close: function(): Promise<void>}>} Running stub
+ */
+function startRpcStub({ chainId = 207, contracts = {} } = {}) {
+  const fixtures = {
+    chainId,
+    contracts: Object.fromEntries(
+      Object.entries(contracts).map(([address, contract]) => [address.toLowerCase(), contract])
+    ),
+  };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const batch = Array.isArray(payload) ? payload : [payload];
+      requests.push(...batch);
+
+      const responses = batch.map(request => respond(request, fixtures));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? responses : responses[0]));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  buildDispatcher,
+  startRpcStub,
+};
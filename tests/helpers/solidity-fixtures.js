@@ -0,0 +1,96 @@
+/**
+ * Small self-contained Solidity project used by the compilation tests
+ * Vault.sol imports interfaces/IVault.sol; VAULT_ABI is what solc produces for Vault
+ * (`owner` is an immutable, so deployments differ from the compiler output at its offsets)
+ */
+
+const VAULT_SOURCE = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import './interfaces/IVault.sol';
+
+contract Vault is IVault {
+    address public immutable owner;
+
+    mapping(address => uint256) public balanceOf;
+
+    event Deposit(address indexed account, uint256 amount);
+
+    error ZeroAmount();
+
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    function deposit(uint256 amount) external override {
+        if (amount == 0) revert ZeroAmount();
+        balanceOf[msg.sender] += amount;
+        emit Deposit(msg.sender, amount);
+    }
+}
+`;
+
+const IVAULT_SOURCE = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IVault {
+    function deposit(uint256 amount) external;
+}
+`;
+
+const VAULT_ABI = [
+  { type: 'error', name: 'ZeroAmount', inputs: [] },
+  {
+    type: 'event',
+    name: 'Deposit',
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: 'address', name: 'account', type: 'address' },
+      { indexed: false, internalType: 'uint256', name: 'amount', type: 'uint256' },
+    ],
+  },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    inputs: [{ internalType: 'address', name: '', type: 'address' }],
+    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'deposit',
+    inputs: [{ internalType: 'uint256', name: 'amount', type: 'uint256' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'owner',
+    inputs: [],
+    outputs: [{ internalType: 'address', name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'constructor',
+    inputs: [{ internalType: 'address', name: 'owner_', type: 'address' }],
+    stateMutability: 'nonpayable',
+  },
+];
+
+/**
+ * Build an import reader over in-memory files
+ * @param {Object<string, string>} files - File contents by path relative to the project
+ * @returns {function(string): {success: boolean, content?: string, error?: string}} Import reader
+ */
+function readFrom(files) {
+  return name => (Object.prototype.hasOwnProperty.call(files, name)
+    ? { success: true, content: files[name] }
+    : { success: false, error: `File not found: ${name}` });
+}
+
+module.exports = {
+  VAULT_SOURCE,
+  IVAULT_SOURCE,
+  VAULT_ABI,
+  readFrom,
+};
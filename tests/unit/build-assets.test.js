@@ -0,0 +1,178 @@
+/**
+ * Unit tests for build-assets.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  MANIFEST_FILE,
+  assetName,
+  buildLogoAssets,
+  buildAssets,
+  writeAssets,
+  validateNetwork,
+  parseArgs,
+} = require('../../scripts/build-assets');
+const { readImageInfo } = require('../../scripts/utils/image');
+const { LOGO_ASSETS_BASE_URL, MAX_TOKENS } = require('../../scripts/utils/constants');
+const { createPng, createSvg } = require('../helpers/image-fixtures');
+const { SILENT_LOGGER, writeTokens } = require('../helpers/registry-fixtures');
+
+describe('Logo Assets Builder', () => {
+  const address = '0x00c1E515EA9579856304198EFb15f525A0bb50f6';
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Store a logo file in the temporary tokens directory
+   * @param {Buffer} content - Logo file content
+   * @param {string} extension - Logo file extension
+   */
+  function writeLogo(content, extension) {
+    fs.mkdirSync(path.join(tempDir, address), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, address, `${address}${extension}`), content);
+  }
+
+  describe('assetName', () => {
+    it('should derive the file name from the content', () => {
+      const content = Buffer.from('logo');
+      const digest = crypto.createHash('sha256').update(content).digest('hex');
+
+      expect(assetName(content, 'png')).to.equal(`${digest.slice(0, 16)}.png`);
+      expect(assetName(Buffer.from('other'), 'png')).to.not.equal(assetName(content, 'png'));
+    });
+  });
+
+  describe('buildLogoAssets', () => {
+    it('should render square PNG and WebP variants of every size', async () => {
+      const { logos, files } = await buildLogoAssets(createPng({ width: 300, height: 300 }), '.png');
+
+      expect(Object.keys(logos)).to.deep.equal(['png', 'webp']);
+      expect(Object.keys(logos.png)).to.deep.equal(['32', '64', '128', '256']);
+      expect(files.size).to.equal(8);
+
+      for (const [format, variants] of Object.entries(logos)) {
+        for (const [size, name] of Object.entries(variants)) {
+          const content = files.get(name);
+          expect(name).to.equal(assetName(content, format));
+          expect(readImageInfo(content, format)).to.include({ valid: true, width: +size, height: +size });
+        }
+      }
+    });
+
+    it('should not enlarge small logos', async () => {
+      const { logos } = await buildLogoAssets(createPng({ width: 100, height: 98 }), '.png');
+
+      expect(Object.keys(logos.png)).to.deep.equal(['32', '64']);
+      expect(Object.keys(logos.webp)).to.deep.equal(['32', '64']);
+    });
+
+    it('should publish SVG logos unchanged', async () => {
+      const svg = createSvg();
+      const { logos, files } = await buildLogoAssets(svg, '.svg');
+
+      expect(logos).to.deep.equal({ svg: assetName(svg, 'svg') });
+      expect(files.get(logos.svg).equals(svg)).to.be.true;
+    });
+  });
+
+  describe('buildAssets', () => {
+    it('should list each token with its source digest and variants', async () => {
+      const png = createPng({ width: 64, height: 64 });
+      writeLogo(png, '.png');
+
+      const { manifest, files } = await buildAssets([{ address, symbol: 'VINU' }], { tokensDir: tempDir });
+
+      expect(manifest.baseURL).to.equal(LOGO_ASSETS_BASE_URL);
+      const entry = manifest.tokens[address];
+      expect(entry.source).to.equal(crypto.createHash('sha256').update(png).digest('hex'));
+      expect(Object.keys(entry.logos.png)).to.deep.equal(['32', '64']);
+      expect(files.size).to.equal(4);
+    });
+
+    it('should key the tokens of other networks by chain ID', async () => {
+      writeLogo(createPng({ width: 64, height: 64 }), '.png');
+
+      const { manifest } = await buildAssets([{ address, symbol: 'VINU' }], { tokensDir: tempDir, chainId: 206 });
+
+      expect(Object.keys(manifest.tokens)).to.deep.equal([`206/${address}`]);
+    });
+
+    it('should skip tokens without a logo file and trim the base URL', async () => {
+      const { manifest } = await buildAssets([{ address, symbol: 'VINU' }], {
+        tokensDir: tempDir,
+        baseURL: 'https://cdn.example.com/logos/',
+      });
+
+      expect(manifest.tokens).to.deep.equal({});
+      expect(manifest.baseURL).to.equal('https://cdn.example.com/logos');
+    });
+
+    it('should name the token whose logo cannot be decoded', async () => {
+      writeLogo(Buffer.from('\x89PNG\r\n\x1a\nbroken', 'latin1'), '.png');
+
+      let error;
+      try {
+        await buildAssets([{ address, symbol: 'VINU' }], { tokensDir: tempDir });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include(`VINU: Cannot render logo ${address}.png`);
+    });
+  });
+
+  describe('writeAssets', () => {
+    it('should write new files and the manifest', () => {
+      const outputDir = path.join(tempDir, 'assets');
+      const manifest = { baseURL: LOGO_ASSETS_BASE_URL, tokens: {} };
+      const files = new Map([['a.png', Buffer.from('a')], ['b.webp', Buffer.from('b')]]);
+
+      expect(writeAssets(outputDir, { manifest, files })).to.equal(2);
+      expect(writeAssets(outputDir, { manifest, files })).to.equal(0);
+      expect(fs.readdirSync(outputDir).sort()).to.deep.equal(['a.png', 'b.webp', MANIFEST_FILE]);
+      expect(JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'))).to.deep.equal(manifest);
+    });
+  });
+
+  describe('validateNetwork', () => {
+    it('should validate registries with more tokens than the batch limit', () => {
+      writeTokens(tempDir, MAX_TOKENS + 1);
+      const result = validateNetwork(207, { root: tempDir, log: SILENT_LOGGER });
+
+      expect(result.valid).to.be.true;
+      expect(result.tokens).to.have.length(MAX_TOKENS + 1);
+    });
+  });
+
+  describe('parseArgs', () => {
+    it('should default to compiled/assets and the published base URL', () => {
+      const options = parseArgs([]);
+      expect(options.output).to.match(/compiled[\\/]assets$/);
+      expect(options.baseURL).to.equal(LOGO_ASSETS_BASE_URL);
+    });
+
+    it('should accept an output directory and base URL', () => {
+      const options = parseArgs(['--out', 'dist/logos', '--base-url', 'https://cdn.example.com/logos']);
+      expect(options.output).to.equal(path.resolve('dist/logos'));
+      expect(options.baseURL).to.equal('https://cdn.example.com/logos');
+    });
+
+    it('should reject non-https base URLs and unknown arguments', () => {
+      expect(() => parseArgs(['--base-url', 'http://cdn.example.com'])).to.throw('must be an https:// URL');
+      expect(() => parseArgs(['--base-url'])).to.throw('requires a URL');
+      expect(() => parseArgs(['--sizes', '16'])).to.throw('Unknown argument');
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Unit tests for build-tokenlist.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  toTokenInfo,
+  parseVersion,
+  computeNextVersion,
+  buildTokenList,
+  validateTokenList,
+  validateNetwork,
+  parseArgs,
+} = require('../../scripts/build-tokenlist');
+const { MAX_TOKENS } = require('../../scripts/utils/constants');
+const { SILENT_LOGGER, writeTokens } = require('../helpers/registry-fixtures');
+
+describe('Token List Builder', () => {
+  const tokensDir = path.join(__dirname, '../../tokens');
+  const vinu = {
+    symbol: 'VINU',
+    name: 'Vita Inu',
+    address: '0x00c1E515EA9579856304198EFb15f525A0bb50f6',
+    decimals: 18,
+  };
+  const usdt = {
+    symbol: 'USDT',
+    name: 'USDT@VinuChain',
+    address: '0xC0264277fcCa5FCfabd41a8bC01c1FcAF8383E41',
+    decimals: 6,
+  };
+
+  /**
+   * Group tokens as the VinuChain mainnet entries passed to buildTokenList
+   * @param {Object[]} tokens - Token data
+   * @returns {Array<{chainId: number, tokensDir: string, tokens: Object[]}>} Networks
+   */
+  function mainnet(tokens) {
+    return [{ chainId: 207, tokensDir, tokens }];
+  }
+
+  const bridgeInfo = {
+    originChainId: 1,
+    originAddress: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+    bridgeProject: 'vinu-bridge',
+    bridgeContract: 'Bridge',
+  };
+
+  describe('toTokenInfo', () => {
+    it('should map required fields and chain ID 207', () => {
+      const info = toTokenInfo(vinu);
+      expect(info).to.deep.equal({
+        chainId: 207,
+        address: vinu.address,
+        symbol: 'VINU',
+        name: 'Vita Inu',
+        decimals: 18,
+      });
+    });
+
+    it('should include logoURI when provided', () => {
+      const info = toTokenInfo(vinu, 'https://example.org/logo.png');
+      expect(info.logoURI).to.equal('https://example.org/logo.png');
+    });
+
+    it('should tag project tokens and flagged tokens', () => {
+      const info = toTokenInfo({
+        ...vinu,
+        project: 'vinuswap',
+        redFlags: [{ severity: 'low', description: 'Something to review' }],
+      });
+      expect(info.tags).to.deep.equal(['project', 'flagged']);
+    });
+
+    it('should score red flags and only tag tokens with open flags as flagged', () => {
+      const open = { severity: 'high', description: 'Owner can pause transfers' };
+      const resolved = { severity: 'critical', description: 'Mint authority', status: 'resolved' };
+
+      const flagged = toTokenInfo({ ...vinu, redFlags: [open, resolved] });
+      expect(flagged.tags).to.deep.equal(['flagged']);
+      expect(flagged.extensions.riskScore).to.equal(20);
+
+      const cleared = toTokenInfo({ ...vinu, redFlags: [resolved] });
+      expect(cleared.tags).to.be.undefined;
+      expect(cleared.extensions.riskScore).to.equal(0);
+
+      expect(toTokenInfo(vinu).extensions).to.be.undefined;
+    });
+
+    it('should list declared tags before derived tags', () => {
+      const info = toTokenInfo({ ...vinu, tags: ['meme'], project: 'vinuswap' });
+      expect(info.tags).to.deep.equal(['meme', 'project']);
+    });
+
+    it('should emit logo asset variants as an extension', () => {
+      const logos = { png: { 32: 'a.png' }, webp: { 32: 'a.webp' } };
+      expect(toTokenInfo(vinu, 'https://example.org/a.png', logos).extensions).to.deep.equal({ logos });
+    });
+
+    it('should emit the origin of bridged tokens as bridgeInfo', () => {
+      expect(toTokenInfo({ ...usdt, bridgeInfo }).extensions).to.deep.equal({
+        bridgeInfo: { 1: { tokenAddress: '0xdAC17F958D2ee523a2206206994597C13D831ec7' } },
+      });
+    });
+  });
+
+  describe('parseVersion', () => {
+    it('should parse semver strings', () => {
+      expect(parseVersion('1.2.3')).to.deep.equal({ major: 1, minor: 2, patch: 3 });
+    });
+
+    it('should ignore prerelease suffixes', () => {
+      expect(parseVersion('2.0.1-beta.4')).to.deep.equal({ major: 2, minor: 0, patch: 1 });
+    });
+  });
+
+  describe('computeNextVersion', () => {
+    const base = { major: 1, minor: 0, patch: 0 };
+    const previous = {
+      version: { major: 1, minor: 2, patch: 3 },
+      tokens: [toTokenInfo(vinu), toTokenInfo(usdt)],
+    };
+
+    it('should use the base version without a previous list', () => {
+      expect(computeNextVersion(null, [toTokenInfo(vinu)], base)).to.deep.equal(base);
+    });
+
+    it('should keep the version when nothing changed', () => {
+      const next = computeNextVersion(previous, [toTokenInfo(vinu), toTokenInfo(usdt)], base);
+      expect(next).to.deep.equal({ major: 1, minor: 2, patch: 3 });
+    });
+
+    it('should bump major when a token is removed', () => {
+      const next = computeNextVersion(previous, [toTokenInfo(vinu)], base);
+      expect(next).to.deep.equal({ major: 2, minor: 0, patch: 0 });
+    });
+
+    it('should bump minor when a token is added', () => {
+      const extra = { ...vinu, symbol: 'NEW', address: '0x6109835364EdA2c43CaA8981681e75782C13566C' };
+      const tokens = [toTokenInfo(vinu), toTokenInfo(usdt), toTokenInfo(extra)];
+      expect(computeNextVersion(previous, tokens, base)).to.deep.equal({ major: 1, minor: 3, patch: 0 });
+    });
+
+    it('should bump patch when a token changes', () => {
+      const tokens = [toTokenInfo({ ...vinu, name: 'Vita Inu Token' }), toTokenInfo(usdt)];
+      expect(computeNextVersion(previous, tokens, base)).to.deep.equal({ major: 1, minor: 2, patch: 4 });
+    });
+  });
+
+  describe('buildTokenList', () => {
+    it('should build a list that passes the token-lists schema', () => {
+      const list = buildTokenList(mainnet([vinu, { ...usdt, bridgeInfo }]), {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+      });
+
+      const result = validateTokenList(list);
+      expect(result.errors).to.deep.equal([]);
+      expect(result.valid).to.be.true;
+    });
+
+    it('should sort tokens by symbol', () => {
+      const list = buildTokenList(mainnet([vinu, usdt]), {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+      });
+      expect(list.tokens.map(t => t.symbol)).to.deep.equal(['USDT', 'VINU']);
+    });
+
+    it('should list the tokens of every network with their chain ID', () => {
+      const list = buildTokenList([...mainnet([vinu, usdt]), { chainId: 206, tokensDir, tokens: [vinu] }], {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+      });
+
+      expect(list.tokens.map(t => `${t.chainId}:${t.symbol}`)).to.deep.equal(['207:USDT', '206:VINU', '207:VINU']);
+      expect(list.tokens[1].logoURI).to.match(
+        new RegExp(`/networks/206/tokens/${vinu.address}/${vinu.address}\\.png$`)
+      );
+      expect(validateTokenList(list).errors).to.deep.equal([]);
+    });
+
+    it('should point logoURI at the logo file stored in the repository', () => {
+      const list = buildTokenList(mainnet([vinu]), {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+      });
+      expect(list.tokens[0].logoURI).to.match(
+        new RegExp(`/tokens/${vinu.address}/${vinu.address}\\.png$`)
+      );
+    });
+
+    describe('with logo assets', () => {
+      const logoPath = path.join(tokensDir, vinu.address, `${vinu.address}.png`);
+      const logos = {
+        png: { 32: '0123456789abcdef.png', 64: '1123456789abcdef.png' },
+        webp: { 32: '2123456789abcdef.webp', 64: '3123456789abcdef.webp' },
+      };
+
+      /**
+       * Build an assets manifest for the VINU logo
+       * @param {string} source - Recorded SHA-256 digest of the logo file
+       * @returns {Object} Manifest
+       */
+      function manifest(source) {
+        return { baseURL: 'https://cdn.example.com/assets', tokens: { [vinu.address]: { source, logos } } };
+      }
+
+      it('should point logoURI at the 64px PNG and list every variant', () => {
+        const source = crypto.createHash('sha256').update(fs.readFileSync(logoPath)).digest('hex');
+        const list = buildTokenList(mainnet([vinu, usdt]), {
+          baseVersion: { major: 1, minor: 0, patch: 0 },
+          assets: manifest(source),
+        });
+
+        const token = list.tokens.find(t => t.symbol === 'VINU');
+        expect(token.logoURI).to.equal('https://cdn.example.com/assets/1123456789abcdef.png');
+        expect(token.extensions).to.deep.equal({ logos });
+        expect(list.tokens.find(t => t.symbol === 'USDT').extensions).to.be.undefined;
+        expect(validateTokenList(list).errors).to.deep.equal([]);
+      });
+
+      it('should ignore assets rendered from a different logo file', () => {
+        const list = buildTokenList(mainnet([vinu]), {
+          baseVersion: { major: 1, minor: 0, patch: 0 },
+          assets: manifest('0'.repeat(64)),
+        });
+
+        expect(list.tokens[0].logoURI).to.match(new RegExp(`/tokens/${vinu.address}/${vinu.address}\\.png$`));
+        expect(list.tokens[0].extensions).to.be.undefined;
+      });
+    });
+
+    it('should only emit tag definitions that are used', () => {
+      const list = buildTokenList(mainnet([{ ...vinu, project: 'vinuswap' }]), {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+      });
+      expect(Object.keys(list.tags)).to.deep.equal(['project']);
+    });
+
+    it('should emit the definitions of the tags tokens declare', () => {
+      const tagsFile = path.join(__dirname, '../../config/tags.json');
+      const tagDefinitions = JSON.parse(fs.readFileSync(tagsFile, 'utf8')).tags;
+      const list = buildTokenList(mainnet([{ ...usdt, tags: ['stablecoin', 'bridged'] }, vinu]), {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+        tagDefinitions,
+      });
+
+      expect(list.tokens[0].tags).to.deep.equal(['stablecoin', 'bridged']);
+      expect(list.tags).to.deep.equal({
+        stablecoin: tagDefinitions.stablecoin,
+        bridged: tagDefinitions.bridged,
+      });
+      expect(validateTokenList(list).errors).to.deep.equal([]);
+    });
+  });
+
+  describe('validateTokenList', () => {
+    it('should reject lists without tokens', () => {
+      const result = validateTokenList({
+        name: 'VinuChain Lists',
+        timestamp: new Date().toISOString(),
+        version: { major: 1, minor: 0, patch: 0 },
+        tokens: [],
+      });
+      expect(result.valid).to.be.false;
+      expect(result.errors.join(' ')).to.include('/tokens');
+    });
+
+    it('should reject invalid list names', () => {
+      const list = buildTokenList(mainnet([vinu]), {
+        baseVersion: { major: 1, minor: 0, patch: 0 },
+      });
+      list.name = 'VinuChain Lists @ 207';
+      expect(validateTokenList(list).valid).to.be.false;
+    });
+  });
+
+  describe('validateNetwork', () => {
+    it('should validate registries with more tokens than the batch limit', () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenlist-test-'));
+      try {
+        writeTokens(root, MAX_TOKENS + 1);
+        const result = validateNetwork(207, { root, log: SILENT_LOGGER });
+
+        expect(result.valid).to.be.true;
+        expect(result.tokens).to.have.length(MAX_TOKENS + 1);
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('parseArgs', () => {
+    it('should read the assets manifest from compiled/assets by default', () => {
+      expect(parseArgs([]).assets).to.match(/compiled[\\/]assets[\\/]manifest\.json$/);
+      expect(parseArgs(['--assets', 'dist/manifest.json']).assets).to.equal(path.resolve('dist/manifest.json'));
+      expect(() => parseArgs(['--assets'])).to.throw('requires a file path');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for bytecode-validator.js
+ */
+
+const { expect } = require('chai');
+const { createRpcProvider } = require('../../scripts/utils/rpc');
+const {
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_BEACON_SLOT,
+  getAbiFunctions,
+  verifyContractOnChain,
+} = require('../../scripts/validators/bytecode-validator');
+const { startRpcStub, buildDispatcher } = require('../helpers/rpc-stub');
+
+const CONTRACT = { name: 'Vault', address: '0x17bA239f2815BA01152522521737275a2439216f' };
+const IMPLEMENTATION = '0xeBC1C9Ae7FC761330929d682d97334513C1FcB4b';
+const BEACON = '0xA260d19aEe266cC85F41f160271F9C72ea8E2837';
+
+const ABI = [
+  {
+    type: 'event',
+    name: 'Deposit',
+    inputs: [{ name: 'amount', type: 'uint256', indexed: false }],
+    anonymous: false,
+  },
+  {
+    type: 'function',
+    name: 'deposit',
+    inputs: [{ name: 'amount', type: 'uint256' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+];
+
+const SELECTORS = getAbiFunctions(ABI).map(fn => fn.selector);
+
+// Storage word holding an address
+function addressWord(address) {
+  return `0x${address.slice(2).toLowerCase().padStart(64, '0')}`;
+}
+
+describe('Bytecode Validator', () => {
+  let stub;
+  let provider;
+
+  async function withContracts(contracts) {
+    stub = await startRpcStub({ contracts });
+    provider = createRpcProvider(stub.url);
+  }
+
+  afterEach(async () => {
+    if (provider) provider.destroy();
+    if (stub) await stub.close();
+    provider = null;
+    stub = null;
+  });
+
+  describe('getAbiFunctions', () => {
+    it('should list functions with their ABI index and selector', () => {
+      expect(getAbiFunctions(ABI)).to.deep.equal([
+        { index: 1, signature: 'deposit(uint256)', selector: '0xb6b55f25' },
+        { index: 2, signature: 'balanceOf(address)', selector: '0x70a08231' },
+      ]);
+    });
+  });
+
+  describe('verifyContractOnChain', () => {
+    it('should pass when every ABI function is dispatched', async () => {
+      await withContracts({ [CONTRACT.address]: { code: buildDispatcher(SELECTORS) } });
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.true;
+      expect(result.missing).to.be.empty;
+      expect(result.implementation).to.be.undefined;
+    });
+
+    it('should report ABI functions missing from the bytecode', async () => {
+      await withContracts({ [CONTRACT.address]: { code: buildDispatcher([SELECTORS[1]]) } });
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.false;
+      expect(result.missing).to.deep.equal(['deposit(uint256)']);
+      expect(result.findings).to.have.length(1);
+      expect(result.findings[0]).to.include({ ruleId: 'onchain/selectors', abiIndex: 1 });
+      expect(result.errors[0]).to.include('deposit(uint256) (0xb6b55f25) is not in the deployed bytecode');
+    });
+
+    it('should report a single error when nothing matches', async () => {
+      await withContracts({ [CONTRACT.address]: { code: buildDispatcher(['0x12345678']) } });
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.missing).to.have.length(2);
+      expect(result.errors).to.have.length(1);
+      expect(result.errors[0]).to.include('None of the 2 ABI functions appear in the bytecode');
+      expect(result.findings[0].field).to.equal('address');
+    });
+
+    it('should fail when the address has no code', async () => {
+      await withContracts({});
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.false;
+      expect(result.findings[0].ruleId).to.equal('onchain/code');
+      expect(result.errors[0]).to.include('No contract code');
+    });
+
+    it('should resolve EIP-1967 proxies to their implementation', async () => {
+      await withContracts({
+        [CONTRACT.address]: {
+          code: buildDispatcher([]),
+          storage: { [EIP1967_IMPLEMENTATION_SLOT]: addressWord(IMPLEMENTATION) },
+        },
+        [IMPLEMENTATION]: { code: buildDispatcher(SELECTORS) },
+      });
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.true;
+      expect(result.implementation).to.equal(IMPLEMENTATION);
+    });
+
+    it('should resolve beacon proxies through the beacon', async () => {
+      await withContracts({
+        [CONTRACT.address]: {
+          code: buildDispatcher([]),
+          storage: { [EIP1967_BEACON_SLOT]: addressWord(BEACON) },
+        },
+        [BEACON]: { implementation: IMPLEMENTATION },
+        [IMPLEMENTATION]: { code: buildDispatcher(SELECTORS) },
+      });
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.true;
+      expect(result.implementation).to.equal(IMPLEMENTATION);
+    });
+
+    it('should fail when the proxy implementation has no code', async () => {
+      await withContracts({
+        [CONTRACT.address]: {
+          code: buildDispatcher(SELECTORS),
+          storage: { [EIP1967_IMPLEMENTATION_SLOT]: addressWord(IMPLEMENTATION) },
+        },
+      });
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.false;
+      expect(result.findings[0].ruleId).to.equal('onchain/code');
+      expect(result.errors[0]).to.include(`EIP-1967 implementation ${IMPLEMENTATION} has no contract code`);
+    });
+
+    it('should report RPC failures', async () => {
+      await withContracts({});
+      await stub.close();
+
+      const result = await verifyContractOnChain(provider, CONTRACT, ABI);
+
+      expect(result.valid).to.be.false;
+      expect(result.findings[0].ruleId).to.equal('onchain/rpc');
+    });
+  });
+});
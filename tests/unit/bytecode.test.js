@@ -0,0 +1,118 @@
+/**
+ * Unit tests for bytecode.js
+ */
+
+const { expect } = require('chai');
+const {
+  extractSelectors,
+  addressFromStorageWord,
+  findMetadataHashes,
+  compareRuntimeBytecode,
+} = require('../../scripts/utils/bytecode');
+const { buildDispatcher } = require('../helpers/rpc-stub');
+
+describe('Bytecode Utils', () => {
+  describe('extractSelectors', () => {
+    it('should extract PUSH4 selectors from a dispatcher', () => {
+      const selectors = extractSelectors(buildDispatcher(['0x70a08231', '0xa9059cbb']));
+      expect([...selectors]).to.include.members(['0x70a08231', '0xa9059cbb']);
+    });
+
+    it('should extract shortened selectors compared with EQ', () => {
+      // DUP1 PUSH3 0xfdd58e EQ: selector 0x00fdd58e with its leading zero byte dropped
+      expect(extractSelectors('0x8062fdd58e14').has('0x00fdd58e')).to.be.true;
+      // PUSH3 0xfdd58e DUP2 EQ
+      expect(extractSelectors('0x62fdd58e8114').has('0x00fdd58e')).to.be.true;
+    });
+
+    it('should ignore short constants that are not compared', () => {
+      // PUSH2 0x0100 JUMPI
+      const selectors = extractSelectors('0x61010057');
+      expect(selectors.size).to.equal(0);
+    });
+
+    it('should skip PUSH immediates', () => {
+      // PUSH32 whose data contains a PUSH4 opcode followed by bytes that look like a selector
+      const selectors = extractSelectors(`0x7f63deadbeef${'00'.repeat(27)}`);
+      expect(selectors.has('0xdeadbeef')).to.be.false;
+    });
+
+    it('should handle truncated push data', () => {
+      expect(extractSelectors('0x63dead').size).to.equal(0);
+    });
+
+    it('should return an empty set for invalid input', () => {
+      expect(extractSelectors('0x').size).to.equal(0);
+      expect(extractSelectors('not hex').size).to.equal(0);
+      expect(extractSelectors('0x123').size).to.equal(0);
+      expect(extractSelectors(null).size).to.equal(0);
+    });
+  });
+
+  describe('addressFromStorageWord', () => {
+    it('should extract the address from the low 20 bytes', () => {
+      const word = `0x${'0'.repeat(24)}${'ab'.repeat(20)}`;
+      expect(addressFromStorageWord(word)).to.equal(`0x${'ab'.repeat(20)}`);
+    });
+
+    it('should return null for a zero word', () => {
+      expect(addressFromStorageWord(`0x${'0'.repeat(64)}`)).to.be.null;
+      expect(addressFromStorageWord('0x0')).to.be.null;
+    });
+
+    it('should return null for malformed input', () => {
+      expect(addressFromStorageWord('0xzz')).to.be.null;
+      expect(addressFromStorageWord(undefined)).to.be.null;
+    });
+  });
+
+  describe('findMetadataHashes', () => {
+    it('should locate ipfs and bzzr hashes', () => {
+      const ipfs = `6080${'a264697066735822'}${'11'.repeat(34)}64736f6c6343000813`;
+      const bzzr = `6080a165627a7a72305820${'22'.repeat(32)}0029`;
+
+      expect(findMetadataHashes(ipfs)).to.deep.equal([{ start: 10, length: 34 }]);
+      expect(findMetadataHashes(bzzr)).to.deep.equal([{ start: 11, length: 32 }]);
+    });
+
+    it('should ignore markers that are not byte-aligned', () => {
+      expect(findMetadataHashes(`0${'64697066735822'}${'11'.repeat(34)}0`)).to.be.empty;
+    });
+  });
+
+  describe('compareRuntimeBytecode', () => {
+    const metadata = hash => `a264697066735822${hash.repeat(34)}64736f6c6343000813`;
+    const code = `6080604052348015600f57600080fd5b50${metadata('11')}`;
+
+    it('should verify identical bytecode', () => {
+      expect(compareRuntimeBytecode(`0x${code}`, code)).to.equal('verified');
+      expect(compareRuntimeBytecode(`0x${code.toUpperCase()}`, code)).to.equal('verified');
+    });
+
+    it('should ignore immutables', () => {
+      const deployed = `7f${'ab'.repeat(32)}${code}`;
+      const compiled = `7f${'00'.repeat(32)}${code}`;
+
+      expect(compareRuntimeBytecode(deployed, compiled)).to.equal('mismatch');
+      expect(compareRuntimeBytecode(deployed, compiled, { 12: [{ start: 1, length: 32 }] })).to.equal('verified');
+    });
+
+    it('should ignore the address of a deployed library', () => {
+      const compiled = `73${'00'.repeat(20)}3014${code}`;
+      const deployed = `73${'cd'.repeat(20)}3014${code}`;
+
+      expect(compareRuntimeBytecode(deployed, compiled)).to.equal('verified');
+    });
+
+    it('should report a partial match when only the metadata hash differs', () => {
+      const deployed = code.replace(metadata('11'), metadata('99'));
+      expect(compareRuntimeBytecode(deployed, code)).to.equal('partial');
+    });
+
+    it('should report mismatches', () => {
+      expect(compareRuntimeBytecode(code.replace('6080', '6081'), code)).to.equal('mismatch');
+      expect(compareRuntimeBytecode(`${code}00`, code)).to.equal('mismatch');
+      expect(compareRuntimeBytecode('0x', code)).to.equal('mismatch');
+    });
+  });
+});
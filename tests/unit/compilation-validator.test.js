@@ -0,0 +1,115 @@
+/**
+ * Unit tests for compilation-validator.js
+ */
+
+const { expect } = require('chai');
+const { verifyContractSource } = require('../../scripts/validators/compilation-validator');
+const { MISSING_PACKAGES } = require('../../scripts/utils/solc');
+const { VAULT_SOURCE, IVAULT_SOURCE, VAULT_ABI, readFrom } = require('../helpers/solidity-fixtures');
+
+describe('Compilation Validator', function() {
+  // Loading and running the compiler takes a few seconds on slow machines
+  this.timeout(30000);
+
+  const readImport = readFrom({ 'interfaces/IVault.sol': IVAULT_SOURCE });
+
+  function verify(overrides = {}) {
+    return verifyContractSource({ name: 'Vault', source: VAULT_SOURCE, abi: VAULT_ABI, readImport, ...overrides });
+  }
+
+  it('should pass when the stored ABI matches the source', () => {
+    const result = verify();
+
+    expect(result.valid).to.be.true;
+    expect(result.findings).to.be.empty;
+    expect(result.compiler).to.match(/^0\.8\./);
+  });
+
+  it('should ignore parameter names and item order', () => {
+    const abi = [...VAULT_ABI].reverse().map(item => ({
+      ...item,
+      inputs: item.inputs.map(input => ({ ...input, name: `renamed${input.name}` })),
+    }));
+
+    expect(verify({ abi }).valid).to.be.true;
+  });
+
+  it('should report functions missing from the stored ABI', () => {
+    const result = verify({ abi: VAULT_ABI.filter(item => item.name !== 'deposit') });
+
+    expect(result.valid).to.be.false;
+    expect(result.findings).to.have.length(1);
+    expect(result.findings[0]).to.include({ ruleId: 'solidity/abi-drift', severity: 'error' });
+    expect(result.errors[0]).to.include('function deposit(uint256) is in the source but not in Vault_abi.json');
+  });
+
+  it('should report stored items the source does not declare', () => {
+    const abi = [...VAULT_ABI, { type: 'event', name: 'Withdraw', inputs: [], anonymous: false }];
+
+    const result = verify({ abi });
+
+    expect(result.findings).to.have.length(1);
+    expect(result.findings[0].abiIndex).to.equal(VAULT_ABI.length);
+    expect(result.errors[0]).to.include('event Withdraw() is in Vault_abi.json but not in the source');
+  });
+
+  it('should report changed items', () => {
+    const abi = VAULT_ABI.map(item => (
+      item.name === 'balanceOf' ? { ...item, stateMutability: 'nonpayable' } : item
+    ));
+
+    const result = verify({ abi });
+
+    expect(result.findings).to.have.length(1);
+    expect(result.findings[0].abiIndex).to.equal(2);
+    expect(result.errors[0]).to.include('function balanceOf(address) differs');
+    expect(result.errors[0]).to.include(
+      'ABI file has nonpayable returns (uint256), source has view returns (uint256)'
+    );
+  });
+
+  it('should report compiler errors at their source line', () => {
+    const source = VAULT_SOURCE.replace('balanceOf[msg.sender] += amount;', 'balances[msg.sender] += amount;');
+
+    const result = verify({ source });
+
+    expect(result.valid).to.be.false;
+    expect(result.findings[0]).to.include({ ruleId: 'solidity/compile', line: 21 });
+    expect(result.errors[0]).to.include('DeclarationError');
+  });
+
+  it('should warn when imports are missing', () => {
+    const result = verify({ readImport: undefined });
+
+    expect(result.valid).to.be.true;
+    expect(result.findings[0]).to.include({ ruleId: 'solidity/imports', severity: 'warning' });
+    expect(result.warnings[0]).to.include('interfaces/IVault.sol');
+  });
+
+  it('should warn when no installed compiler satisfies the pragma', () => {
+    const result = verify({ source: VAULT_SOURCE.replace('^0.8.0', '=0.4.26') });
+
+    expect(result.valid).to.be.true;
+    expect(result.findings[0]).to.include({ ruleId: 'solidity/compiler', severity: 'warning' });
+    expect(result.warnings[0]).to.include('pragma solidity =0.4.26');
+  });
+
+  it('should warn when solc is not installed', () => {
+    // Stands for a checkout installed without development dependencies
+    MISSING_PACKAGES.push('solc');
+    let result;
+    try {
+      result = verify();
+    } finally {
+      MISSING_PACKAGES.pop();
+    }
+
+    expect(result.valid).to.be.true;
+    expect(result.compiler).to.be.undefined;
+    expect(result.findings).to.deep.equal([{
+      ruleId: 'solidity/compiler',
+      severity: 'warning',
+      message: 'Vault: solc not installed, source not compiled',
+    }]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for confusables.js
+ */
+
+const { expect } = require('chai');
+const { skeleton, isConfusable } = require('../../scripts/utils/confusables');
+
+describe('Confusable Text Detection', () => {
+  describe('skeleton', () => {
+    it('should map lookalike characters to the same skeleton', () => {
+      expect(skeleton('V1NU')).to.equal(skeleton('VINU'));
+      expect(skeleton('USD0')).to.equal(skeleton('USDO'));
+      expect(skeleton('ЕТН')).to.equal(skeleton('ETH')); // Cyrillic ЕТН
+    });
+
+    it('should drop marks and zero-width characters', () => {
+      expect(skeleton('VÍNU')).to.equal(skeleton('VINU'));
+      expect(skeleton('US​DT')).to.equal('USDT');
+    });
+
+    it('should collapse whitespace', () => {
+      expect(skeleton('  Wrapped \t VC ')).to.equal('Wrapped VC');
+    });
+  });
+
+  describe('isConfusable', () => {
+    it('should flag l, I and 1 in names', () => {
+      expect(isConfusable('Vita lnu', 'Vita Inu')).to.be.true;
+      expect(isConfusable('Vita 1nu', 'Vita Inu')).to.be.true;
+    });
+
+    it('should flag names that only differ in case', () => {
+      expect(isConfusable('VITA INU', 'Vita Inu')).to.be.true;
+    });
+
+    it('should flag rn posing as m', () => {
+      expect(isConfusable('Ternple', 'Temple')).to.be.true;
+    });
+
+    it('should not flag distinct text', () => {
+      expect(isConfusable('VLNU', 'VINU')).to.be.false;
+      expect(isConfusable('VIN', 'VINU')).to.be.false;
+      expect(isConfusable('VinuRepublic', 'Vita Inu')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Unit tests for deployment-validator.js
+ */
+
+const { expect } = require('chai');
+const { AbiCoder } = require('ethers');
+const { createRpcProvider } = require('../../scripts/utils/rpc');
+const { BUNDLED_VERSION, resolveCompiler, compileContract } = require('../../scripts/utils/solc');
+const { validateCompilerSettings, verifyDeployment } = require('../../scripts/validators/deployment-validator');
+const { startRpcStub } = require('../helpers/rpc-stub');
+const { VAULT_SOURCE, IVAULT_SOURCE, VAULT_ABI, readFrom } = require('../helpers/solidity-fixtures');
+
+const ADDRESS = '0x17bA239f2815BA01152522521737275a2439216f';
+const OWNER = '0xeBC1C9Ae7FC761330929d682d97334513C1FcB4b';
+const SETTINGS = { version: BUNDLED_VERSION, optimizer: { enabled: true, runs: 200 } };
+
+const readImport = readFrom({ 'interfaces/IVault.sol': IVAULT_SOURCE });
+
+/**
+ * Compile the Vault fixture and fill in its immutable owner, as a deployment would
+ * @param {Object} settings - Compiler block
+ * @returns {string} Runtime bytecode as deployed
+ */
+function deployedVault(settings = SETTINGS) {
+  const { contract } = compileContract(
+    { name: 'Vault', content: VAULT_SOURCE, readImport },
+    {
+      compiler: resolveCompiler(`=${BUNDLED_VERSION}`),
+      outputs: ['evm.deployedBytecode.object', 'evm.deployedBytecode.immutableReferences'],
+      settings: { optimizer: settings.optimizer },
+    }
+  );
+  const { object, immutableReferences } = contract.evm.deployedBytecode;
+  const word = OWNER.slice(2).toLowerCase().padStart(64, '0');
+
+  let code = object;
+  Object.values(immutableReferences).flat().forEach(({ start, length }) => {
+    code = code.slice(0, start * 2) + word + code.slice((start + length) * 2);
+  });
+  return `0x${code}`;
+}
+
+describe('Deployment Validator', function() {
+  // Loading and running the compiler takes a few seconds on slow machines
+  this.timeout(30000);
+
+  describe('validateCompilerSettings', () => {
+    const contract = { source: VAULT_SOURCE, abi: VAULT_ABI };
+
+    it('should accept settings matching the source and ABI', () => {
+      const constructorArgs = AbiCoder.defaultAbiCoder().encode(['address'], [OWNER]);
+      const result = validateCompilerSettings({ ...SETTINGS, constructorArgs }, contract);
+      expect(result.valid).to.be.true;
+    });
+
+    it('should reject versions outside the pragma', () => {
+      const result = validateCompilerSettings({ version: '0.7.6' }, contract);
+
+      expect(result.valid).to.be.false;
+      expect(result.findings[0]).to.include({ ruleId: 'contract/compiler', field: 'version' });
+      expect(result.errors[0]).to.include('does not satisfy pragma solidity ^0.8.0');
+    });
+
+    it('should reject constructor arguments that do not match the constructor', () => {
+      const short = validateCompilerSettings({ ...SETTINGS, constructorArgs: '0x1234' }, contract);
+      const extra = validateCompilerSettings(
+        { ...SETTINGS, constructorArgs: AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [OWNER, 1]) },
+        contract
+      );
+
+      expect(short.findings[0].field).to.equal('constructorArgs');
+      expect(short.errors[0]).to.include('constructor(address)');
+      expect(extra.valid).to.be.false;
+    });
+
+    it('should reject library addresses without a checksum', () => {
+      const result = validateCompilerSettings(
+        { ...SETTINGS, libraries: { 'libraries/Math.sol:Math': OWNER.toLowerCase() } },
+        contract
+      );
+
+      expect(result.findings[0].field).to.equal('libraries/libraries/Math.sol:Math');
+    });
+
+    it('should reject wrongly checksummed library addresses without throwing', () => {
+      const result = validateCompilerSettings(
+        { ...SETTINGS, libraries: { 'libraries/Math.sol:Math': OWNER.replace('eBC1', 'EBC1') } },
+        contract
+      );
+
+      expect(result.findings[0]).to.include({
+        ruleId: 'contract/compiler',
+        field: 'libraries/libraries/Math.sol:Math',
+      });
+      expect(result.errors[0]).to.include('Invalid address for library libraries/Math.sol:Math: bad address checksum');
+    });
+
+    it('should skip fields the schema rejects', () => {
+      const missing = validateCompilerSettings({ optimizer: { enabled: true } }, contract);
+      const malformed = validateCompilerSettings(
+        { version: 8, libraries: { Math: 1 }, constructorArgs: 1 },
+        contract
+      );
+
+      expect(missing.valid).to.be.true;
+      expect(malformed.valid).to.be.true;
+    });
+  });
+
+  describe('verifyDeployment', () => {
+    let stub;
+    let provider;
+
+    async function withCode(code) {
+      stub = await startRpcStub({ contracts: code ? { [ADDRESS]: { code } } : {} });
+      provider = createRpcProvider(stub.url);
+    }
+
+    function verify(compiler = SETTINGS) {
+      const data = { name: 'Vault', address: ADDRESS, compiler };
+      return verifyDeployment(provider, { data, source: VAULT_SOURCE, readImport });
+    }
+
+    afterEach(async () => {
+      if (provider) provider.destroy();
+      if (stub) await stub.close();
+      provider = null;
+      stub = null;
+    });
+
+    it('should verify a deployment reproduced by the source', async () => {
+      await withCode(deployedVault());
+
+      const result = await verify();
+
+      expect(result.status).to.equal('verified');
+      expect(result.valid).to.be.true;
+      expect(result.compiler).to.equal(BUNDLED_VERSION);
+    });
+
+    it('should report a partial match when only the metadata hash differs', async () => {
+      await withCode(deployedVault());
+
+      const data = { name: 'Vault', address: ADDRESS, compiler: SETTINGS };
+      const source = VAULT_SOURCE.replace('contract Vault', '/// @title Vault\ncontract Vault');
+      const result = await verifyDeployment(provider, { data, source, readImport });
+
+      expect(result.status).to.equal('partial');
+      expect(result.valid).to.be.true;
+      expect(result.findings[0]).to.include({ ruleId: 'deployment/partial', severity: 'warning' });
+    });
+
+    it('should report a mismatch for different compiler settings', async () => {
+      await withCode(deployedVault());
+
+      const result = await verify({ version: BUNDLED_VERSION, optimizer: { enabled: false } });
+
+      expect(result.status).to.equal('mismatch');
+      expect(result.valid).to.be.false;
+      expect(result.findings[0]).to.include({ ruleId: 'deployment/mismatch', field: 'address' });
+    });
+
+    it('should report a mismatch when the address has no code', async () => {
+      await withCode(null);
+
+      const result = await verify();
+
+      expect(result.status).to.equal('mismatch');
+      expect(result.errors[0]).to.include('No contract code');
+    });
+
+    it('should compare proxies with their implementation', async () => {
+      await withCode(deployedVault());
+
+      const proxy = { standard: 'uups', implementation: ADDRESS };
+      const data = { name: 'Vault', address: OWNER, compiler: SETTINGS, proxy };
+      const result = await verifyDeployment(provider, { data, source: VAULT_SOURCE, readImport });
+
+      expect(result.status).to.equal('verified');
+
+      const moved = { ...data, proxy: { ...proxy, implementation: OWNER } };
+      const missing = await verifyDeployment(provider, { data: moved, source: VAULT_SOURCE, readImport });
+      expect(missing.findings[0]).to.include({ ruleId: 'deployment/mismatch', field: 'proxy/implementation' });
+    });
+
+    it('should skip contracts without compiler settings', async () => {
+      await withCode(deployedVault());
+
+      const data = { name: 'Vault', address: ADDRESS };
+      const result = await verifyDeployment(provider, { data, source: VAULT_SOURCE, readImport });
+
+      expect(result.status).to.equal('skipped');
+      expect(result.findings).to.be.empty;
+      expect(stub.requests).to.be.empty;
+    });
+
+    it('should skip contracts whose compiler is not installed', async () => {
+      await withCode(deployedVault());
+
+      const result = await verify({ version: '0.8.1' });
+
+      expect(result.status).to.equal('skipped');
+      expect(result.findings[0]).to.include({ ruleId: 'deployment/skipped', field: 'compiler' });
+      expect(result.reason).to.include('solc 0.8.1 is not installed');
+    });
+
+    it('should skip when the installed build is not the recorded commit', async () => {
+      await withCode(deployedVault());
+
+      const result = await verify({ version: `${BUNDLED_VERSION}+commit.00000000` });
+
+      expect(result.status).to.equal('skipped');
+      expect(result.reason).to.include('is not the recorded build');
+    });
+  });
+});
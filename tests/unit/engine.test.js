@@ -0,0 +1,1253 @@
+/**
+ * Unit tests for engine.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { createValidator, DEFAULT_LIMITS, REGISTRY_LIMITS } = require('../../scripts/engine');
+const { getAbiFunctions, EIP1967_IMPLEMENTATION_SLOT } = require('../../scripts/validators/bytecode-validator');
+const { startRpcStub, buildDispatcher } = require('../helpers/rpc-stub');
+const { BUNDLED_VERSION } = require('../../scripts/utils/solc');
+const { MAX_AUDIT_REPORT_SIZE } = require('../../scripts/utils/constants');
+const { VAULT_SOURCE, IVAULT_SOURCE, VAULT_ABI } = require('../helpers/solidity-fixtures');
+const { createPng } = require('../helpers/image-fixtures');
+const { decodeImage, resizeToSquare, encodeWebp } = require('../../scripts/utils/raster');
+
+const REPO_ROOT = path.join(__dirname, '../..');
+const VINU = '0x00c1E515EA9579856304198EFb15f525A0bb50f6';
+const VIN = '0x6109835364EdA2c43CaA8981681e75782C13566C';
+const NEW_TOKEN = '0x1111111111111111111111111111111111111111';
+
+describe('Validation Engine', function() {
+  // Full-registry runs parse every contract source and ABI
+  this.timeout(20000);
+
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Copy registry tokens into a temporary checkout, with the definitions of the tags they use
+  function copyTokens(...addresses) {
+    const { tags } = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'config/tags.json'), 'utf8'));
+    const tagsFile = path.join(tempDir, 'config/tags.json');
+    const used = fs.existsSync(tagsFile) ? JSON.parse(fs.readFileSync(tagsFile, 'utf8')).tags : {};
+
+    for (const address of addresses) {
+      fs.cpSync(path.join(REPO_ROOT, 'tokens', address), path.join(tempDir, 'tokens', address), {
+        recursive: true,
+      });
+      const tokenFile = path.join(tempDir, 'tokens', address, `${address}.json`);
+      const token = JSON.parse(fs.readFileSync(tokenFile, 'utf8'));
+      (token.tags || []).forEach(tag => { used[tag] = tags[tag]; });
+    }
+
+    fs.mkdirSync(path.dirname(tagsFile), { recursive: true });
+    fs.writeFileSync(tagsFile, JSON.stringify({ tags: used }, null, 2));
+  }
+
+  // Well-formed 200x200 PNG padded to the given size
+  function pngBuffer(size = 2048) {
+    return createPng({ size });
+  }
+
+  describe('createValidator', () => {
+    it('should reject unknown rules', () => {
+      expect(() => createValidator({ rules: { 'token/nope': 'off' } })).to.throw('Unknown rule: token/nope');
+    });
+
+    it('should reject invalid severities', () => {
+      expect(() => createValidator({ rules: { 'token/url': 'fatal' } })).to.throw(/Invalid severity/);
+    });
+
+    it('should reject invalid limits', () => {
+      expect(() => createValidator({ limits: { maxTokens: 0 } })).to.throw(/positive integer/);
+      expect(() => createValidator({ limits: { maxFiles: 5 } })).to.throw('Unknown limit: maxFiles');
+    });
+
+    it('should accept lifted limits', () => {
+      expect(() => createValidator({ limits: REGISTRY_LIMITS })).to.not.throw();
+      expect(() => createValidator({ limits: { maxTokens: 1.5 } })).to.throw(/positive integer/);
+    });
+
+    it('should default limits to the repository constants', () => {
+      expect(DEFAULT_LIMITS.maxTokens).to.be.a('number');
+      expect(DEFAULT_LIMITS.maxProjects).to.be.a('number');
+      expect(DEFAULT_LIMITS.maxContractsPerProject).to.be.a('number');
+    });
+  });
+
+  describe('validate', () => {
+    it('should validate the repository without errors', () => {
+      const result = createValidator().validate();
+
+      expect(result.valid).to.be.true;
+      expect(result.aborted).to.be.false;
+      expect(result.errors).to.equal(0);
+      expect(result.stats.tokens).to.equal(result.tokens.length);
+      expect(result.stats.projects).to.be.greaterThan(0);
+      expect(result.report.toJSON().summary.warnings).to.equal(result.warnings);
+    });
+
+    it('should return identical results when run twice in one process', () => {
+      const validator = createValidator();
+      const first = validator.validate();
+      const second = validator.validate();
+
+      expect(second.diagnostics).to.deep.equal(first.diagnostics);
+      expect(second.stats).to.deep.equal(first.stats);
+    });
+
+    it('should validate a checkout at another root', () => {
+      copyTokens(VINU, VIN);
+
+      const result = createValidator({ root: tempDir }).validate();
+
+      expect(result.valid).to.be.true;
+      expect(result.stats.tokens).to.equal(2);
+      expect(result.stats.projects).to.equal(0);
+      expect(result.tokens.map(t => t.address)).to.have.members([VINU, VIN]);
+    });
+
+    it('should report diagnostics relative to the checkout root', () => {
+      copyTokens(VINU);
+      const tokenPath = path.join(tempDir, 'tokens', VINU, `${VINU}.json`);
+      const token = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+      token.website = 'http://example.com';
+      fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2));
+
+      const result = createValidator({ root: tempDir }).validate();
+      const urlError = result.diagnostics.find(d => d.ruleId === 'token/url');
+
+      expect(result.valid).to.be.false;
+      expect(urlError.file).to.equal(`tokens/${VINU}/${VINU}.json`);
+      expect(urlError.line).to.be.a('number');
+    });
+
+    it('should only fully validate changed entries', () => {
+      copyTokens(VINU, VIN);
+
+      const result = createValidator({ root: tempDir }).validate({
+        changed: { tokens: new Set([VIN]), projects: new Set() },
+      });
+
+      expect(result.stats.tokens).to.equal(1);
+      expect(result.stats.indexedTokens).to.equal(1);
+    });
+
+    it('should check changed tokens against unchanged contracts', () => {
+      writeVaultProject();
+      const tokenDir = path.join(tempDir, 'tokens', NEW_TOKEN);
+      fs.mkdirSync(tokenDir, { recursive: true });
+      const token = { symbol: 'NEW', name: 'New Token', address: NEW_TOKEN, decimals: 18 };
+      fs.writeFileSync(path.join(tokenDir, `${NEW_TOKEN}.json`), JSON.stringify(token, null, 2));
+      fs.writeFileSync(path.join(tokenDir, `${NEW_TOKEN}.png`), pngBuffer());
+
+      const result = createValidator({ root: tempDir }).validate({
+        changed: { tokens: new Set([NEW_TOKEN]), projects: new Set() },
+      });
+      const error = result.diagnostics.find(d => d.ruleId === 'token/duplicate-address');
+
+      expect(result.valid).to.be.false;
+      expect(result.stats.indexedContracts).to.equal(1);
+      expect(error.file).to.equal(`tokens/${NEW_TOKEN}/${NEW_TOKEN}.json`);
+    });
+
+    it('should warn about Solidity sources the parser rejects', () => {
+      writeVaultProject();
+      const sourcePath = path.join(tempDir, 'contracts/vault/Vault.sol');
+      fs.writeFileSync(sourcePath, VAULT_SOURCE.replace('amount) external', 'amount external'));
+
+      const result = createValidator({ root: tempDir }).validate();
+      const warning = result.diagnostics.find(d => d.ruleId === 'solidity/syntax');
+
+      expect(result.valid).to.be.true;
+      expect(result.diagnostics.filter(d => d.ruleId === 'solidity/structure')).to.be.empty;
+      expect(warning.severity).to.equal('warning');
+      expect(warning.file).to.equal('contracts/vault/Vault.sol');
+      expect(warning.line).to.be.a('number');
+    });
+  });
+
+  describe('rules', () => {
+    it('should drop findings of rules turned off', () => {
+      const result = createValidator({ rules: { 'solidity/assembly': 'off' } }).validate();
+      expect(result.diagnostics.some(d => d.ruleId === 'solidity/assembly')).to.be.false;
+    });
+
+    it('should escalate warnings to errors', () => {
+      const result = createValidator({ rules: { 'solidity/assembly': 'error' } }).validate();
+      const assembly = result.diagnostics.filter(d => d.ruleId === 'solidity/assembly');
+
+      expect(assembly).to.not.be.empty;
+      expect(assembly.every(d => d.severity === 'error')).to.be.true;
+      expect(result.valid).to.be.false;
+    });
+
+    it('should accept entries whose only errors are downgraded', () => {
+      copyTokens(VINU);
+      const tokenPath = path.join(tempDir, 'tokens', VINU, `${VINU}.json`);
+      const token = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+      token.website = 'http://example.com';
+      fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2));
+
+      const rules = { 'token/url': 'warning', 'token/schema': 'warning' };
+      const result = createValidator({ root: tempDir, rules }).validate();
+
+      expect(result.valid).to.be.true;
+      expect(result.stats.tokens).to.equal(1);
+      expect(result.warnings).to.be.greaterThan(0);
+    });
+  });
+
+  describe('limits', () => {
+    it('should return an aborted result instead of exiting', () => {
+      copyTokens(VINU, VIN);
+
+      const result = createValidator({ root: tempDir, limits: { maxTokens: 1 } }).validate();
+
+      expect(result.valid).to.be.false;
+      expect(result.aborted).to.be.true;
+      expect(result.diagnostics[0].ruleId).to.equal('registry/limit');
+      expect(result.diagnostics[0].message).to.include('Too many tokens to validate: 2 (max: 1)');
+    });
+  });
+
+  describe('validateSubmission', () => {
+    const newToken = {
+      symbol: 'NEW',
+      name: 'New Token',
+      address: NEW_TOKEN,
+      decimals: 18,
+    };
+
+    it('should validate an in-memory token against the checkout', () => {
+      copyTokens(VINU);
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: newToken, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+
+      expect(result.valid).to.be.true;
+      expect(result.stats.tokens).to.equal(1);
+      expect(result.stats.indexedTokens).to.equal(1);
+      expect(fs.existsSync(path.join(tempDir, 'tokens', NEW_TOKEN))).to.be.false;
+    });
+
+    it('should report a missing logo', () => {
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: newToken }],
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics.map(d => d.ruleId)).to.include('token/logo');
+    });
+
+    it('should locate red flag lifecycle errors', () => {
+      const redFlags = [
+        { severity: 'low', description: 'Something to review', status: 'disputed' },
+        { severity: 'high', description: 'Owner can pause transfers', resolvedDate: '2025-01-10' },
+      ];
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: { ...newToken, redFlags }, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+      const error = result.diagnostics.find(d => d.ruleId === 'token/red-flags');
+
+      expect(result.valid).to.be.false;
+      expect(error.pointer).to.equal('/redFlags/1/resolvedDate');
+      expect(error.message).to.include('NEW: Red flag 1 has a resolvedDate but is not resolved');
+    });
+
+    it('should check the logo buffer format', () => {
+      const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(2044)]);
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: newToken, logo: { buffer: jpeg, extension: '.png' } }],
+      });
+
+      const logoError = result.diagnostics.find(d => d.ruleId === 'token/logo');
+      expect(logoError.message).to.include('JPEG');
+      expect(logoError.file).to.equal(`tokens/${NEW_TOKEN}/${NEW_TOKEN}.png`);
+    });
+
+    it('should detect duplicates against contracts on disk', () => {
+      const info = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'contracts/vinuswap/info.json'), 'utf8'));
+      const { address } = info.contracts[0];
+
+      const result = createValidator().validateSubmission({
+        tokens: [{ data: { ...newToken, address }, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+
+      expect(result.diagnostics.map(d => d.ruleId)).to.include('token/duplicate-address');
+    });
+
+    it('should replace the on-disk entry with the same address', () => {
+      copyTokens(VINU);
+      const token = JSON.parse(fs.readFileSync(path.join(tempDir, 'tokens', VINU, `${VINU}.json`), 'utf8'));
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: { ...token, name: 'Renamed' }, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+
+      expect(result.valid).to.be.true;
+      expect(result.stats.indexedTokens).to.equal(0);
+      expect(result.tokens[0].name).to.equal('Renamed');
+    });
+
+    it('should locate errors in submitted JSON text', () => {
+      const text = JSON.stringify({ ...newToken, website: 'http://example.com' }, null, 2);
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: text, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+
+      const urlError = result.diagnostics.find(d => d.ruleId === 'token/url');
+      expect(urlError.line).to.equal(6);
+    });
+
+    it('should report unparseable submissions', () => {
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: '{invalid' }],
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics[0].ruleId).to.equal('token/read');
+    });
+
+    it('should validate an in-memory project with its contract files', () => {
+      const projectDir = path.join(REPO_ROOT, 'contracts/vinuswap');
+      const info = JSON.parse(fs.readFileSync(path.join(projectDir, 'info.json'), 'utf8'));
+      const contract = info.contracts[0];
+      const files = {
+        [`${contract.name}.sol`]: fs.readFileSync(path.join(projectDir, `${contract.name}.sol`)),
+        [`${contract.name}_abi.json`]: fs.readFileSync(path.join(projectDir, `${contract.name}_abi.json`), 'utf8'),
+      };
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        projects: [{ slug: 'vinuswap', info: { ...info, contracts: [contract] }, files }],
+      });
+
+      expect(result.errors).to.equal(0);
+      expect(result.stats.projects).to.equal(1);
+      expect(result.stats.contracts).to.equal(1);
+    });
+
+    it('should report missing contract files of an in-memory project', () => {
+      const info = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'contracts/vinuswap/info.json'), 'utf8'));
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        projects: [{ slug: 'vinuswap', info: { ...info, contracts: [info.contracts[0]] } }],
+      });
+
+      const ruleIds = result.diagnostics.map(d => d.ruleId);
+      expect(ruleIds).to.include.members(['contract/source', 'contract/abi']);
+    });
+
+    it('should reject unsafe project slugs', () => {
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        projects: [{ slug: '../escape', info: {} }],
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics[0].message).to.include('Invalid project slug');
+    });
+  });
+
+  describe('tags', () => {
+    const tagged = {
+      symbol: 'NEW',
+      name: 'New Token',
+      address: NEW_TOKEN,
+      decimals: 18,
+      tags: ['meme', 'synthetic'],
+    };
+
+    it('should report tags that are not defined', () => {
+      copyTokens(VINU);
+
+      const result = createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data: tagged, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics).to.have.length(1);
+      expect(result.diagnostics[0]).to.include({ ruleId: 'token/tags', pointer: '/tags/1' });
+      expect(result.diagnostics[0].message).to.equal(
+        'NEW: Unknown tag "synthetic" (not defined in config/tags.json)'
+      );
+      expect(result.tagDefinitions).to.have.property('meme');
+    });
+
+    it('should report unused tag definitions in full runs only', () => {
+      copyTokens(VINU);
+      fs.copyFileSync(path.join(REPO_ROOT, 'config/tags.json'), path.join(tempDir, 'config/tags.json'));
+      const unused = run => run.diagnostics.filter(d => d.ruleId === 'registry/tags').map(d => d.pointer);
+
+      const result = createValidator({ root: tempDir }).validate();
+      expect(result.valid).to.be.true;
+      expect(unused(result)).to.deep.equal([
+        '/tags/stablecoin',
+        '/tags/wrapped',
+        '/tags/governance',
+        '/tags/lp',
+      ]);
+
+      const changed = { tokens: new Set([VINU]), projects: new Set() };
+      expect(unused(createValidator({ root: tempDir }).validate({ changed }))).to.deep.equal([]);
+    });
+
+    it('should reject definitions of derived tags', () => {
+      copyTokens(VINU);
+      const tagsFile = path.join(tempDir, 'config/tags.json');
+      const definitions = JSON.parse(fs.readFileSync(tagsFile, 'utf8'));
+      definitions.tags.project = { name: 'Project', description: 'Defined by hand' };
+      fs.writeFileSync(tagsFile, JSON.stringify(definitions));
+
+      const result = createValidator({ root: tempDir }).validate();
+
+      const errors = result.diagnostics.filter(d => d.ruleId === 'registry/tags');
+      expect(errors.map(d => d.message)).to.include('config/tags.json/tags property name must be valid');
+      expect(result.diagnostics.map(d => d.ruleId)).to.not.include('token/tags');
+    });
+  });
+
+  describe('bridged tokens', () => {
+    const bridged = {
+      symbol: 'BRG',
+      name: 'Bridged Token',
+      address: NEW_TOKEN,
+      decimals: 6,
+      bridgeInfo: {
+        originChainId: 1,
+        originAddress: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+        bridgeProject: 'vinuswap',
+        bridgeContract: 'SwapRouter',
+      },
+    };
+
+    /**
+     * Validate a bridged token submission against the repository
+     * @param {Object} bridgeInfo - bridgeInfo overrides
+     * @returns {Object} Validation result
+     */
+    function submit(bridgeInfo) {
+      return createValidator().validateSubmission({
+        tokens: [{
+          data: { ...bridged, bridgeInfo: { ...bridged.bridgeInfo, ...bridgeInfo } },
+          logo: { buffer: pngBuffer(), extension: '.png' },
+        }],
+      });
+    }
+
+    it('should accept a token bridged by a registered contract', () => {
+      const result = submit({});
+
+      expect(result.errors).to.equal(0);
+      const token = result.tokens.find(t => t.address === NEW_TOKEN);
+      expect(token.bridgeInfo).to.deep.equal(bridged.bridgeInfo);
+    });
+
+    it('should report bridge projects and contracts that are not registered', () => {
+      const project = submit({ bridgeProject: 'missing-bridge' }).diagnostics[0];
+      expect(project.ruleId).to.equal('crossref/bridge');
+      expect(project.pointer).to.equal('/bridgeInfo/bridgeProject');
+      expect(project.message).to.include('non-existent bridge project: missing-bridge');
+
+      const contract = submit({ bridgeContract: 'Bridge' }).diagnostics[0];
+      expect(contract.pointer).to.equal('/bridgeInfo/bridgeContract');
+      expect(contract.message).to.include('Bridge, which is not registered in vinuswap');
+    });
+
+    it('should reject VinuChain origins and unchecksummed origin addresses', () => {
+      const originAddress = bridged.bridgeInfo.originAddress.toLowerCase();
+      const result = submit({ originChainId: 207, originAddress });
+
+      const findings = result.diagnostics.filter(d => d.ruleId === 'token/bridge');
+      expect(findings.map(d => d.pointer)).to.deep.equal([
+        '/bridgeInfo/originChainId',
+        '/bridgeInfo/originAddress',
+      ]);
+      expect(result.stats.tokens).to.equal(0);
+    });
+  });
+
+  describe('contract lifecycle', () => {
+    const OLD = NEW_TOKEN;
+    const CURRENT = '0x2222222222222222222222222222222222222222';
+    const controllerDir = path.join(REPO_ROOT, 'contracts/vinuswap');
+    const controller = JSON.parse(fs.readFileSync(path.join(controllerDir, 'info.json'), 'utf8'))
+      .contracts.find(c => c.name === 'Controller');
+
+    /**
+     * Validate a project listing two Controller deployments
+     * @param {Object} previous - Overrides for the earlier deployment
+     * @param {Object} [current] - Overrides for the current deployment
+     * @returns {Object} Validation result
+     */
+    function submit(previous, current = {}) {
+      const contracts = [
+        { ...controller, address: OLD, deployedBlock: 1000, deployedAt: '2024-01-10', ...previous },
+        { ...controller, address: CURRENT, deployedAt: '2025-03-01', ...current },
+      ];
+      const files = {
+        'Controller.sol': fs.readFileSync(path.join(controllerDir, 'Controller.sol'), 'utf8'),
+        'Controller_abi.json': fs.readFileSync(path.join(controllerDir, 'Controller_abi.json'), 'utf8'),
+      };
+      const info = { name: 'Lifecycle', website: 'https://vinuswap.xyz', contracts };
+      return createValidator({ root: tempDir }).validateSubmission({
+        projects: [{ slug: 'lifecycle', info, files }],
+      });
+    }
+
+    const findings = (result, ruleId) => result.diagnostics.filter(d => d.ruleId === ruleId);
+
+    it('should accept a migrated deployment without a duplicate name warning', () => {
+      const result = submit({ status: 'migrated', deprecatedAt: '2025-03-01', replacedBy: CURRENT });
+
+      expect(result.valid).to.be.true;
+      expect(findings(result, 'contract/lifecycle')).to.be.empty;
+      expect(findings(result, 'project/duplicate-contract-name')).to.be.empty;
+      expect(result.stats.contracts).to.equal(2);
+    });
+
+    it('should still warn about duplicate names of active deployments', () => {
+      const [warning] = findings(submit({}), 'project/duplicate-contract-name');
+
+      expect(warning.pointer).to.equal('/contracts/1/name');
+      expect(warning.message).to.include('mark earlier ones as deprecated or migrated');
+    });
+
+    it('should require replacedBy to name another contract of the project', () => {
+      const missing = findings(submit({ status: 'deprecated', replacedBy: VINU }), 'contract/lifecycle');
+      expect(missing).to.have.length(1);
+      expect(missing[0].pointer).to.equal('/contracts/0/replacedBy');
+      expect(missing[0].message).to.include(`replacedBy ${VINU} is not a contract of this project`);
+
+      const itself = findings(submit({ status: 'deprecated', replacedBy: OLD }), 'contract/lifecycle');
+      expect(itself[0].message).to.include('must not point at itself');
+    });
+
+    it('should check that lifecycle fields agree with the status', () => {
+      const result = submit({ deprecatedAt: '2025-03-01' }, { status: 'migrated' });
+      const errors = findings(result, 'contract/lifecycle');
+
+      expect(result.valid).to.be.false;
+      expect(errors.map(d => d.pointer)).to.deep.equal(['/contracts/0/deprecatedAt', '/contracts/1/status']);
+      expect(errors[1].message).to.include('migrated contracts must set replacedBy');
+    });
+
+    it('should reject deprecation dates before the deployment date', () => {
+      const result = submit({ status: 'deprecated', deprecatedAt: '2023-12-31' });
+      const [error] = findings(result, 'contract/lifecycle');
+
+      expect(error.pointer).to.equal('/contracts/0/deprecatedAt');
+      expect(error.message).to.include('is before deployedAt (2024-01-10)');
+    });
+
+    it('should warn when the replacement is retired as well', () => {
+      const result = submit(
+        { status: 'migrated', replacedBy: CURRENT },
+        { status: 'deprecated', deprecatedAt: '2025-06-01' }
+      );
+      const [warning] = findings(result, 'contract/lifecycle');
+
+      expect(result.valid).to.be.true;
+      expect(warning.severity).to.equal('warning');
+      expect(warning.message).to.include('is itself deprecated');
+    });
+
+    it('should reject malformed lifecycle values', () => {
+      const result = submit({ status: 'retired', deployedAt: '10/01/2024', deployedBlock: -1 });
+      const pointers = findings(result, 'project/schema').map(d => d.pointer);
+
+      expect(pointers).to.include.members([
+        '/contracts/0/status',
+        '/contracts/0/deployedAt',
+        '/contracts/0/deployedBlock',
+      ]);
+    });
+  });
+
+  describe('networks', () => {
+    const TESTNET = 206;
+
+    // Copy registry tokens into the testnet directory of the temporary checkout, with the network and
+    // tag definitions
+    function copyTestnetTokens(...addresses) {
+      for (const file of ['config/networks.json', 'config/tags.json']) {
+        fs.cpSync(path.join(REPO_ROOT, file), path.join(tempDir, file));
+      }
+      for (const address of addresses) {
+        fs.cpSync(path.join(REPO_ROOT, 'tokens', address), path.join(tempDir, 'networks/206/tokens', address), {
+          recursive: true,
+        });
+      }
+    }
+
+    it('should reject invalid chain IDs', () => {
+      expect(() => createValidator({ chainId: 0 })).to.throw('Chain ID must be a positive integer: 0');
+      expect(() => createValidator({ chainId: '206' })).to.throw(/positive integer/);
+    });
+
+    it('should validate the entries of another network from networks/<chainId>/', () => {
+      copyTokens(VINU);
+      copyTestnetTokens(VINU, VIN);
+
+      const result = createValidator({ root: tempDir, chainId: TESTNET }).validate();
+
+      expect(result.diagnostics).to.deep.equal([]);
+      expect(result.chainId).to.equal(TESTNET);
+      expect(result.network.name).to.equal('VinuChain Testnet');
+      expect(result.tokens.map(t => t.address)).to.have.members([VINU, VIN]);
+      expect(result.validatedTokens[0].file).to.include(path.join('networks', '206', 'tokens'));
+    });
+
+    it('should only check duplicates against entries of the same network', () => {
+      copyTokens(VIN);
+      copyTestnetTokens(VINU);
+      const data = { symbol: 'VINU', name: 'Vinu Copy', address: NEW_TOKEN, decimals: 18 };
+      const submission = { tokens: [{ data, logo: { buffer: pngBuffer(), extension: '.png' } }] };
+
+      const testnet = createValidator({ root: tempDir, chainId: TESTNET }).validateSubmission(submission);
+      const duplicate = testnet.diagnostics.find(d => d.ruleId === 'token/duplicate-symbol');
+      expect(duplicate.file).to.equal(`networks/206/tokens/${NEW_TOKEN}/${NEW_TOKEN}.json`);
+
+      const mainnet = createValidator({ root: tempDir }).validateSubmission(submission);
+      expect(mainnet.diagnostics.map(d => d.ruleId)).to.not.include('token/duplicate-symbol');
+    });
+
+    it('should report networks missing from config/networks.json', () => {
+      copyTestnetTokens();
+
+      const result = createValidator({ root: tempDir, chainId: 1 }).validate();
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics[0]).to.include({
+        ruleId: 'registry/networks',
+        message: 'Chain 1 is not defined in config/networks.json',
+        file: 'config/networks.json',
+      });
+    });
+
+    it('should apply allow-list entries to the network they name', () => {
+      const USDT = '0xC0264277fcCa5FCfabd41a8bC01c1FcAF8383E41';
+      copyTestnetTokens(USDT);
+      const reason = 'Bridged Tether USD on the testnet';
+      fs.writeFileSync(
+        path.join(tempDir, 'config/token-allowlist.json'),
+        JSON.stringify({ tokens: [{ address: USDT, symbol: 'USDT', reason }] })
+      );
+
+      const mainnetEntry = createValidator({ root: tempDir, chainId: TESTNET }).validate();
+      expect(mainnetEntry.diagnostics.map(d => d.ruleId)).to.include('token/well-known-symbol');
+
+      fs.writeFileSync(
+        path.join(tempDir, 'config/token-allowlist.json'),
+        JSON.stringify({ tokens: [{ address: USDT, chainId: TESTNET, symbol: 'USDT', reason }] })
+      );
+
+      const testnetEntry = createValidator({ root: tempDir, chainId: TESTNET }).validate();
+      expect(testnetEntry.diagnostics).to.deep.equal([]);
+    });
+  });
+
+  describe('symbol and name checks', () => {
+    const USDT = '0xC0264277fcCa5FCfabd41a8bC01c1FcAF8383E41';
+    const newToken = {
+      symbol: 'NEW',
+      name: 'New Token',
+      address: NEW_TOKEN,
+      decimals: 18,
+    };
+
+    /**
+     * Validate a token submission against the temporary checkout
+     * @param {Object} data - Token JSON
+     * @returns {Object} Validation result
+     */
+    function submit(data) {
+      return createValidator({ root: tempDir }).validateSubmission({
+        tokens: [{ data, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      });
+    }
+
+    /**
+     * Write the allow-list of the temporary checkout
+     * @param {Object[]} tokens - Allow-list entries
+     */
+    function writeAllowlist(tokens) {
+      fs.mkdirSync(path.join(tempDir, 'config'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'config/token-allowlist.json'), JSON.stringify({ tokens }));
+    }
+
+    it('should flag a name with a lowercase L posing as I', () => {
+      copyTokens(VINU);
+
+      const result = submit({ ...newToken, name: 'Vita lnu' });
+
+      expect(result.valid).to.be.false;
+      const finding = result.diagnostics.find(d => d.ruleId === 'token/confusable-name');
+      expect(finding.message).to.equal(`NEW: Name "Vita lnu" looks like "Vita Inu" of VINU (${VINU})`);
+      expect(finding.file).to.equal(`tokens/${NEW_TOKEN}/${NEW_TOKEN}.json`);
+      expect(finding.line).to.equal(3);
+      expect(finding.properties.similarTo).to.equal(VINU);
+    });
+
+    it('should flag duplicate and confusable symbols', () => {
+      copyTokens(VINU);
+
+      const duplicate = submit({ ...newToken, symbol: 'VINU' });
+      expect(duplicate.diagnostics.map(d => d.ruleId)).to.deep.equal(['token/duplicate-symbol']);
+
+      const confusable = submit({ ...newToken, symbol: 'V1NU' });
+      expect(confusable.diagnostics[0].ruleId).to.equal('token/confusable-symbol');
+      expect(confusable.diagnostics[0].message).to.include('Symbol looks like VINU of Vita Inu');
+    });
+
+    it('should flag the symbols of well-known assets', () => {
+      const result = submit({ ...newToken, symbol: 'USDT', name: 'Tether' });
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics[0].ruleId).to.equal('token/well-known-symbol');
+      expect(result.diagnostics[0].message).to.include('well-known asset USDT (Tether USD)');
+      expect(submit({ ...newToken, symbol: 'USD7' }).valid).to.be.true;
+    });
+
+    it('should exempt allow-listed tokens but not tokens copying them', () => {
+      copyTokens(USDT);
+      writeAllowlist([{ address: USDT, symbol: 'USDT', reason: 'Bridged Tether USD' }]);
+
+      expect(createValidator({ root: tempDir }).validate().valid).to.be.true;
+
+      const result = submit({ ...newToken, symbol: 'USDT', name: 'USDT@VinuChain' });
+      expect(result.diagnostics.map(d => d.ruleId)).to.deep.equal([
+        'token/well-known-symbol',
+        'token/duplicate-symbol',
+        'token/confusable-name',
+      ]);
+    });
+
+    it('should report a pair of validated tokens once', () => {
+      copyTokens(VINU, VIN);
+      const file = path.join(tempDir, 'tokens', VIN, `${VIN}.json`);
+      const token = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fs.writeFileSync(file, JSON.stringify({ ...token, name: 'VITA INU' }));
+
+      const result = createValidator({ root: tempDir }).validate();
+
+      const findings = result.diagnostics.filter(d => d.ruleId === 'token/confusable-name');
+      expect(findings).to.have.length(1);
+    });
+
+    it('should report invalid and stale allow-list entries', () => {
+      copyTokens(USDT);
+      writeAllowlist([
+        { address: USDT, symbol: 'USDC', reason: 'Bridged Tether USD' },
+        { address: NEW_TOKEN, symbol: 'NEW', reason: 'Not registered' },
+      ]);
+
+      const result = createValidator({ root: tempDir }).validate();
+      const messages = result.diagnostics
+        .filter(d => d.ruleId === 'registry/allowlist')
+        .map(d => d.message);
+
+      expect(messages).to.deep.equal([
+        `Allow-list entry USDC (${USDT}) does not apply: the token's symbol is USDT`,
+        `Allow-list entry NEW (${NEW_TOKEN}) is not a registered token`,
+      ]);
+      expect(result.diagnostics.map(d => d.ruleId)).to.include('token/well-known-symbol');
+
+      writeAllowlist([{ address: USDT.toLowerCase(), symbol: 'USDT', reason: 'short' }]);
+      const invalid = createValidator({ root: tempDir }).validate();
+      expect(invalid.diagnostics.find(d => d.ruleId === 'registry/allowlist').message)
+        .to.include('/tokens/0/reason must NOT have fewer than 10 characters');
+    });
+  });
+
+  describe('compareLogos', () => {
+    const copycat = {
+      symbol: 'VINU2',
+      name: 'Vita Inu 2',
+      address: NEW_TOKEN,
+      decimals: 18,
+    };
+
+    /**
+     * Re-encode the VINU logo as a 64px WebP file
+     * @returns {Promise<Buffer>} WebP file
+     */
+    async function copiedLogo() {
+      const png = fs.readFileSync(path.join(REPO_ROOT, 'tokens', VINU, `${VINU}.png`));
+      return encodeWebp(resizeToSquare(await decodeImage(png, 'png'), 64));
+    }
+
+    it('should flag a submission copying a registered logo', async () => {
+      copyTokens(VINU, VIN);
+      const validator = createValidator({ root: tempDir });
+
+      const submitted = validator.validateSubmission({
+        tokens: [{ data: copycat, logo: { buffer: await copiedLogo(), extension: '.webp' } }],
+      });
+      expect(submitted.valid).to.be.true;
+
+      const result = await validator.compareLogos(submitted);
+      expect(result.valid).to.be.false;
+
+      const finding = result.diagnostics.find(d => d.ruleId === 'token/logo-similarity');
+      expect(finding.severity).to.equal('error');
+      expect(finding.file).to.equal(`tokens/${NEW_TOKEN}/${NEW_TOKEN}.webp`);
+      expect(finding.message).to.match(/VINU2: Logo is near-identical to the logo of VINU \(0x00c1\w+\)/);
+      expect(finding.message).to.match(/similarity \d+%$/);
+      expect(finding.properties.similarTo).to.equal(VINU);
+      expect(finding.properties.similarity).to.be.at.least(0.92);
+      expect(result.logos).to.deep.equal([{
+        address: NEW_TOKEN,
+        symbol: 'VINU2',
+        closest: { address: VINU, symbol: 'VINU', similarity: finding.properties.similarity },
+      }]);
+    });
+
+    it('should report the closest logo of a distinct submission', async () => {
+      copyTokens(VINU, VIN);
+      const validator = createValidator({ root: tempDir });
+
+      const result = await validator.compareLogos(validator.validateSubmission({
+        tokens: [{ data: copycat, logo: { buffer: pngBuffer(), extension: '.png' } }],
+      }));
+
+      expect(result.valid).to.be.true;
+      expect(result.diagnostics.map(d => d.ruleId)).to.not.include('token/logo-similarity');
+      expect(result.logos[0].closest.similarity).to.be.below(0.92);
+    });
+
+    it('should allow a logo shared by the same symbol within the same project', async () => {
+      copyTokens(VINU);
+      const file = path.join(tempDir, 'tokens', VINU, `${VINU}.json`);
+      const token = { ...JSON.parse(fs.readFileSync(file, 'utf8')), project: 'vinuswap' };
+      fs.writeFileSync(file, JSON.stringify(token));
+      const validator = createValidator({ root: tempDir });
+
+      const result = await validator.compareLogos(validator.validateSubmission({
+        tokens: [{
+          data: { ...copycat, symbol: 'VINU', project: 'vinuswap' },
+          logo: { buffer: await copiedLogo(), extension: '.webp' },
+        }],
+      }));
+
+      expect(result.diagnostics.map(d => d.ruleId)).to.not.include('token/logo-similarity');
+      expect(result.logos[0].closest.address).to.equal(VINU);
+    });
+
+    it('should report a pair of validated tokens once', async () => {
+      copyTokens(VINU, VIN);
+      fs.copyFileSync(
+        path.join(tempDir, 'tokens', VINU, `${VINU}.png`),
+        path.join(tempDir, 'tokens', VIN, `${VIN}.png`)
+      );
+      const validator = createValidator({ root: tempDir });
+
+      const result = await validator.compareLogos(validator.validate());
+
+      const findings = result.diagnostics.filter(d => d.ruleId === 'token/logo-similarity');
+      expect(findings).to.have.length(1);
+      expect(findings[0].properties.similarity).to.equal(1);
+      expect(result.logos).to.have.length(2);
+    });
+  });
+
+  describe('verifyOnChain', () => {
+    let stub;
+
+    afterEach(async () => {
+      if (stub) await stub.close();
+      stub = null;
+    });
+
+    // Contract fixture matching the copied VINU token file
+    function vinuContract(overrides = {}) {
+      const token = JSON.parse(fs.readFileSync(path.join(tempDir, 'tokens', VINU, `${VINU}.json`), 'utf8'));
+      return { name: token.name, symbol: token.symbol, decimals: token.decimals, totalSupply: 1n, ...overrides };
+    }
+
+    it('should verify validated tokens against the contract', async () => {
+      copyTokens(VINU);
+      stub = await startRpcStub({ contracts: { [VINU]: vinuContract() } });
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyOnChain(validator.validate(), { rpc: stub.url });
+
+      expect(result.valid).to.be.true;
+      expect(stub.requests.map(r => r.method)).to.include.members(['eth_chainId', 'eth_getCode', 'eth_call']);
+    });
+
+    it('should locate metadata mismatches in the token file', async () => {
+      copyTokens(VINU);
+      stub = await startRpcStub({ contracts: { [VINU]: vinuContract({ symbol: 'WRONG' }) } });
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyOnChain(validator.validate(), { rpc: stub.url });
+      const mismatch = result.diagnostics.find(d => d.ruleId === 'onchain/metadata');
+
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.equal(1);
+      expect(mismatch.file).to.equal(`tokens/${VINU}/${VINU}.json`);
+      expect(mismatch.pointer).to.equal('/symbol');
+      expect(mismatch.line).to.be.a('number');
+      expect(result.report.toJSON().summary.errors).to.equal(1);
+    });
+
+    it('should stop when the endpoint is on another chain', async () => {
+      copyTokens(VINU);
+      stub = await startRpcStub({ chainId: 1 });
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyOnChain(validator.validate(), { rpc: stub.url });
+
+      expect(result.valid).to.be.false;
+      expect(result.diagnostics.map(d => d.ruleId)).to.deep.equal(['onchain/rpc']);
+      expect(stub.requests.map(r => r.method)).to.deep.equal(['eth_chainId']);
+    });
+
+    it('should check contract bytecode against the ABI', async () => {
+      const projectDir = path.join(REPO_ROOT, 'contracts/vinufinance');
+      const info = JSON.parse(fs.readFileSync(path.join(projectDir, 'info.json'), 'utf8'));
+      const contract = info.contracts.find(c => c.name === 'MultiClaim');
+      const abi = JSON.parse(fs.readFileSync(path.join(projectDir, 'MultiClaim_abi.json'), 'utf8'));
+      const [dropped, ...kept] = getAbiFunctions(abi);
+
+      const project = path.join(tempDir, 'contracts/vinufinance');
+      fs.mkdirSync(project, { recursive: true });
+      const projectInfo = { ...info, contracts: [contract] };
+      fs.writeFileSync(path.join(project, 'info.json'), JSON.stringify(projectInfo, null, 2));
+      for (const file of ['MultiClaim.sol', 'MultiClaim_abi.json']) {
+        fs.copyFileSync(path.join(projectDir, file), path.join(project, file));
+      }
+      stub = await startRpcStub({
+        contracts: { [contract.address]: { code: buildDispatcher(kept.map(fn => fn.selector)) } },
+      });
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyOnChain(validator.validate(), { rpc: stub.url });
+      const selectorErrors = result.diagnostics.filter(d => d.ruleId === 'onchain/selectors');
+
+      expect(selectorErrors).to.have.length(1);
+      expect(selectorErrors[0].message).to.include(dropped.signature);
+      expect(selectorErrors[0].file).to.equal('contracts/vinufinance/MultiClaim_abi.json');
+      expect(selectorErrors[0].pointer).to.equal(`/${dropped.index}`);
+      expect(selectorErrors[0].line).to.be.a('number');
+    });
+
+    it('should apply rule overrides to on-chain findings', async () => {
+      copyTokens(VINU);
+      stub = await startRpcStub();
+
+      const validator = createValidator({ root: tempDir, rules: { 'onchain/code': 'warning' } });
+      const result = await validator.verifyOnChain(validator.validate(), { rpc: stub.url });
+
+      expect(result.valid).to.be.true;
+      expect(result.warnings).to.equal(1);
+    });
+  });
+
+  // Write a project holding the Vault fixture (and its imported interface) into the checkout
+  function writeVaultProject(abi = VAULT_ABI, overrides = {}) {
+    const info = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'contracts/vinuswap/info.json'), 'utf8'));
+    const project = path.join(tempDir, 'contracts/vault');
+    fs.mkdirSync(path.join(project, 'interfaces'), { recursive: true });
+    const contract = { ...info.contracts[0], name: 'Vault', address: NEW_TOKEN, ...overrides };
+    const projectInfo = { ...info, contracts: [contract] };
+    fs.writeFileSync(path.join(project, 'info.json'), JSON.stringify(projectInfo, null, 2));
+    fs.writeFileSync(path.join(project, 'Vault.sol'), VAULT_SOURCE);
+    fs.writeFileSync(path.join(project, 'interfaces/IVault.sol'), IVAULT_SOURCE);
+    fs.writeFileSync(path.join(project, 'Vault_abi.json'), JSON.stringify(abi, null, 2));
+  }
+
+  describe('project red flags', () => {
+    it('should locate red flag lifecycle errors of contracts', () => {
+      writeVaultProject(VAULT_ABI, {
+        redFlags: [{ severity: 'high', description: 'Reentrancy in withdraw', resolvedDate: '2025-01-10' }],
+      });
+
+      const result = createValidator({ root: tempDir }).validate();
+      const [error] = result.diagnostics.filter(d => d.ruleId === 'project/red-flags');
+
+      expect(result.valid).to.be.false;
+      expect(error.file).to.equal('contracts/vault/info.json');
+      expect(error.pointer).to.equal('/contracts/0/redFlags/0/resolvedDate');
+      expect(error.message).to.include('vault/Vault: Red flag 0 has a resolvedDate but is not resolved');
+    });
+
+    it('should accept resolved red flags', () => {
+      writeVaultProject(VAULT_ABI, {
+        redFlags: [{
+          severity: 'high',
+          description: 'Reentrancy in withdraw',
+          reportedDate: '2025-01-02',
+          status: 'resolved',
+          resolvedDate: '2025-01-10',
+        }],
+      });
+
+      const result = createValidator({ root: tempDir }).validate();
+      expect(result.diagnostics.filter(d => d.ruleId === 'project/red-flags')).to.be.empty;
+    });
+  });
+
+  describe('audits', () => {
+    const report = Buffer.from('%PDF-1.7\n%audit report\n');
+
+    // Add audits to the Vault project, with a copy of the report
+    function writeAudits(audits) {
+      writeVaultProject();
+      const infoPath = path.join(tempDir, 'contracts/vault/info.json');
+      const info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+      fs.writeFileSync(infoPath, JSON.stringify({ ...info, audits }, null, 2));
+      fs.mkdirSync(path.join(tempDir, 'contracts/vault/audits'));
+      fs.writeFileSync(path.join(tempDir, 'contracts/vault/audits/acme.pdf'), report);
+    }
+
+    const audit = {
+      auditor: 'Acme Security',
+      date: '2024-05-02',
+      url: 'https://acme.example/reports/vault.pdf',
+      file: 'audits/acme.pdf',
+      sha256: crypto.createHash('sha256').update(report).digest('hex'),
+      scope: ['Vault'],
+    };
+
+    it('should accept an audit covering the project', () => {
+      writeAudits([audit]);
+
+      const result = createValidator({ root: tempDir }).validate();
+      const ruleIds = result.diagnostics.map(d => d.ruleId);
+      expect(ruleIds).to.not.include('project/audits');
+      expect(ruleIds).to.not.include('contract/unaudited');
+    });
+
+    it('should locate audit errors in info.json', () => {
+      writeAudits([{ ...audit, sha256: '0'.repeat(64), scope: ['Vault', 'Pool'] }]);
+
+      const result = createValidator({ root: tempDir }).validate();
+      const errors = result.diagnostics.filter(d => d.ruleId === 'project/audits');
+
+      expect(result.valid).to.be.false;
+      expect(errors.map(d => d.pointer)).to.deep.equal(['/audits/0/scope/1', '/audits/0/sha256']);
+      expect(errors[0].file).to.equal('contracts/vault/info.json');
+    });
+
+    it('should reject report copies over the size limit without reading them', () => {
+      writeAudits([audit]);
+      fs.truncateSync(path.join(tempDir, 'contracts/vault/audits/acme.pdf'), MAX_AUDIT_REPORT_SIZE + 1);
+
+      const result = createValidator({ root: tempDir }).validate();
+      const [error] = result.diagnostics.filter(d => d.ruleId === 'project/audits');
+
+      expect(result.valid).to.be.false;
+      expect(error.pointer).to.equal('/audits/0/file');
+      expect(error.message).to.include(`File too large: ${MAX_AUDIT_REPORT_SIZE + 1} bytes`);
+    });
+
+    it('should warn about contracts without an audit', () => {
+      writeVaultProject();
+
+      const result = createValidator({ root: tempDir }).validate();
+      const [warning] = result.diagnostics.filter(d => d.ruleId === 'contract/unaudited');
+
+      expect(result.valid).to.be.true;
+      expect(warning.severity).to.equal('warning');
+      expect(warning.pointer).to.equal('/contracts/0');
+      expect(warning.message).to.include('Vault in vault is not covered by any audit');
+    });
+  });
+
+  describe('proxies', () => {
+    const IMPLEMENTATION = '0xeBC1C9Ae7FC761330929d682d97334513C1FcB4b';
+    const UPGRADED = '0xA260d19aEe266cC85F41f160271F9C72ea8E2837';
+    let stub;
+
+    afterEach(async () => {
+      if (stub) await stub.close();
+      stub = null;
+    });
+
+    it('should locate proxy block errors in info.json', () => {
+      const implementation = IMPLEMENTATION.toLowerCase();
+      writeVaultProject(VAULT_ABI, { proxy: { standard: 'uups', implementation } });
+
+      const result = createValidator({ root: tempDir }).validate();
+      const [error] = result.diagnostics.filter(d => d.ruleId === 'contract/proxy');
+
+      expect(result.valid).to.be.false;
+      expect(error.file).to.equal('contracts/vault/info.json');
+      expect(error.pointer).to.equal('/contracts/0/proxy/implementation');
+    });
+
+    it('should report proxy blocks the schema rejects without checking them', () => {
+      writeVaultProject(VAULT_ABI, {
+        proxy: { standard: 'uups', implementations: [{ address: IMPLEMENTATION }] },
+      });
+
+      const result = createValidator({ root: tempDir }).validate();
+      const ruleIds = result.diagnostics.map(d => d.ruleId);
+
+      expect(result.valid).to.be.false;
+      expect(ruleIds).to.include('project/schema');
+      expect(ruleIds).to.not.include('contract/proxy');
+    });
+
+    it('should confirm the listed implementation on-chain', async () => {
+      writeVaultProject(VAULT_ABI, { proxy: { standard: 'uups', implementation: IMPLEMENTATION } });
+      const selectors = getAbiFunctions(VAULT_ABI).map(fn => fn.selector);
+      const slot = `0x${UPGRADED.slice(2).toLowerCase().padStart(64, '0')}`;
+      stub = await startRpcStub({
+        contracts: {
+          [NEW_TOKEN]: { code: buildDispatcher([]), storage: { [EIP1967_IMPLEMENTATION_SLOT]: slot } },
+          [UPGRADED]: { code: buildDispatcher(selectors) },
+        },
+      });
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyOnChain(validator.validate(), { rpc: stub.url });
+      const proxyErrors = result.diagnostics.filter(d => d.ruleId === 'onchain/proxy');
+
+      expect(result.diagnostics.filter(d => d.ruleId === 'onchain/selectors')).to.be.empty;
+      expect(proxyErrors).to.have.length(1);
+      expect(proxyErrors[0].pointer).to.equal('/contracts/0/proxy/implementation');
+      expect(proxyErrors[0].message).to.include(`the proxy points at ${UPGRADED}`);
+    });
+  });
+
+  describe('verifySources', () => {
+    it('should compile contracts with imports from the project directory', () => {
+      writeVaultProject();
+
+      const validator = createValidator({ root: tempDir });
+      const result = validator.verifySources(validator.validate());
+
+      expect(result.valid).to.be.true;
+      expect(result.diagnostics.filter(d => d.ruleId.startsWith('solidity/abi'))).to.be.empty;
+      expect(result.diagnostics.filter(d => d.ruleId === 'solidity/imports')).to.be.empty;
+    });
+
+    it('should locate ABI drift in the ABI file', () => {
+      writeVaultProject([...VAULT_ABI, { type: 'event', name: 'Withdraw', inputs: [], anonymous: false }]);
+
+      const validator = createValidator({ root: tempDir });
+      const result = validator.verifySources(validator.validate());
+      const drift = result.diagnostics.filter(d => d.ruleId === 'solidity/abi-drift');
+
+      expect(result.valid).to.be.false;
+      expect(drift).to.have.length(1);
+      expect(drift[0].file).to.equal('contracts/vault/Vault_abi.json');
+      expect(drift[0].pointer).to.equal(`/${VAULT_ABI.length}`);
+      expect(drift[0].line).to.be.a('number');
+    });
+
+    it('should compile in-memory submissions', () => {
+      const info = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'contracts/vinuswap/info.json'), 'utf8'));
+      const contract = { ...info.contracts[0], name: 'Vault', address: NEW_TOKEN };
+      const files = {
+        'Vault.sol': VAULT_SOURCE,
+        'interfaces/IVault.sol': IVAULT_SOURCE,
+        'Vault_abi.json': JSON.stringify(VAULT_ABI.slice(1)),
+      };
+
+      const validator = createValidator({ root: tempDir });
+      const result = validator.verifySources(validator.validateSubmission({
+        projects: [{ slug: 'vault', info: { ...info, contracts: [contract] }, files }],
+      }));
+      const drift = result.diagnostics.filter(d => d.ruleId === 'solidity/abi-drift');
+
+      expect(drift).to.have.length(1);
+      expect(drift[0].message).to.include('error ZeroAmount()');
+      expect(drift[0].file).to.equal('contracts/vault/Vault_abi.json');
+    });
+
+    it('should warn when imports are not in the project', () => {
+      writeVaultProject();
+      fs.rmSync(path.join(tempDir, 'contracts/vault/interfaces'), { recursive: true });
+
+      const validator = createValidator({ root: tempDir });
+      const result = validator.verifySources(validator.validate());
+      const warning = result.diagnostics.find(d => d.ruleId === 'solidity/imports');
+
+      expect(result.valid).to.be.true;
+      expect(warning.file).to.equal('contracts/vault/Vault.sol');
+    });
+  });
+
+  describe('verifyDeployments', () => {
+    const SETTINGS = { version: BUNDLED_VERSION, optimizer: { enabled: true, runs: 200 } };
+    let stub;
+
+    afterEach(async () => {
+      if (stub) await stub.close();
+      stub = null;
+    });
+
+    it('should locate compiler settings that contradict the source', () => {
+      writeVaultProject(VAULT_ABI, { compiler: { version: '0.7.6' } });
+
+      const validator = createValidator({ root: tempDir });
+      const result = validator.validate();
+      const error = result.diagnostics.find(d => d.ruleId === 'contract/compiler');
+
+      expect(result.valid).to.be.false;
+      expect(error.file).to.equal('contracts/vault/info.json');
+      expect(error.pointer).to.equal('/contracts/0/compiler/version');
+    });
+
+    it('should report compiler blocks the schema rejects without checking them', () => {
+      writeVaultProject(VAULT_ABI, { compiler: { version: 8, optimizer: { enabled: true } } });
+
+      const result = createValidator({ root: tempDir }).validate();
+      const ruleIds = result.diagnostics.map(d => d.ruleId);
+
+      expect(result.valid).to.be.false;
+      expect(ruleIds).to.include('project/schema');
+      expect(ruleIds).to.not.include('contract/compiler');
+    });
+
+    it('should list the status of every validated contract', async function() {
+      this.timeout(30000);
+      writeVaultProject(VAULT_ABI, { compiler: SETTINGS });
+      stub = await startRpcStub();
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyDeployments(validator.validate(), { rpc: stub.url });
+      const mismatch = result.diagnostics.find(d => d.ruleId === 'deployment/mismatch');
+
+      expect(result.valid).to.be.false;
+      expect(result.deployments).to.deep.equal([{
+        name: 'Vault',
+        address: NEW_TOKEN,
+        file: 'contracts/vault/info.json',
+        status: 'mismatch',
+        compiler: BUNDLED_VERSION,
+        reason: undefined,
+      }]);
+      expect(mismatch.message).to.include('No contract code');
+      expect(mismatch.pointer).to.equal('/contracts/0/address');
+    });
+
+    it('should skip contracts without compiler settings', async () => {
+      writeVaultProject();
+      stub = await startRpcStub();
+
+      const validator = createValidator({ root: tempDir });
+      const result = await validator.verifyDeployments(validator.validate(), { rpc: stub.url });
+
+      expect(result.valid).to.be.true;
+      expect(result.deployments[0].status).to.equal('skipped');
+      expect(stub.requests.map(r => r.method)).to.deep.equal(['eth_chainId']);
+    });
+  });
+});
@@ -3,10 +3,14 @@
  */
 
 const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
 const {
   validateSafeFilename,
   validateContractName,
   safePathJoin,
+  safeReadFile,
 } = require('../../scripts/utils/file-utils');
 
 describe('File Utils', () => {
@@ -97,4 +101,36 @@ describe('File Utils', () => {
       expect(result.valid).to.be.true;
     });
   });
+
+  describe('safeReadFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-utils-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read files as text or as a Buffer', () => {
+      const file = path.join(tempDir, 'report.pdf');
+      fs.writeFileSync(file, '%PDF-1.7');
+
+      expect(safeReadFile(file)).to.deep.equal({ success: true, content: '%PDF-1.7' });
+      expect(Buffer.isBuffer(safeReadFile(file, null).content)).to.be.true;
+      expect(safeReadFile(path.join(tempDir, 'missing.pdf')).error).to.equal('File not found: missing.pdf');
+    });
+
+    it('should reject files over the size limit', () => {
+      const file = path.join(tempDir, 'report.pdf');
+      fs.writeFileSync(file, '%PDF-1.7');
+
+      expect(safeReadFile(file, null, 8).success).to.be.true;
+      expect(safeReadFile(file, null, 7)).to.deep.equal({
+        success: false,
+        error: 'File too large: 8 bytes (max: 7 bytes)',
+      });
+    });
+  });
 });
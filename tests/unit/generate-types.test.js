@@ -0,0 +1,303 @@
+/**
+ * Unit tests for generate-types.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ts = require('typescript');
+const {
+  schemaToTypeScript,
+  generateIndexDeclarations,
+  generateAbiDeclaration,
+  generateAbiModule,
+  abiIdentifier,
+  generateTypes,
+} = require('../../scripts/generate-types');
+
+describe('TypeScript Declaration Generator', () => {
+  describe('schemaToTypeScript', () => {
+    const schema = {
+      description: 'Example entry',
+      type: 'object',
+      required: ['id', 'kind'],
+      properties: {
+        id: { type: 'string', description: 'Identifier' },
+        count: { type: 'integer' },
+        kind: { type: 'string', enum: ['a', 'b'] },
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { flag: { type: 'boolean' } },
+          },
+        },
+        'odd-key': { type: 'string' },
+      },
+    };
+
+    it('should emit an interface for the root schema', () => {
+      const output = schemaToTypeScript(schema, { '#': 'Example' });
+      expect(output).to.include('/** Example entry */');
+      expect(output).to.include('export interface Example {');
+      expect(output).to.include('  /** Identifier */\n  id: string;');
+      expect(output).to.include('  count?: number;');
+    });
+
+    it('should convert enums to string literal unions', () => {
+      const output = schemaToTypeScript(schema, { '#': 'Example' });
+      expect(output).to.include('kind: "a" | "b";');
+    });
+
+    it('should hoist named nested schemas', () => {
+      const output = schemaToTypeScript(schema, {
+        '#': 'Example',
+        '#/properties/items/items': 'Item',
+        '#/properties/kind': 'Kind',
+      });
+      expect(output).to.include('items?: Item[];');
+      expect(output).to.include('export interface Item {');
+      expect(output).to.include('export type Kind = "a" | "b";');
+    });
+
+    it('should inline unnamed nested objects', () => {
+      const output = schemaToTypeScript(schema, { '#': 'Example' });
+      expect(output).to.include('items?: Array<{');
+      expect(output).to.include('flag?: boolean;');
+    });
+
+    it('should quote keys that are not identifiers', () => {
+      const output = schemaToTypeScript(schema, { '#': 'Example' });
+      expect(output).to.include('"odd-key"?: string;');
+    });
+
+    it('should resolve local definitions by name', () => {
+      const output = schemaToTypeScript(
+        {
+          type: 'object',
+          properties: { flag: { $ref: '#/definitions/redFlag' } },
+          definitions: {
+            redFlag: { type: 'object', properties: { note: { type: 'string' } } },
+          },
+        },
+        { '#': 'Holder' }
+      );
+      expect(output).to.include('flag?: RedFlag;');
+      expect(output).to.include('export interface RedFlag {');
+    });
+  });
+
+  describe('generateIndexDeclarations', () => {
+    const output = generateIndexDeclarations();
+
+    it('should declare the registry entry types', () => {
+      expect(output).to.include('export interface Token {');
+      expect(output).to.include('export interface RedFlag {');
+      expect(output).to.include('export interface BridgeInfo {');
+      expect(output).to.include('export interface ProjectInfo {');
+      expect(output).to.include('export interface ContractEntry {');
+      expect(output).to.include('export interface AuditInfo {');
+    });
+
+    it('should declare the contract type enum as a union', () => {
+      expect(output).to.match(/export type ContractType = "token" \| "factory" \|/);
+      expect(output).to.include('type: ContractType;');
+      expect(output).to.include('proxy?: ProxyInfo;');
+      expect(output).to.include('redFlags?: RedFlag[];');
+      expect(output).to.include('ContractStatus = "active" | "deprecated" | "paused" | "migrated";');
+    });
+
+    it('should declare the registry API', () => {
+      expect(output).to.include('export declare function createRegistry');
+      expect(output).to.include('getTokenByAddress(address: string): Readonly<Token> | null;');
+      expect(output).to.include('getRedFlags(address: string): ReadonlyArray<Readonly<RegistryRedFlag>>;');
+    });
+  });
+
+  describe('abiIdentifier', () => {
+    it('should camelCase contract names', () => {
+      expect(abiIdentifier('SwapRouter')).to.equal('swapRouterAbi');
+      expect(abiIdentifier('SFC')).to.equal('sfcAbi');
+      expect(abiIdentifier('WETH9')).to.equal('weth9Abi');
+      expect(abiIdentifier('NodeDriver')).to.equal('nodeDriverAbi');
+    });
+  });
+
+  describe('generateAbiDeclaration', () => {
+    it('should declare the ABI as a readonly const tuple', () => {
+      const abi = [{ type: 'function', name: 'foo', inputs: [], outputs: [], stateMutability: 'view' }];
+      const output = generateAbiDeclaration(abi, 'Foo');
+      expect(output).to.include(
+        'export declare const fooAbi: readonly [\n  {\n    readonly "type": "function";'
+      );
+      expect(output).to.include('    readonly "inputs": readonly [];');
+      expect(output).to.include('export default fooAbi;');
+    });
+
+    it('should flag deprecated ABIs', () => {
+      const output = generateAbiDeclaration([], 'Foo', { deprecation: 'Foo is migrated.' });
+      expect(output).to.include(
+        '/** @deprecated Foo is migrated. */\nexport declare const fooAbi: readonly [];'
+      );
+      expect(generateAbiDeclaration([], 'Foo')).to.not.include('/**');
+    });
+
+    it('should list open red flags in the doc comment', () => {
+      const redFlags = [{ severity: 'high', description: 'Reentrancy in repay' }];
+      const output = generateAbiDeclaration([], 'Foo', { deprecation: 'Foo is deprecated.', redFlags });
+      expect(output).to.include(
+        '/**\n * Red flag (high): Reentrancy in repay\n * @deprecated Foo is deprecated.\n */\n' +
+          'export declare const fooAbi'
+      );
+    });
+  });
+
+  describe('generateAbiModule', () => {
+    it('should export the ABI from a CommonJS module', () => {
+      const abi = [{ type: 'function', name: 'foo', inputs: [], outputs: [], stateMutability: 'view' }];
+      const output = generateAbiModule(abi, 'Foo');
+      expect(output).to.include("Object.defineProperty(exports, '__esModule', { value: true });");
+      expect(output).to.include(`exports.fooAbi = ${JSON.stringify(abi, null, 2)};`);
+      expect(output).to.include('exports.default = exports.fooAbi;');
+    });
+  });
+
+  describe('generateTypes', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'types-test-'));
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should write declarations for every ABI in the repository', () => {
+      const result = generateTypes(tempDir);
+      expect(result.errors).to.deep.equal([]);
+      expect(fs.existsSync(path.join(tempDir, 'index.d.ts'))).to.be.true;
+      expect(fs.existsSync(path.join(tempDir, 'abis/vinuswap/SwapRouter.d.ts'))).to.be.true;
+      expect(fs.existsSync(path.join(tempDir, 'abis/vinuswap/SwapRouter.ts'))).to.be.false;
+
+      const barrel = fs.readFileSync(path.join(tempDir, 'abis/vinuswap/index.d.ts'), 'utf8');
+      expect(barrel).to.include("export { swapRouterAbi } from './SwapRouter';");
+    });
+
+    it('should write modules that load at runtime', () => {
+      generateTypes(tempDir);
+      const abiPath = path.join(__dirname, '../../contracts/vinuswap/SwapRouter_abi.json');
+      const abi = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+
+      const { swapRouterAbi } = require(path.join(tempDir, 'abis/vinuswap'));
+      const router = require(path.join(tempDir, 'abis/vinuswap/SwapRouter'));
+      expect(swapRouterAbi).to.deep.equal(abi);
+      expect(router.default).to.equal(router.swapRouterAbi);
+    });
+
+    it('should type-check a consumer importing the generated declarations', function() {
+      // Type-checking the generated ABIs takes a few seconds on slow machines
+      this.timeout(60000);
+      generateTypes(path.join(tempDir, 'types'));
+      const consumer = path.join(tempDir, 'consumer.ts');
+      fs.writeFileSync(consumer, [
+        "import { swapRouterAbi } from './types/abis/vinuswap';",
+        "import router from './types/abis/vinuswap/SwapRouter';",
+        "import type { Token } from './types';",
+        '',
+        "type FunctionName = Extract<(typeof swapRouterAbi)[number], { type: 'function' }>['name'];",
+        "const name: FunctionName = 'exactInputSingle';",
+        '// @ts-expect-error the router has no such function',
+        "const missing: FunctionName = 'withdrawAll';",
+        'const same: typeof swapRouterAbi = router;',
+        "const token: Pick<Token, 'symbol'> = { symbol: 'VINU' };",
+        'export { name, missing, same, token };',
+      ].join('\n'));
+
+      const program = ts.createProgram([consumer], {
+        strict: true,
+        noEmit: true,
+        esModuleInterop: true,
+        module: ts.ModuleKind.CommonJS,
+        moduleResolution: ts.ModuleResolutionKind.Node10,
+        target: ts.ScriptTarget.ES2020,
+        types: [],
+      });
+      const messages = ts.getPreEmitDiagnostics(program)
+        .map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+      expect(messages).to.deep.equal([]);
+    });
+
+    it('should flag retired contracts and list open red flags', () => {
+      const contractsDir = path.join(tempDir, 'contracts');
+      const projectDir = path.join(contractsDir, 'dex');
+      fs.mkdirSync(projectDir, { recursive: true });
+      const routerAbi = fs.readFileSync(path.join(__dirname, '../../contracts/vinuswap/SwapRouter_abi.json'));
+      for (const name of ['Router', 'RouterV2', 'Pool']) {
+        fs.writeFileSync(path.join(projectDir, `${name}_abi.json`), routerAbi);
+      }
+      const address = digit => `0x${digit.repeat(40)}`;
+      const flag = (severity, description, status) => ({ severity, description, status });
+      const contracts = [
+        { name: 'Router', address: address('1'), status: 'migrated', replacedBy: address('2') },
+        { name: 'RouterV2', address: address('2') },
+        {
+          name: 'Pool',
+          address: address('3'),
+          status: 'deprecated',
+          redFlags: [flag('high', 'Reentrancy in repay')],
+        },
+        { name: 'Pool', address: address('4'), redFlags: [flag('low', 'Fixed rounding issue', 'resolved')] },
+      ];
+      const redFlags = [flag('medium', 'Admin key is a single EOA')];
+      fs.writeFileSync(path.join(projectDir, 'info.json'), JSON.stringify({ redFlags, contracts }));
+
+      const result = generateTypes(path.join(tempDir, 'out'), tempDir);
+      const read = name => fs.readFileSync(path.join(tempDir, 'out/abis/dex', `${name}.d.ts`), 'utf8');
+
+      expect(result.errors).to.deep.equal([]);
+      expect(read('Router')).to.include(
+        ` * @deprecated Router is migrated; use RouterV2 (${address('2')}).\n */`
+      );
+      expect(read('RouterV2')).to.include('/** Red flag (medium): Admin key is a single EOA */');
+      expect(read('Pool')).to.include(' * Red flag (high): Reentrancy in repay\n */');
+      expect(read('Pool')).to.not.include('@deprecated');
+      expect(read('Pool')).to.not.include('rounding');
+    });
+
+    it('should report invalid ABI files', () => {
+      const contractsDir = path.join(tempDir, 'contracts');
+      fs.mkdirSync(path.join(contractsDir, 'broken'), { recursive: true });
+      fs.writeFileSync(path.join(contractsDir, 'broken', 'Thing_abi.json'), '{"not": "an array"}');
+
+      const result = generateTypes(path.join(tempDir, 'out'), tempDir);
+      expect(result.errors).to.have.length(1);
+      expect(result.errors[0]).to.include('Thing');
+    });
+
+    it('should write the ABI modules of every network', () => {
+      const routerAbi = fs.readFileSync(path.join(__dirname, '../../contracts/vinuswap/SwapRouter_abi.json'));
+      fs.mkdirSync(path.join(tempDir, 'config'));
+      const networksFile = path.join(__dirname, '../../config/networks.json');
+      fs.copyFileSync(networksFile, path.join(tempDir, 'config/networks.json'));
+      for (const dir of ['contracts/dex', 'networks/206/contracts/dex-test']) {
+        fs.mkdirSync(path.join(tempDir, dir), { recursive: true });
+        fs.writeFileSync(path.join(tempDir, dir, 'Router_abi.json'), routerAbi);
+      }
+      fs.mkdirSync(path.join(tempDir, 'networks/206/contracts/broken'));
+      fs.writeFileSync(path.join(tempDir, 'networks/206/contracts/broken/Thing_abi.json'), '[');
+
+      const out = path.join(tempDir, 'out');
+      const result = generateTypes(out, tempDir);
+      expect(result.errors).to.have.length(1);
+      expect(result.errors[0]).to.match(/^networks\/206\/contracts\/broken\/Thing_abi\.json: /);
+      const abi = JSON.parse(routerAbi);
+      expect(require(path.join(out, 'abis/dex')).routerAbi).to.deep.equal(abi);
+      expect(require(path.join(out, 'networks/206/abis/dex-test')).routerAbi).to.deep.equal(abi);
+      expect(fs.existsSync(path.join(out, 'abis/dex-test'))).to.be.false;
+    });
+  });
+});
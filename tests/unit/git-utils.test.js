@@ -0,0 +1,177 @@
+/**
+ * Unit tests for git-utils.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const {
+  validateGitRef,
+  getChangedFiles,
+  getChangedEntries,
+} = require('../../scripts/utils/git-utils');
+
+describe('Git Utils', () => {
+  describe('validateGitRef', () => {
+    it('should accept branch names, tags, and SHAs', () => {
+      expect(validateGitRef('main').valid).to.be.true;
+      expect(validateGitRef('origin/main').valid).to.be.true;
+      expect(validateGitRef('v1.1.0').valid).to.be.true;
+      expect(validateGitRef('HEAD~1').valid).to.be.true;
+      expect(validateGitRef('56a94a3').valid).to.be.true;
+    });
+
+    it('should reject option-like refs', () => {
+      const result = validateGitRef('--output=/tmp/x');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('Invalid git ref');
+    });
+
+    it('should reject shell metacharacters and ranges', () => {
+      expect(validateGitRef('main; rm -rf /').valid).to.be.false;
+      expect(validateGitRef('$(whoami)').valid).to.be.false;
+      expect(validateGitRef('main..HEAD').valid).to.be.false;
+    });
+
+    it('should reject empty and overly long refs', () => {
+      expect(validateGitRef('').valid).to.be.false;
+      expect(validateGitRef(undefined).valid).to.be.false;
+      expect(validateGitRef('a'.repeat(300)).valid).to.be.false;
+    });
+  });
+
+  describe('getChangedEntries', () => {
+    it('should map token files to their address directory', () => {
+      const result = getChangedEntries([
+        'tokens/0x00c1E515EA9579856304198EFb15f525A0bb50f6/0x00c1E515EA9579856304198EFb15f525A0bb50f6.json',
+        'tokens/0x00c1E515EA9579856304198EFb15f525A0bb50f6/0x00c1E515EA9579856304198EFb15f525A0bb50f6.png',
+      ]);
+      expect([...result.tokens]).to.deep.equal(['0x00c1E515EA9579856304198EFb15f525A0bb50f6']);
+      expect(result.projects.size).to.equal(0);
+      expect(result.all).to.be.false;
+    });
+
+    it('should map contract files to their project slug', () => {
+      const result = getChangedEntries([
+        'contracts/vinuswap/info.json',
+        'contracts/vinuswap/SwapRouter.sol',
+        'contracts/vinufinance/BasePool_abi.json',
+      ]);
+      expect([...result.projects].sort()).to.deep.equal(['vinufinance', 'vinuswap']);
+    });
+
+    it('should map nested project files to their project slug', () => {
+      const files = [
+        'contracts/vault/interfaces/IVault.sol',
+        'contracts/vinuswap/audits/2024-01-10.pdf',
+        'networks/206/contracts/vinufinance/interfaces/IPool.sol',
+      ];
+
+      expect([...getChangedEntries(files).projects].sort()).to.deep.equal(['vault', 'vinuswap']);
+      expect([...getChangedEntries(files, 206).projects]).to.deep.equal(['vinufinance']);
+    });
+
+    it('should ignore files outside token and project directories', () => {
+      const result = getChangedEntries(['README.md', 'tokens/EXAMPLE.md', 'scripts/validate.js']);
+      expect(result.tokens.size).to.equal(0);
+      expect(result.projects.size).to.equal(0);
+      expect(result.all).to.be.false;
+    });
+
+    it('should request full validation when schemas change', () => {
+      const result = getChangedEntries(['schemas/token.schema.json']);
+      expect(result.all).to.be.true;
+    });
+
+    it('should map the entries of other networks to their chain', () => {
+      const vinu = '0x00c1E515EA9579856304198EFb15f525A0bb50f6';
+      const vin = '0x6109835364EdA2c43CaA8981681e75782C13566C';
+      const files = [
+        `tokens/${vinu}/${vinu}.json`,
+        `networks/206/tokens/${vin}/${vin}.json`,
+        'networks/206/contracts/vinuswap/info.json',
+      ];
+
+      const mainnet = getChangedEntries(files);
+      expect([...mainnet.tokens]).to.deep.equal([vinu]);
+      expect(mainnet.projects.size).to.equal(0);
+
+      const testnet = getChangedEntries(files, 206);
+      expect([...testnet.tokens]).to.deep.equal([vin]);
+      expect([...testnet.projects]).to.deep.equal(['vinuswap']);
+    });
+
+    it('should request full validation when the token allow-list changes', () => {
+      const result = getChangedEntries(['config/token-allowlist.json']);
+      expect(result.all).to.be.true;
+    });
+  });
+
+  describe('getChangedFiles', function() {
+    this.timeout(10000);
+
+    let repoDir;
+
+    function git(...args) {
+      return execFileSync(
+        'git',
+        ['-c', 'user.name=Test', '-c', 'user.email=test@vinuchain.org', ...args],
+        { cwd: repoDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }
+      );
+    }
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-utils-test-'));
+      git('init', '-q');
+      fs.mkdirSync(path.join(repoDir, 'contracts/vinuswap'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, 'contracts/vinuswap/info.json'), '{}');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'base');
+      git('tag', 'base');
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(repoDir)) {
+        fs.rmSync(repoDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should include committed, modified, and untracked files', () => {
+      fs.mkdirSync(path.join(repoDir, 'tokens/0xabc'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, 'tokens/0xabc/0xabc.json'), '{}');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'add token');
+
+      fs.writeFileSync(path.join(repoDir, 'contracts/vinuswap/info.json'), '{"changed":true}');
+      fs.writeFileSync(path.join(repoDir, 'untracked.txt'), 'new');
+
+      const result = getChangedFiles('base', repoDir);
+      expect(result.success).to.be.true;
+      expect(result.files).to.deep.equal([
+        'contracts/vinuswap/info.json',
+        'tokens/0xabc/0xabc.json',
+        'untracked.txt',
+      ]);
+    });
+
+    it('should return an empty list when nothing changed', () => {
+      const result = getChangedFiles('base', repoDir);
+      expect(result.success).to.be.true;
+      expect(result.files).to.deep.equal([]);
+    });
+
+    it('should fail for unknown refs', () => {
+      const result = getChangedFiles('does-not-exist', repoDir);
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('does-not-exist');
+    });
+
+    it('should not run git for invalid refs', () => {
+      const result = getChangedFiles('--help', repoDir);
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('Invalid git ref');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for image.js
+ */
+
+const { expect } = require('chai');
+const zlib = require('zlib');
+const { readImageInfo, crc32, MAX_DECODE_DIMENSION } = require('../../scripts/utils/image');
+const { createPng, createJpeg, createWebp } = require('../helpers/image-fixtures');
+
+describe('Image Utilities', () => {
+  describe('crc32', () => {
+    it('should compute the PNG chunk checksum', () => {
+      expect(crc32(Buffer.from('IEND', 'latin1'))).to.equal(0xae426082);
+      expect(crc32(Buffer.from('123456789', 'latin1'))).to.equal(0xcbf43926);
+    });
+  });
+
+  describe('PNG', () => {
+    it('should read dimensions and alpha', () => {
+      expect(readImageInfo(createPng({ width: 120, height: 80 }), 'png'))
+        .to.deep.equal({ valid: true, width: 120, height: 80, alpha: true });
+      expect(readImageInfo(createPng({ alpha: false }), 'png').alpha).to.be.false;
+    });
+
+    it('should reject chunks with a bad checksum', () => {
+      const png = createPng();
+      png[20] ^= 0xff; // IHDR height
+
+      const result = readImageInfo(png, 'png');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('IHDR chunk checksum');
+    });
+
+    it('should reject files without IEND', () => {
+      const png = createPng();
+      const result = readImageInfo(png.subarray(0, png.length - 12), 'png');
+
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('no IEND');
+    });
+
+    it('should reject image data that does not match the header', () => {
+      const small = createPng({ width: 10, height: 10 });
+      const large = createPng({ width: 11, height: 10 });
+      // IHDR of the 11px image followed by the data of the 10px one
+      const forged = Buffer.concat([large.subarray(0, 33), small.subarray(33)]);
+
+      const result = readImageInfo(forged, 'png');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.match(/image data is \d+ bytes, 11x10px requires \d+/);
+    });
+
+    it('should reject images too large to check', () => {
+      const png = createPng({ width: 1, height: 1 });
+      png.writeUInt32BE(MAX_DECODE_DIMENSION + 1, 16);
+      png.writeUInt32BE(crc32(png.subarray(12, 29)), 29);
+
+      const result = readImageInfo(png, 'png');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('cannot be checked');
+    });
+
+    it('should not inflate more than the header accounts for', () => {
+      const png = createPng({ width: 1, height: 1 });
+      const idat = zlib.deflateSync(Buffer.alloc(1024 * 1024));
+      const chunk = Buffer.alloc(12 + idat.length);
+      chunk.writeUInt32BE(idat.length);
+      chunk.write('IDAT', 4, 'latin1');
+      idat.copy(chunk, 8);
+      chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + idat.length)), 8 + idat.length);
+      const forged = Buffer.concat([png.subarray(0, 33), chunk, png.subarray(png.length - 12)]);
+
+      const result = readImageInfo(forged, 'png');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('more data than its dimensions');
+    });
+  });
+
+  describe('JPEG', () => {
+    it('should read dimensions from the frame header', () => {
+      expect(readImageInfo(createJpeg({ width: 300, height: 240, size: 100000 }), 'jpg'))
+        .to.deep.equal({ valid: true, width: 300, height: 240, alpha: false });
+    });
+
+    it('should reject files without an end-of-image marker', () => {
+      const jpeg = createJpeg();
+      const result = readImageInfo(jpeg.subarray(0, jpeg.length - 2), 'jpg');
+
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('no end-of-image marker');
+    });
+
+    it('should reject segments running past the end of the file', () => {
+      const jpeg = createJpeg();
+      const result = readImageInfo(jpeg.subarray(0, 10), 'jpg');
+
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('truncated');
+    });
+
+    it('should reject files ending before the image data', () => {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+      expect(readImageInfo(jpeg, 'jpg').error).to.include('ends before its image data');
+    });
+  });
+
+  describe('WebP', () => {
+    it('should read lossless images', () => {
+      expect(readImageInfo(createWebp({ width: 64, height: 65, alpha: false }), 'webp'))
+        .to.deep.equal({ valid: true, width: 64, height: 65, alpha: false });
+    });
+
+    it('should read extended images', () => {
+      expect(readImageInfo(createWebp({ lossless: false, width: 512, height: 512, size: 4096 }), 'webp'))
+        .to.deep.equal({ valid: true, width: 512, height: 512, alpha: false });
+    });
+
+    it('should reject a RIFF size larger than the file', () => {
+      const webp = createWebp({ size: 2048 });
+      const result = readImageInfo(webp.subarray(0, 1024), 'webp');
+
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('RIFF size 2048 bytes, file 1024 bytes');
+    });
+
+    it('should reject a canvas that does not match the image', () => {
+      const webp = createWebp({ lossless: false, width: 200, height: 200 });
+      webp.writeUIntLE(499, 24, 3); // VP8X canvas width - 1
+
+      const result = readImageInfo(webp, 'webp');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('canvas is 500x200px but its image is 200x200px');
+    });
+
+    it('should reject unsupported lossless versions', () => {
+      const webp = createWebp();
+      webp[24] |= 0x20; // Version bits of the VP8L header
+
+      expect(readImageInfo(webp, 'webp').error).to.include('version 1 is not supported');
+    });
+  });
+
+  it('should reject unsupported formats', () => {
+    expect(readImageInfo(Buffer.alloc(16), 'gif').valid).to.be.false;
+  });
+});
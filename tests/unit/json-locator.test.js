@@ -0,0 +1,76 @@
+/**
+ * Unit tests for json-locator.js
+ */
+
+const { expect } = require('chai');
+const {
+  escapePointerSegment,
+  buildPointerIndex,
+  locateJsonPointer,
+} = require('../../scripts/utils/json-locator');
+
+describe('JSON Locator', () => {
+  const text = [
+    '{',
+    '  "name": "VinuChain",',
+    '  "contracts": [',
+    '    { "name": "SFC", "address": "0x1" },',
+    '    {',
+    '      "name": "Driver"',
+    '    }',
+    '  ],',
+    '  "a/b": { "c~d": true }',
+    '}',
+  ].join('\n');
+
+  describe('escapePointerSegment', () => {
+    it('should escape ~ and / per RFC 6901', () => {
+      expect(escapePointerSegment('a/b')).to.equal('a~1b');
+      expect(escapePointerSegment('c~d')).to.equal('c~0d');
+    });
+  });
+
+  describe('buildPointerIndex', () => {
+    it('should index every member and array item', () => {
+      const index = buildPointerIndex(text);
+      expect(index.has('')).to.be.true;
+      expect(index.has('/contracts/0/address')).to.be.true;
+      expect(index.has('/contracts/1/name')).to.be.true;
+      expect(index.has('/a~1b/c~0d')).to.be.true;
+    });
+
+    it('should keep a partial index for malformed JSON', () => {
+      const index = buildPointerIndex('{ "name": "x", "broken": }');
+      expect(index.has('/name')).to.be.true;
+      expect(index.has('/broken')).to.be.true;
+    });
+  });
+
+  describe('locateJsonPointer', () => {
+    it('should locate object members at their key', () => {
+      expect(locateJsonPointer(text, '/name')).to.deep.equal({ line: 2, column: 3 });
+      expect(locateJsonPointer(text, '/contracts/0/address')).to.deep.equal({ line: 4, column: 22 });
+    });
+
+    it('should locate array items at their value', () => {
+      expect(locateJsonPointer(text, '/contracts/1')).to.deep.equal({ line: 5, column: 5 });
+    });
+
+    it('should locate the root at the first value', () => {
+      expect(locateJsonPointer(text, '')).to.deep.equal({ line: 1, column: 1 });
+    });
+
+    it('should fall back to the closest existing ancestor', () => {
+      expect(locateJsonPointer(text, '/contracts/1/address')).to.deep.equal({ line: 5, column: 5 });
+    });
+
+    it('should handle strings containing escaped quotes', () => {
+      const json = '{"a": "say \\"hi\\"", "b": 1}';
+      expect(locateJsonPointer(json, '/b')).to.deep.equal({ line: 1, column: 21 });
+    });
+
+    it('should return null for non-string input', () => {
+      expect(locateJsonPointer(null, '/a')).to.be.null;
+    });
+  });
+});
@@ -8,13 +8,17 @@ const path = require('path');
 const os = require('os');
 const {
   validateLogo,
+  validateLogoBuffer,
   findLogoFile,
   validateMagicBytes,
   getLogoInfo,
   ALLOWED_EXTENSIONS,
   LOGO_SIZE_WARNING,
   LOGO_SIZE_ERROR,
+  LOGO_MIN_DIMENSION,
+  LOGO_MAX_DIMENSION,
 } = require('../../scripts/validators/logo-validator');
+const { createPng, createJpeg, createWebp, createSvg } = require('../helpers/image-fixtures');
 
 describe('Logo Validator', () => {
   // Create temp directory for test files
@@ -32,36 +36,17 @@ describe('Logo Validator', () => {
     }
   });
 
-  // Helper to create a valid PNG file (minimal valid PNG)
+  // Helpers to write a well-formed 200x200 image padded to the given size
   function createValidPNG(filePath, sizeKB = 1) {
-    // PNG magic bytes followed by padding to reach desired size
-    const pngHeader = Buffer.from([
-      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, // PNG signature
-      0x00, 0x00, 0x00, 0x0d, // IHDR length
-      0x49, 0x48, 0x44, 0x52, // IHDR
-    ]);
-    const padding = Buffer.alloc(Math.max(0, sizeKB * 1024 - pngHeader.length));
-    fs.writeFileSync(filePath, Buffer.concat([pngHeader, padding]));
+    fs.writeFileSync(filePath, createPng({ size: sizeKB * 1024 }));
   }
 
-  // Helper to create a valid JPEG file
   function createValidJPEG(filePath, sizeKB = 1) {
-    // JPEG magic bytes followed by padding
-    const jpegHeader = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
-    const padding = Buffer.alloc(Math.max(0, sizeKB * 1024 - jpegHeader.length));
-    fs.writeFileSync(filePath, Buffer.concat([jpegHeader, padding]));
+    fs.writeFileSync(filePath, createJpeg({ size: sizeKB * 1024 }));
   }
 
-  // Helper to create a valid WebP file
   function createValidWebP(filePath, sizeKB = 1) {
-    // WebP header: RIFF + size + WEBP
-    const webpHeader = Buffer.from([
-      0x52, 0x49, 0x46, 0x46, // RIFF
-      0x00, 0x00, 0x00, 0x00, // Size placeholder
-      0x57, 0x45, 0x42, 0x50, // WEBP
-    ]);
-    const padding = Buffer.alloc(Math.max(0, sizeKB * 1024 - webpHeader.length));
-    fs.writeFileSync(filePath, Buffer.concat([webpHeader, padding]));
+    fs.writeFileSync(filePath, createWebp({ size: sizeKB * 1024 }));
   }
 
   describe('findLogoFile', () => {
@@ -102,6 +87,14 @@ describe('Logo Validator', () => {
       expect(result.extension).to.equal('.webp');
     });
 
+    it('should find SVG logo file', () => {
+      fs.writeFileSync(path.join(tempDir, `${testAddress}.svg`), createSvg());
+
+      const result = findLogoFile(tempDir, testAddress);
+      expect(result.found).to.be.true;
+      expect(result.extension).to.equal('.svg');
+    });
+
     it('should return found=false when no logo exists', () => {
       const result = findLogoFile(tempDir, testAddress);
       expect(result.found).to.be.false;
@@ -159,6 +152,15 @@ describe('Logo Validator', () => {
       expect(result.detectedFormat).to.equal('webp');
     });
 
+    it('should detect SVG text', () => {
+      expect(validateMagicBytes(createSvg().subarray(0, 12), '.svg')).to.deep.equal({
+        valid: true,
+        detectedFormat: 'svg',
+      });
+      expect(validateMagicBytes(Buffer.from('\uFEFF  \n<svg/>'), '.svg').valid).to.be.true;
+      expect(validateMagicBytes(createSvg().subarray(0, 12), '.png').error).to.include('File is SVG');
+    });
+
     it('should reject unrecognized format', () => {
       const randomBuffer = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
       const result = validateMagicBytes(randomBuffer, '.png');
@@ -212,6 +214,20 @@ describe('Logo Validator', () => {
       expect(result.error).to.include('JPEG');
     });
 
+    it('should report size and format errors together in exhaustive mode', () => {
+      const logoPath = path.join(tempDir, `${testAddress}.png`);
+      createValidJPEG(logoPath, 600);
+
+      const failFast = validateLogo(tempDir, testAddress, 'TEST');
+      expect(failFast.error).to.include('too large');
+
+      const result = validateLogo(tempDir, testAddress, 'TEST', { exhaustive: true });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.have.length(2);
+      expect(result.errors[0]).to.include('too large');
+      expect(result.errors[1]).to.include('JPEG');
+    });
+
     it('should pass for valid JPEG logo', () => {
       const logoPath = path.join(tempDir, `${testAddress}.jpg`);
       createValidJPEG(logoPath, 50);
@@ -229,6 +245,138 @@ describe('Logo Validator', () => {
     });
   });
 
+  describe('image content', () => {
+    it('should report dimensions and alpha support', () => {
+      const result = validateLogoBuffer(createPng({ width: 256, height: 256 }), '.png', 'TEST');
+
+      expect(result.valid).to.be.true;
+      expect(result.image).to.deep.equal({ format: 'png', width: 256, height: 256, alpha: true });
+      expect(validateLogoBuffer(createJpeg(), '.jpg', 'TEST').image.alpha).to.be.false;
+    });
+
+    it('should reject non-square logos', () => {
+      const png = createPng({ width: 400, height: 30 });
+      const result = validateLogoBuffer(png, '.png', 'TEST', { exhaustive: true });
+
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.include('Logo must be square (400x30px)');
+      expect(result.errors[1]).to.include('too small');
+    });
+
+    it('should accept nearly square logos', () => {
+      const result = validateLogoBuffer(createPng({ width: 250, height: 258 }), '.png', 'TEST');
+      expect(result.valid).to.be.true;
+    });
+
+    it('should reject undersized logos', () => {
+      const size = LOGO_MIN_DIMENSION - 1;
+      const result = validateLogoBuffer(createWebp({ width: size, height: size }), '.webp', 'TEST');
+
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include(`too small (${size}x${size}px)`);
+    });
+
+    it('should warn on oversized logos', () => {
+      const size = LOGO_MAX_DIMENSION + 56;
+      const result = validateLogoBuffer(createJpeg({ width: size, height: size }), '.jpg', 'TEST');
+
+      expect(result.valid).to.be.true;
+      expect(result.warnings[0]).to.include(`Logo is large (${size}x${size}px)`);
+    });
+
+    it('should reject files whose header claims more data than they hold', () => {
+      // Signature and IHDR chunk (with a valid checksum) of a 400x400 image, data of a 200x200 one
+      const header = createPng({ width: 400, height: 400 }).subarray(0, 33);
+      const forged = Buffer.concat([header, createPng().subarray(33)]);
+
+      const result = validateLogoBuffer(forged, '.png', 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('corrupt or truncated');
+    });
+
+    it('should reject truncated files', () => {
+      const files = [[createPng(), '.png'], [createJpeg(), '.jpg'], [createWebp(), '.webp']];
+      for (const [buffer, extension] of files) {
+        const result = validateLogoBuffer(buffer.subarray(0, buffer.length - 4), extension, 'TEST');
+        expect(result.valid, extension).to.be.false;
+        expect(result.error).to.include('corrupt or truncated');
+      }
+    });
+
+    it('should check the image of logo files on disk', () => {
+      fs.writeFileSync(path.join(tempDir, `${testAddress}.png`), createPng({ width: 600, height: 200 }));
+
+      const result = validateLogo(tempDir, testAddress, 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('square');
+    });
+  });
+
+  describe('SVG logos', () => {
+    it('should accept safe square SVG logos', () => {
+      fs.writeFileSync(path.join(tempDir, `${testAddress}.svg`), createSvg());
+
+      const result = validateLogo(tempDir, testAddress, 'TEST');
+      expect(result.valid).to.be.true;
+      expect(result.image).to.deep.equal({ format: 'svg', width: 64, height: 64, alpha: true });
+    });
+
+    it('should reject unsafe SVG content', () => {
+      const svg = createSvg({ body: '<script>alert(1)</script><image href="https://example.com/a.png"/>' });
+      const result = validateLogoBuffer(svg, '.svg', 'TEST', { exhaustive: true });
+
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.have.length(2);
+      expect(result.errors[0]).to.equal('TEST: SVG must not contain <script> elements');
+    });
+
+    it('should require a square viewBox but no minimum size', () => {
+      expect(validateLogoBuffer(createSvg({ viewBox: '0 0 16 16' }), '.svg', 'TEST').valid).to.be.true;
+
+      const result = validateLogoBuffer(createSvg({ viewBox: '0 0 300 100' }), '.svg', 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('Logo must be square (viewBox 300x100)');
+    });
+
+    it('should report SVG dimensions in getLogoInfo', () => {
+      fs.writeFileSync(path.join(tempDir, `${testAddress}.svg`), createSvg({ viewBox: '0 0 32 32' }));
+
+      const info = getLogoInfo(tempDir, testAddress);
+      expect(info).to.include({ format: 'svg', width: 32, height: 32, alpha: true });
+    });
+  });
+
+  describe('validateLogoBuffer', () => {
+    it('should validate logo content held in memory', () => {
+      const logoPath = path.join(tempDir, 'logo.png');
+      createValidPNG(logoPath, 10);
+
+      const result = validateLogoBuffer(fs.readFileSync(logoPath), '.png', 'TEST');
+      expect(result.valid).to.be.true;
+    });
+
+    it('should detect a format mismatch', () => {
+      const logoPath = path.join(tempDir, 'logo.jpg');
+      createValidJPEG(logoPath, 10);
+
+      const result = validateLogoBuffer(fs.readFileSync(logoPath), '.png', 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('JPEG');
+    });
+
+    it('should reject unsupported extensions', () => {
+      const result = validateLogoBuffer(Buffer.alloc(10), '.gif', 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('Unsupported logo extension');
+    });
+
+    it('should reject non-Buffer content', () => {
+      const result = validateLogoBuffer('not a buffer', '.png', 'TEST');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('must be a Buffer');
+    });
+  });
+
   describe('getLogoInfo', () => {
     it('should return info for existing logo', () => {
       const logoPath = path.join(tempDir, `${testAddress}.png`);
@@ -239,6 +387,7 @@ describe('Logo Validator', () => {
       expect(info.path).to.equal(logoPath);
       expect(info.format).to.equal('png');
       expect(info.size).to.be.greaterThan(0);
+      expect(info).to.include({ width: 200, height: 200, alpha: true });
     });
 
     it('should return exists=false for missing logo', () => {
@@ -252,11 +401,17 @@ describe('Logo Validator', () => {
       expect(ALLOWED_EXTENSIONS).to.include('.png');
       expect(ALLOWED_EXTENSIONS).to.include('.jpg');
       expect(ALLOWED_EXTENSIONS).to.include('.webp');
+      expect(ALLOWED_EXTENSIONS).to.include('.svg');
     });
 
     it('should export size limits', () => {
       expect(LOGO_SIZE_WARNING).to.equal(100 * 1024);
       expect(LOGO_SIZE_ERROR).to.equal(500 * 1024);
     });
+
+    it('should export dimension limits', () => {
+      expect(LOGO_MIN_DIMENSION).to.equal(64);
+      expect(LOGO_MAX_DIMENSION).to.equal(1024);
+    });
   });
 });
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for networks.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { networkPath, tokenKey, loadNetworks } = require('../../scripts/utils/networks');
+
+describe('Networks', () => {
+  const address = '0x00c1E515EA9579856304198EFb15f525A0bb50f6';
+
+  describe('networkPath', () => {
+    it('should keep VinuChain mainnet at the root', () => {
+      expect(networkPath(207)).to.equal('');
+      expect(networkPath(206)).to.equal('networks/206');
+    });
+  });
+
+  describe('tokenKey', () => {
+    it('should prefix addresses outside VinuChain mainnet with the chain ID', () => {
+      expect(tokenKey(207, address)).to.equal(address);
+      expect(tokenKey(206, address)).to.equal(`206/${address}`);
+    });
+  });
+
+  describe('loadNetworks', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'networks-test-'));
+      fs.mkdirSync(path.join(tempDir, 'config'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should list the repository networks, mainnet first', () => {
+      const networks = loadNetworks(path.join(__dirname, '../..'));
+
+      expect(networks.map(n => n.chainId)).to.deep.equal([207, 206]);
+      expect(networks[0]).to.include({ name: 'VinuChain', testnet: false });
+      expect(networks[1].testnet).to.be.true;
+    });
+
+    it('should default to VinuChain mainnet without a definitions file', () => {
+      expect(loadNetworks(tempDir)).to.deep.equal([{ chainId: 207 }]);
+    });
+
+    it('should reject definitions that do not match the schema', () => {
+      const network = {
+        name: 'Plain',
+        testnet: false,
+        rpc: ['http://rpc.example.com'],
+        explorer: 'https://explorer.example.com',
+        nativeCurrency: { name: 'Plain', symbol: 'PLN', decimals: 18 },
+      };
+      fs.writeFileSync(path.join(tempDir, 'config/networks.json'), JSON.stringify({ networks: { 1: network } }));
+
+      expect(() => loadNetworks(tempDir)).to.throw(/Invalid config\/networks\.json: \/networks\/1\/rpc\/0/);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for onchain-validator.js
+ */
+
+const { expect } = require('chai');
+const { createRpcProvider } = require('../../scripts/utils/rpc');
+const { verifyTokenOnChain } = require('../../scripts/validators/onchain-validator');
+const { startRpcStub } = require('../helpers/rpc-stub');
+
+const TOKEN = {
+  symbol: 'VC',
+  name: 'VinuChain',
+  address: '0x00c1E515EA9579856304198EFb15f525A0bb50f6',
+  decimals: 18,
+};
+
+const CONTRACT = {
+  name: 'VinuChain',
+  symbol: 'VC',
+  decimals: 18,
+  totalSupply: 10n ** 27n,
+};
+
+describe('On-Chain Validator', () => {
+  let stub;
+  let provider;
+
+  // Start a stub serving the given contract at TOKEN.address
+  async function withContract(contract) {
+    stub = await startRpcStub({ contracts: contract ? { [TOKEN.address]: contract } : {} });
+    provider = createRpcProvider(stub.url);
+  }
+
+  afterEach(async () => {
+    if (provider) provider.destroy();
+    if (stub) await stub.close();
+    provider = null;
+    stub = null;
+  });
+
+  describe('verifyTokenOnChain', () => {
+    it('should pass when metadata matches the contract', async () => {
+      await withContract(CONTRACT);
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.true;
+      expect(result.errors).to.be.empty;
+      expect(result.onChain).to.deep.equal({
+        name: 'VinuChain',
+        symbol: 'VC',
+        decimals: 18,
+        totalSupply: (10n ** 27n).toString(),
+      });
+    });
+
+    it('should fail when the address has no code', async () => {
+      await withContract(null);
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.include('No contract code');
+      expect(result.findings[0].ruleId).to.equal('onchain/code');
+      expect(result.fields).to.deep.equal(['address']);
+    });
+
+    it('should report every metadata mismatch', async () => {
+      await withContract({ ...CONTRACT, name: 'Other', symbol: 'OTH', decimals: 6 });
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.false;
+      expect(result.fields).to.deep.equal(['name', 'symbol', 'decimals']);
+      expect(result.errors[0]).to.include('name mismatch: file has "VinuChain", contract returns "Other"');
+      expect(result.errors[2]).to.include('decimals mismatch: file has 18, contract returns 6');
+      expect(result.findings.every(f => f.ruleId === 'onchain/metadata')).to.be.true;
+    });
+
+    it('should report functions the contract does not implement', async () => {
+      await withContract({ ...CONTRACT, missing: ['decimals', 'totalSupply'] });
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.false;
+      expect(result.fields).to.deep.equal(['decimals', 'address']);
+      expect(result.errors[0]).to.include('does not implement decimals()');
+      expect(result.errors[1]).to.include('does not implement totalSupply()');
+      expect(result.findings.every(f => f.ruleId === 'onchain/interface')).to.be.true;
+    });
+
+    it('should decode bytes32 name and symbol', async () => {
+      await withContract({ ...CONTRACT, bytes32: true });
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.true;
+      expect(result.onChain.symbol).to.equal('VC');
+    });
+
+    it('should warn about a zero total supply', async () => {
+      await withContract({ ...CONTRACT, totalSupply: 0n });
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.true;
+      expect(result.warnings[0]).to.include('totalSupply() is 0');
+      expect(result.findings[0].ruleId).to.equal('onchain/total-supply');
+    });
+
+    it('should report RPC failures', async () => {
+      await withContract(CONTRACT);
+      await stub.close();
+
+      const result = await verifyTokenOnChain(provider, TOKEN);
+
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.include('RPC request failed');
+      expect(result.findings[0].ruleId).to.equal('onchain/rpc');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Unit tests for optional-require.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { requireOptional } = require('../../scripts/utils/optional-require');
+
+describe('Optional Require', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optional-require-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return installed modules', () => {
+    expect(requireOptional('ajv/package.json').name).to.equal('ajv');
+  });
+
+  it('should return null for packages that are not installed', () => {
+    expect(requireOptional('vinuchain-lists-missing-package')).to.be.null;
+  });
+
+  it('should rethrow when an installed module fails to load', () => {
+    const file = path.join(tempDir, 'broken.js');
+    fs.writeFileSync(file, "require('vinuchain-lists-missing-package');");
+
+    expect(() => requireOptional(file)).to.throw(/vinuchain-lists-missing-package/);
+  });
+});
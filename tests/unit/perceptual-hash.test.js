@@ -0,0 +1,108 @@
+/**
+ * Unit tests for perceptual-hash.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const {
+  HASH_BITS,
+  hashImage,
+  hashLogo,
+  hammingDistance,
+  logoSimilarity,
+} = require('../../scripts/utils/perceptual-hash');
+const { decodeImage, resizeToSquare, encodePng, encodeWebp } = require('../../scripts/utils/raster');
+const { LOGO_SIMILARITY_THRESHOLD } = require('../../scripts/utils/constants');
+const { createSvg } = require('../helpers/image-fixtures');
+
+const TOKENS_DIR = path.join(__dirname, '../../tokens');
+const VINU = '0x00c1E515EA9579856304198EFb15f525A0bb50f6';
+const USDT = '0xC0264277fcCa5FCfabd41a8bC01c1FcAF8383E41';
+
+/**
+ * Read a registry token's PNG logo
+ * @param {string} address - Token address
+ * @returns {Buffer} Logo file
+ */
+function registryLogo(address) {
+  return fs.readFileSync(path.join(TOKENS_DIR, address, `${address}.png`));
+}
+
+/**
+ * Create an RGBA image with a vertical edge between a dark and a light half
+ * @param {number} size - Width and height in pixels
+ * @param {boolean} [darkLeft=true] - Which half is dark
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA image
+ */
+function halves(size, darkLeft = true) {
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let i = 0; i < size * size; i++) {
+    const dark = (i % size < size / 2) === darkLeft;
+    data.set(dark ? [20, 20, 20, 255] : [240, 240, 240, 255], i * 4);
+  }
+  return { width: size, height: size, data };
+}
+
+describe('Perceptual Hash', () => {
+  describe('hashImage', () => {
+    it('should produce 64-bit average and difference hashes', () => {
+      const hash = hashImage(halves(32, false));
+
+      // Light left half: the right half is darker than the mean, and brightness drops across the
+      // edge, which falls inside the fifth of the nine dHash columns
+      expect(hash.aHash).to.equal('f0f0f0f0f0f0f0f0');
+      expect(hash.dHash).to.equal('1818181818181818');
+      expect(hash.aHash).to.have.length(HASH_BITS / 4);
+    });
+
+    it('should treat transparent areas like white', () => {
+      const transparent = halves(32);
+      for (let i = 0; i < 32 * 32; i++) {
+        if (i % 32 >= 16) transparent.data.set([0, 0, 0, 0], i * 4);
+      }
+
+      expect(hashImage(transparent)).to.deep.equal(hashImage(halves(32)));
+    });
+  });
+
+  describe('hammingDistance', () => {
+    it('should count differing bits', () => {
+      expect(hammingDistance('0000', '0000')).to.equal(0);
+      expect(hammingDistance('000f', '0001')).to.equal(3);
+      expect(hammingDistance('ffffffffffffffff', '0000000000000000')).to.equal(64);
+    });
+  });
+
+  describe('logoSimilarity', () => {
+    it('should recognize rescaled and re-encoded copies of a logo', async () => {
+      const original = registryLogo(VINU);
+      const image = await decodeImage(original, 'png');
+      const webp = await encodeWebp(resizeToSquare(image, 64));
+      const png = encodePng(resizeToSquare(image, 90));
+
+      const hash = await hashLogo(original, '.png');
+      expect(logoSimilarity(hash, await hashLogo(webp, '.webp'))).to.be.at.least(LOGO_SIMILARITY_THRESHOLD);
+      expect(logoSimilarity(hash, await hashLogo(png, '.png'))).to.be.at.least(LOGO_SIMILARITY_THRESHOLD);
+    });
+
+    it('should tell different logos apart', async () => {
+      const vinu = await hashLogo(registryLogo(VINU), '.png');
+      const usdt = await hashLogo(registryLogo(USDT), '.png');
+
+      expect(logoSimilarity(vinu, usdt)).to.be.below(LOGO_SIMILARITY_THRESHOLD);
+      // Every aHash bit and 16 dHash bits differ
+      expect(logoSimilarity(hashImage(halves(16)), hashImage(halves(16, false)))).to.equal(1 - 80 / 128);
+    });
+
+    it('should compare SVG logos by their markup', async () => {
+      const svg = await hashLogo(createSvg(), '.svg');
+      const reformatted = await hashLogo(Buffer.from(createSvg().toString().replace(/ /g, '\n  ')), '.svg');
+      const other = await hashLogo(createSvg({ body: '<rect width="64" height="64"/>' }), '.svg');
+
+      expect(logoSimilarity(svg, reformatted)).to.equal(1);
+      expect(logoSimilarity(svg, other)).to.equal(0);
+      expect(logoSimilarity(svg, hashImage(halves(16)))).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for proxy-validator.js
+ */
+
+const { expect } = require('chai');
+const { createRpcProvider } = require('../../scripts/utils/rpc');
+const {
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_BEACON_SLOT,
+} = require('../../scripts/validators/bytecode-validator');
+const {
+  EIP1967_ADMIN_SLOT,
+  validateProxySettings,
+  verifyProxyOnChain,
+} = require('../../scripts/validators/proxy-validator');
+const { startRpcStub } = require('../helpers/rpc-stub');
+
+const PROXY = '0x17bA239f2815BA01152522521737275a2439216f';
+const IMPLEMENTATION = '0xeBC1C9Ae7FC761330929d682d97334513C1FcB4b';
+const PREVIOUS = '0x00257663EB5ed175603a20694bA6086f01e4D103';
+const ADMIN = '0xA260d19aEe266cC85F41f160271F9C72ea8E2837';
+const BEACON = '0xF26c65dC348336c49517C54A16c9d112A4307315';
+
+// Storage word holding an address
+function addressWord(address) {
+  return `0x${address.slice(2).toLowerCase().padStart(64, '0')}`;
+}
+
+describe('Proxy Validator', () => {
+  describe('validateProxySettings', () => {
+    const proxy = {
+      standard: 'transparent',
+      implementation: IMPLEMENTATION,
+      admin: ADMIN,
+      implementations: [
+        { address: PREVIOUS, fromBlock: 100, activatedAt: '2024-01-10' },
+        { address: IMPLEMENTATION, fromBlock: 200 },
+      ],
+    };
+
+    const fields = result => result.findings.map(f => f.field);
+
+    it('should accept a consistent proxy block', () => {
+      const result = validateProxySettings(proxy, PROXY);
+      expect(result.valid).to.be.true;
+      expect(result.findings).to.be.empty;
+    });
+
+    it('should reject addresses that are not EIP-55 checksummed', () => {
+      const result = validateProxySettings(
+        { ...proxy, admin: ADMIN.toLowerCase(), implementations: [{ address: IMPLEMENTATION.toLowerCase() }] },
+        PROXY
+      );
+
+      expect(result.valid).to.be.false;
+      expect(fields(result)).to.deep.equal(['admin', 'implementations/0/address']);
+      expect(result.findings[0].ruleId).to.equal('contract/proxy');
+      expect(result.errors[0]).to.include(`should be ${ADMIN}`);
+    });
+
+    it('should reject addresses reused within the proxy block', () => {
+      const self = validateProxySettings({ standard: 'uups', implementation: PROXY }, PROXY);
+      expect(self.errors[0]).to.equal(`The proxy implementation ${PROXY} is also the proxy address`);
+
+      const admin = validateProxySettings({ ...proxy, admin: IMPLEMENTATION }, PROXY);
+      expect(fields(admin)).to.deep.equal(['admin']);
+      expect(admin.errors[0]).to.include('is also the proxy implementation');
+    });
+
+    it('should check the implementation history', () => {
+      const result = validateProxySettings({
+        ...proxy,
+        implementations: [
+          { address: PREVIOUS, fromBlock: 300 },
+          { address: PREVIOUS, fromBlock: 200 },
+          { address: PROXY },
+        ],
+      }, PROXY);
+
+      expect(fields(result)).to.deep.equal([
+        'implementations/1/address',
+        'implementations/1/fromBlock',
+        'implementations/2/address',
+        'implementations/2/address',
+      ]);
+      expect(result.errors[3]).to.include(`is not the current implementation ${IMPLEMENTATION}`);
+    });
+
+    it('should require a beacon for beacon proxies only', () => {
+      const missing = validateProxySettings({ standard: 'beacon', implementation: IMPLEMENTATION }, PROXY);
+      expect(missing.errors).to.deep.equal(['Beacon proxies must list their beacon']);
+
+      const extra = validateProxySettings({ ...proxy, standard: 'uups', beacon: BEACON }, PROXY);
+      expect(extra.errors).to.deep.equal(['A beacon only applies to beacon proxies, not uups']);
+    });
+
+    it('should skip fields the schema rejects', () => {
+      const missing = validateProxySettings(
+        { standard: 'uups', implementations: [{ address: PREVIOUS }] },
+        PROXY
+      );
+      const malformed = validateProxySettings(
+        { standard: 'uups', implementation: 5, implementations: [null, { address: 5 }, { address: PREVIOUS }] },
+        PROXY
+      );
+
+      expect(missing.valid).to.be.true;
+      expect(malformed.valid).to.be.true;
+    });
+  });
+
+  describe('verifyProxyOnChain', () => {
+    let stub;
+    let provider;
+
+    async function withContracts(contracts) {
+      stub = await startRpcStub({ contracts });
+      provider = createRpcProvider(stub.url);
+    }
+
+    afterEach(async () => {
+      if (provider) provider.destroy();
+      if (stub) await stub.close();
+      provider = null;
+      stub = null;
+    });
+
+    const storage = {
+      [EIP1967_IMPLEMENTATION_SLOT]: addressWord(IMPLEMENTATION),
+      [EIP1967_ADMIN_SLOT]: addressWord(ADMIN),
+    };
+
+    it('should confirm the listed implementation and admin', async () => {
+      await withContracts({ [PROXY]: { code: '0x00', storage } });
+
+      const result = await verifyProxyOnChain(provider, {
+        name: 'Vault',
+        address: PROXY,
+        proxy: { standard: 'transparent', implementation: IMPLEMENTATION, admin: ADMIN },
+      });
+
+      expect(result.valid).to.be.true;
+      expect(result.implementation).to.equal(IMPLEMENTATION);
+    });
+
+    it('should report an outdated implementation and admin', async () => {
+      await withContracts({ [PROXY]: { code: '0x00', storage } });
+
+      const result = await verifyProxyOnChain(provider, {
+        name: 'Vault',
+        address: PROXY,
+        proxy: { standard: 'transparent', implementation: PREVIOUS, admin: BEACON },
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.findings.map(f => [f.ruleId, f.field])).to.deep.equal([
+        ['onchain/proxy', 'implementation'],
+        ['onchain/proxy', 'admin'],
+      ]);
+      expect(result.errors[0]).to.include(`not current; the proxy points at ${IMPLEMENTATION}`);
+      expect(result.errors[1]).to.include(`the admin slot holds ${ADMIN}`);
+    });
+
+    it('should resolve beacon proxies through the beacon', async () => {
+      await withContracts({
+        [PROXY]: { code: '0x00', storage: { [EIP1967_BEACON_SLOT]: addressWord(BEACON) } },
+        [BEACON]: { code: '0x00', implementation: IMPLEMENTATION },
+      });
+
+      const proxy = { standard: 'beacon', implementation: IMPLEMENTATION, beacon: BEACON };
+      const current = await verifyProxyOnChain(provider, { name: 'Vault', address: PROXY, proxy });
+      expect(current.valid).to.be.true;
+
+      const moved = await verifyProxyOnChain(provider, {
+        name: 'Vault',
+        address: PROXY,
+        proxy: { ...proxy, beacon: ADMIN },
+      });
+      expect(moved.findings.map(f => f.field)).to.deep.equal(['beacon']);
+    });
+
+    it('should report addresses that are not proxies', async () => {
+      await withContracts({ [PROXY]: { code: '0x00' } });
+
+      const result = await verifyProxyOnChain(provider, {
+        name: 'Vault',
+        address: PROXY,
+        proxy: { standard: 'uups', implementation: IMPLEMENTATION },
+      });
+
+      expect(result.findings[0]).to.include({ ruleId: 'onchain/proxy', field: 'standard' });
+      expect(result.errors[0]).to.include('has no implementation in its EIP-1967 slots');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for raster.js
+ */
+
+const { expect } = require('chai');
+const jpeg = require('jpeg-js');
+const { decodeImage, resizeToSquare, encodePng, encodeWebp } = require('../../scripts/utils/raster');
+const { readImageInfo } = require('../../scripts/utils/image');
+const { createPng } = require('../helpers/image-fixtures');
+
+/**
+ * Create an RGBA image filled by a callback
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {function(number, number): number[]} color - RGBA color of pixel (x, y)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA image
+ */
+function fill(width, height, color) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(color(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Read one pixel of an RGBA image
+ * @param {{width: number, data: Uint8ClampedArray}} image - RGBA image
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {number[]} RGBA values
+ */
+function pixel({ width, data }, x, y) {
+  return [...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+}
+
+describe('Raster Utilities', () => {
+  describe('decodeImage', () => {
+    it('should decode PNG files', async () => {
+      const image = await decodeImage(createPng({ width: 70, height: 64 }), 'png');
+      expect([image.width, image.height, image.data.length]).to.deep.equal([70, 64, 70 * 64 * 4]);
+    });
+
+    it('should decode JPEG files', async () => {
+      const source = fill(80, 80, () => [200, 40, 40, 255]);
+      const file = jpeg.encode({ ...source, data: Buffer.from(source.data) }, 95).data;
+
+      const image = await decodeImage(file, 'jpg');
+      expect([image.width, image.height]).to.deep.equal([80, 80]);
+      expect(pixel(image, 40, 40)[3]).to.equal(255);
+      expect(pixel(image, 40, 40)[0]).to.be.closeTo(200, 8);
+    });
+
+    it('should round-trip WebP files', async () => {
+      const file = await encodeWebp(fill(64, 64, () => [10, 20, 30, 128]));
+
+      const image = await decodeImage(file, 'webp');
+      expect([image.width, image.height]).to.deep.equal([64, 64]);
+      expect(pixel(image, 5, 5)[3]).to.equal(128);
+    });
+
+    it('should reject undecodable files', async () => {
+      let error;
+      try {
+        await decodeImage(Buffer.from('RIFF\x08\0\0\0WEBPjunk', 'latin1'), 'webp');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('could not be decoded');
+    });
+
+    it('should reject unsupported formats', async () => {
+      let error;
+      try {
+        await decodeImage(Buffer.alloc(8), 'gif');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('Unsupported image format: gif');
+    });
+  });
+
+  describe('resizeToSquare', () => {
+    it('should average the pixels each output pixel covers', () => {
+      const image = fill(4, 4, x => (x < 2 ? [255, 0, 0, 255] : [0, 0, 255, 255]));
+
+      const resized = resizeToSquare(image, 1);
+      expect(pixel(resized, 0, 0)).to.deep.equal([128, 0, 128, 255]);
+      expect(pixel(resizeToSquare(image, 2), 1, 0)).to.deep.equal([0, 0, 255, 255]);
+    });
+
+    it('should not bleed the color of transparent pixels', () => {
+      const image = fill(2, 1, x => (x === 0 ? [255, 255, 255, 255] : [0, 0, 0, 0]));
+
+      expect(pixel(resizeToSquare(image, 1), 0, 0)).to.deep.equal([255, 255, 255, 128]);
+    });
+
+    it('should handle sizes that do not divide the source', () => {
+      const resized = resizeToSquare(fill(100, 100, () => [9, 99, 199, 255]), 32);
+
+      expect(resized.data.length).to.equal(32 * 32 * 4);
+      expect(pixel(resized, 31, 31)).to.deep.equal([9, 99, 199, 255]);
+    });
+
+    it('should center non-square images on a transparent background', () => {
+      const resized = resizeToSquare(fill(100, 50, () => [0, 255, 0, 255]), 20);
+
+      expect(pixel(resized, 10, 0)).to.deep.equal([0, 0, 0, 0]);
+      expect(pixel(resized, 10, 4)).to.deep.equal([0, 0, 0, 0]);
+      expect(pixel(resized, 10, 5)).to.deep.equal([0, 255, 0, 255]);
+      expect(pixel(resized, 10, 14)).to.deep.equal([0, 255, 0, 255]);
+      expect(pixel(resized, 10, 15)).to.deep.equal([0, 0, 0, 0]);
+    });
+
+    it('should refuse to enlarge images', () => {
+      expect(() => resizeToSquare(fill(16, 16, () => [0, 0, 0, 0]), 32)).to.throw('Cannot enlarge');
+    });
+  });
+
+  describe('encoders', () => {
+    it('should write valid PNG and WebP files', async () => {
+      const image = fill(32, 32, (x, y) => [x * 8, y * 8, 0, 255 - x]);
+
+      expect(readImageInfo(encodePng(image), 'png'))
+        .to.deep.equal({ valid: true, width: 32, height: 32, alpha: true });
+      expect(readImageInfo(await encodeWebp(image), 'webp'))
+        .to.include({ valid: true, width: 32, height: 32, alpha: true });
+    });
+
+    it('should be deterministic', async () => {
+      const image = fill(64, 64, (x, y) => [x * 4, y * 4, 128, 255]);
+
+      expect(encodePng(image).equals(encodePng(image))).to.be.true;
+      expect((await encodeWebp(image)).equals(await encodeWebp(image))).to.be.true;
+    });
+  });
+});
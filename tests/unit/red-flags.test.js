@@ -0,0 +1,73 @@
+/**
+ * Unit tests for red-flags.js
+ */
+
+const { expect } = require('chai');
+const { isOpenRedFlag, validateRedFlags, computeRiskScore } = require('../../scripts/utils/red-flags');
+const { MAX_RED_FLAGS, MAX_RISK_SCORE } = require('../../scripts/utils/constants');
+
+const flag = (severity, extra = {}) => ({ severity, description: 'Something to review', ...extra });
+
+describe('Red Flags', () => {
+  describe('isOpenRedFlag', () => {
+    it('should treat flags without a status as open', () => {
+      expect(isOpenRedFlag(flag('low'))).to.be.true;
+      expect(isOpenRedFlag(flag('low', { status: 'open' }))).to.be.true;
+      expect(isOpenRedFlag(flag('low', { status: 'resolved' }))).to.be.false;
+      expect(isOpenRedFlag(flag('low', { status: 'disputed' }))).to.be.false;
+    });
+  });
+
+  describe('validateRedFlags', () => {
+    it('should accept resolved flags with consistent dates', () => {
+      const result = validateRedFlags([
+        flag('high', { status: 'resolved', reportedDate: '2025-01-10', resolvedDate: '2025-01-10' }),
+        flag('low', { status: 'disputed' }),
+      ], 'TEST');
+      expect(result.valid).to.be.true;
+    });
+
+    it('should reject resolution dates before the report date', () => {
+      const result = validateRedFlags([
+        flag('high', { status: 'resolved', reportedDate: '2025-01-10', resolvedDate: '2025-01-09' }),
+      ], 'TEST');
+
+      expect(result.valid).to.be.false;
+      expect(result.findings[0]).to.include({ ruleId: 'token/red-flags', field: '0/resolvedDate' });
+      expect(result.errors[0]).to.equal(
+        'TEST: Red flag 0 was resolved (2025-01-09) before it was reported (2025-01-10)'
+      );
+    });
+
+    it('should reject resolution dates on flags that are not resolved', () => {
+      const result = validateRedFlags([flag('low'), flag('high', { resolvedDate: '2025-01-09' })], 'TEST');
+      expect(result.findings.map(f => f.field)).to.deep.equal(['1/resolvedDate']);
+    });
+
+    it('should cap the open critical flags', () => {
+      const critical = Array.from({ length: MAX_RED_FLAGS }, () => flag('critical'));
+      const history = flag('critical', { status: 'resolved' });
+      expect(validateRedFlags([...critical, history], 'TEST').valid).to.be.true;
+
+      const result = validateRedFlags([...critical, flag('critical')], 'TEST');
+      expect(result.findings[0].field).to.equal('');
+      expect(result.errors[0]).to.include(`Too many open critical red flags: ${MAX_RED_FLAGS + 1}`);
+    });
+  });
+
+  describe('computeRiskScore', () => {
+    it('should weight open flags by severity', () => {
+      expect(computeRiskScore([flag('high'), flag('medium'), flag('low'), flag('info')])).to.equal(35);
+    });
+
+    it('should ignore resolved and disputed flags', () => {
+      const flags = [flag('critical', { status: 'resolved' }), flag('high', { status: 'disputed' })];
+      expect(computeRiskScore(flags)).to.equal(0);
+      expect(computeRiskScore()).to.equal(0);
+    });
+
+    it('should cap the score', () => {
+      expect(computeRiskScore([flag('critical'), flag('critical'), flag('critical')])).to.equal(MAX_RISK_SCORE);
+    });
+  });
+});
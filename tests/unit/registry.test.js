@@ -0,0 +1,200 @@
+/**
+ * Unit tests for registry.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const registry = require('../../scripts/registry');
+
+const { createRegistry } = registry;
+
+describe('Registry Loader', () => {
+  const vinuAddress = '0x00c1E515EA9579856304198EFb15f525A0bb50f6';
+
+  describe('default registry', () => {
+    it('should be the package main entry point', () => {
+      expect(require('../..')).to.have.property('getTokens');
+    });
+
+    it('should return all tokens', () => {
+      const tokens = registry.getTokens();
+      expect(tokens).to.be.an('array');
+      expect(tokens.length).to.be.greaterThan(0);
+      expect(registry.getLoadErrors()).to.deep.equal([]);
+    });
+
+    it('should find tokens by address case-insensitively', () => {
+      const token = registry.getTokenByAddress(vinuAddress.toLowerCase());
+      expect(token.symbol).to.equal('VINU');
+    });
+
+    it('should find tokens by symbol case-insensitively', () => {
+      expect(registry.getTokenBySymbol('vinu').address).to.equal(vinuAddress);
+    });
+
+    it('should return null for unknown tokens', () => {
+      expect(registry.getTokenByAddress('0x0000000000000000000000000000000000000001')).to.be.null;
+      expect(registry.getTokenBySymbol('NOPE')).to.be.null;
+      expect(registry.getTokenByAddress(undefined)).to.be.null;
+    });
+
+    it('should return projects with their slug', () => {
+      const project = registry.getProject('vinuswap');
+      expect(project.slug).to.equal('vinuswap');
+      expect(project.name).to.equal('VinuSwap');
+      expect(registry.getProjects().map(p => p.slug)).to.include('vinuswap');
+      expect(registry.getProject('missing')).to.be.null;
+    });
+
+    it('should find contracts by address with their project', () => {
+      const contract = registry.getContract('0x48f450475a8b501a7480c1fd02935a7327f713ad');
+      expect(contract.name).to.equal('SwapRouter');
+      expect(contract.project).to.equal('vinuswap');
+    });
+
+    it('should load ABIs of listed contracts', () => {
+      const abi = registry.getAbi('vinuswap', 'SwapRouter');
+      expect(abi).to.be.an('array');
+      expect(abi.some(item => item.name === 'exactInputSingle')).to.be.true;
+    });
+
+    it('should return null for ABIs of unlisted contracts', () => {
+      expect(registry.getAbi('vinuswap', 'Unknown')).to.be.null;
+      expect(registry.getAbi('vinuswap', '../../package')).to.be.null;
+      expect(registry.getAbi('missing', 'SwapRouter')).to.be.null;
+    });
+  });
+
+  describe('immutability', () => {
+    it('should return frozen tokens', () => {
+      const token = registry.getTokenBySymbol('VINU');
+      expect(Object.isFrozen(token)).to.be.true;
+      expect(Object.isFrozen(registry.getTokens())).to.be.true;
+    });
+
+    it('should return deeply frozen projects and ABIs', () => {
+      const project = registry.getProject('vinuswap');
+      expect(Object.isFrozen(project.contracts[0])).to.be.true;
+
+      const abi = registry.getAbi('vinuswap', 'SwapRouter');
+      expect(Object.isFrozen(abi[0])).to.be.true;
+    });
+  });
+
+  describe('createRegistry', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-test-'));
+      fs.mkdirSync(path.join(tempDir, 'tokens', vinuAddress), { recursive: true });
+      fs.mkdirSync(path.join(tempDir, 'contracts'), { recursive: true });
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    function writeToken(data) {
+      fs.writeFileSync(
+        path.join(tempDir, 'tokens', vinuAddress, `${vinuAddress}.json`),
+        JSON.stringify(data)
+      );
+    }
+
+    it('should cache data instead of reading on every call', () => {
+      writeToken({ symbol: 'VINU', name: 'Vita Inu', address: vinuAddress, decimals: 18 });
+      const local = createRegistry({ root: tempDir });
+      expect(local.getTokens()).to.have.length(1);
+
+      writeToken({ symbol: 'CHANGED', name: 'Changed', address: vinuAddress, decimals: 18 });
+      expect(local.getTokens()[0].symbol).to.equal('VINU');
+
+      local.reload();
+      expect(local.getTokens()[0].symbol).to.equal('CHANGED');
+    });
+
+    it('should serve the entries of the requested network', () => {
+      writeToken({ symbol: 'VINU', name: 'Vita Inu', address: vinuAddress, decimals: 18 });
+      const testnetDir = path.join(tempDir, 'networks/206/tokens', vinuAddress);
+      fs.mkdirSync(testnetDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(testnetDir, `${vinuAddress}.json`),
+        JSON.stringify({ symbol: 'TVINU', name: 'Test Vita Inu', address: vinuAddress, decimals: 18 })
+      );
+
+      const mainnet = createRegistry({ root: tempDir });
+      const testnet = createRegistry({ root: tempDir, chainId: 206 });
+      expect(mainnet.getTokenByAddress(vinuAddress).symbol).to.equal('VINU');
+      expect(testnet.getTokenByAddress(vinuAddress).symbol).to.equal('TVINU');
+    });
+
+    it('should skip entries that fail validation', () => {
+      writeToken({ symbol: 'vinu', name: 'Vita Inu', address: vinuAddress, decimals: 18 });
+      const local = createRegistry({ root: tempDir });
+
+      expect(local.getTokens()).to.have.length(0);
+      expect(local.getLoadErrors()[0]).to.include('Schema validation failed');
+    });
+
+    it('should skip entries with a bad checksum', () => {
+      writeToken({ symbol: 'VINU', name: 'Vita Inu', address: vinuAddress.toLowerCase(), decimals: 18 });
+      const local = createRegistry({ root: tempDir });
+
+      expect(local.getTokens()).to.have.length(0);
+      expect(local.getLoadErrors()).to.have.length(1);
+    });
+
+    it('should collect the red flags of a token and its project', () => {
+      const routerAddress = '0xeBC1C9Ae7FC761330929d682d97334513C1FcB4b';
+      writeToken({
+        symbol: 'VINU',
+        name: 'Vita Inu',
+        address: vinuAddress,
+        decimals: 18,
+        project: 'vinuswap',
+        redFlags: [{ severity: 'medium', description: 'Owner can pause transfers' }],
+      });
+      fs.mkdirSync(path.join(tempDir, 'contracts', 'vinuswap'));
+      fs.writeFileSync(
+        path.join(tempDir, 'contracts', 'vinuswap', 'info.json'),
+        JSON.stringify({
+          name: 'VinuSwap',
+          website: 'https://vinuswap.xyz',
+          redFlags: [{ severity: 'high', description: 'Admin key is not behind a timelock' }],
+          contracts: [{
+            name: 'Router',
+            address: routerAddress,
+            type: 'router',
+            redFlags: [{ severity: 'critical', description: 'Reentrancy in swap', status: 'resolved' }],
+          }],
+        })
+      );
+      const local = createRegistry({ root: tempDir });
+
+      expect(local.getRedFlags(vinuAddress).map(flag => flag.source)).to.deep.equal(['token', 'project']);
+      expect(local.getRiskScore(vinuAddress)).to.equal(30);
+
+      const routerFlags = local.getRedFlags(routerAddress.toLowerCase());
+      expect(routerFlags.map(flag => flag.source)).to.deep.equal(['contract', 'project']);
+      expect(Object.isFrozen(routerFlags[0])).to.be.true;
+      expect(local.getRiskScore(routerAddress)).to.equal(20);
+
+      expect(local.getRedFlags('0x0000000000000000000000000000000000000001')).to.be.empty;
+    });
+
+    it('should strip prototype pollution keys', () => {
+      fs.writeFileSync(
+        path.join(tempDir, 'tokens', vinuAddress, `${vinuAddress}.json`),
+        `{"symbol":"VINU","name":"Vita Inu","address":"${vinuAddress}","decimals":18,"__proto__":{"polluted":true}}`
+      );
+      const local = createRegistry({ root: tempDir });
+
+      expect(local.getTokens()).to.have.length(1);
+      expect({}.polluted).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for report.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createReport, RULES } = require('../../scripts/utils/report');
+
+describe('Validation Report', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    fs.mkdirSync(path.join(tempDir, 'tokens/0xabc'), { recursive: true });
+    fs.writeFileSync(
+      path.join(tempDir, 'tokens/0xabc/0xabc.json'),
+      '{\n  "name": "Token",\n  "website": "http://example.com"\n}\n'
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('add', () => {
+    it('should store repo-relative paths and trimmed messages', () => {
+      const report = createReport({ root: tempDir });
+      report.add({
+        ruleId: 'token/url',
+        severity: 'error',
+        message: '  website must use HTTPS',
+        file: path.join(tempDir, 'tokens/0xabc/0xabc.json'),
+        pointer: '/website',
+      });
+
+      expect(report.getDiagnostics()).to.deep.equal([
+        {
+          ruleId: 'token/url',
+          severity: 'error',
+          message: 'website must use HTTPS',
+          file: 'tokens/0xabc/0xabc.json',
+          pointer: '/website',
+        },
+      ]);
+    });
+
+    it('should keep rule-specific properties', () => {
+      const report = createReport({ root: tempDir });
+      const properties = { similarity: 0.96875, similarTo: '0xabc' };
+      report.add({ ruleId: 'token/logo-similarity', severity: 'error', message: 'copied logo', properties });
+
+      expect(report.getDiagnostics()[0].properties).to.deep.equal(properties);
+      expect(report.toSARIF().runs[0].results[0].properties).to.deep.equal(properties);
+    });
+
+    it('should reject unknown severities', () => {
+      const report = createReport({ root: tempDir });
+      expect(() => report.add({ ruleId: 'x', severity: 'fatal', message: 'x' })).to.throw('severity');
+    });
+  });
+
+  describe('resolveLocations', () => {
+    it('should resolve JSON pointers to line and column', () => {
+      const report = createReport({ root: tempDir });
+      report.add({
+        ruleId: 'token/url',
+        severity: 'error',
+        message: 'website must use HTTPS',
+        file: 'tokens/0xabc/0xabc.json',
+        pointer: '/website',
+      });
+      report.resolveLocations();
+
+      expect(report.getDiagnostics()[0]).to.include({ line: 3, column: 3 });
+    });
+
+    it('should keep explicit lines and skip unreadable files', () => {
+      const report = createReport({ root: tempDir });
+      report.add({ ruleId: 'solidity/assembly', severity: 'warning', message: 'asm', file: 'A.sol', line: 7 });
+      report.add({ ruleId: 'token/read', severity: 'error', message: 'x', file: 'missing.json', pointer: '' });
+      report.resolveLocations();
+
+      const [sol, missing] = report.getDiagnostics();
+      expect(sol.line).to.equal(7);
+      expect(missing.line).to.be.undefined;
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should summarize errors and warnings', () => {
+      const report = createReport({ root: tempDir });
+      report.add({ ruleId: 'token/logo', severity: 'warning', message: 'large' });
+      report.add({ ruleId: 'token/schema', severity: 'error', message: 'bad' });
+
+      const json = report.toJSON();
+      expect(json.version).to.equal(1);
+      expect(json.summary).to.deep.equal({ errors: 1, warnings: 1 });
+      expect(json.diagnostics).to.have.length(2);
+    });
+  });
+
+  describe('toSARIF', () => {
+    it('should produce a SARIF 2.1.0 log with rules and locations', () => {
+      const report = createReport({ root: tempDir });
+      report.add({
+        ruleId: 'token/url',
+        severity: 'error',
+        message: 'website must use HTTPS',
+        file: 'tokens/0xabc/0xabc.json',
+        line: 3,
+        column: 3,
+      });
+      report.add({ ruleId: 'registry/limit', severity: 'error', message: 'too many' });
+
+      const sarif = report.toSARIF();
+      expect(sarif.version).to.equal('2.1.0');
+
+      const run = sarif.runs[0];
+      expect(run.tool.driver.rules).to.deep.equal([
+        { id: 'registry/limit', shortDescription: { text: RULES['registry/limit'] } },
+        { id: 'token/url', shortDescription: { text: RULES['token/url'] } },
+      ]);
+
+      const [located, global] = run.results;
+      expect(located).to.deep.include({ ruleId: 'token/url', ruleIndex: 1, level: 'error' });
+      expect(located.locations[0].physicalLocation).to.deep.equal({
+        artifactLocation: { uri: 'tokens/0xabc/0xabc.json', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 3, startColumn: 3 },
+      });
+      expect(global.locations).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for rpc.js
+ */
+
+const { expect } = require('chai');
+const { validateRpcUrl, createRpcProvider, checkChainId } = require('../../scripts/utils/rpc');
+const { startRpcStub } = require('../helpers/rpc-stub');
+
+describe('RPC Utils', () => {
+  describe('validateRpcUrl', () => {
+    it('should accept http and https endpoints', () => {
+      expect(validateRpcUrl('https://rpc.vinuchain.org').valid).to.be.true;
+      expect(validateRpcUrl('http://127.0.0.1:8545').valid).to.be.true;
+    });
+
+    it('should reject other protocols', () => {
+      const result = validateRpcUrl('ws://127.0.0.1:8546');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.include('http or https');
+    });
+
+    it('should reject malformed URLs', () => {
+      expect(validateRpcUrl('not a url').valid).to.be.false;
+      expect(validateRpcUrl('').valid).to.be.false;
+      expect(validateRpcUrl(undefined).valid).to.be.false;
+    });
+  });
+
+  describe('createRpcProvider', () => {
+    it('should throw on invalid URLs', () => {
+      expect(() => createRpcProvider('ftp://example.com')).to.throw('http or https');
+    });
+
+    it('should throw on invalid chain IDs', () => {
+      expect(() => createRpcProvider('http://127.0.0.1:8545', { chainId: 0 })).to.throw('Invalid chain ID');
+    });
+  });
+
+  describe('checkChainId', () => {
+    let stub;
+    let provider;
+
+    afterEach(async () => {
+      if (provider) provider.destroy();
+      if (stub) await stub.close();
+    });
+
+    it('should accept the expected chain', async () => {
+      stub = await startRpcStub({ chainId: 207 });
+      provider = createRpcProvider(stub.url);
+
+      const result = await checkChainId(provider, 207);
+      expect(result).to.deep.equal({ valid: true, chainId: 207 });
+    });
+
+    it('should reject endpoints on another chain', async () => {
+      stub = await startRpcStub({ chainId: 1 });
+      provider = createRpcProvider(stub.url);
+
+      const result = await checkChainId(provider, 207);
+      expect(result.valid).to.be.false;
+      expect(result.error).to.equal('RPC endpoint is on chain 1, expected 207');
+    });
+  });
+});
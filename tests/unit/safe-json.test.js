@@ -5,7 +5,12 @@
 const { expect } = require('chai');
 const fs = require('fs');
 const path = require('path');
-const { safeParse, safeReadJSON, sanitizeForTerminal } = require('../../scripts/utils/safe-json');
+const {
+  safeParse,
+  safeParseJSON,
+  safeReadJSON,
+  sanitizeForTerminal,
+} = require('../../scripts/utils/safe-json');
 
 describe('Safe JSON Parser', () => {
   describe('safeParse', () => {
@@ -93,6 +98,26 @@ describe('Safe JSON Parser', () => {
     });
   });
 
+  describe('safeParseJSON', () => {
+    it('should parse JSON text', () => {
+      expect(safeParseJSON('{"symbol": "VC"}', 'token.json')).to.deep.equal({ symbol: 'VC' });
+    });
+
+    it('should name the source in parse errors', () => {
+      expect(() => safeParseJSON('{invalid', 'token.json')).to.throw(/Invalid JSON in token\.json/);
+    });
+
+    it('should reject content over the size limit', () => {
+      expect(() => safeParseJSON('[1, 2, 3]', 'token.json', 4)).to.throw(/Content too large/);
+    });
+
+    it('should block prototype pollution keys', () => {
+      const result = safeParseJSON('{"__proto__": {"polluted": true}}', 'token.json');
+      expect(Object.prototype.hasOwnProperty.call(result, '__proto__')).to.be.false;
+      expect({}.polluted).to.be.undefined;
+    });
+  });
+
   describe('sanitizeForTerminal', () => {
     it('should remove control characters', () => {
       const result = sanitizeForTerminal('test\x00\x01\x1F');
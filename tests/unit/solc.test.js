@@ -0,0 +1,140 @@
+/**
+ * Unit tests for solc.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  BUNDLED_VERSION,
+  parsePragma,
+  listCompilers,
+  resolveCompiler,
+  compileContract,
+} = require('../../scripts/utils/solc');
+const { VAULT_SOURCE, IVAULT_SOURCE, readFrom } = require('../helpers/solidity-fixtures');
+
+describe('Solc Utils', function() {
+  // Loading and running the compiler takes a few seconds on slow machines
+  this.timeout(30000);
+
+  describe('parsePragma', () => {
+    it('should return the pragma range', () => {
+      expect(parsePragma('pragma solidity ^0.8.0;')).to.equal('^0.8.0');
+      expect(parsePragma('pragma solidity =0.7.6;')).to.equal('=0.7.6');
+      expect(parsePragma('pragma solidity >=0.6.0 <0.8.0;')).to.equal('>=0.6.0 <0.8.0');
+    });
+
+    it('should combine multiple pragmas', () => {
+      expect(parsePragma('pragma solidity >=0.6.0;\npragma solidity <0.8.0;')).to.equal('>=0.6.0 <0.8.0');
+    });
+
+    it('should ignore pragmas in comments and strings', () => {
+      const source = [
+        '// pragma solidity ^0.7.0;',
+        '/* pragma solidity =0.6.12; */',
+        'pragma solidity ^0.8.0;',
+        'contract A { string note = "pragma solidity <0.5.0;"; }',
+      ].join('\n');
+      expect(parsePragma(source)).to.equal('^0.8.0');
+    });
+
+    it('should return null without a valid pragma', () => {
+      expect(parsePragma('contract A {}')).to.be.null;
+      expect(parsePragma('// pragma solidity ^0.8.0;\ncontract A {}')).to.be.null;
+      expect(parsePragma('pragma solidity ^0.8.0;\ncontract A {')).to.be.null;
+      expect(parsePragma('pragma solidity latest;')).to.be.null;
+      expect(parsePragma(undefined)).to.be.null;
+    });
+  });
+
+  describe('listCompilers / resolveCompiler', () => {
+    let compilersDir;
+
+    beforeEach(() => {
+      compilersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solc-test-'));
+      // Listing only looks at file names; the builds are loaded on first use
+      for (const name of ['soljson-v0.7.6+commit.7338295f.js', 'soljson-v0.5.17.js', 'notes.txt']) {
+        fs.writeFileSync(path.join(compilersDir, name), '');
+      }
+    });
+
+    afterEach(() => {
+      fs.rmSync(compilersDir, { recursive: true, force: true });
+    });
+
+    it('should list the bundled compiler and soljson builds', () => {
+      const versions = listCompilers(compilersDir).map(compiler => compiler.version);
+      expect(versions).to.deep.equal([BUNDLED_VERSION, '0.5.17', '0.7.6']);
+    });
+
+    it('should ignore a missing compilers directory', () => {
+      expect(listCompilers(path.join(compilersDir, 'missing'))).to.deep.equal([
+        { version: BUNDLED_VERSION, file: null },
+      ]);
+    });
+
+    it('should pick the newest compiler satisfying the range', () => {
+      expect(resolveCompiler('^0.8.0', compilersDir)).to.deep.equal({ version: BUNDLED_VERSION, file: null });
+      expect(resolveCompiler('>=0.5.0 <0.8.0', compilersDir).file).to.equal(
+        path.join(compilersDir, 'soljson-v0.7.6+commit.7338295f.js')
+      );
+      expect(resolveCompiler('^0.4.18', compilersDir)).to.be.null;
+    });
+  });
+
+  describe('compileContract', () => {
+    const compiler = { version: BUNDLED_VERSION, file: null };
+    const vault = {
+      name: 'Vault',
+      content: VAULT_SOURCE,
+      readImport: readFrom({ 'interfaces/IVault.sol': IVAULT_SOURCE }),
+    };
+
+    it('should compile a contract with its imports', () => {
+      const result = compileContract(vault, { compiler });
+
+      expect(result.errors).to.be.empty;
+      expect(result.missingImports).to.be.empty;
+      expect(result.contract.abi.map(item => item.name)).to.include.members(['deposit', 'balanceOf']);
+    });
+
+    it('should select additional outputs', () => {
+      const result = compileContract(vault, { compiler, outputs: ['evm.deployedBytecode.object'] });
+
+      expect(result.contract.evm.deployedBytecode.object).to.match(/^[0-9a-f]+$/);
+    });
+
+    it('should report unresolved imports', () => {
+      const result = compileContract({ name: 'Vault', content: VAULT_SOURCE }, { compiler });
+
+      expect(result.missingImports).to.deep.equal(['interfaces/IVault.sol']);
+      expect(result.contract).to.be.undefined;
+    });
+
+    it('should never read imports outside the project', () => {
+      const requested = [];
+      const content = 'pragma solidity ^0.8.0;\nimport "../../secret.sol";\nimport "/etc/passwd";\ncontract A {}';
+
+      const result = compileContract(
+        { name: 'A', content, readImport: name => requested.push(name) && { success: false } },
+        { compiler }
+      );
+
+      // Paths are resolved relative to the project root and cannot climb above it
+      requested.forEach(name => expect(name).not.to.match(/^\/|\.\./));
+      expect(result.missingImports).to.have.length(2);
+    });
+
+    it('should report compiler errors with their location', () => {
+      const content = 'pragma solidity ^0.8.0;\ncontract A {\n  function f() public { undefinedCall(); }\n}';
+
+      const result = compileContract({ name: 'A', content }, { compiler });
+
+      expect(result.errors).to.have.length(1);
+      expect(result.errors[0].message).to.include('DeclarationError');
+      expect(result.errors[0]).to.include({ file: 'A.sol', start: content.indexOf('undefinedCall') });
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for solidity-analyzer.js
+ */
+
+const { expect } = require('chai');
+const { parseSolidity } = require('../../scripts/utils/solidity-ast');
+const { analyzeSolidity } = require('../../scripts/validators/solidity-analyzer');
+
+/**
+ * Analyze a source given as lines
+ * @param {string[]} lines - Solidity source lines
+ * @returns {Object[]} Findings
+ */
+function analyze(lines) {
+  const parsed = parseSolidity(lines.join('\n'));
+  expect(parsed.success, parsed.error).to.be.true;
+  return analyzeSolidity(parsed.ast);
+}
+
+// Findings of one rule, as [line, message] pairs
+const byRule = (findings, ruleId) => findings.filter(f => f.ruleId === ruleId).map(f => [f.line, f.message]);
+
+describe('Solidity Analyzer', () => {
+  describe('selfdestruct', () => {
+    it('should report selfdestruct that any caller can reach', () => {
+      const findings = analyze([
+        'contract Vault {',
+        '  function destroy() external {',
+        '    selfdestruct(payable(msg.sender));',
+        '  }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/selfdestruct')).to.deep.equal([
+        [3, 'destroy() calls selfdestruct without access control - anyone can destroy the contract'],
+      ]);
+    });
+
+    it('should accept selfdestruct behind access control', () => {
+      const findings = analyze([
+        'contract Vault {',
+        '  address owner;',
+        '  function close() external onlyOwner { selfdestruct(payable(owner)); }',
+        '  function kill() external { require(msg.sender == owner); selfdestruct(payable(owner)); }',
+        '  function _destroy() internal { selfdestruct(payable(owner)); }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/selfdestruct')).to.be.empty;
+    });
+  });
+
+  describe('tx.origin', () => {
+    it('should report tx.origin in require and assert conditions, modifiers included', () => {
+      const findings = analyze([
+        'contract Wallet {',
+        '  address owner;',
+        '  modifier onlyOwner() { require(tx.origin == owner, "owner"); _; }',
+        '  function pay() external { assert(owner != tx.origin); }',
+        '}',
+      ]);
+
+      const locations = findings.filter(f => f.ruleId === 'solidity/tx-origin').map(f => [f.line, f.column]);
+      expect(locations).to.deep.equal([
+        [3, 34],
+        [4, 45],
+      ]);
+    });
+
+    it('should not report other uses of tx.origin, comments or strings', () => {
+      const findings = analyze([
+        'contract Wallet {',
+        '  // require(tx.origin == owner)',
+        '  function isEoa() external view returns (bool) { return tx.origin == msg.sender; }',
+        '  function note() external pure returns (string memory) { return "require(tx.origin)"; }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/tx-origin')).to.be.empty;
+    });
+  });
+
+  describe('owner-only mint', () => {
+    it('should report mint functions restricted to privileged accounts', () => {
+      const findings = analyze([
+        'contract Token {',
+        '  address owner;',
+        '  function mint(address to, uint256 amount) external onlyOwner { _mint(to, amount); }',
+        '  function mintTo(address to) public { require(msg.sender == owner); _mint(to, 1); }',
+        '  function _mint(address to, uint256 amount) internal {}',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/owner-mint')).to.deep.equal([
+        [3, 'mint() is restricted by onlyOwner - the owner can mint new tokens at will'],
+        [4, 'mintTo() is restricted by a msg.sender check - the owner can mint new tokens at will'],
+      ]);
+    });
+
+    it('should not report public mints or balance checks', () => {
+      const findings = analyze([
+        'contract Token {',
+        '  mapping(address => uint256) balances;',
+        '  function mint() external payable { require(balances[msg.sender] == 0); balances[msg.sender] = 1; }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/owner-mint')).to.be.empty;
+    });
+  });
+
+  describe('unchecked low-level calls', () => {
+    it('should report calls whose success flag is discarded or never read', () => {
+      const findings = analyze([
+        'contract Payout {',
+        '  function pay(address payable to) external {',
+        '    to.call{value: 1}("");',
+        '    (bool ok, ) = to.call{value: 1}("");',
+        '    to.send(1);',
+        '  }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/unchecked-call')).to.deep.equal([
+        [3, 'Return value of call() in pay() is not checked - failed calls are silently ignored'],
+        [4, 'Return value of call() in pay() is not checked - failed calls are silently ignored'],
+        [5, 'Return value of send() in pay() is not checked - failed calls are silently ignored'],
+      ]);
+    });
+
+    it('should accept checked calls', () => {
+      const findings = analyze([
+        'contract Payout {',
+        '  function pay(address payable to) external {',
+        '    (bool ok, ) = to.call{value: 1}("");',
+        '    require(ok, "call failed");',
+        '    require(to.send(1));',
+        '    bool sent;',
+        '    (sent, ) = to.call("");',
+        '    if (!sent) revert();',
+        '  }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/unchecked-call')).to.be.empty;
+    });
+  });
+
+  describe('reentrancy', () => {
+    it('should report state writes after an external call', () => {
+      const findings = analyze([
+        'interface IERC20 { function transfer(address to, uint256 amount) external returns (bool); }',
+        'contract Bank {',
+        '  mapping(address => uint256) balances;',
+        '  IERC20 token;',
+        '  function withdraw() external {',
+        '    (bool ok, ) = msg.sender.call{value: balances[msg.sender]}("");',
+        '    require(ok);',
+        '    balances[msg.sender] = 0;',
+        '  }',
+        '  function redeem(uint256 amount) external {',
+        '    token.transfer(msg.sender, amount);',
+        '    balances[msg.sender] -= amount;',
+        '  }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/reentrancy')).to.deep.equal([
+        [6, 'withdraw() writes balances (line 8) after an external call - ' +
+          'update state before calling other contracts or add a reentrancy guard'],
+        [11, 'redeem() writes balances (line 12) after an external call - ' +
+          'update state before calling other contracts or add a reentrancy guard'],
+      ]);
+    });
+
+    it('should follow casts to contract types and state inherited from base contracts', () => {
+      const findings = analyze([
+        'contract Ledger { uint256[] entries; }',
+        'contract Bank is Ledger {',
+        '  function deposit(address token) external {',
+        '    require(IERC20(token).transferFrom(msg.sender, address(this), 1));',
+        '    entries.push(1);',
+        '  }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/reentrancy').map(([line]) => line)).to.deep.equal([4]);
+    });
+
+    it('should accept checks-effects-interactions, guards, reads and local writes', () => {
+      const findings = analyze([
+        'contract Bank {',
+        '  struct Account { uint256 balance; }',
+        '  mapping(address => uint256) balances;',
+        '  IERC20 token;',
+        '  function withdraw() external {',
+        '    uint256 amount = balances[msg.sender];',
+        '    balances[msg.sender] = 0;',
+        '    payable(msg.sender).transfer(amount);',
+        '  }',
+        '  function claim() external nonReentrant {',
+        '    token.transfer(msg.sender, 1);',
+        '    balances[msg.sender] = 0;',
+        '  }',
+        '  function sync() external {',
+        '    uint256 held = token.balanceOf(address(this));',
+        '    balances[address(this)] = held;',
+        '  }',
+        '  function settle(Account memory account) external {',
+        '    account.update();',
+        '    uint256 spent = 1;',
+        '    spent += 1;',
+        '  }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/reentrancy')).to.be.empty;
+    });
+  });
+
+  describe('usage warnings', () => {
+    it('should report each risky construct once per file', () => {
+      const findings = analyze([
+        'contract Misc {',
+        '  function f(address payable to, bytes32 h, uint8 v) external {',
+        '    to.transfer(1);',
+        '    to.transfer(2);',
+        '    ecrecover(h, v, h, h);',
+        '    assembly { let x := 1 }',
+        '  }',
+        '}',
+      ]);
+
+      expect(findings.map(f => [f.ruleId, f.line])).to.deep.equal([
+        ['solidity/transfer', 3],
+        ['solidity/ecrecover', 5],
+        ['solidity/assembly', 6],
+      ]);
+    });
+
+    it('should not mistake ERC-20 transfers for ETH transfers', () => {
+      const findings = analyze([
+        'contract Payer {',
+        '  IERC20 token;',
+        '  function pay(address to) external { token.transfer(to, 1); }',
+        '}',
+      ]);
+
+      expect(byRule(findings, 'solidity/transfer')).to.be.empty;
+    });
+  });
+});
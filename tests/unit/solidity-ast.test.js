@@ -0,0 +1,61 @@
+/**
+ * Unit tests for solidity-ast.js
+ */
+
+const { expect } = require('chai');
+const { parseSolidity, walk, findNodes, nodeLocation } = require('../../scripts/utils/solidity-ast');
+
+describe('Solidity AST', () => {
+  const source = [
+    'pragma solidity ^0.8.0;',
+    'contract Counter {',
+    '  uint256 count;',
+    '  function increment() external { count += 1; }',
+    '}',
+  ].join('\n');
+
+  describe('parseSolidity', () => {
+    it('should parse sources with locations', () => {
+      const result = parseSolidity(source);
+      expect(result.success).to.be.true;
+      const types = result.ast.children.map(node => node.type);
+      expect(types).to.deep.equal(['PragmaDirective', 'ContractDefinition']);
+    });
+
+    it('should locate syntax errors', () => {
+      const result = parseSolidity('contract Counter {\n  uint256 count\n}');
+      expect(result.success).to.be.false;
+      expect(result.error).to.match(/^Solidity syntax error at line 3: /);
+      expect(result).to.include({ line: 3, column: 1 });
+    });
+  });
+
+  describe('walk', () => {
+    it('should visit nodes in source order with their parent', () => {
+      const { ast } = parseSolidity(source);
+      const visited = [];
+      walk(ast, (node, parent) => {
+        if (node.type === 'Identifier') visited.push([node.name, parent.type]);
+      });
+      expect(visited).to.deep.equal([['count', 'VariableDeclaration'], ['count', 'BinaryOperation']]);
+    });
+
+    it('should skip the children of nodes the callback rejects', () => {
+      const { ast } = parseSolidity(source);
+      const types = [];
+      walk(ast, node => {
+        types.push(node.type);
+        return node.type !== 'ContractDefinition';
+      });
+      expect(types).to.deep.equal(['SourceUnit', 'PragmaDirective', 'ContractDefinition']);
+    });
+  });
+
+  describe('findNodes and nodeLocation', () => {
+    it('should locate matching nodes with 1-based columns', () => {
+      const { ast } = parseSolidity(source);
+      const [assignment] = findNodes(ast, node => node.type === 'BinaryOperation');
+      expect(nodeLocation(assignment)).to.deep.equal({ line: 4, column: 35 });
+    });
+  });
+});
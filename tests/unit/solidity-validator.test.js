@@ -6,34 +6,45 @@ const { expect } = require('chai');
 const {
   checkDangerousPatterns,
   validateSolidityFile,
+  extractContractType,
 } = require('../../scripts/validators/solidity-validator');
 
 describe('Solidity Validator', () => {
   describe('checkDangerousPatterns', () => {
+    // Wrap statements in a contract function
+    const inContract = body => `contract C { address owner; function f(address target) public { ${body} } }`;
+
     it('should detect selfdestruct', () => {
-      const code = 'function destroy() { selfdestruct(owner); }';
-      const warnings = checkDangerousPatterns(code);
+      const warnings = checkDangerousPatterns(inContract('selfdestruct(payable(owner));'));
       expect(warnings).to.have.lengthOf.at.least(1);
       expect(warnings[0]).to.include('selfdestruct');
     });
 
     it('should detect delegatecall', () => {
-      const code = 'address(target).delegatecall(data);';
+      const code = inContract('(bool ok, ) = address(target).delegatecall(""); require(ok);');
       const warnings = checkDangerousPatterns(code);
       expect(warnings.some(w => w.includes('delegatecall'))).to.be.true;
     });
 
     it('should detect tx.origin', () => {
-      const code = 'require(tx.origin == owner);';
-      const warnings = checkDangerousPatterns(code);
+      const warnings = checkDangerousPatterns(inContract('require(tx.origin == owner);'));
       expect(warnings.some(w => w.includes('tx.origin'))).to.be.true;
     });
 
     it('should return empty array for safe code', () => {
-      const code = 'function transfer(address to, uint amount) public { }';
+      const code = 'contract C { function transfer(address to, uint amount) public { } }';
       const warnings = checkDangerousPatterns(code);
       expect(warnings).to.be.empty;
     });
+
+    it('should ignore comments and strings', () => {
+      const code = inContract('// selfdestruct(payable(owner));\n string memory s = "tx.origin";');
+      expect(checkDangerousPatterns(code)).to.be.empty;
+    });
+
+    it('should return empty array for sources that do not parse', () => {
+      expect(checkDangerousPatterns('require(tx.origin == owner);')).to.be.empty;
+    });
   });
 
   describe('validateSolidityFile', () => {
@@ -138,5 +149,75 @@ describe('Solidity Validator', () => {
       expect(result.warnings).to.exist;
       expect(result.warnings.some(w => w.includes('selfdestruct'))).to.be.true;
     });
+
+    it('should report every structural error in exhaustive mode', () => {
+      const code = 'contract Other { function f() public { selfdestruct(payable(msg.sender)); } }';
+
+      const failFast = validateSolidityFile(code, 'TestContract');
+      expect(failFast.valid).to.be.false;
+      expect(failFast.error).to.include('pragma');
+      expect(failFast.errors).to.be.undefined;
+
+      const result = validateSolidityFile(code, 'TestContract', { exhaustive: true });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.have.length(2);
+      expect(result.errors[0]).to.include('pragma');
+      expect(result.errors[1]).to.include('No declaration found for TestContract');
+      expect(result.warnings.some(w => w.includes('selfdestruct'))).to.be.true;
+    });
+
+    it('should warn about sources that do not parse and skip the syntax tree checks', () => {
+      const code = [
+        '// SPDX-License-Identifier: MIT',
+        'pragma solidity 0.8.0;',
+        'contract TestContract { functio f() {} }',
+      ].join('\n');
+
+      const result = validateSolidityFile(code, 'TestContract', { exhaustive: true });
+      expect(result.valid).to.be.true;
+      expect(result.findings).to.have.length(1);
+      expect(result.findings[0]).to.include({ ruleId: 'solidity/syntax', line: 3 });
+      expect(result.findings[0].message).to.match(/^Solidity syntax error at line 3: /);
+      expect(result.warnings).to.deep.equal([result.findings[0].message]);
+    });
+
+    it('should keep the SPDX check for sources that do not parse', () => {
+      const result = validateSolidityFile('contract TestContract {', 'TestContract');
+      expect(result.valid).to.be.true;
+      expect(result.findings.map(f => f.ruleId)).to.deep.equal(['solidity/spdx', 'solidity/syntax']);
+    });
+
+    it('should locate findings with rule ids and line numbers', () => {
+      const code = [
+        '// SPDX-License-Identifier: MIT',
+        'pragma solidity 0.8.19;',
+        '',
+        'contract TestContract {',
+        '  function check() public view {',
+        '    require(tx.origin == msg.sender);',
+        '  }',
+        '}',
+      ].join('\n');
+      const result = validateSolidityFile(code, 'TestContract');
+      expect(result.valid).to.be.true;
+      expect(result.findings.map(f => f.message)).to.deep.equal(result.warnings);
+
+      const txOrigin = result.findings.find(f => f.ruleId === 'solidity/tx-origin');
+      expect(txOrigin).to.include({ line: 6, column: 13 });
+
+      const pragma = result.findings.find(f => f.ruleId === 'solidity/pragma-exact');
+      expect(pragma).to.include({ line: 2, column: 1 });
+    });
+  });
+
+  describe('extractContractType', () => {
+    it('should return the kind of the declaration', () => {
+      const code = 'abstract contract Base {}\ninterface IPool {}\nlibrary Math {}\ncontract Pool is Base {}';
+      expect(extractContractType(code, 'Base')).to.equal('abstract');
+      expect(extractContractType(code, 'IPool')).to.equal('interface');
+      expect(extractContractType(code, 'Math')).to.equal('library');
+      expect(extractContractType(code, 'Pool')).to.equal('contract');
+      expect(extractContractType(code, 'Po')).to.be.null;
+    });
   });
 });
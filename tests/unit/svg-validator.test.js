@@ -0,0 +1,149 @@
+/**
+ * Unit tests for svg-validator.js
+ */
+
+const { expect } = require('chai');
+const { validateSvg, SVG_MAX_SIZE } = require('../../scripts/validators/svg-validator');
+const { createSvg } = require('../helpers/image-fixtures');
+
+describe('SVG Validator', () => {
+  it('should accept a plain SVG logo and report its viewBox', () => {
+    const result = validateSvg(createSvg({ viewBox: '0 0 128 128' }));
+
+    expect(result.valid).to.be.true;
+    expect(result.image).to.deep.equal({ format: 'svg', width: 128, height: 128, alpha: true });
+  });
+
+  it('should accept internal references and embedded raster images', () => {
+    const body = [
+      '<defs><linearGradient id="g"><stop offset="0" stop-color="#fff"/></linearGradient></defs>',
+      '<style>.a { fill: url(#g); }</style>',
+      '<rect class="a" width="64" height="64" fill="url(\'#g\')"/>',
+      '<use xlink:href="#g"/>',
+      '<image href="data:image/png;base64,iVBORw0KGgo=" width="8" height="8"/>',
+    ].join('');
+
+    expect(validateSvg(createSvg({ body })).errors).to.be.empty;
+  });
+
+  it('should accept a byte order mark and string content', () => {
+    const svg = `\uFEFF${createSvg().toString()}`;
+    expect(validateSvg(svg).valid).to.be.true;
+  });
+
+  describe('viewBox', () => {
+    it('should require a viewBox', () => {
+      const result = validateSvg(createSvg({ viewBox: null }));
+
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.deep.equal(['SVG root element must have a viewBox']);
+    });
+
+    it('should reject malformed or empty viewBoxes', () => {
+      for (const viewBox of ['0 0 64', '0 0 64 abc', '0 0 0 64', '0,0,-1,-1']) {
+        expect(validateSvg(createSvg({ viewBox })).errors[0], viewBox).to.include('must be four numbers');
+      }
+      expect(validateSvg(createSvg({ viewBox: '0,0,32,32' })).valid).to.be.true;
+    });
+  });
+
+  describe('structure', () => {
+    it('should reject malformed XML', () => {
+      const result = validateSvg('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"><g></svg>');
+
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.include('not well-formed XML');
+    });
+
+    it('should reject documents whose root is not an SVG element', () => {
+      expect(validateSvg('<svg viewBox="0 0 1 1"/>').errors[0]).to.include('root element must be <svg>');
+      expect(validateSvg('<html xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"/>').valid).to.be.false;
+    });
+
+    it('should reject DOCTYPE declarations', () => {
+      const svg = createSvg().toString().replace('<svg', '<!DOCTYPE svg [<!ENTITY a "aaaa">]>\n<svg');
+      expect(validateSvg(svg).errors).to.include('SVG must not contain a DOCTYPE declaration');
+    });
+
+    it('should reject stylesheet processing instructions', () => {
+      const instruction = '<?xml-stylesheet href="https://example.com/a.css"?>';
+      const svg = createSvg().toString().replace('<svg', `${instruction}\n<svg`);
+      expect(validateSvg(svg).errors[0]).to.include('<?xml-stylesheet?>');
+    });
+
+    it('should enforce the size cap', () => {
+      const body = `<desc>${'x'.repeat(SVG_MAX_SIZE)}</desc>`;
+      const result = validateSvg(createSvg({ body }));
+
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.include('SVG logo too large');
+    });
+  });
+
+  describe('unsafe content', () => {
+    /**
+     * Validate an SVG with the given body and return its errors
+     * @param {string} body - Markup inside the root element
+     * @returns {string[]} Errors
+     */
+    function errorsFor(body) {
+      return validateSvg(createSvg({ body })).errors;
+    }
+
+    it('should reject scripts', () => {
+      expect(errorsFor('<script>alert(1)</script>'))
+        .to.deep.equal(['SVG must not contain <script> elements']);
+      expect(errorsFor('<script xlink:href="#x"/>')[0]).to.include('<script>');
+    });
+
+    it('should reject event handler attributes', () => {
+      const result = validateSvg(createSvg({ attributes: 'onload="alert(1)"' }));
+      expect(result.errors[0]).to.include('event handler attributes (onload on <svg>)');
+      expect(errorsFor('<rect ONCLICK="alert(1)"/>')[0]).to.include('ONCLICK');
+    });
+
+    it('should reject foreignObject and HTML elements', () => {
+      expect(errorsFor('<foreignObject><div xmlns="http://www.w3.org/1999/xhtml"/></foreignObject>'))
+        .to.include('SVG must not contain <foreignObject> elements');
+      expect(errorsFor('<h:iframe xmlns:h="http://www.w3.org/1999/xhtml"/>')[0]).to.include('<h:iframe>');
+      expect(errorsFor('<h:p xmlns:h="http://www.w3.org/1999/xhtml"/>')[0]).to.include('HTML elements');
+    });
+
+    it('should reject external href and xlink:href references', () => {
+      expect(errorsFor('<image href="https://example.com/logo.png"/>')[0])
+        .to.include('<image> href references external resource https://example.com/logo.png');
+      expect(errorsFor('<a xlink:href="javascript:alert(1)"><rect/></a>')[0])
+        .to.include('xlink:href references external resource javascript:alert(1)');
+      expect(errorsFor('<use href="other.svg#icon"/>')).to.have.length(1);
+    });
+
+    it('should reject external url() references in attributes and styles', () => {
+      expect(errorsFor('<rect fill="url(https://example.com/p.svg#g)"/>')[0])
+        .to.include('<rect> fill references');
+      expect(errorsFor('<rect style="fill: url(//example.com/p)"/>')[0])
+        .to.include('<rect> style references');
+      expect(errorsFor('<style>@import "https://example.com/a.css";</style>')[0])
+        .to.include('imports an external stylesheet');
+      expect(errorsFor('<style><![CDATA[ rect { fill: url(https://example.com/p) } ]]></style>')[0])
+        .to.include('<style> references external resource');
+    });
+
+    it('should reject data URIs of non-raster types', () => {
+      expect(errorsFor('<image href="data:text/html;base64,PHNjcmlwdD4="/>')[0])
+        .to.include('embeds a data URI of type text/html');
+      expect(errorsFor('<image href="data:image/svg+xml,%3Csvg%2F%3E"/>')[0]).to.include('image/svg+xml');
+      expect(errorsFor('<image href="data:,hello"/>')[0]).to.include('text/plain');
+    });
+
+    it('should reject animations that rewrite links or handlers', () => {
+      expect(errorsFor('<a href="#x"><set attributeName="href" to="javascript:alert(1)"/></a>'))
+        .to.include('SVG <set> must not animate href');
+      expect(errorsFor('<animate attributeName="xlink:href" values="#a;#b"/>')[0]).to.include('xlink:href');
+      expect(errorsFor('<animate attributeName="opacity" values="0;1" dur="1s"/>')).to.be.empty;
+    });
+
+    it('should report each problem once', () => {
+      expect(errorsFor('<script/><script/><script/>')).to.have.length(1);
+    });
+  });
+});